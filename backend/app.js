@@ -4,17 +4,15 @@ import helmet from 'helmet';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
-import { toMp4Routes } from './routes/toMp4.routes.js';
-import { toWebmRoutes } from './routes/toWebm.routes.js';
-import { toMovRoutes } from './routes/toMov.routes.js';
-import { toMpegRoutes } from './routes/toMpeg.routes.js';
-import { toWmvRoutes } from './routes/toWmv.routes.js';
-import { toMkvRoutes } from './routes/toMkv.routes.js';
-import toAviRoutes from './routes/toAvi.routes.js';
-import { toFlvRoutes } from './routes/toFlv.routes.js';
-import { to3gpRoutes } from './routes/to3gp.routes.js';
-import { to3g2Routes } from './routes/to3g2.routes.js';
+import { convertRoutes } from './routes/convert.routes.js';
 import { cleanupRoutes } from './routes/cleanup.routes.js';
+import { jobsRoutes } from './routes/jobs.routes.js';
+import { formatsRoutes } from './routes/formats.routes.js';
+import { docsRoutes } from './routes/docs.routes.js';
+import { probeRoutes } from './routes/probe.routes.js';
+import { profilesRoutes } from './routes/profiles.routes.js';
+import { conversionScheduler } from './services/jobs/ConversionScheduler.js';
+import { listConversions } from './services/conversionRegistry.js';
 import logger from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -66,9 +64,13 @@ application.get('/healthz', (req, res) => {
 // Readiness probe - ensure routes and basic dependencies mounted
 application.get('/ready', (req, res) => {
   // Optionally add deeper readiness checks here (disk space, ffmpeg availability)
-  res.status(200).json({ success: true, ready: true });
+  res.status(200).json({ success: true, ready: true, scheduler: conversionScheduler.getStats() });
 });
 
+// API description and docs page, also BEFORE CORS: browsers load them
+// same-origin without an Origin header, which production CORS rejects
+application.use('/api/v1', docsRoutes);
+
 application.use(cors({
   origin: (origin, callback) => {
     // Allow requests with no origin (e.g., mobile apps, Postman) only in development
@@ -97,7 +99,7 @@ application.use(cors({
     });
     callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true,
   maxAge: 86400, // 24 hours
@@ -138,21 +140,37 @@ application.use((req, res, next) => {
   next();
 });
 
-// Mount routes
-application.use('/api/v1/convert', toMp4Routes);
-application.use('/api/v1/convert', toWebmRoutes);
-application.use('/api/v1/convert', toMovRoutes);
-application.use('/api/v1/convert', toMpegRoutes);
-application.use('/api/v1/convert', toWmvRoutes);
-application.use('/api/v1/convert', toMkvRoutes);
-application.use('/api/v1/convert', toAviRoutes);
-application.use('/api/v1/convert', toFlvRoutes);
-application.use('/api/v1/convert', to3gpRoutes);
-application.use('/api/v1/convert', to3g2Routes);
+// Conversion routes (every pair in the conversion registry)
+application.use('/api/v1/convert', convertRoutes);
+
+// Format discovery routes
+application.use('/api/v1/formats', formatsRoutes);
+
+// Media probe routes
+application.use('/api/v1/probe', probeRoutes);
+
+// Encoding profile routes (built-in and custom profiles)
+application.use('/api/v1/profiles', profilesRoutes);
 
 // Cleanup routes
 application.use('/api/v1/cleanup', cleanupRoutes);
 
+// Conversion job routes
+application.use('/api/v1/jobs', jobsRoutes);
+
+/**
+ * Root listing name of a conversion endpoint (AVI, 3GP -> aviToThreeGp)
+ */
+const endpointName = (source, target) => {
+  const camel = (format) => ({ '3GP': 'threeGp', '3G2': 'threeG2' }[format] || format.toLowerCase());
+  const targetName = camel(target);
+  return `${camel(source)}To${targetName[0].toUpperCase()}${targetName.slice(1)}`;
+};
+
+const conversionEndpoints = Object.fromEntries(
+  listConversions().map(({ source, target, path: endpointPath }) => [endpointName(source, target), endpointPath])
+);
+
 // Root endpoint
 application.get('/', (req, res) => {
   res.json({
@@ -160,58 +178,24 @@ application.get('/', (req, res) => {
     message: 'Video Format Converter API',
     version: '1.0.0',
     endpoints: {
-      // MP4 Conversion Endpoints
-      aviToMp4: '/api/v1/convert/avi-to-mp4',
-      movToMp4: '/api/v1/convert/mov-to-mp4',
-      mkvToMp4: '/api/v1/convert/mkv-to-mp4',
-      wmvToMp4: '/api/v1/convert/wmv-to-mp4',
-      flvToMp4: '/api/v1/convert/flv-to-mp4',
-      mpegToMp4: '/api/v1/convert/mpeg-to-mp4',
-      threeGpToMp4: '/api/v1/convert/3gp-to-mp4',
-      threeG2ToMp4: '/api/v1/convert/3g2-to-mp4',
-      webmToMp4: '/api/v1/convert/webm-to-mp4',
-      // WebM Conversion Endpoints
-      mp4ToWebm: '/api/v1/convert/mp4-to-webm',
-      movToWebm: '/api/v1/convert/mov-to-webm',
-      mkvToWebm: '/api/v1/convert/mkv-to-webm',
-      aviToWebm: '/api/v1/convert/avi-to-webm',
-      wmvToWebm: '/api/v1/convert/wmv-to-webm',
-      flvToWebm: '/api/v1/convert/flv-to-webm',
-      mpegToWebm: '/api/v1/convert/mpeg-to-webm',
-      // MOV Conversion Endpoints
-      mp4ToMov: '/api/v1/convert/mp4-to-mov',
-      mkvToMov: '/api/v1/convert/mkv-to-mov',
-      aviToMov: '/api/v1/convert/avi-to-mov',
-      wmvToMov: '/api/v1/convert/wmv-to-mov',
-      mpegToMov: '/api/v1/convert/mpeg-to-mov',
-      flvToMov: '/api/v1/convert/flv-to-mov',
-      webmToMov: '/api/v1/convert/webm-to-mov',
-      threeGpToMov: '/api/v1/convert/3gp-to-mov',
-      // MPEG Conversion Endpoints
-      mp4ToMpeg: '/api/v1/convert/mp4-to-mpeg',
-      mkvToMpeg: '/api/v1/convert/mkv-to-mpeg',
-      aviToMpeg: '/api/v1/convert/avi-to-mpeg',
-      wmvToMpeg: '/api/v1/convert/wmv-to-mpeg',
-      movToMpeg: '/api/v1/convert/mov-to-mpeg',
-      // WMV Conversion Endpoints
-      mp4ToWmv: '/api/v1/convert/mp4-to-wmv',
-      mkvToWmv: '/api/v1/convert/mkv-to-wmv',
-      aviToWmv: '/api/v1/convert/avi-to-wmv',
-      webmToWmv: '/api/v1/convert/webm-to-wmv',
-      movToWmv: '/api/v1/convert/mov-to-wmv',
-      mpegToWmv: '/api/v1/convert/mpeg-to-wmv',
-      // MKV Conversion Endpoints
-      mp4ToMkv: '/api/v1/convert/mp4-to-mkv',
-      mkvToMkv: '/api/v1/convert/mkv-to-mkv',
-      aviToMkv: '/api/v1/convert/avi-to-mkv',
-      webmToMkv: '/api/v1/convert/webm-to-mkv',
-      movToMkv: '/api/v1/convert/mov-to-mkv',
-      // AVI Conversion Endpoints
-      mp4ToAvi: '/api/v1/convert/mp4-to-avi',
-      mkvToAvi: '/api/v1/convert/mkv-to-avi',
-      wmvToAvi: '/api/v1/convert/wmv-to-avi',
-      movToAvi: '/api/v1/convert/mov-to-avi',
-      mpegToAvi: '/api/v1/convert/mpeg-to-avi'
+      // API description (OpenAPI 3) and interactive docs
+      openapi: '/api/v1/openapi.json',
+      docs: '/api/v1/docs',
+      // Supported formats, presets, capabilities and profiles
+      formats: '/api/v1/formats',
+      // Inspect a video without converting it
+      probe: 'POST /api/v1/probe',
+      // Encoding profiles (GET, POST; GET, PUT, DELETE /api/v1/profiles/:id)
+      profiles: '/api/v1/profiles',
+      // Generic conversion (any supported pair)
+      convert: 'POST /api/v1/convert?from=<format>&to=<format>',
+      convertPair: 'POST /api/v1/convert/:from-to-:to',
+      // Per-pair aliases, e.g. aviToMp4: '/api/v1/convert/avi-to-mp4'
+      ...conversionEndpoints,
+      // Conversion Jobs (add ?async=true to any conversion endpoint)
+      jobStatus: '/api/v1/jobs/:id',
+      jobEvents: '/api/v1/jobs/:id/events',
+      cancelJob: 'DELETE /api/v1/jobs/:id'
     }
   });
 });
@@ -296,6 +296,7 @@ export const MKV_CONVERSION_PRESETS = {
 export const FFMPEG_CONFIG = {
   path: ffmpegPath,
   timeout: parseInt(process.env.FFMPEG_TIMEOUT || '1800000', 10), // 30 minutes default (increased for 4K)
+  maxParallel: parseInt(process.env.FFMPEG_MAX_PARALLEL || '2', 10), // Concurrent FFmpeg processes per instance
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '1073741824', 10), // 1GB default (was 500MB)
   defaultPreset: 'medium',
   outputFormat: 'mp4',
@@ -313,7 +314,11 @@ export const FFMPEG_CONFIG = {
 export const PATHS = {
   uploads: path.join(__dirname, '..', 'uploads'),
   outputs: path.join(__dirname, '..', 'outputs'),
-  logs: path.join(__dirname, '..', 'logs')
+  // Work files of running conversions (intermediates, passlogs, the output
+  // until it is complete); not served, unlike outputs
+  temp: path.join(__dirname, '..', 'temp'),
+  logs: path.join(__dirname, '..', 'logs'),
+  data: path.join(__dirname, '..', 'data')
 };
 
 /**
@@ -449,9 +454,9 @@ export const THREE_GP_CONVERSION_PRESETS = {
     crf: 26,
     profile: 'baseline',
     level: '3.0',
-    maxWidth: 480,
-    maxHeight: 360,
-    description: 'Balanced 3GP - CRF 26, 480x360 max'
+    maxWidth: 352,
+    maxHeight: 288,
+    description: 'Balanced 3GP - CRF 26, 352x288 (CIF) max'
   },
   low: {
     videoCodec: 'libx264',
@@ -492,9 +497,9 @@ export const THREE_G2_CONVERSION_PRESETS = {
     crf: 26,
     profile: 'baseline',
     level: '3.0',
-    maxWidth: 480,
-    maxHeight: 360,
-    description: 'Balanced 3G2 - CRF 26, 480x360 max'
+    maxWidth: 352,
+    maxHeight: 288,
+    description: 'Balanced 3G2 - CRF 26, 352x288 (CIF) max'
   },
   low: {
     videoCodec: 'libx264',
@@ -0,0 +1,207 @@
+import path from 'path';
+import { getFormatByExtension } from '../config/ffmpeg.js';
+import {
+  FORMAT_REGISTRY,
+  resolveFormat,
+  listConversions,
+  createConversionTask,
+  cleanupUploads
+} from '../services/conversionRegistry.js';
+import { planConversion } from '../services/conversionRunner.js';
+import { PIPELINE_STAGES } from '../services/media-pipeline/ConversionPipeline.js';
+import { WATERMARK_OPTIONS } from '../services/media-pipeline/Watermark.js';
+import { SUBTITLE_OPTIONS } from '../services/media-pipeline/Subtitles.js';
+import { jobManager } from '../services/jobs/JobManager.js';
+import { sendJobAccepted, cancelOnDisconnect } from './jobs.controllers.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Status of a failed conversion: the stages before FFmpeg runs fail on the
+ * input or the requested options (422), FFmpeg and unclassified failures
+ * on the server (500)
+ */
+const getFailureStatus = (error) =>
+  error.report && PIPELINE_STAGES.slice(0, -1).includes(error.stage) ? 422 : 500;
+
+/**
+ * Generic conversion controller
+ * POST /api/v1/convert and POST /api/v1/convert/:from-to-:to
+ *
+ * Expects req.conversion ({ source, target }) and req.validatedQuery
+ * from validateConversionRequest, the upload as req.file and its
+ * attachments (watermark image, subtitles) as req.attachments.
+ */
+export const convertController = async (req, res) => {
+  const uploadedFile = req.file;
+  const { source, target } = req.conversion;
+  const attachments = {
+    watermarkImage: req.attachments?.watermark?.path ?? null,
+    subtitlesFile: req.attachments?.subtitles?.path ?? null
+  };
+
+  try {
+    if (!uploadedFile) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded',
+        message: 'Please upload a video file'
+      });
+    }
+
+    const inputPath = uploadedFile.path;
+    const inputExt = path.extname(uploadedFile.originalname).toLowerCase();
+    const formatInfo = getFormatByExtension(inputExt);
+
+    // Validate the upload matches the requested source format
+    if (formatInfo?.name !== source) {
+      await cleanupUploads(inputPath, attachments);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `Expected ${source} format, but received ${formatInfo?.name || 'unknown'} format`
+      });
+    }
+
+    logger.info(`Processing ${source} to ${target} conversion`);
+    logger.info(`Original filename: ${uploadedFile.originalname}`);
+    logger.info(`File size: ${uploadedFile.size} bytes`);
+
+    // Get conversion options from validated query
+    const conversionOptions = {
+      // Unset: a profile is selected, or the medium preset is used
+      quality: req.validatedQuery?.quality ?? null,
+      preserveMetadata: req.validatedQuery?.preserveMetadata !== false,
+      remux: req.validatedQuery?.remux !== false,
+      customBitrate: req.validatedQuery?.customBitrate || null,
+      rateControl: req.validatedQuery?.rateControl || null,
+      passes: req.validatedQuery?.passes || 1,
+      targetSize: req.validatedQuery?.targetSize || null,
+      profile: req.validatedQuery?.profile || null,
+      start: req.validatedQuery?.start ?? null,
+      end: req.validatedQuery?.end ?? null,
+      duration: req.validatedQuery?.duration ?? null,
+      crop: req.validatedQuery?.crop ?? null,
+      rotate: req.validatedQuery?.rotate ?? null,
+      flip: req.validatedQuery?.flip ?? null,
+      pad: req.validatedQuery?.pad ?? null,
+      padColor: req.validatedQuery?.padColor ?? null,
+      ...Object.fromEntries(WATERMARK_OPTIONS.map(name => [name, req.validatedQuery?.[name] ?? null])),
+      ...Object.fromEntries(SUBTITLE_OPTIONS.map(name => [name, req.validatedQuery?.[name] ?? null])),
+      ...attachments,
+      async: req.validatedQuery?.async === true,
+      priority: req.validatedQuery?.priority
+    };
+
+    // Dry run: plan the conversion and return it without encoding
+    if (req.validatedQuery?.dryRun === true) {
+      const plan = await planConversion({ source, target, inputPath, options: conversionOptions });
+      await cleanupUploads(inputPath, attachments);
+
+      return res.status(200).json({
+        success: true,
+        message: `${source} to ${target} conversion planned (dry run, nothing was encoded)`,
+        data: plan
+      });
+    }
+
+    const job = jobManager.createJob({
+      sourceFormat: source,
+      targetFormat: target,
+      inputFile: uploadedFile,
+      options: conversionOptions
+    });
+
+    // Perform conversion as a tracked job
+    const conversion = jobManager.execute(job, createConversionTask({
+      source,
+      target,
+      inputPath,
+      inputFilename: uploadedFile.originalname,
+      options: conversionOptions
+    }));
+
+    // Async mode: return the job ID now, conversion continues in the background
+    if (conversionOptions.async) {
+      conversion.catch(() => cleanupUploads(inputPath, attachments));
+      return sendJobAccepted(res, job);
+    }
+
+    // Abort the encode if the client disconnects before the response is sent
+    cancelOnDisconnect(res, job);
+
+    const { message, data } = await conversion;
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message,
+      data: { ...data, jobId: job.id }
+    });
+
+  } catch (error) {
+    logger.error(`${source} to ${target} conversion failed: ${error.message}`, {
+      file: uploadedFile?.originalname,
+      stack: error.stack,
+      path: req.path,
+      ip: req.ip
+    });
+
+    // Clean up uploaded files on error
+    if (uploadedFile?.path) {
+      await cleanupUploads(uploadedFile.path, attachments).catch(err =>
+        logger.error(`Failed to cleanup file: ${err.message}`)
+      );
+    }
+
+    // Pipeline failures carry their stage report and a mapped message
+    if (error.report) {
+      return res.status(getFailureStatus(error)).json({
+        success: false,
+        error: 'Conversion failed',
+        message: error.message,
+        stage: error.stage,
+        suggestion: error.suggestion || null,
+        pipeline: error.report
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Conversion failed',
+      message: 'An error occurred during video conversion. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Health check of the conversions to one format
+ * GET /api/v1/convert/:format/health (e.g. /api/v1/convert/avi/health)
+ */
+export const formatHealthController = (req, res) => {
+  const target = resolveFormat(req.params.format);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unsupported format',
+      message: `No conversion service for ${req.params.format}. Supported formats: ${Object.keys(FORMAT_REGISTRY).join(', ')}`
+    });
+  }
+
+  const conversions = listConversions().filter(conversion => conversion.target === target);
+
+  res.status(200).json({
+    success: true,
+    service: `${target} Conversion Service`,
+    status: 'operational',
+    endpoints: conversions.map(conversion => conversion.path),
+    availableConversions: conversions.map(conversion => `${conversion.source} to ${target}`),
+    supportedQualities: Object.keys(FORMAT_REGISTRY[target].presets),
+    timestamp: new Date().toISOString()
+  });
+};
+
+export default {
+  convertController,
+  formatHealthController
+};
@@ -0,0 +1,49 @@
+import { FORMAT_REGISTRY, getConverter } from '../services/conversionRegistry.js';
+import { FormatCapabilityMatrix } from '../services/media-pipeline/FormatCapabilityMatrix.js';
+import { EncodingProfileManager } from '../services/media-pipeline/EncodingProfileManager.js';
+
+/**
+ * Describe one registry format for discovery clients
+ */
+const describeFormat = (key, format) => {
+  const formats = Object.keys(FORMAT_REGISTRY);
+  // Capability and profile tables are keyed by lowercase format name
+  const capabilityKey = key.toLowerCase();
+
+  return {
+    name: format.name,
+    description: format.description,
+    extensions: format.extensions,
+    mimeTypes: format.mimeTypes,
+    outputExtension: format.outputExtension,
+    // Formats this one can be converted to / from
+    convertsTo: formats.filter(target => getConverter(key, target)),
+    convertsFrom: formats.filter(source => getConverter(source, key)),
+    qualityPresets: Object.entries(format.presets).map(([id, preset]) => ({ id, ...preset })),
+    supportsCustomBitrate: format.supportsCustomBitrate,
+    capabilities: FormatCapabilityMatrix.getEncodingConstraints(capabilityKey),
+    profiles: EncodingProfileManager.listProfilesForFormat(capabilityKey)
+  };
+};
+
+/**
+ * List supported formats with presets, capabilities and profiles
+ * GET /api/v1/formats
+ */
+export const getFormatsController = (req, res) => {
+  const formats = Object.entries(FORMAT_REGISTRY)
+    .map(([key, format]) => describeFormat(key, format));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      formats,
+      totalFormats: formats.length,
+      totalConversions: formats.reduce((total, format) => total + format.convertsTo.length, 0)
+    }
+  });
+};
+
+export default {
+  getFormatsController
+};
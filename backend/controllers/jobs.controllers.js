@@ -0,0 +1,183 @@
+import { jobManager } from '../services/jobs/JobManager.js';
+import logger from '../utils/logger.js';
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Build the status URL for a job
+ */
+const getJobStatusUrl = (jobId) => `/api/v1/jobs/${jobId}`;
+
+/**
+ * Respond 202 Accepted for a conversion running in async mode
+ */
+export const sendJobAccepted = (res, job) => {
+  const statusUrl = getJobStatusUrl(job.id);
+
+  res.status(202)
+    .location(statusUrl)
+    .json({
+      success: true,
+      message: `${job.sourceFormat} to ${job.targetFormat} conversion accepted`,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        priority: job.priority,
+        queuePosition: job.queuePosition,
+        statusUrl,
+        eventsUrl: `${statusUrl}/events`
+      }
+    });
+};
+
+/**
+ * Cancel a synchronous conversion when its client goes away
+ * (e.g. the browser tab is closed before the response is sent)
+ */
+export const cancelOnDisconnect = (res, job) => {
+  res.on('close', () => {
+    if (!res.writableFinished && !jobManager.isFinished(job)) {
+      logger.warn(`Client disconnected, cancelling job: ${job.id}`);
+      jobManager.cancelJob(job).catch(() => {});
+    }
+  });
+};
+
+/**
+ * Get conversion job status
+ * GET /api/v1/jobs/:id
+ */
+export const getJobStatusController = (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No conversion job found with ID ${req.params.id}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: jobManager.serialize(job)
+  });
+};
+
+/**
+ * Cancel a conversion job
+ * DELETE /api/v1/jobs/:id
+ *
+ * Kills the FFmpeg process, removes the partial output, any intermediate
+ * file and the upload, and marks the job cancelled.
+ */
+export const cancelJobController = async (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No conversion job found with ID ${req.params.id}`
+    });
+  }
+
+  const cancelled = await jobManager.cancelJob(job);
+
+  if (!cancelled) {
+    return res.status(409).json({
+      success: false,
+      error: 'Job already finished',
+      message: `Conversion job ${job.id} has already ${job.status}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Conversion job cancelled',
+    data: jobManager.serialize(job)
+  });
+};
+
+/**
+ * Write a single Server-Sent Event
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream conversion job progress as Server-Sent Events
+ * GET /api/v1/jobs/:id/events
+ *
+ * Events:
+ *  - status:   full job representation, sent on connect and on every state change
+ *  - progress: { jobId, percent, fps, speed, bitrate, eta, ... } while FFmpeg runs
+ * The stream ends once the job reaches a terminal state.
+ */
+export const streamJobEventsController = (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No conversion job found with ID ${req.params.id}`
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  writeEvent(res, 'status', jobManager.serialize(job));
+
+  if (jobManager.isFinished(job)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  const onProgress = (updatedJob) => {
+    if (updatedJob.id === job.id) {
+      writeEvent(res, 'progress', { jobId: job.id, ...updatedJob.progress });
+    }
+  };
+
+  const onUpdate = (updatedJob) => {
+    if (updatedJob.id !== job.id) {
+      return;
+    }
+
+    writeEvent(res, 'status', jobManager.serialize(updatedJob));
+
+    if (jobManager.isFinished(updatedJob)) {
+      res.end();
+    }
+  };
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    jobManager.off('progress', onProgress);
+    jobManager.off('update', onUpdate);
+  };
+
+  jobManager.on('progress', onProgress);
+  jobManager.on('update', onUpdate);
+  res.on('close', unsubscribe);
+};
+
+export default {
+  sendJobAccepted,
+  cancelOnDisconnect,
+  getJobStatusController,
+  cancelJobController,
+  streamJobEventsController
+};
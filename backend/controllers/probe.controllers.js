@@ -0,0 +1,60 @@
+import { FORMAT_REGISTRY } from '../services/conversionRegistry.js';
+import { MediaValidator } from '../services/media-pipeline/MediaValidator.js';
+import { cleanupFile } from '../services/toMp4.services.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Inspect an uploaded video without converting it
+ * POST /api/v1/probe
+ *
+ * Returns container and stream info, the validator's errors and warnings
+ * and compatibility notes for every output format. The upload is always
+ * deleted afterwards.
+ */
+export const probeController = async (req, res) => {
+  const uploadedFile = req.file;
+
+  try {
+    if (!uploadedFile) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded',
+        message: 'Please upload a video file'
+      });
+    }
+
+    logger.info(`Probing ${uploadedFile.originalname} (${uploadedFile.size} bytes)`);
+
+    const targetFormats = Object.keys(FORMAT_REGISTRY).map(format => format.toLowerCase());
+    const probe = await MediaValidator.probe(uploadedFile.path, targetFormats);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inputFilename: uploadedFile.originalname,
+        ...probe
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Probe failed: ${error.message}`, {
+      file: uploadedFile?.originalname,
+      ip: req.ip
+    });
+
+    res.status(422).json({
+      success: false,
+      error: 'Probe failed',
+      message: 'Could not read media information. The file may be corrupted or in an unsupported format.'
+    });
+
+  } finally {
+    if (uploadedFile?.path) {
+      await cleanupFile(uploadedFile.path);
+    }
+  }
+};
+
+export default {
+  probeController
+};
@@ -0,0 +1,251 @@
+import { FORMAT_REGISTRY } from '../services/conversionRegistry.js';
+import { EncodingProfileManager } from '../services/media-pipeline/EncodingProfileManager.js';
+import { profileStore } from '../services/media-pipeline/ProfileStore.js';
+import { jobManager } from '../services/jobs/JobManager.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Profile as returned by the API
+ */
+const serializeProfile = (id, profile) => ({
+  id,
+  ...profile,
+  custom: profile.custom === true
+});
+
+/**
+ * Send 404 (unknown profile) or 403 (built-in profile) for a profile that
+ * cannot be changed
+ * @returns {boolean} Whether a response was sent
+ */
+const rejectUnchangeable = (req, res) => {
+  if (EncodingProfileManager.isBuiltIn(req.params.id)) {
+    res.status(403).json({
+      success: false,
+      error: 'Built-in profile',
+      message: `${req.params.id} is a built-in profile and cannot be changed`
+    });
+    return true;
+  }
+
+  if (!profileStore.get(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+      message: `No encoding profile found with ID ${req.params.id}`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Check a validated profile against the capability matrix
+ * @returns {object|null} Capability warnings, or null if a response was sent
+ */
+const checkProfile = (res, profile) => {
+  const { errors, warnings } = EncodingProfileManager.validateProfile(profile);
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+    return null;
+  }
+
+  return warnings;
+};
+
+/**
+ * Send 409 for a profile ID that is already in use
+ */
+const rejectExisting = (res, profileId) => res.status(409).json({
+  success: false,
+  error: 'Profile already exists',
+  message: `An encoding profile with ID ${profileId} already exists`
+});
+
+/**
+ * List built-in and custom encoding profiles
+ * GET /api/v1/profiles?format=<format>
+ */
+export const listProfilesController = (req, res) => {
+  const format = req.query.format?.toLowerCase();
+  const formats = Object.keys(FORMAT_REGISTRY).map(key => key.toLowerCase());
+
+  if (format && !formats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: 'format', message: `Format must be one of: ${formats.join(', ')}` }]
+    });
+  }
+
+  const profiles = Object.entries(EncodingProfileManager.getProfiles())
+    .filter(([, profile]) => !format || profile.format === format)
+    .map(([id, profile]) => serializeProfile(id, profile));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      profiles,
+      total: profiles.length
+    }
+  });
+};
+
+/**
+ * Get one encoding profile
+ * GET /api/v1/profiles/:id
+ */
+export const getProfileController = (req, res) => {
+  const profile = EncodingProfileManager.getProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+      message: `No encoding profile found with ID ${req.params.id}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: serializeProfile(req.params.id, profile)
+  });
+};
+
+/**
+ * Create a custom encoding profile
+ * POST /api/v1/profiles
+ *
+ * Expects req.validatedBody (validateProfileBody). The profile is checked
+ * against the FormatCapabilityMatrix constraints of its format.
+ */
+export const createProfileController = async (req, res) => {
+  const profile = req.validatedBody;
+
+  try {
+    if (EncodingProfileManager.isBuiltIn(profile.id)) {
+      return rejectExisting(res, profile.id);
+    }
+
+    const warnings = checkProfile(res, profile);
+    if (!warnings) {
+      return;
+    }
+
+    // The store checks the ID and takes it in one step
+    const now = new Date().toISOString();
+    if (!await profileStore.create({ ...profile, createdAt: now, updatedAt: now })) {
+      return rejectExisting(res, profile.id);
+    }
+
+    logger.info(`Custom encoding profile created: ${profile.id} (${profile.format})`);
+
+    res.status(201)
+      .location(`/api/v1/profiles/${profile.id}`)
+      .json({
+        success: true,
+        message: `Profile ${profile.id} created`,
+        data: serializeProfile(profile.id, EncodingProfileManager.getProfile(profile.id)),
+        warnings
+      });
+  } catch (error) {
+    logger.error(`Failed to create profile ${profile.id}: ${error.message}`);
+
+    res.status(500).json({
+      success: false,
+      error: 'Profile not saved',
+      message: 'The profile could not be stored. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Replace a custom encoding profile
+ * PUT /api/v1/profiles/:id
+ */
+export const updateProfileController = async (req, res) => {
+  const profile = req.validatedBody;
+
+  try {
+    if (rejectUnchangeable(req, res)) {
+      return;
+    }
+
+    const warnings = checkProfile(res, profile);
+    if (!warnings) {
+      return;
+    }
+
+    const { createdAt } = profileStore.get(profile.id);
+    await profileStore.save({ ...profile, createdAt, updatedAt: new Date().toISOString() });
+
+    logger.info(`Custom encoding profile updated: ${profile.id} (${profile.format})`);
+
+    res.status(200).json({
+      success: true,
+      message: `Profile ${profile.id} updated`,
+      data: serializeProfile(profile.id, EncodingProfileManager.getProfile(profile.id)),
+      warnings
+    });
+  } catch (error) {
+    logger.error(`Failed to update profile ${profile.id}: ${error.message}`);
+
+    res.status(500).json({
+      success: false,
+      error: 'Profile not saved',
+      message: 'The profile could not be stored. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Delete a custom encoding profile
+ * DELETE /api/v1/profiles/:id
+ */
+export const deleteProfileController = async (req, res) => {
+  try {
+    if (rejectUnchangeable(req, res)) {
+      return;
+    }
+
+    // Queued and running jobs read the profile when they are encoded
+    const jobs = jobManager.getActiveJobs().filter(job => job.options?.profile === req.params.id);
+    if (jobs.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Profile in use',
+        message: `Profile ${req.params.id} is used by ${jobs.length} queued or running job(s): ${jobs.map(job => job.id).join(', ')}`
+      });
+    }
+
+    await profileStore.remove(req.params.id);
+    logger.info(`Custom encoding profile deleted: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Profile ${req.params.id} deleted`
+    });
+  } catch (error) {
+    logger.error(`Failed to delete profile ${req.params.id}: ${error.message}`);
+
+    res.status(500).json({
+      success: false,
+      error: 'Profile not deleted',
+      message: 'The profile could not be deleted. Please try again later.'
+    });
+  }
+};
+
+export default {
+  listProfilesController,
+  getProfileController,
+  createProfileController,
+  updateProfileController,
+  deleteProfileController
+};
@@ -1,151 +0,0 @@
-import path from 'path';
-import { convertToFlv, cleanupFile } from '../services/toFlv.services.js';
-import { getFormatByExtension } from '../config/ffmpeg.js';
-import logger from '../utils/logger.js';
-
-/**
- * Base conversion controller logic for FLV
- */
-const handleFlvConversion = async (req, res, expectedFormat) => {
-  const uploadedFile = req.file;
-  
-  try {
-    if (!uploadedFile) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-        message: 'Please upload a video file'
-      });
-    }
-
-    const inputPath = uploadedFile.path;
-    const inputExt = path.extname(uploadedFile.originalname).toLowerCase();
-    const formatInfo = getFormatByExtension(inputExt);
-
-    // Validate format matches expected
-    if (formatInfo?.name !== expectedFormat) {
-      await cleanupFile(inputPath);
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid format',
-        message: `Expected ${expectedFormat} format, but received ${formatInfo?.name || 'unknown'} format`
-      });
-    }
-
-    logger.info(`Processing ${formatInfo.name} to FLV conversion`);
-    logger.info(`Original filename: ${uploadedFile.originalname}`);
-    logger.info(`File size: ${uploadedFile.size} bytes`);
-
-    // Get conversion options from validated query
-    const conversionOptions = {
-      quality: req.validatedQuery?.quality || 'medium',
-      preserveMetadata: req.validatedQuery?.preserveMetadata !== false,
-      customBitrate: req.validatedQuery?.customBitrate || null
-    };
-
-    // Perform conversion
-    const result = await convertToFlv(inputPath, conversionOptions);
-
-    // Clean up uploaded file
-    await cleanupFile(inputPath);
-
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: `${formatInfo.name} converted to FLV successfully`,
-      data: {
-        inputFormat: formatInfo.name,
-        inputFilename: uploadedFile.originalname,
-        outputFilename: result.outputFilename,
-        outputPath: path.join('..', 'outputs', result.outputFilename),
-        outputSize: result.outputSize,
-        quality: result.quality,
-        reductionPercentage: result.reductionPercentage
-      }
-    });
-
-  } catch (error) {
-    logger.error(`FLV conversion failed: ${error.message}`, {
-      file: uploadedFile?.originalname,
-      stack: error.stack,
-      path: uploadedFile?.path,
-      ip: req.ip
-    });
-
-    // Clean up uploaded file on error
-    if (uploadedFile?.path) {
-      await cleanupFile(uploadedFile.path).catch(err => 
-        logger.error(`Failed to cleanup file: ${err.message}`)
-      );
-    }
-
-    res.status(500).json({
-      success: false,
-      error: 'Conversion failed',
-      message: 'An error occurred during video conversion. Please try again later.'
-    });
-  }
-};
-
-/**
- * MP4 to FLV controller
- */
-export const mp4ToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'MP4');
-};
-
-/**
- * WEBM to FLV controller
- */
-export const webmToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'WEBM');
-};
-
-/**
- * AVI to FLV controller
- */
-export const aviToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'AVI');
-};
-
-/**
- * MOV to FLV controller
- */
-export const movToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'MOV');
-};
-
-/**
- * MKV to FLV controller
- */
-export const mkvToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'MKV');
-};
-
-/**
- * WMV to FLV controller
- */
-export const wmvToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'WMV');
-};
-
-/**
- * MPEG to FLV controller
- */
-export const mpegToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, 'MPEG');
-};
-
-/**
- * 3GP to FLV controller
- */
-export const threeGpToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, '3GP');
-};
-
-/**
- * 3G2 to FLV controller
- */
-export const threeG2ToFlvController = async (req, res) => {
-  await handleFlvConversion(req, res, '3G2');
-};
@@ -1,6 +1,45 @@
 import { fileTypeFromBuffer } from 'file-type';
 import fs from 'fs/promises';
 import logger from '../utils/logger.js';
+import { ATTACHMENT_FIELDS, removeUploadedFiles } from './upload.middleware.js';
+
+/**
+ * First bytes of an uploaded file (all of it if it is shorter)
+ */
+const readHeader = async (filePath, length) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Detected type of an uploaded file, or undefined if unknown
+ */
+const detectFileType = async (file) => {
+  // Read first 4100 bytes (file-type needs this much)
+  return fileTypeFromBuffer(await readHeader(file.path, 4100));
+};
+
+/**
+ * Why an attachment's content does not match its field, or null
+ */
+const checkAttachment = async (field, file) => {
+  const { mimeTypes, description, maxSize, checkContent } = ATTACHMENT_FIELDS[field];
+
+  if (checkContent) {
+    // Text files are checked as a whole, which the upload limit keeps small
+    return checkContent(await readHeader(file.path, maxSize), file);
+  }
+
+  const fileType = await detectFileType(file);
+  return mimeTypes.includes(fileType?.mime)
+    ? null
+    : `The ${field} file is not ${description}. Detected type: ${fileType?.mime || 'unknown'}`;
+};
 
 /**
  * Validate file content by reading magic bytes
@@ -14,14 +53,12 @@ export const validateFileContent = async (req, res, next) => {
   }
 
   try {
-    // Read first 4100 bytes (file-type needs this much)
-    const buffer = await fs.readFile(uploadedFile.path, { encoding: null, flag: 'r' });
-    const fileType = await fileTypeFromBuffer(buffer.slice(0, 4100));
+    const fileType = await detectFileType(uploadedFile);
 
     if (!fileType) {
       logger.warn(`Could not determine file type for: ${uploadedFile.originalname}`);
-      // Clean up the file
-      await fs.unlink(uploadedFile.path).catch(() => {});
+      // Clean up the files
+      await removeUploadedFiles(req);
       
       return res.status(400).json({
         success: false,
@@ -33,8 +70,8 @@ export const validateFileContent = async (req, res, next) => {
     // Validate MIME type is video
     if (!fileType.mime.startsWith('video/')) {
       logger.warn(`Invalid MIME type detected: ${fileType.mime} for file: ${uploadedFile.originalname}`);
-      // Clean up the file
-      await fs.unlink(uploadedFile.path).catch(() => {});
+      // Clean up the files
+      await removeUploadedFiles(req);
       
       return res.status(400).json({
         success: false,
@@ -45,6 +82,22 @@ export const validateFileContent = async (req, res, next) => {
 
     // Log successful validation
     logger.info(`File content validated: ${fileType.mime} for ${uploadedFile.originalname}`);
+
+    // Attachments (a watermark image, subtitles) are checked per field
+    for (const [field, attachment] of Object.entries(req.attachments || {})) {
+      const problem = await checkAttachment(field, attachment);
+
+      if (problem) {
+        logger.warn(`Invalid ${field} file ${attachment.originalname}: ${problem}`);
+        await removeUploadedFiles(req);
+
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid file type',
+          message: problem
+        });
+      }
+    }
     
     // Attach detected MIME type to request for further processing
     req.detectedMimeType = fileType.mime;
@@ -53,10 +106,8 @@ export const validateFileContent = async (req, res, next) => {
   } catch (error) {
     logger.error(`File validation error: ${error.message}`);
     
-    // Clean up the file
-    if (uploadedFile.path) {
-      await fs.unlink(uploadedFile.path).catch(() => {});
-    }
+    // Clean up the files
+    await removeUploadedFiles(req);
     
     return res.status(500).json({
       success: false,
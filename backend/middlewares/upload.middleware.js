@@ -1,10 +1,44 @@
 import multer from 'multer';
 import path from 'path';
+import { createWriteStream } from 'fs';
+import { Transform, pipeline } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import { PATHS, FFMPEG_CONFIG, getAllSupportedExtensions } from '../config/ffmpeg.js';
+import { Subtitles, SUBTITLE_FORMATS } from '../services/media-pipeline/Subtitles.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Files uploaded with a conversion besides the video, per multipart field.
+ * Uploads stop at maxSize bytes (instead of FFMPEG_CONFIG.maxFileSize).
+ * The content of a file is checked by its magic bytes against mimeTypes,
+ * or by checkContent(buffer, file) (error message or null) for text files.
+ * Clients label subtitle files inconsistently, so any of these MIME types
+ * is accepted and the content decides.
+ */
+export const ATTACHMENT_FIELDS = {
+  watermark: {
+    extensions: ['.png'],
+    mimeTypes: ['image/png'],
+    description: 'a PNG image',
+    maxSize: 5 * 1024 * 1024 // 5MB
+  },
+  subtitles: {
+    extensions: Object.keys(SUBTITLE_FORMATS),
+    mimeTypes: [
+      'application/x-subrip',
+      'text/x-ssa',
+      'text/x-ass',
+      'text/vtt',
+      'text/plain',
+      'application/octet-stream'
+    ],
+    description: 'an SRT, ASS or WebVTT file',
+    maxSize: 2 * 1024 * 1024, // 2MB
+    checkContent: (buffer, file) => Subtitles.checkFile(buffer, file.originalname)
+  }
+};
+
 /**
  * Ensure upload directory exists
  */
@@ -38,12 +72,69 @@ const storage = multer.diskStorage({
   }
 });
 
+/**
+ * Storage of conversion uploads: the video goes to the disk storage,
+ * attachments are cut off at their field's maxSize while they stream in,
+ * so an oversized file is never written in full
+ */
+const conversionStorage = {
+  _handleFile(req, file, cb) {
+    const attachment = ATTACHMENT_FIELDS[file.fieldname];
+    if (!attachment) {
+      return storage._handleFile(req, file, cb);
+    }
+
+    let size = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        done(size > attachment.maxSize ? new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname) : null, chunk);
+      }
+    });
+
+    // The disk storage picks the directory and the name, but cannot stop a write
+    storage.getDestination(req, file, (error, destination) => {
+      if (error) {
+        return cb(error);
+      }
+
+      storage.getFilename(req, file, (error, filename) => {
+        if (error) {
+          return cb(error);
+        }
+
+        const filePath = path.join(destination, filename);
+        pipeline(file.stream, limit, createWriteStream(filePath), (error) => {
+          if (error) {
+            return fs.unlink(filePath).catch(() => {}).finally(() => cb(error));
+          }
+          cb(null, { destination, filename, path: filePath, size });
+        });
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, cb);
+  }
+};
+
 /**
  * File filter to validate uploaded files
  */
 const fileFilter = (req, file, cb) => {
   const ext = path.extname(file.originalname).toLowerCase();
   const supportedExtensions = getAllSupportedExtensions();
+  const attachment = ATTACHMENT_FIELDS[file.fieldname];
+
+  if (attachment) {
+    if (!attachment.extensions.includes(ext) || !attachment.mimeTypes.includes(file.mimetype)) {
+      const error = new Error(`The ${file.fieldname} file must be ${attachment.description}`);
+      error.status = 400;
+      return cb(error, false);
+    }
+    return cb(null, true);
+  }
 
   if (!supportedExtensions.includes(ext)) {
     const error = new Error(
@@ -78,23 +169,66 @@ export const uploadMiddleware = multer({
   }
 });
 
+/**
+ * Configure multer for conversions: the video and the attachments
+ * (ATTACHMENT_FIELDS), one file each
+ */
+export const conversionUploadMiddleware = multer({
+  storage: conversionStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: FFMPEG_CONFIG.maxFileSize,
+    files: 1 + Object.keys(ATTACHMENT_FIELDS).length
+  }
+}).fields([
+  { name: 'video', maxCount: 1 },
+  ...Object.keys(ATTACHMENT_FIELDS).map(name => ({ name, maxCount: 1 }))
+]);
+
+/**
+ * Expose the files of conversionUploadMiddleware: the video as req.file,
+ * the attachments as req.attachments (by field)
+ */
+export const collectConversionUploads = (req, res, next) => {
+  req.file = req.files?.video?.[0];
+  req.attachments = Object.fromEntries(
+    Object.keys(ATTACHMENT_FIELDS)
+      .filter(name => req.files?.[name]?.[0])
+      .map(name => [name, req.files[name][0]])
+  );
+  next();
+};
+
+/**
+ * Delete every file uploaded with a request
+ */
+export const removeUploadedFiles = async (req) => {
+  const files = [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+  const paths = [...new Set(files.map(file => file.path))];
+
+  await Promise.all(paths.map(filePath => fs.unlink(filePath).catch(() => {})));
+};
+
 /**
  * Error handler for upload errors
  */
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const attachment = ATTACHMENT_FIELDS[err.field];
       return res.status(400).json({
         success: false,
         error: 'File too large',
-        message: `Maximum file size is ${FFMPEG_CONFIG.maxFileSize / (1024 * 1024)}MB`
+        message: attachment
+          ? `Maximum ${err.field} file size is ${attachment.maxSize / (1024 * 1024)}MB`
+          : `Maximum file size is ${FFMPEG_CONFIG.maxFileSize / (1024 * 1024)}MB`
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
         error: 'Too many files',
-        message: 'Only one file can be uploaded at a time'
+        message: 'Only one file can be uploaded per field'
       });
     }
     return res.status(400).json({
@@ -119,8 +253,11 @@ export const handleUploadError = (err, req, res, next) => {
 /**
  * Validate file upload
  */
-export const validateUpload = (req, res, next) => {
+export const validateUpload = async (req, res, next) => {
   if (!req.file) {
+    // Attachments are useless without the video
+    await removeUploadedFiles(req);
+
     return res.status(400).json({
       success: false,
       error: 'No file uploaded',
@@ -134,6 +271,9 @@ export const validateUpload = (req, res, next) => {
 
 export default {
   uploadMiddleware,
+  conversionUploadMiddleware,
+  collectConversionUploads,
+  removeUploadedFiles,
   handleUploadError,
   validateUpload
 };
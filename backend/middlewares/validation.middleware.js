@@ -1,241 +1,341 @@
 import Joi from 'joi';
-import { 
-  CONVERSION_PRESETS, 
-  MOV_CONVERSION_PRESETS, 
-  MPEG_CONVERSION_PRESETS, 
-  WMV_CONVERSION_PRESETS, 
-  MKV_CONVERSION_PRESETS, 
-  AVI_CONVERSION_PRESETS,
-  FLV_CONVERSION_PRESETS,
-  THREE_GP_CONVERSION_PRESETS,
-  THREE_G2_CONVERSION_PRESETS
-} from '../config/ffmpeg.js';
+import path from 'path';
+import { getFormatByExtension } from '../config/ffmpeg.js';
+import { FORMAT_REGISTRY, resolveFormat, getConversion } from '../services/conversionRegistry.js';
+import { EncodingProfileManager, toKbps } from '../services/media-pipeline/EncodingProfileManager.js';
+import { FormatCapabilityMatrix } from '../services/media-pipeline/FormatCapabilityMatrix.js';
+import { MediaValidator } from '../services/media-pipeline/MediaValidator.js';
+import { ClipRange, TIME_PATTERN } from '../services/media-pipeline/ClipRange.js';
+import {
+  VideoTransform,
+  CROP_PATTERN,
+  ASPECT_RATIO_PATTERN,
+  PAD_COLORS,
+  PAD_COLOR_PATTERN,
+  ROTATIONS,
+  FLIPS
+} from '../services/media-pipeline/VideoTransform.js';
+import {
+  Watermark,
+  WATERMARK_OPTIONS,
+  WATERMARK_POSITIONS,
+  WATERMARK_TEXT_PATTERN,
+  WATERMARK_LIMITS,
+  FONT_PATTERN
+} from '../services/media-pipeline/Watermark.js';
+import {
+  Subtitles,
+  SUBTITLE_OPTIONS,
+  SUBTITLE_POSITIONS,
+  SUBTITLE_LIMITS
+} from '../services/media-pipeline/Subtitles.js';
+import { getRateControlModes } from '../services/rateControl.js';
+import { removeUploadedFiles } from './upload.middleware.js';
 
 /**
- * Schema for conversion query parameters (MP4/WebM)
+ * Options shared by every conversion endpoint
  */
-const conversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(CONVERSION_PRESETS))
-    .default('medium')
+const sharedConversionOptions = {
+  async: Joi.boolean()
+    .default(false)
+    .description('Return 202 with a job ID immediately and convert in the background'),
+  priority: Joi.string()
+    .valid('interactive', 'batch')
+    .optional()
+    .description('Scheduling class (default: interactive, or batch when async=true)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'any.only': 'Priority must be one of: interactive, batch'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  dryRun: Joi.boolean()
+    .default(false)
+    .description('Return the planned FFmpeg steps, expected output and warnings without encoding'),
+  start: Joi.string()
+    .pattern(TIME_PATTERN)
     .optional()
+    .description('Convert from this time, in seconds or as a timecode (90, 01:30, 00:01:30.250)')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for MOV conversion query parameters
- */
-const movConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(MOV_CONVERSION_PRESETS))
-    .default('medium')
+      'string.pattern.base': 'Start must be seconds or a timecode: 90, 01:30 or 00:01:30.250'
+    }),
+  end: Joi.string()
+    .pattern(TIME_PATTERN)
+    .optional()
+    .description('Convert up to this time (default: the end of the input)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'string.pattern.base': 'End must be seconds or a timecode: 90, 01:30 or 00:01:30.250'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  duration: Joi.string()
+    .pattern(TIME_PATTERN)
     .optional()
+    .when('end', { is: Joi.exist(), then: Joi.forbidden() })
+    .description('Length of the clip from start (not combined with end)')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for MPEG conversion query parameters
- */
-const mpegConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(MPEG_CONVERSION_PRESETS))
-    .default('medium')
+      'string.pattern.base': 'Duration must be seconds or a timecode: 90, 01:30 or 00:01:30.250',
+      'any.unknown': 'Duration cannot be combined with end'
+    }),
+  crop: Joi.string()
+    .pattern(CROP_PATTERN)
+    .optional()
+    .description('Crop rectangle of the source, width:height[:x:y] (centered without x:y)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'string.pattern.base': 'Crop must be width:height or width:height:x:y, e.g. 1280:720:320:180'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  rotate: Joi.number()
+    .integer()
+    .valid(...ROTATIONS)
     .optional()
+    .description('Rotate the video clockwise by 90, 180 or 270 degrees')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for WMV conversion query parameters
- */
-const wmvConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(WMV_CONVERSION_PRESETS))
-    .default('medium')
+      'any.only': `Rotate must be one of: ${ROTATIONS.join(', ')}`
+    }),
+  flip: Joi.string()
+    .valid(...FLIPS)
+    .optional()
+    .description('Mirror the video (after rotating it)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'any.only': `Flip must be one of: ${FLIPS.join(', ')}`
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  pad: Joi.string()
+    .pattern(ASPECT_RATIO_PATTERN)
     .optional()
+    .description('Letterbox/pillarbox the video to an aspect ratio, e.g. 16:9 (between 1:4 and 4:1)')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for MKV conversion query parameters
- */
-const mkvConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(MKV_CONVERSION_PRESETS))
-    .default('medium')
+      'string.pattern.base': 'Pad must be an aspect ratio such as 16:9, 1:1 or 2.39:1'
+    }),
+  padColor: Joi.string()
+    .pattern(PAD_COLOR_PATTERN)
+    .optional()
+    .when('pad', { not: Joi.exist(), then: Joi.forbidden() })
+    .description(`Color of the padding: RRGGBB or ${PAD_COLORS.join(', ')} (default: black)`)
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'string.pattern.base': `Pad color must be RRGGBB or one of: ${PAD_COLORS.join(', ')}`,
+      'any.unknown': 'Pad color requires pad'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  // A watermark image is uploaded as the multipart field `watermark`
+  watermarkText: Joi.string()
+    .pattern(WATERMARK_TEXT_PATTERN)
     .optional()
+    .description('Text drawn over the video (up to 100 characters; not combined with a watermark image)')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for AVI conversion query parameters
- */
-const aviConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(AVI_CONVERSION_PRESETS))
-    .default('medium')
+      'string.pattern.base': 'Watermark text must be 1 to 100 characters without control characters'
+    }),
+  watermarkFont: Joi.string()
+    .pattern(FONT_PATTERN)
+    .optional()
+    .when('watermarkText', { not: Joi.exist(), then: Joi.forbidden() })
+    .description('Font family of the watermark text (default: Sans)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'string.pattern.base': 'Watermark font must be a font family name, e.g. Sans or DejaVu Serif',
+      'any.unknown': 'Watermark font requires watermarkText'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  watermarkColor: Joi.string()
+    .pattern(PAD_COLOR_PATTERN)
     .optional()
+    .when('watermarkText', { not: Joi.exist(), then: Joi.forbidden() })
+    .description(`Color of the watermark text: RRGGBB or ${PAD_COLORS.join(', ')} (default: white)`)
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for FLV conversion query parameters
- */
-const flvConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(FLV_CONVERSION_PRESETS))
-    .default('medium')
+      'string.pattern.base': `Watermark color must be RRGGBB or one of: ${PAD_COLORS.join(', ')}`,
+      'any.unknown': 'Watermark color requires watermarkText'
+    }),
+  watermarkSize: Joi.number()
+    .min(WATERMARK_LIMITS.size.min)
+    .max(WATERMARK_LIMITS.size.max)
+    .optional()
+    .description('Height of the watermark in percent of the output frame height (default: 5 for a text, 10 for an image)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'number.min': `Watermark size must be between ${WATERMARK_LIMITS.size.min} and ${WATERMARK_LIMITS.size.max}`,
+      'number.max': `Watermark size must be between ${WATERMARK_LIMITS.size.min} and ${WATERMARK_LIMITS.size.max}`
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true),
-  customBitrate: Joi.string()
-    .pattern(/^\d+[kKmM]$/)
+  watermarkPosition: Joi.string()
+    .valid(...WATERMARK_POSITIONS)
     .optional()
+    .when('watermarkX', { is: Joi.exist(), then: Joi.forbidden() })
+    .description('Corner or center the watermark is placed in (default: bottom-right)')
     .messages({
-      'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M'
-    })
-});
-
-/**
- * Schema for 3GP conversion query parameters
- */
-const threeGpConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(THREE_GP_CONVERSION_PRESETS))
-    .default('medium')
+      'any.only': `Watermark position must be one of: ${WATERMARK_POSITIONS.join(', ')}`,
+      'any.unknown': 'Watermark position cannot be combined with watermarkX and watermarkY'
+    }),
+  watermarkX: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .when('watermarkY', { not: Joi.exist(), then: Joi.forbidden() })
+    .description('Left edge of the watermark in percent of the frame width (with watermarkY, instead of watermarkPosition)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'number.min': 'Watermark X must be between 0 and 100',
+      'number.max': 'Watermark X must be between 0 and 100',
+      'any.unknown': 'Watermark X requires watermarkY'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true)
-});
-
-/**
- * Schema for 3G2 conversion query parameters
- */
-const threeG2ConversionQuerySchema = Joi.object({
-  quality: Joi.string()
-    .valid(...Object.keys(THREE_G2_CONVERSION_PRESETS))
-    .default('medium')
+  watermarkY: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .description('Top edge of the watermark in percent of the frame height (with watermarkX)')
     .messages({
-      'any.only': 'Quality must be one of: high, medium, low'
+      'number.min': 'Watermark Y must be between 0 and 100',
+      'number.max': 'Watermark Y must be between 0 and 100'
     }),
-  preserveMetadata: Joi.boolean()
-    .default(true)
-});
+  watermarkOpacity: Joi.number()
+    .greater(0)
+    .max(1)
+    .optional()
+    .description('Opacity of the watermark, above 0 up to 1 (default: 1)')
+    .messages({
+      'number.greater': 'Watermark opacity must be above 0 and at most 1',
+      'number.max': 'Watermark opacity must be above 0 and at most 1'
+    }),
+  watermarkMargin: Joi.number()
+    .min(WATERMARK_LIMITS.margin.min)
+    .max(WATERMARK_LIMITS.margin.max)
+    .optional()
+    .description('Distance of a positioned watermark from the frame edges, in percent of the frame height (default: 2)')
+    .messages({
+      'number.min': `Watermark margin must be between ${WATERMARK_LIMITS.margin.min} and ${WATERMARK_LIMITS.margin.max}`,
+      'number.max': `Watermark margin must be between ${WATERMARK_LIMITS.margin.min} and ${WATERMARK_LIMITS.margin.max}`
+    }),
+  watermarkStart: Joi.string()
+    .pattern(TIME_PATTERN)
+    .optional()
+    .description('Show the watermark from this time of the output (default: the start)')
+    .messages({
+      'string.pattern.base': 'Watermark start must be seconds or a timecode: 90, 01:30 or 00:01:30.250'
+    }),
+  watermarkEnd: Joi.string()
+    .pattern(TIME_PATTERN)
+    .optional()
+    .description('Hide the watermark from this time of the output (default: the end)')
+    .messages({
+      'string.pattern.base': 'Watermark end must be seconds or a timecode: 90, 01:30 or 00:01:30.250'
+    }),
+  // The subtitle file is uploaded as the multipart field `subtitles`
+  subtitleFontSize: Joi.number()
+    .min(SUBTITLE_LIMITS.fontSize.min)
+    .max(SUBTITLE_LIMITS.fontSize.max)
+    .optional()
+    .description('Font size of the burned-in subtitles, relative to a 288-line frame for SRT and WebVTT (default: the file\'s style, 16 for SRT and WebVTT)')
+    .messages({
+      'number.min': `Subtitle font size must be between ${SUBTITLE_LIMITS.fontSize.min} and ${SUBTITLE_LIMITS.fontSize.max}`,
+      'number.max': `Subtitle font size must be between ${SUBTITLE_LIMITS.fontSize.min} and ${SUBTITLE_LIMITS.fontSize.max}`
+    }),
+  subtitleOutline: Joi.number()
+    .min(SUBTITLE_LIMITS.outline.min)
+    .max(SUBTITLE_LIMITS.outline.max)
+    .optional()
+    .description('Outline width around the subtitle text, in the same units as subtitleFontSize')
+    .messages({
+      'number.min': `Subtitle outline must be between ${SUBTITLE_LIMITS.outline.min} and ${SUBTITLE_LIMITS.outline.max}`,
+      'number.max': `Subtitle outline must be between ${SUBTITLE_LIMITS.outline.min} and ${SUBTITLE_LIMITS.outline.max}`
+    }),
+  subtitlePosition: Joi.string()
+    .valid(...SUBTITLE_POSITIONS)
+    .optional()
+    .description('Where the subtitles are placed, centered (default: the file\'s style, bottom for SRT and WebVTT)')
+    .messages({
+      'any.only': `Subtitle position must be one of: ${SUBTITLE_POSITIONS.join(', ')}`
+    })
+};
 
 /**
- * Middleware to validate conversion parameters (MP4/WebM)
+ * Build the query schema for a target format from its preset table
+ * (format: lowercase name, as in the profile tables). customBitrate is
+ * limited to the format's maximum video bitrate, rateControl to the
+ * modes its presets can encode with.
  */
-export const validateConversionParams = (req, res, next) => {
-  const { error, value } = conversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
+const buildConversionQuerySchema = (format, presets) => {
+  const maxBitrate = FormatCapabilityMatrix.getEncodingConstraints(format)?.maxBitrate.video;
+  const { modes, needBitrate } = getRateControlModes(presets.medium);
+  const withoutBitrate = modes.filter(mode => !needBitrate.includes(mode));
+
+  return Joi.object({
+    quality: Joi.string()
+      .valid(...Object.keys(presets))
+      .description('Quality preset (default: an encoding profile selected from the source, else medium); a requested preset is used instead of an automatically selected profile')
+      .messages({
+        'any.only': `Quality must be one of: ${Object.keys(presets).join(', ')}`
+      }),
+    preserveMetadata: Joi.boolean()
+      .default(true)
+      .description('Copy container metadata from the input'),
+    remux: Joi.boolean()
+      .default(true)
+      .description('Copy streams the target format supports instead of re-encoding them (false re-encodes everything)'),
+    customBitrate: Joi.string()
+      .pattern(/^\d+[kKmM]$/)
+      .custom((value, helpers) => (
+        maxBitrate && toKbps(value) > maxBitrate ? helpers.error('bitrate.max') : value
+      ))
+      .optional()
+      .when('targetSize', { is: Joi.exist(), then: Joi.forbidden() })
+      .description('Target video bitrate, e.g. 2000k or 2M (not combined with targetSize)')
+      .messages({
+        'string.pattern.base': 'Custom bitrate must be in format: 1000k or 1M',
+        'bitrate.max': `Custom bitrate must not exceed the ${format.toUpperCase()} maximum of ${maxBitrate}k`,
+        'any.unknown': 'Custom bitrate cannot be combined with targetSize'
+      }),
+    rateControl: Joi.string()
+      .valid(...modes)
+      .optional()
+      .when('customBitrate', {
+        not: Joi.exist(),
+        then: needBitrate.length
+          ? Joi.valid(Joi.override, ...withoutBitrate).messages({
+            'any.only': `Rate control must be one of: ${withoutBitrate.join(', ')} (${needBitrate.join(', ')} need customBitrate)`
+          })
+          : Joi.any()
+      })
+      .when('targetSize', { is: Joi.exist(), then: Joi.forbidden() })
+      .description(`Rate control mode: ${modes.join(', ')} (${needBitrate.length ? `${needBitrate.join(', ')} need customBitrate; ` : ''}default: the preset's own, or abr with customBitrate)`)
+      .messages({
+        'any.only': `Rate control must be one of: ${modes.join(', ')} (${format.toUpperCase()})`,
+        'any.unknown': 'Rate control cannot be combined with targetSize'
+      }),
+    targetSize: Joi.string()
+      .pattern(/^\d+(\.\d+)?\s*(KB|MB|GB)$/i)
+      .optional()
+      .description('Target output file size, e.g. 25MB (1 MB = 1048576 bytes); sets the video bitrate from the input duration and encodes in two passes')
+      .messages({
+        'string.pattern.base': 'Target size must be in format: 700KB, 25MB or 1.5GB'
+      }),
+    passes: Joi.number()
+      .integer()
+      .valid(1, 2)
+      .default(1)
+      .description('Encoding passes: 2 runs an analysis pass before the final encode (abr and cbr rate control: bitrate-driven presets and profiles, or customBitrate)')
+      .messages({
+        'any.only': 'Passes must be 1 or 2'
+      }),
+    // Checked when the request is validated: custom profiles change at runtime
+    profile: Joi.string()
+      .custom((value, helpers) => (
+        value === 'none' || EncodingProfileManager.getProfile(value)?.format === format
+          ? value
+          : helpers.error('profile.unknown')
+      ))
+      .optional()
+      .description('Encoding profile ID of the target format (see GET /api/v1/profiles), or none for the quality preset (default: selected from the source resolution and frame rate, unless a quality is given)')
+      .messages({
+        'profile.unknown': `Profile must be none or an encoding profile of ${format.toUpperCase()} (see GET /api/v1/profiles?format=${format})`
+      }),
+    ...sharedConversionOptions
   });
-
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
-
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
-  }
-
-  req.validatedQuery = value;
-  next();
 };
 
 /**
- * Middleware to validate MOV conversion parameters
+ * Query schema per target format, built from the conversion registry
+ * (also the source of the OpenAPI query parameters)
  */
-export const validateMovConversionParams = (req, res, next) => {
-  const { error, value } = movConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
-
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
-
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
-  }
-
-  req.validatedQuery = value;
-  next();
-};
+export const conversionQuerySchemas = Object.fromEntries(
+  Object.entries(FORMAT_REGISTRY).map(([key, format]) => [
+    key,
+    buildConversionQuerySchema(key.toLowerCase(), format.presets)
+  ])
+);
 
 /**
- * Middleware to validate MPEG conversion parameters
+ * Validate req.query against a schema and send a 400 on failure
+ * @returns {object|null} Validated query, or null if a response was sent
  */
-export const validateMpegConversionParams = (req, res, next) => {
-  const { error, value } = mpegConversionQuerySchema.validate(req.query, {
+const validateQuery = (schema, req, res) => {
+  const { error, value } = schema.validate(req.query, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -246,31 +346,45 @@ export const validateMpegConversionParams = (req, res, next) => {
       message: detail.message
     }));
 
-    return res.status(400).json({
+    res.status(400).json({
       success: false,
       error: 'Validation failed',
       details: errors
     });
+    return null;
   }
 
-  req.validatedQuery = value;
-  next();
+  return value;
 };
 
 /**
- * Middleware to validate WMV conversion parameters
+ * Middleware to validate a generic conversion request
+ * Resolves `from`/`to` (path parameters, query or multipart fields) through
+ * the conversion registry, then validates the query against the target's
+ * presets. `from` defaults to the format of the uploaded file.
  */
-export const validateWmvConversionParams = (req, res, next) => {
-  const { error, value } = wmvConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
+export const validateConversionRequest = async (req, res, next) => {
+  const uploadedFormat = req.file
+    ? getFormatByExtension(path.extname(req.file.originalname))?.name
+    : undefined;
+  const from = req.params?.from ?? req.query.from ?? req.body?.from ?? uploadedFormat;
+  const to = req.params?.to ?? req.query.to ?? req.body?.to;
+  const supported = Object.keys(FORMAT_REGISTRY).map(key => key.toLowerCase()).join(', ');
+
+  const errors = [];
+  if (!resolveFormat(to)) {
+    errors.push({ field: 'to', message: `Target format must be one of: ${supported}` });
+  }
+  if (!resolveFormat(from)) {
+    errors.push({ field: 'from', message: `Source format must be one of: ${supported}` });
+  }
+  if (errors.length === 0 && !getConversion(from, to)) {
+    errors.push({ field: 'to', message: 'Target format must differ from the source format (only MKV can be re-encoded into itself)' });
+  }
 
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
+  if (errors.length > 0) {
+    // The upload is useless without a valid conversion
+    await removeUploadedFiles(req);
 
     return res.status(400).json({
       success: false,
@@ -279,167 +393,177 @@ export const validateWmvConversionParams = (req, res, next) => {
     });
   }
 
-  req.validatedQuery = value;
-  next();
-};
-
-/**
- * Middleware to validate MKV conversion parameters
- */
-export const validateMkvConversionParams = (req, res, next) => {
-  const { error, value } = mkvConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
-
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
+  const conversion = getConversion(from, to);
+  const value = validateQuery(conversionQuerySchemas[conversion.target], req, res);
 
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
+  if (!value) {
+    await removeUploadedFiles(req);
+    return;
   }
 
+  req.conversion = conversion;
   req.validatedQuery = value;
   next();
 };
 
 /**
- * Middleware to validate AVI conversion parameters
+ * Bitrate of a profile, e.g. 2500k, 6M or 12.2k
  */
-export const validateAviConversionParams = (req, res, next) => {
-  const { error, value } = aviConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
+const profileBitrate = Joi.string()
+  .pattern(/^\d+(\.\d+)?[kKmM]?$/)
+  .messages({
+    'string.pattern.base': '{#label} must be a bitrate such as 2500k, 6M or 12.2k'
   });
 
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
-
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
-  }
-
-  req.validatedQuery = value;
-  next();
-};
-
 /**
- * Middleware to validate FLV conversion parameters
+ * FFmpeg encoder, pixel format or profile name
  */
-export const validateFlvConversionParams = (req, res, next) => {
-  const { error, value } = flvConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
-
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
-
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
-  }
-
-  req.validatedQuery = value;
-  next();
-};
+const ffmpegName = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/i);
 
 /**
- * Middleware to validate 3GP conversion parameters
+ * Custom encoding profile, in the shape
+ * EncodingProfileManager.buildFFmpegArgsFromProfile consumes
+ * (the container follows from the format's output extension)
  */
-export const validate3gpConversionParams = (req, res, next) => {
-  const { error, value } = threeGpConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
+export const profileSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9-]{2,63}$/)
+    .required()
+    .description('Profile ID used in profile= (lowercase letters, digits and dashes)'),
+  format: Joi.string()
+    .lowercase()
+    .valid(...Object.keys(FORMAT_REGISTRY).map(key => key.toLowerCase()))
+    .required()
+    .description('Output format the profile encodes'),
+  description: Joi.string().max(200).required(),
+  autoSelect: Joi.boolean()
+    .default(false)
+    .description('Take part in automatic profile selection (default: only used when requested)'),
+  video: Joi.object({
+    codec: ffmpegName.required().description('FFmpeg video encoder, e.g. libx264'),
+    resolution: Joi.object({
+      width: Joi.number().integer().min(16).max(7680).required(),
+      height: Joi.number().integer().min(16).max(4320).required()
+    }).description('Frame the video is fitted into (default: source size)'),
+    bitrate: profileBitrate,
+    maxrate: profileBitrate,
+    bufsize: profileBitrate,
+    crf: Joi.number().min(0).max(63),
+    preset: Joi.string().valid(
+      'ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'
+    ),
+    profile: Joi.string().pattern(/^[a-z0-9]+$/i).description('Codec profile, e.g. high or 2 (ProRes)'),
+    level: Joi.string().pattern(/^\d(\.\d)?$/),
+    gopSize: Joi.number().integer().min(1).max(600),
+    bFrames: Joi.number().integer().min(0).max(16),
+    frameRate: Joi.number().positive().max(120).description('Fixed output frame rate'),
+    maxFrameRate: Joi.number().positive().max(120).description('Frame rate cap (lower rates are kept)'),
+    pixelFormat: ffmpegName,
+    speed: Joi.number().integer().min(0).max(8).description('VP9 -cpu-used'),
+    tag: Joi.string().pattern(/^[A-Za-z0-9]{4}$/).description('FourCC, e.g. XVID'),
+    pad: Joi.boolean().description('Pad to the exact frame size'),
+    aspectRatio: Joi.string().pattern(/^\d+:\d+$/).description('Anamorphic frame: stretched to the frame size')
+  }).required(),
+  audio: Joi.object({
+    codec: ffmpegName.required().description('FFmpeg audio encoder, e.g. aac'),
+    bitrate: profileBitrate,
+    sampleRate: Joi.number().valid(8000, 11025, 16000, 22050, 32000, 44100, 48000, 96000),
+    channels: Joi.number().integer().min(1).max(8)
+  }).required()
+});
 
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
+/**
+ * Validate a custom profile body (POST /api/v1/profiles, PUT /api/v1/profiles/:id)
+ * On PUT the ID comes from the path; a body ID must match it.
+ */
+export const validateProfileBody = (req, res, next) => {
+  const body = req.params.id ? { id: req.params.id, ...req.body } : (req.body || {});
+  const { error, value } = profileSchema.validate(body, { abortEarly: false });
+  const errors = error
+    ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+    : [];
+
+  if (req.params.id && body.id !== req.params.id) {
+    errors.push({ field: 'id', message: 'Profile ID in the body must match the URL' });
+  }
 
+  if (errors.length > 0) {
     return res.status(400).json({
       success: false,
       error: 'Validation failed',
       details: errors
     });
   }
-  req.validatedQuery = value;
+
+  req.validatedBody = value;
   next();
 };
 
 /**
- * Middleware to validate 3G2 conversion parameters
+ * Middleware to check the options that depend on the upload against its
+ * probe (after validateConversionRequest): a clip (start, end, duration)
+ * against the duration, a transform (crop, rotate, flip, pad) against the
+ * frame size, a watermark against the uploaded image and the length
+ * converted, subtitle options against the uploaded subtitles
  */
-export const validate3g2ConversionParams = (req, res, next) => {
-  const { error, value } = threeG2ConversionQuerySchema.validate(req.query, {
-    abortEarly: false,
-    stripUnknown: true
-  });
-
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
+export const validateMediaOptions = async (req, res, next) => {
+  const { start, end, duration, crop, rotate, flip, pad, padColor } = req.validatedQuery || {};
+  const watermark = {
+    ...Object.fromEntries(WATERMARK_OPTIONS.map(name => [name, req.validatedQuery?.[name]])),
+    watermarkImage: req.attachments?.watermark?.path
+  };
+  const subtitles = {
+    ...Object.fromEntries(SUBTITLE_OPTIONS.map(name => [name, req.validatedQuery?.[name]])),
+    subtitlesFile: req.attachments?.subtitles?.path
+  };
+  const clipRequested = [start, end, duration].some(value => value !== undefined);
+  const transformRequested = [crop, rotate, flip, pad].some(value => value !== undefined);
+  const watermarkRequested = Object.values(watermark).some(value => value !== undefined);
+  const subtitlesRequested = Object.values(subtitles).some(value => value !== undefined);
+  const probeNeeded = clipRequested || transformRequested || watermarkRequested;
+
+  if (!req.file || (!probeNeeded && !subtitlesRequested)) {
+    return next();
+  }
 
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors
-    });
+  // Subtitles do not depend on the probe
+  const metadata = probeNeeded
+    ? await MediaValidator.getDetailedMetadata(req.file.path).catch(() => null)
+    : null;
+  const errors = [];
+
+  if (clipRequested) {
+    const inputDuration = parseFloat(metadata?.format?.duration);
+    errors.push(...(inputDuration > 0
+      ? ClipRange.validate({ start, end, duration }, inputDuration)
+      : [{
+        field: start !== undefined ? 'start' : (end !== undefined ? 'end' : 'duration'),
+        message: 'The input duration could not be determined, so the clip cannot be cut'
+      }]));
   }
 
-  req.validatedQuery = value;
-  next();
-};
+  if (transformRequested) {
+    errors.push(...((crop === undefined && pad === undefined) || VideoTransform.getFrameSize(metadata)
+      ? VideoTransform.validate({ crop, rotate, flip, pad, padColor }, metadata)
+      : [{
+        field: crop !== undefined ? 'crop' : 'pad',
+        message: 'The input frame size could not be determined, so the video cannot be cropped or padded'
+      }]));
+  }
 
-/**
- * Validate request body for batch conversions
- */
-const batchConversionSchema = Joi.object({
-  files: Joi.array()
-    .items(Joi.string().required())
-    .min(1)
-    .max(10)
-    .required()
-    .messages({
-      'array.min': 'At least one file must be specified',
-      'array.max': 'Maximum 10 files can be converted at once'
-    }),
-  quality: Joi.string()
-    .valid(...Object.keys(CONVERSION_PRESETS))
-    .default('medium')
-});
+  if (watermarkRequested) {
+    errors.push(...Watermark.validate(
+      watermark,
+      ClipRange.getDuration({ start, end, duration }, parseFloat(metadata?.format?.duration) || null)
+    ));
+  }
 
-export const validateBatchConversion = (req, res, next) => {
-  const { error, value } = batchConversionSchema.validate(req.body, {
-    abortEarly: false
-  });
+  if (subtitlesRequested) {
+    errors.push(...Subtitles.validate(subtitles));
+  }
 
-  if (error) {
-    const errors = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message
-    }));
+  if (errors.length > 0) {
+    await removeUploadedFiles(req);
 
     return res.status(400).json({
       success: false,
@@ -448,19 +572,11 @@ export const validateBatchConversion = (req, res, next) => {
     });
   }
 
-  req.validatedBody = value;
   next();
 };
 
 export default {
-  validateConversionParams,
-  validateMovConversionParams,
-  validateMpegConversionParams,
-  validateWmvConversionParams,
-  validateMkvConversionParams,
-  validateAviConversionParams,
-  validateFlvConversionParams,
-  validate3gpConversionParams,
-  validate3g2ConversionParams,
-  validateBatchConversion
+  validateConversionRequest,
+  validateMediaOptions,
+  validateProfileBody
 };
@@ -15,8 +15,8 @@ router.delete('/', async (req, res) => {
     
     const results = await cleanupAllDirectories();
     
-    const totalDeleted = results.uploads.deletedCount + results.outputs.deletedCount;
-    const totalFreed = results.uploads.freedSpace + results.outputs.freedSpace;
+    const totalDeleted = results.uploads.deletedCount + results.outputs.deletedCount + results.temp.deletedCount;
+    const totalFreed = results.uploads.freedSpace + results.outputs.freedSpace + results.temp.freedSpace;
 
     res.status(200).json({
       success: true,
@@ -30,6 +30,10 @@ router.delete('/', async (req, res) => {
           filesDeleted: results.outputs.deletedCount,
           spaceFreed: `${(results.outputs.freedSpace / 1024 / 1024).toFixed(2)} MB`
         },
+        temp: {
+          filesDeleted: results.temp.deletedCount,
+          spaceFreed: `${(results.temp.freedSpace / 1024 / 1024).toFixed(2)} MB`
+        },
         total: {
           filesDeleted: totalDeleted,
           spaceFreed: `${(totalFreed / 1024 / 1024).toFixed(2)} MB`
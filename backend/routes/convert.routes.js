@@ -0,0 +1,53 @@
+import express from 'express';
+import { convertController, formatHealthController } from '../controllers/convert.controllers.js';
+
+import {
+  conversionUploadMiddleware,
+  collectConversionUploads,
+  handleUploadError,
+  validateUpload
+} from '../middlewares/upload.middleware.js';
+
+import { validateConversionRequest, validateMediaOptions } from '../middlewares/validation.middleware.js';
+import { validateFileContent, scanForVirus } from '../middlewares/fileValidation.middleware.js';
+
+const router = express.Router();
+
+const conversionPipeline = [
+  conversionUploadMiddleware,
+  handleUploadError,
+  collectConversionUploads,
+  validateUpload,
+  validateFileContent,
+  scanForVirus,
+  validateConversionRequest,
+  validateMediaOptions,
+  convertController
+];
+
+/**
+ * @route   POST /api/v1/convert?from=<format>&to=<format>
+ * @desc    Convert a video between any two supported formats
+ *          (`from`/`to` may also be sent as multipart fields; `from`
+ *          defaults to the format of the uploaded file)
+ * @access  Public
+ */
+router.post('/', ...conversionPipeline);
+
+/**
+ * @route   POST /api/v1/convert/:from-to-:to
+ * @desc    Same as above with the formats in the path. Also serves the
+ *          legacy per-pair endpoints (e.g. /api/v1/convert/avi-to-mp4)
+ * @access  Public
+ */
+router.post('/:from-to-:to', ...conversionPipeline);
+
+/**
+ * @route   GET /api/v1/convert/:format/health
+ * @desc    Health check of the conversions to a format (also serves the
+ *          legacy per-format health endpoints, e.g. /api/v1/convert/avi/health)
+ * @access  Public
+ */
+router.get('/:format/health', formatHealthController);
+
+export { router as convertRoutes };
@@ -0,0 +1,30 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { buildOpenApiSpec } from '../utils/openapi.js';
+
+const router = express.Router();
+
+// Generated once: formats, presets and routes are fixed at startup
+const openApiSpec = buildOpenApiSpec();
+
+/**
+ * @route   GET /api/v1/openapi.json
+ * @desc    OpenAPI 3 description of the API
+ * @access  Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+/**
+ * @route   GET /api/v1/docs
+ * @desc    Interactive API documentation (Swagger UI)
+ * @access  Public
+ */
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', swaggerUi.setup(null, {
+  customSiteTitle: 'Video Format Converter API',
+  swaggerOptions: { url: '/api/v1/openapi.json' }
+}));
+
+export { router as docsRoutes };
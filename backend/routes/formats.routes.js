@@ -0,0 +1,13 @@
+import express from 'express';
+import { getFormatsController } from '../controllers/formats.controllers.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/formats
+ * @desc    List input/output formats with quality presets, codec limits and encoding profiles
+ * @access  Public
+ */
+router.get('/', getFormatsController);
+
+export { router as formatsRoutes };
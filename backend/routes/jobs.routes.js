@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getJobStatusController,
+  cancelJobController,
+  streamJobEventsController
+} from '../controllers/jobs.controllers.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/jobs/:id
+ * @desc    Get status and result of a conversion job
+ * @access  Public
+ */
+router.get('/:id', getJobStatusController);
+
+/**
+ * @route   DELETE /api/v1/jobs/:id
+ * @desc    Cancel a queued or running conversion job
+ * @access  Public
+ */
+router.delete('/:id', cancelJobController);
+
+/**
+ * @route   GET /api/v1/jobs/:id/events
+ * @desc    Stream conversion progress (percent, fps, speed, bitrate, ETA) as Server-Sent Events
+ * @access  Public
+ */
+router.get('/:id/events', streamJobEventsController);
+
+export { router as jobsRoutes };
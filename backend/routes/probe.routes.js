@@ -0,0 +1,29 @@
+import express from 'express';
+import { probeController } from '../controllers/probe.controllers.js';
+
+import {
+  uploadMiddleware,
+  handleUploadError,
+  validateUpload
+} from '../middlewares/upload.middleware.js';
+
+import { validateFileContent, scanForVirus } from '../middlewares/fileValidation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/probe
+ * @desc    Inspect a video (container, streams, validation, per-format compatibility) without converting it
+ * @access  Public
+ */
+router.post(
+  '/',
+  uploadMiddleware.single('video'),
+  handleUploadError,
+  validateUpload,
+  validateFileContent,
+  scanForVirus,
+  probeController
+);
+
+export { router as probeRoutes };
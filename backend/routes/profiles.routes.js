@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  listProfilesController,
+  getProfileController,
+  createProfileController,
+  updateProfileController,
+  deleteProfileController
+} from '../controllers/profiles.controllers.js';
+import { validateProfileBody } from '../middlewares/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/profiles
+ * @desc    List built-in and custom encoding profiles (?format= filters by output format)
+ * @access  Public
+ */
+router.get('/', listProfilesController);
+
+/**
+ * @route   POST /api/v1/profiles
+ * @desc    Create a custom encoding profile, checked against the format's capabilities
+ * @access  Public
+ */
+router.post('/', validateProfileBody, createProfileController);
+
+/**
+ * @route   GET /api/v1/profiles/:id
+ * @desc    Get an encoding profile
+ * @access  Public
+ */
+router.get('/:id', getProfileController);
+
+/**
+ * @route   PUT /api/v1/profiles/:id
+ * @desc    Replace a custom encoding profile
+ * @access  Public
+ */
+router.put('/:id', validateProfileBody, updateProfileController);
+
+/**
+ * @route   DELETE /api/v1/profiles/:id
+ * @desc    Delete a custom encoding profile
+ * @access  Public
+ */
+router.delete('/:id', deleteProfileController);
+
+export { router as profilesRoutes };
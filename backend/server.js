@@ -2,11 +2,29 @@ import application from './app.js';
 import dotenv from 'dotenv';
 import logger from './utils/logger.js';
 import { startCleanupScheduler } from './utils/cleanup.js';
+import { jobManager } from './services/jobs/JobManager.js';
+import { recoverInterruptedJobs } from './services/jobs/jobRecovery.js';
+import { profileStore } from './services/media-pipeline/ProfileStore.js';
 
 dotenv.config();
 
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || "0.0.0.0";
+// How long SIGTERM waits for running conversions (keep below terminationGracePeriodSeconds)
+const SHUTDOWN_DEADLINE_MS = parseInt(process.env.SHUTDOWN_DEADLINE_MS || '25000', 10);
+
+// Load custom encoding profiles before recovered jobs can use them
+await profileStore.load();
+
+// Restore job records and resume conversions interrupted by the last shutdown
+try {
+    const { requeued, failed } = await recoverInterruptedJobs();
+    if (requeued > 0 || failed > 0) {
+        logger.info(`Recovered interrupted jobs: ${requeued} re-queued, ${failed} marked failed`);
+    }
+} catch (error) {
+    logger.error(`Failed to recover jobs: ${error.message}`);
+}
 
 const server = application.listen(PORT, HOST, () => {
     logger.info('='.repeat(50));
@@ -27,19 +45,25 @@ const server = application.listen(PORT, HOST, () => {
     }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM signal received: closing HTTP server');
+// Graceful shutdown: stop accepting requests, let running conversions
+// finish up to the deadline, then flush the job store and exit
+const shutdown = async (signal) => {
+    logger.info(`${signal} signal received: closing HTTP server`);
     server.close(() => {
         logger.info('HTTP server closed');
-        process.exit(0);
     });
-});
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT signal received: closing HTTP server');
-    server.close(() => {
-        logger.info('HTTP server closed');
-        process.exit(0);
+    const stillRunning = await jobManager.drain(SHUTDOWN_DEADLINE_MS);
+    if (stillRunning > 0) {
+        logger.warn(`${stillRunning} jobs still running at shutdown deadline; they will be recovered on restart`);
+    }
+
+    await jobManager.close().catch(error => {
+        logger.error(`Failed to close job store: ${error.message}`);
     });
-});
\ No newline at end of file
+
+    process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,649 @@
+/**
+ * Conversion planner - the FFmpeg steps of a conversion
+ *
+ * Every conversion is planned as a single FFmpeg pass: FFmpeg decodes all
+ * supported source formats, so the target's encoder reads the upload
+ * directly. Only when the single pass fails on a real incompatibility
+ * (see ConversionPipeline) is the conversion planned through a lossless
+ * intermediate instead, so the output is still compressed only once.
+ * Every step's FFmpeg arguments are built with the same argument builders
+ * the services use. ConversionPipeline encodes these steps; dry runs
+ * return them. Output file names are generated per run, like the
+ * services do.
+ *
+ * A two-pass encode (passes=2) is planned as two steps for the last
+ * format: an analysis pass writing the rate statistics to a per-job
+ * passlog, then the final encode reading them.
+ *
+ * A clip (start/end/duration, see ClipRange) is cut by the steps reading
+ * the upload; later steps read the already trimmed file. A transform
+ * (crop, rotate, flip, pad, see VideoTransform) is applied by the
+ * target's argument builder, so only the final encode changes the frame,
+ * and so are burned-in subtitles (see Subtitles) and a watermark (see
+ * Watermark), drawn last in its -vf chain.
+ */
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { FFMPEG_CONFIG, PATHS, SUPPORTED_FORMATS } from '../config/ffmpeg.js';
+import { buildFFmpegArgs } from './toMp4.services.js';
+import { buildWebmFFmpegArgs } from './toWebm.services.js';
+import { buildAviFFmpegArgs } from './toAvi.services.js';
+import { buildMkvFFmpegArgs } from './toMkv.services.js';
+import { buildMovFFmpegArgs } from './toMov.services.js';
+import { buildMpegFFmpegArgs } from './toMpeg.services.js';
+import { buildWmvFFmpegArgs } from './toWmv.services.js';
+import { buildFlvFFmpegArgs } from './toFlv.services.js';
+import { build3gpFFmpegArgs } from './to3gp.services.js';
+import { build3g2FFmpegArgs } from './to3g2.services.js';
+import { MediaValidator } from './media-pipeline/MediaValidator.js';
+import { ResolutionNormalizer } from './media-pipeline/ResolutionNormalizer.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { Watermark } from './media-pipeline/Watermark.js';
+import { toKbps } from './media-pipeline/EncodingProfileManager.js';
+
+/**
+ * FFmpeg argument builder per target format
+ */
+const ARG_BUILDERS = {
+  MP4: buildFFmpegArgs,
+  WEBM: buildWebmFFmpegArgs,
+  AVI: buildAviFFmpegArgs,
+  MKV: buildMkvFFmpegArgs,
+  MOV: buildMovFFmpegArgs,
+  MPEG: buildMpegFFmpegArgs,
+  WMV: buildWmvFFmpegArgs,
+  FLV: buildFlvFFmpegArgs,
+  '3GP': build3gpFFmpegArgs,
+  '3G2': build3g2FFmpegArgs
+};
+
+/**
+ * Container of the fallback intermediate (Matroska holds FFV1 and FLAC)
+ */
+export const INTERMEDIATE_FORMAT = 'MKV';
+
+/**
+ * Formats a conversion passes through: ['WEBM', 'WMV'], or
+ * ['WEBM', 'MKV', 'WMV'] with the fallback intermediate
+ */
+export const getConversionRoute = (source, target, { intermediate = false } = {}) => (
+  intermediate ? [source, INTERMEDIATE_FORMAT, target] : [source, target]
+);
+
+/**
+ * FFmpeg arguments of the fallback intermediate: the first video and
+ * audio stream, decoded once and stored losslessly (FFV1, FLAC) with
+ * regenerated timestamps. The user's quality preset only applies to the
+ * final encode.
+ */
+export const buildIntermediateArgs = (inputPath, outputPath) => [
+  '-fflags', '+genpts',
+  '-i', inputPath,
+  '-map', '0:v:0',
+  '-map', '0:a:0?',
+  '-c:v', 'ffv1',
+  '-level', '3',
+  '-c:a', 'flac',
+  '-max_muxing_queue_size', '1024',
+  '-y',
+  outputPath
+];
+
+/**
+ * Split a filter chain on top-level commas (commas inside
+ * parentheses or quotes belong to an expression)
+ */
+const splitFilterChain = (chain) => {
+  const filters = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of chain) {
+    if (char === '\'') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+
+    if (char === ',' && depth === 0 && !quoted) {
+      filters.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  filters.push(current);
+  return filters;
+};
+
+/**
+ * Frame size after one filter, or undefined if it cannot be worked out
+ */
+const applyFilter = (filter, size) => {
+  const [name, params = ''] = filter.split(/=(.*)/s);
+
+  if (name === 'pad' || name === 'crop') {
+    const [width, height] = params.split(':').map(Number);
+    return Number.isInteger(width) && Number.isInteger(height) ? { width, height } : undefined;
+  }
+
+  // Rotated by 90 degrees (transpose=1 clockwise, transpose=2 counterclockwise)
+  if (name === 'transpose') {
+    return size && { width: size.height, height: size.width };
+  }
+
+  if (name !== 'scale') {
+    return size;
+  }
+
+  const [w, h, ...rest] = params.split(':');
+
+  if (/^\d+$/.test(w) && /^\d+$/.test(h)) {
+    return { width: Number(w), height: Number(h) };
+  }
+
+  if (!size) {
+    return undefined;
+  }
+
+  // Round down to even dimensions
+  if (w === 'trunc(iw/2)*2' && h === 'trunc(ih/2)*2') {
+    return {
+      width: Math.trunc(size.width / 2) * 2,
+      height: Math.trunc(size.height / 2) * 2
+    };
+  }
+
+  // Fit inside a box without upscaling, keeping the aspect ratio
+  const maxWidth = w.match(/^'?min\((\d+),iw\)'?$/)?.[1];
+  const maxHeight = h.match(/^'?min\((\d+),ih\)'?$/)?.[1];
+  if (maxWidth && maxHeight && rest.includes('force_original_aspect_ratio=decrease')) {
+    const factor = Math.min(1, maxWidth / size.width, maxHeight / size.height);
+    return {
+      width: Math.round(size.width * factor),
+      height: Math.round(size.height * factor)
+    };
+  }
+
+  return undefined;
+};
+
+/**
+ * Output path for a format in the outputs directory
+ */
+export const createOutputPath = (format) => (
+  path.join(PATHS.outputs, `${uuidv4()}${SUPPORTED_FORMATS[format].extensions[0]}`)
+);
+
+/**
+ * Work file path for a format in the temp directory, which is not served:
+ * intermediates, and outputs until they are complete
+ */
+export const createTempPath = (format) => (
+  path.join(PATHS.temp, `${uuidv4()}${SUPPORTED_FORMATS[format].extensions[0]}`)
+);
+
+/**
+ * Passlog prefix of a two-pass encode in the temp directory (FFmpeg
+ * appends -0.log, x264 also writes -0.log.mbtree)
+ */
+export const createPasslogPrefix = () => (
+  path.join(PATHS.temp, `${uuidv4()}-passlog`)
+);
+
+/**
+ * FFmpeg arguments of one step, from the target format's preset builder
+ */
+export const buildStepArgs = (format, inputPath, outputPath, options = {}) => (
+  ARG_BUILDERS[format](inputPath, outputPath, options)
+);
+
+/**
+ * Value following the last occurrence of an FFmpeg option
+ */
+const getOption = (args, option) => {
+  const index = args.lastIndexOf(option);
+  return index === -1 ? null : args[index + 1];
+};
+
+/**
+ * Frame rate of an FFmpeg rate ('30', '12.5', '30000/1001')
+ */
+const parseRate = (rate) => {
+  const [num, den = 1] = rate.split('/').map(Number);
+  return Math.round((num / den) * 1000) / 1000;
+};
+
+/**
+ * Expected output of a step: frame size, frame rate, pixel format, codecs
+ * and rotation (copied video keeps its display matrix, encoded frames are
+ * upright)
+ */
+export const describeOutput = (args, input) => {
+  // A watermark does not change the frame
+  const filters = getOption(args, '-vf') && Watermark.strip(getOption(args, '-vf'));
+  let resolution = input.resolution;
+  let filteredFrameRate = input.frameRate;
+
+  if (filters) {
+    for (const filter of splitFilterChain(filters)) {
+      resolution = applyFilter(filter, resolution);
+
+      if (filter.startsWith('fps=')) {
+        filteredFrameRate = parseRate(filter.slice('fps='.length).replace(/^fps=/, '').split(':')[0]);
+      }
+    }
+  }
+
+  const streamCopy = getOption(args, '-c') === 'copy';
+  const videoCopy = streamCopy || getOption(args, '-c:v') === 'copy';
+  const frameRate = getOption(args, '-r');
+  const maxFrameRate = getOption(args, '-fpsmax');
+  let outputFrameRate = frameRate ? parseRate(frameRate) : filteredFrameRate;
+
+  // A clip shortens the output
+  const start = parseFloat(getOption(args, '-ss')) || 0;
+  const limit = getOption(args, '-t');
+  let duration = input.duration ? Number((input.duration - start).toFixed(3)) : null;
+  if (limit !== null) {
+    duration = parseFloat(limit);
+  }
+
+  if (maxFrameRate && outputFrameRate) {
+    outputFrameRate = Math.min(outputFrameRate, Number(maxFrameRate));
+  }
+
+  return {
+    resolution: resolution || null,
+    frameRate: outputFrameRate,
+    pixelFormat: (!videoCopy && getOption(args, '-pix_fmt')) || input.pixelFormat || null,
+    videoCodec: streamCopy ? 'copy' : getOption(args, '-c:v'),
+    audioCodec: streamCopy ? 'copy' : getOption(args, '-c:a'),
+    rotation: videoCopy ? input.rotation ?? null : 0,
+    duration
+  };
+};
+
+/**
+ * Replace the scaling of a step with a fixed output size: scale and pad
+ * filters are dropped from the -vf chain and scale=WxH is appended
+ *
+ * With pad (formats with fixed frame sizes), the video is fitted inside
+ * the size and padded to it. A padded frame of the step that is not
+ * larger than the size is kept, so a normalized size only shrinks it.
+ */
+export const applyResolution = (args, resolution, { pad = false } = {}) => {
+  const result = [...args];
+  const index = result.lastIndexOf('-vf');
+  const chain = index === -1 ? [] : splitFilterChain(result[index + 1]);
+
+  if (pad) {
+    const frame = chain.filter(filter => filter.startsWith('pad=')).map(filter => applyFilter(filter)).pop();
+    if (frame && frame.width <= resolution.width && frame.height <= resolution.height) {
+      return result;
+    }
+  }
+
+  const filters = chain.filter(filter => !/^(scale|pad)=/.test(filter));
+
+  filters.push(pad
+    ? ResolutionNormalizer.buildPaddedScaleFilter(resolution.width, resolution.height)
+    : `scale=${resolution.width}:${resolution.height}`);
+
+  if (index === -1) {
+    // Output options go before the output path
+    result.splice(result.length - 1, 0, '-vf', filters.join(','));
+  } else {
+    result[index + 1] = filters.join(',');
+  }
+
+  return result;
+};
+
+/**
+ * Apply a FrameNormalizer result to a step: deinterlacing and frame rate
+ * filters go first in the -vf chain and -pix_fmt is added. A frame rate
+ * (-r), deinterlacer or pixel format the step already sets is kept.
+ */
+export const applyFrameNormalization = (args, { pixelFormat, filters }) => {
+  const result = [...args];
+  const index = result.lastIndexOf('-vf');
+  const chain = index === -1 ? [] : splitFilterChain(result[index + 1]);
+  const added = filters.filter(filter => (
+    filter.startsWith('yadif=')
+      ? !chain.some(existing => existing.startsWith('yadif='))
+      : getOption(result, '-r') === null
+  ));
+
+  if (added.length > 0) {
+    if (index === -1) {
+      // Output options go before the output path
+      result.splice(result.length - 1, 0, '-vf', added.join(','));
+    } else {
+      result[index + 1] = [...added, ...chain].join(',');
+    }
+  }
+
+  if (pixelFormat.needed && getOption(result, '-pix_fmt') === null) {
+    result.splice(result.length - 1, 0, '-pix_fmt', pixelFormat.target);
+  }
+
+  return result;
+};
+
+/**
+ * Encoder options of one stream type, dropped (with their values) when
+ * the stream is copied
+ */
+const STREAM_ENCODER_OPTIONS = {
+  video: [
+    '-vf', '-b:v', '-maxrate', '-minrate', '-bufsize', '-crf', '-preset', '-profile:v',
+    '-level', '-g', '-bf', '-pix_fmt', '-r', '-fpsmax', '-cpu-used', '-row-mt',
+    '-qscale:v', '-q:v', '-tag:v', '-deadline', '-x264-params', '-x265-params'
+  ],
+  audio: ['-b:a', '-ar', '-ac', '-af', '-q:a', '-qscale:a']
+};
+
+/**
+ * Apply a StreamCopyAnalyzer result to a step: copied streams get
+ * -c:v copy / -c:a copy and lose their encoder options, the other stream
+ * keeps its encoding. A step that already copies everything (-c copy)
+ * is left unchanged.
+ */
+export const applyStreamCopy = (args, { video, audio }) => {
+  if (getOption(args, '-c') === 'copy') {
+    return [...args];
+  }
+
+  const copied = [
+    ...(video.action === 'copy' ? [['video', '-c:v']] : []),
+    ...(audio.action === 'copy' ? [['audio', '-c:a']] : [])
+  ];
+  const dropped = copied.flatMap(([type]) => STREAM_ENCODER_OPTIONS[type]);
+  const result = [];
+
+  // The input path (args[1]) and output path (last) are kept as they are
+  for (let index = 0; index < args.length; index++) {
+    if (index > 1 && index < args.length - 1 && dropped.includes(args[index])) {
+      index++;
+    } else if (video.action === 'copy' && args[index] === '-deinterlace') {
+      continue;
+    } else {
+      result.push(args[index]);
+    }
+  }
+
+  for (const [, option] of copied) {
+    const index = result.lastIndexOf(option);
+    if (index === -1) {
+      result.splice(2, 0, option, 'copy');
+    } else {
+      result[index + 1] = 'copy';
+    }
+  }
+
+  if (video.action === 'copy' && video.tag) {
+    result.splice(result.length - 1, 0, '-tag:v', video.tag);
+  }
+
+  return result;
+};
+
+/**
+ * Video encoders FFmpeg runs in two passes with -pass/-passlogfile
+ */
+const TWO_PASS_ENCODERS = [
+  'libx264', 'libvpx', 'libvpx-vp9', 'mpeg1video', 'mpeg2video', 'mpeg4',
+  'msmpeg4', 'wmv1', 'wmv2', 'flv', 'flv1', 'h263', 'h263p'
+];
+
+/**
+ * Quality-based rate control options, dropped from a two-pass encode
+ * (a fixed quality or quantizer would override the bitrate target)
+ */
+const QUALITY_OPTIONS = ['-crf', '-qscale:v', '-q:v'];
+
+/**
+ * Options of the final encode the analysis pass does not need: audio
+ * (the pass has none) and muxer settings (its output is discarded)
+ */
+const ANALYSIS_DROPPED_OPTIONS = [...STREAM_ENCODER_OPTIONS.audio, '-c:a', '-f', '-movflags'];
+
+/**
+ * Bitrate target of a two-pass encode, or why the step stays single-pass.
+ * The target is the step's -b:v (abr and cbr rate control: customBitrate,
+ * or the bitrate-driven MPEG and WMV presets and profiles). Quality-driven
+ * steps (CRF, qscale, also capped) have no bitrate target.
+ * @returns {object} { passes, bitrate, reason }
+ */
+export const getTwoPassTarget = (args) => {
+  const codec = getOption(args, '-c:v');
+  const singlePass = (reason) => ({ passes: 1, bitrate: null, reason });
+
+  if (getOption(args, '-c') === 'copy' || codec === 'copy') {
+    return singlePass('Video stream is copied, there is nothing to encode in two passes');
+  }
+
+  if (!TWO_PASS_ENCODERS.includes(codec)) {
+    return singlePass(`${codec} does not support two-pass encoding`);
+  }
+
+  const crf = getOption(args, '-crf');
+  const qscale = getOption(args, '-qscale:v') ?? getOption(args, '-q:v');
+  const bitrate = crf === null && qscale === null ? getOption(args, '-b:v') : null;
+
+  if (!bitrate) {
+    const quality = crf !== null ? `CRF ${crf}` : `qscale ${qscale}`;
+    return singlePass(`${codec} encodes to a quality target (${quality}), set customBitrate to encode in two passes`);
+  }
+
+  return { passes: 2, bitrate, reason: `Two-pass ${codec} encode at ${bitrate}` };
+};
+
+/**
+ * Encode a step's video at a bitrate: quality options are dropped and
+ * -b:v is set. Replacing the step's own bitrate also drops -minrate
+ * (pinned to the preset's average) and raises a lower -maxrate.
+ */
+export const applyBitrate = (args, bitrate) => {
+  const custom = getOption(args, '-b:v') !== bitrate;
+  const dropped = [...QUALITY_OPTIONS, ...(custom ? ['-minrate'] : [])];
+  const result = [];
+
+  // The input path (args[1]) and output path (last) are kept as they are
+  for (let index = 0; index < args.length; index++) {
+    if (index > 1 && index < args.length - 1 && dropped.includes(args[index])) {
+      index++;
+    } else {
+      result.push(args[index]);
+    }
+  }
+
+  const setOption = (option, value) => {
+    const index = result.lastIndexOf(option);
+    if (index === -1) {
+      // Output options go before the output path
+      result.splice(result.length - 1, 0, option, value);
+    } else {
+      result[index + 1] = value;
+    }
+  };
+
+  setOption('-b:v', bitrate);
+  const maxRate = getOption(result, '-maxrate');
+  if (custom && maxRate && toKbps(maxRate) < toKbps(bitrate)) {
+    setOption('-maxrate', bitrate);
+  }
+
+  return result;
+};
+
+/**
+ * FFmpeg arguments of both passes of a two-pass encode at a bitrate
+ * (see applyBitrate)
+ *
+ * The analysis pass encodes the video only, writes the rate statistics
+ * to the passlog and discards its output (-f null); the final pass
+ * encodes video and audio using them.
+ * @returns {object} { analysis, encode } - Argument arrays
+ */
+export const buildTwoPassArgs = (args, { bitrate, passlogPrefix }) => {
+  const encode = applyBitrate(args, bitrate);
+  const outputPath = encode.pop();
+  const pass = (number) => ['-pass', String(number), '-passlogfile', passlogPrefix];
+  const analysis = encode.filter((arg, index) => (
+    !ANALYSIS_DROPPED_OPTIONS.includes(arg) && !ANALYSIS_DROPPED_OPTIONS.includes(encode[index - 1])
+  ));
+
+  return {
+    analysis: [...analysis, ...pass(1), '-an', '-f', 'null', '-'],
+    encode: [...encode, ...pass(2), outputPath]
+  };
+};
+
+/**
+ * Input description from ffprobe metadata (all null without metadata).
+ * Rotated video is described at its display size, as FFmpeg decodes it
+ * upright for the filters.
+ */
+export const describeInput = (format, metadata) => {
+  const videoStream = metadata?.streams?.find(s => s.codec_type === 'video');
+
+  return {
+    format,
+    resolution: videoStream ? MediaValidator.getDisplaySize(videoStream) : null,
+    rotation: videoStream ? MediaValidator.getRotation(videoStream) : null,
+    frameRate: videoStream ? MediaValidator.getFrameRate(videoStream) : null,
+    pixelFormat: videoStream?.pix_fmt || null,
+    videoCodec: videoStream?.codec_name || null,
+    audioCodec: metadata?.streams?.find(s => s.codec_type === 'audio')?.codec_name || null,
+    duration: metadata?.format?.duration ? parseFloat(metadata.format.duration) : null
+  };
+};
+
+/**
+ * ffprobe metadata as seen by a later step: the previous step's output
+ * resolution replaces the source resolution
+ */
+const withResolution = (metadata, resolution) => {
+  if (!metadata || !resolution) {
+    return metadata;
+  }
+
+  return {
+    ...metadata,
+    streams: metadata.streams.map(stream => (
+      stream.codec_type === 'video' ? { ...stream, ...resolution } : stream
+    ))
+  };
+};
+
+/**
+ * Build one planned step
+ */
+const buildStep = ({ number, total, from, to, args, input, pass = null }) => ({
+  step: number,
+  description: `Step ${number}/${total}: ${pass === 1 ? 'Analyzing' : 'Converting'} ${from} to ${to}${pass ? ` (pass ${pass}/2)` : ''}`,
+  inputFormat: from,
+  outputFormat: to,
+  ...(pass && { pass }),
+  args,
+  command: `${FFMPEG_CONFIG.path} ${args.join(' ')}`,
+  output: describeOutput(args, input)
+});
+
+/**
+ * Build the FFmpeg steps of a conversion
+ * @param {object} params
+ * @param {string} params.source - Source format key (e.g. 'WEBM')
+ * @param {string} params.target - Target format key (e.g. 'WMV')
+ * @param {string} params.inputPath - Uploaded file
+ * @param {string} params.outputPath - Final output file
+ * @param {object} params.options - Conversion options passed to the builders
+ * @param {object} params.metadata - ffprobe metadata of the input, if known
+ * @param {Function} params.buildFinalArgs - Optional (inputPath, outputPath, metadata, options) => args
+ *                                           replacing the preset builder for the last step
+ * @param {boolean} params.intermediate - Decode into the lossless intermediate first
+ * @param {object} params.twoPass - { bitrate } to encode the last format in two
+ *                                  passes (see getTwoPassTarget), or null
+ * @returns {Array<object>} Steps with args, command and expected output; the
+ *                          passes of a two-pass encode carry pass and passlogPrefix
+ * @throws {Error} If the requested clip range is invalid
+ */
+export const buildConversionSteps = ({
+  source,
+  target,
+  inputPath,
+  outputPath,
+  options = {},
+  metadata = null,
+  buildFinalArgs = null,
+  intermediate = false,
+  twoPass = null
+}) => {
+  const route = getConversionRoute(source, target, { intermediate });
+  const total = route.length - 1 + (twoPass ? 1 : 0);
+  const clip = ClipRange.resolve(options, metadata?.format?.duration);
+  const steps = [];
+  let stepInput = describeInput(source, metadata);
+  let stepPath = inputPath;
+  let stepMetadata = metadata;
+
+  route.slice(1).forEach((format, index) => {
+    const isLast = index === route.length - 2;
+    const stepOutputPath = isLast ? outputPath : createTempPath(format);
+    // Only the first step reads the upload, later ones an already trimmed file
+    const stepOptions = index === 0 ? options : ClipRange.omit(options);
+    let args = buildIntermediateArgs(stepPath, stepOutputPath);
+    if (isLast) {
+      args = buildFinalArgs
+        ? buildFinalArgs(stepPath, stepOutputPath, stepMetadata, stepOptions)
+        : buildStepArgs(format, stepPath, stepOutputPath, { ...stepOptions, metadata: stepMetadata });
+    }
+    args = ClipRange.apply(args, index === 0 ? clip : null);
+    const stepParams = { total, from: route[index], to: format, input: stepInput };
+    const passlogPrefix = isLast && twoPass ? createPasslogPrefix() : null;
+
+    if (passlogPrefix) {
+      const passes = buildTwoPassArgs(args, { bitrate: twoPass.bitrate, passlogPrefix });
+      const analysis = buildStep({ ...stepParams, number: steps.length + 1, args: passes.analysis, pass: 1 });
+
+      // The analysis pass writes no output file
+      steps.push({ ...analysis, outputPath: null, passlogPrefix });
+      args = passes.encode;
+    }
+
+    const step = buildStep({ ...stepParams, number: steps.length + 1, args, pass: passlogPrefix ? 2 : null });
+
+    steps.push({ ...step, outputPath: stepOutputPath, ...(passlogPrefix && { passlogPrefix }) });
+    stepInput = { ...stepInput, ...step.output };
+    stepPath = stepOutputPath;
+    // Encoded frames are upright, only copied video keeps its rotation
+    stepMetadata = withResolution(
+      step.output.videoCodec === 'copy' ? stepMetadata : MediaValidator.getDisplayMetadata(stepMetadata),
+      step.output.resolution
+    );
+  });
+
+  return steps;
+};
+
+export default {
+  INTERMEDIATE_FORMAT,
+  getConversionRoute,
+  buildIntermediateArgs,
+  createOutputPath,
+  createTempPath,
+  createPasslogPrefix,
+  buildStepArgs,
+  describeOutput,
+  applyResolution,
+  applyFrameNormalization,
+  applyStreamCopy,
+  getTwoPassTarget,
+  applyBitrate,
+  buildTwoPassArgs,
+  describeInput,
+  buildConversionSteps
+};
@@ -0,0 +1,339 @@
+/**
+ * Conversion registry - every supported source -> target conversion
+ *
+ * Built from SUPPORTED_FORMATS and the preset tables in config/ffmpeg.js.
+ * Each target format either uses one converter for every source
+ * (`default`) or a dedicated converter per source. Every ordered pair of
+ * distinct formats is a valid conversion (90 pairs), and a format
+ * re-encodes into itself when it registers a converter for its own source.
+ * Only MKV does (MKV to MKV, 91 conversions in total): the extra pair is
+ * deliberate, it keeps the /mkv-to-mkv endpoint the MKV service always had.
+ */
+
+import path from 'path';
+import {
+  SUPPORTED_FORMATS,
+  CONVERSION_PRESETS,
+  WEBM_CONVERSION_PRESETS,
+  MOV_CONVERSION_PRESETS,
+  MPEG_CONVERSION_PRESETS,
+  WMV_CONVERSION_PRESETS,
+  MKV_CONVERSION_PRESETS,
+  AVI_CONVERSION_PRESETS,
+  FLV_CONVERSION_PRESETS,
+  THREE_GP_CONVERSION_PRESETS,
+  THREE_G2_CONVERSION_PRESETS
+} from '../config/ffmpeg.js';
+import { convertToMp4, cleanupFile } from './toMp4.services.js';
+import {
+  convertToWebm,
+  convertMpegToWebm,
+  convert3gpToWebm,
+  convert3g2ToWebm
+} from './toWebm.services.js';
+import {
+  convertMp4ToAvi,
+  convertMkvToAvi,
+  convertWmvToAvi,
+  convertMovToAvi,
+  convertMpegToAvi,
+  convertWebmToAvi,
+  convertFlvToAvi,
+  convert3gpToAvi,
+  convert3g2ToAvi
+} from './toAvi.services.js';
+import {
+  convertMp4ToMkv,
+  convertMkvToMkv,
+  convertAviToMkv,
+  convertWebmToMkv,
+  convertMovToMkv,
+  convertWmvToMkv,
+  convertMpegToMkv,
+  convertFlvToMkv,
+  convert3gpToMkv,
+  convert3g2ToMkv
+} from './toMkv.services.js';
+import {
+  convertMp4ToMov,
+  convertMkvToMov,
+  convertAviToMov,
+  convertWmvToMov,
+  convertMpegToMov,
+  convertFlvToMov,
+  convertWebmToMov,
+  convert3gpToMov,
+  convert3g2ToMov
+} from './toMov.services.js';
+import {
+  convertMp4ToMpeg,
+  convertMkvToMpeg,
+  convertAviToMpeg,
+  convertWmvToMpeg,
+  convertMovToMpeg,
+  convertWebmToMpeg,
+  convertFlvToMpeg,
+  convert3gpToMpeg,
+  convert3g2ToMpeg
+} from './toMpeg.services.js';
+import {
+  convertMp4ToWmv,
+  convertMkvToWmv,
+  convertAviToWmv,
+  convertWebmToWmv,
+  convertMovToWmv,
+  convertMpegToWmv,
+  convertFlvToWmv,
+  convert3gpToWmv,
+  convert3g2ToWmv
+} from './toWmv.services.js';
+import { convertToFlv } from './toFlv.services.js';
+import { convertTo3gp } from './to3gp.services.js';
+import { convertTo3g2 } from './to3g2.services.js';
+import { runConversion } from './conversionRunner.js';
+
+export const CONVERTERS = {
+  MP4: {
+    default: convertToMp4
+  },
+  WEBM: {
+    default: convertToWebm,
+    MPEG: convertMpegToWebm,
+    '3GP': convert3gpToWebm,
+    '3G2': convert3g2ToWebm
+  },
+  AVI: {
+    MP4: convertMp4ToAvi,
+    MKV: convertMkvToAvi,
+    WMV: convertWmvToAvi,
+    MOV: convertMovToAvi,
+    MPEG: convertMpegToAvi,
+    WEBM: convertWebmToAvi,
+    FLV: convertFlvToAvi,
+    '3GP': convert3gpToAvi,
+    '3G2': convert3g2ToAvi
+  },
+  MKV: {
+    MP4: convertMp4ToMkv,
+    MKV: convertMkvToMkv,
+    AVI: convertAviToMkv,
+    WEBM: convertWebmToMkv,
+    MOV: convertMovToMkv,
+    WMV: convertWmvToMkv,
+    MPEG: convertMpegToMkv,
+    FLV: convertFlvToMkv,
+    '3GP': convert3gpToMkv,
+    '3G2': convert3g2ToMkv
+  },
+  MOV: {
+    MP4: convertMp4ToMov,
+    MKV: convertMkvToMov,
+    AVI: convertAviToMov,
+    WMV: convertWmvToMov,
+    MPEG: convertMpegToMov,
+    FLV: convertFlvToMov,
+    WEBM: convertWebmToMov,
+    '3GP': convert3gpToMov,
+    '3G2': convert3g2ToMov
+  },
+  MPEG: {
+    MP4: convertMp4ToMpeg,
+    MKV: convertMkvToMpeg,
+    AVI: convertAviToMpeg,
+    WMV: convertWmvToMpeg,
+    MOV: convertMovToMpeg,
+    WEBM: convertWebmToMpeg,
+    FLV: convertFlvToMpeg,
+    '3GP': convert3gpToMpeg,
+    '3G2': convert3g2ToMpeg
+  },
+  WMV: {
+    MP4: convertMp4ToWmv,
+    MKV: convertMkvToWmv,
+    AVI: convertAviToWmv,
+    WEBM: convertWebmToWmv,
+    MOV: convertMovToWmv,
+    MPEG: convertMpegToWmv,
+    FLV: convertFlvToWmv,
+    '3GP': convert3gpToWmv,
+    '3G2': convert3g2ToWmv
+  },
+  FLV: {
+    default: convertToFlv
+  },
+  '3GP': {
+    default: convertTo3gp
+  },
+  '3G2': {
+    default: convertTo3g2
+  }
+};
+
+/**
+ * Quality presets per target format
+ */
+const PRESETS = {
+  MP4: CONVERSION_PRESETS,
+  WEBM: WEBM_CONVERSION_PRESETS,
+  AVI: AVI_CONVERSION_PRESETS,
+  MKV: MKV_CONVERSION_PRESETS,
+  MOV: MOV_CONVERSION_PRESETS,
+  MPEG: MPEG_CONVERSION_PRESETS,
+  WMV: WMV_CONVERSION_PRESETS,
+  FLV: FLV_CONVERSION_PRESETS,
+  '3GP': THREE_GP_CONVERSION_PRESETS,
+  '3G2': THREE_G2_CONVERSION_PRESETS
+};
+
+/**
+ * Format registry: SUPPORTED_FORMATS entries extended with output settings
+ */
+export const FORMAT_REGISTRY = Object.fromEntries(
+  Object.entries(SUPPORTED_FORMATS).map(([key, format]) => [key, {
+    ...format,
+    outputExtension: format.extensions[0],
+    presets: PRESETS[key],
+    supportsCustomBitrate: true,
+    converters: CONVERTERS[key]
+  }])
+);
+
+/**
+ * Resolve a user-supplied format name (case-insensitive)
+ * @returns {string|null} Registry key, e.g. 'WEBM' for 'webm'
+ */
+export const resolveFormat = (name) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const key = name.trim().toUpperCase();
+  return FORMAT_REGISTRY[key] ? key : null;
+};
+
+/**
+ * Get the service function for a source -> target conversion
+ * @returns {Function|null} (inputPath, options) => Promise<result>
+ */
+export const getConverter = (sourceFormat, targetFormat) => {
+  const converters = CONVERTERS[targetFormat];
+
+  if (!converters || !FORMAT_REGISTRY[sourceFormat]) {
+    return null;
+  }
+
+  // Same-format re-encoding needs a dedicated converter
+  if (sourceFormat === targetFormat) {
+    return converters[sourceFormat] || null;
+  }
+
+  return converters[sourceFormat] || converters.default || null;
+};
+
+/**
+ * Look up a conversion by (case-insensitive) format names
+ * @returns {object|null} { source, target, convert, presets, supportsCustomBitrate }
+ */
+export const getConversion = (from, to) => {
+  const source = resolveFormat(from);
+  const target = resolveFormat(to);
+  const convert = getConverter(source, target);
+
+  if (!convert) {
+    return null;
+  }
+
+  const { presets, supportsCustomBitrate } = FORMAT_REGISTRY[target];
+
+  return { source, target, convert, presets, supportsCustomBitrate };
+};
+
+/**
+ * List every supported conversion pair
+ * @returns {Array<{ source: string, target: string, path: string }>}
+ */
+export const listConversions = () => {
+  const formats = Object.keys(FORMAT_REGISTRY);
+
+  return formats.flatMap(source => formats
+    .filter(target => getConverter(source, target))
+    .map(target => ({
+      source,
+      target,
+      path: `/api/v1/convert/${source.toLowerCase()}-to-${target.toLowerCase()}`
+    })));
+};
+
+/**
+ * Files uploaded for a conversion: the video and the files sent with it
+ * (watermark image, subtitles)
+ */
+export const getUploadedFiles = (inputPath, options = {}) => (
+  [inputPath, options.watermarkImage, options.subtitlesFile].filter(Boolean)
+);
+
+/**
+ * Remove the uploaded files of a conversion
+ */
+export const cleanupUploads = (inputPath, options = {}) => (
+  Promise.all(getUploadedFiles(inputPath, options).map(filePath => cleanupFile(filePath)))
+);
+
+/**
+ * Build the job task for a conversion: run it through the media pipeline
+ * (with the converter as the legacy retry), remove the uploaded files and shape
+ * the response payload
+ * @returns {Function} (jobContext) => Promise<{ message, data }>
+ */
+export const createConversionTask = ({ source, target, inputPath, inputFilename, options }) => {
+  const convert = getConverter(source, target);
+
+  return async (jobContext) => {
+    const result = await runConversion({
+      source,
+      target,
+      inputPath,
+      options: { ...options, ...jobContext },
+      legacyConvert: convert
+    });
+
+    // Clean up the uploaded files
+    await cleanupUploads(inputPath, options);
+
+    const data = {
+      inputFormat: source,
+      outputFormat: target,
+      inputFilename,
+      outputFilename: result.outputFilename,
+      outputPath: path.join('..', 'outputs', result.outputFilename),
+      outputSize: result.outputSize,
+      quality: result.quality
+    };
+
+    // Multi-step conversions describe the route they took, target size
+    // conversions the size they achieved; `pipeline` reports the stages
+    // and attempts
+    for (const field of ['reductionPercentage', 'targetSize', 'clip', 'transform', 'subtitles', 'watermark', 'conversionPath', 'conversionMethod', 'intermediateFormat', 'pipeline']) {
+      if (result[field] !== undefined) {
+        data[field] = result[field];
+      }
+    }
+
+    return {
+      message: `${source} converted to ${target} successfully`,
+      data
+    };
+  };
+};
+
+export default {
+  CONVERTERS,
+  FORMAT_REGISTRY,
+  resolveFormat,
+  getConverter,
+  getConversion,
+  listConversions,
+  getUploadedFiles,
+  cleanupUploads,
+  createConversionTask
+};
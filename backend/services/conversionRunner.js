@@ -0,0 +1,457 @@
+/**
+ * Conversion runner - run or plan a conversion through the media pipeline
+ *
+ * Every conversion goes through ConversionPipeline (validate, capability
+ * check, normalize, profile, encode). When the pipeline fails, the retry
+ * policy decides what happens next and the outcome of every attempt is
+ * reported with the result:
+ *  - legacy (default): retry once with the format's service converter;
+ *    when the pipeline failed while FFmpeg ran, the service converter
+ *    encodes from a lossless intermediate of the upload (its single pass
+ *    would repeat the command that just failed)
+ *  - none: fail the conversion
+ * A conversion that still fails throws the pipeline's error (its mapped
+ * message and failed stage) with the report as `error.report`.
+ *
+ * USE_MEDIA_PIPELINE=false skips the pipeline and uses the service
+ * converters directly. Like the pipeline, the service converters encode
+ * into the temp directory and their output is moved into the outputs
+ * directory once it is complete.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS } from '../config/ffmpeg.js';
+import { ConversionPipeline, PIPELINE_STAGES } from './media-pipeline/ConversionPipeline.js';
+import { MediaValidator } from './media-pipeline/MediaValidator.js';
+import { FormatCapabilityMatrix } from './media-pipeline/FormatCapabilityMatrix.js';
+import { ResolutionNormalizer } from './media-pipeline/ResolutionNormalizer.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
+import {
+  INTERMEDIATE_FORMAT,
+  getConversionRoute,
+  buildIntermediateArgs,
+  createOutputPath,
+  createTempPath,
+  describeInput,
+  buildConversionSteps
+} from './conversionPlanner.js';
+import { readRateControl } from './rateControl.js';
+import { withStep } from '../utils/ffmpegProgress.js';
+import logger from '../utils/logger.js';
+
+export const RETRY_POLICIES = ['legacy', 'none'];
+
+export const PIPELINE_CONFIG = {
+  enabled: process.env.USE_MEDIA_PIPELINE !== 'false',
+  retryPolicy: RETRY_POLICIES.includes(process.env.PIPELINE_RETRY_POLICY)
+    ? process.env.PIPELINE_RETRY_POLICY
+    : 'legacy'
+};
+
+/**
+ * Failed pipeline attempt, as reported to clients
+ */
+const failedAttempt = (error) => ({
+  mode: 'pipeline',
+  success: false,
+  stage: error.stage || null,
+  error: error.message,
+  reason: error.technical || null
+});
+
+/**
+ * Build the pipeline report attached to a conversion result
+ */
+const buildReport = ({ mode, attempts, stages = [], profile = null, passes = null, streams = null, adjustments = null }) => ({
+  mode,
+  retryPolicy: PIPELINE_CONFIG.enabled ? PIPELINE_CONFIG.retryPolicy : null,
+  attempts,
+  stages,
+  profile,
+  passes,
+  streams,
+  adjustments
+});
+
+/**
+ * Attach the report of a failed conversion to the error it throws
+ */
+const withReport = (error, report) => Object.assign(error, { report });
+
+/**
+ * Formats the steps pass through, e.g. ['WEBM', 'WMV'], or
+ * ['WEBM', 'MKV', 'WMV'] when the pipeline fell back to the intermediate
+ * (the analysis pass of a two-pass encode writes no output)
+ */
+const getStepsRoute = (steps) => [
+  steps[0].inputFormat,
+  ...steps.filter(step => step.pass !== 1).map(step => step.outputFormat)
+];
+
+/**
+ * Whether the pipeline failed while FFmpeg ran (rather than while planning)
+ */
+const failedInExecution = (error) => error.pipeline?.currentStage === PIPELINE_STAGES.length;
+
+/**
+ * Run a service converter into the temp directory, then move its output
+ * into the outputs directory
+ */
+const convertLegacy = async (legacyConvert, inputPath, options) => {
+  const result = await legacyConvert(inputPath, { ...options, outputDir: PATHS.temp });
+  const outputPath = path.join(PATHS.outputs, result.outputFilename);
+
+  try {
+    await fs.mkdir(PATHS.outputs, { recursive: true });
+    await ConversionPipeline.moveFile(result.outputPath, outputPath);
+  } catch (error) {
+    await fs.unlink(result.outputPath).catch(() => {});
+    throw error;
+  }
+
+  return { ...result, outputPath };
+};
+
+/**
+ * Legacy retry through the lossless intermediate: the upload is decoded
+ * (and trimmed to the clip) into the intermediate, which the service
+ * converter then encodes
+ */
+const convertThroughIntermediate = async ({ source, target, inputPath, options, legacyConvert }) => {
+  const intermediatePath = createTempPath(INTERMEDIATE_FORMAT);
+  const clip = ClipRange.resolve(options);
+
+  try {
+    await fs.mkdir(PATHS.temp, { recursive: true });
+
+    logger.info(`Step 1/2: Converting ${source} to ${INTERMEDIATE_FORMAT}`);
+    await ConversionPipeline.executeFFmpeg(ClipRange.apply(buildIntermediateArgs(inputPath, intermediatePath), clip), {
+      ...withStep(options, 1, 2),
+      duration: clip?.duration ?? null
+    });
+
+    logger.info(`Step 2/2: Converting ${INTERMEDIATE_FORMAT} to ${target}`);
+    const result = await convertLegacy(legacyConvert, intermediatePath, withStep(ClipRange.omit(options), 2, 2));
+    const inputStats = await fs.stat(inputPath);
+
+    return {
+      ...result,
+      inputFilename: path.basename(inputPath),
+      // Measured against the upload, not the (larger) intermediate
+      reductionPercentage: ((1 - result.outputSize / inputStats.size) * 100).toFixed(2),
+      conversionPath: getConversionRoute(source, target, { intermediate: true }).join(' -> '),
+      intermediateFormat: INTERMEDIATE_FORMAT
+    };
+  } finally {
+    await fs.unlink(intermediatePath).catch(() => {});
+  }
+};
+
+/**
+ * Convert through the pipeline, applying the retry policy on failure
+ * @param {object} params
+ * @param {string} params.source - Source format key (e.g. 'WEBM')
+ * @param {string} params.target - Target format key (e.g. 'WMV')
+ * @param {string} params.inputPath - Uploaded file
+ * @param {object} params.options - Conversion options and job context
+ * @param {Function} params.legacyConvert - Service converter, (inputPath, options) => Promise<result>
+ * @returns {Promise<object>} Service-shaped result with a `pipeline` report
+ */
+export const runConversion = async ({ source, target, inputPath, options = {}, legacyConvert }) => {
+  if (!PIPELINE_CONFIG.enabled) {
+    const result = await convertLegacy(legacyConvert, inputPath, options);
+    return {
+      ...result,
+      pipeline: buildReport({ mode: 'legacy', attempts: [{ mode: 'legacy', success: true }] })
+    };
+  }
+
+  const outputPath = createOutputPath(target);
+
+  try {
+    await fs.mkdir(PATHS.outputs, { recursive: true });
+
+    const result = await ConversionPipeline.execute({
+      inputPath,
+      outputPath,
+      sourceFormat: source.toLowerCase(),
+      targetFormat: target.toLowerCase(),
+      profile: options.profile || null,
+      options
+    });
+
+    const outputStats = await fs.stat(outputPath);
+    const inputSize = parseInt(result.metadata.format?.size, 10);
+    const route = getStepsRoute(result.steps);
+
+    return {
+      success: true,
+      outputPath,
+      outputFilename: path.basename(outputPath),
+      inputFilename: path.basename(inputPath),
+      outputSize: outputStats.size,
+      quality: options.quality || 'medium',
+      reductionPercentage: inputSize
+        ? ((1 - outputStats.size / inputSize) * 100).toFixed(2)
+        : 'N/A',
+      ...(result.size && { targetSize: result.size }),
+      ...(result.clip && { clip: result.clip }),
+      ...(result.transform && { transform: result.transform }),
+      ...(result.subtitles && { subtitles: result.subtitles }),
+      ...(result.watermark && { watermark: result.watermark }),
+      ...(route.length > 2 && {
+        conversionPath: route.join(' -> '),
+        intermediateFormat: route[1]
+      }),
+      pipeline: buildReport({
+        mode: 'pipeline',
+        attempts: [{ mode: 'pipeline', success: true }],
+        stages: result.pipeline.stages,
+        profile: result.profile,
+        passes: result.passes,
+        streams: result.streams,
+        adjustments: result.adjustments
+      })
+    };
+
+  } catch (error) {
+    // A cancelled job is never retried
+    if (options.signal?.aborted) {
+      throw error;
+    }
+
+    const stages = error.pipeline?.stages || [];
+
+    if (PIPELINE_CONFIG.retryPolicy === 'none') {
+      throw withReport(error, buildReport({ mode: 'pipeline', attempts: [failedAttempt(error)], stages }));
+    }
+
+    const intermediate = failedInExecution(error);
+    logger.warn(
+      `Pipeline failed at ${error.stage || 'unknown stage'} (${error.technical || error.message}), retrying ${source} to ${target} with the legacy converter${intermediate ? ` through a lossless ${INTERMEDIATE_FORMAT} intermediate` : ''} (PIPELINE_RETRY_POLICY=legacy)`
+    );
+
+    let result;
+    try {
+      result = intermediate
+        ? await convertThroughIntermediate({ source, target, inputPath, options, legacyConvert })
+        : await convertLegacy(legacyConvert, inputPath, options);
+    } catch (legacyError) {
+      if (options.signal?.aborted) {
+        throw legacyError;
+      }
+
+      // The pipeline's error says why the input cannot be converted
+      logger.error(`Legacy retry of ${source} to ${target} failed: ${legacyError.message}`);
+      throw withReport(error, buildReport({
+        mode: 'legacy',
+        attempts: [failedAttempt(error), { mode: 'legacy', success: false, error: legacyError.message }],
+        stages
+      }));
+    }
+
+    return {
+      ...result,
+      pipeline: buildReport({
+        mode: 'legacy',
+        attempts: [failedAttempt(error), { mode: 'legacy', success: true }],
+        stages
+      })
+    };
+  }
+};
+
+/**
+ * Plan the legacy route: the service converters' steps and arguments
+ */
+const planLegacy = ({ source, target, inputPath, outputPath, options, validation, warnings }) => {
+  const targetFormat = target.toLowerCase();
+  const metadata = validation.metadata;
+  const videoStream = metadata?.streams?.find(s => s.codec_type === 'video');
+  const transform = VideoTransform.resolve(options, metadata);
+
+  // Resolution limits of the target format for the transformed frame
+  // (not applied by the legacy builders)
+  let normalization = null;
+  if (videoStream && FormatCapabilityMatrix.getEncodingConstraints(targetFormat)) {
+    const result = ResolutionNormalizer.normalize(VideoTransform.getFrameMetadata(metadata, transform), targetFormat);
+    normalization = {
+      needed: result.needsNormalization,
+      reason: result.reason,
+      original: result.originalResolution,
+      target: result.targetResolution,
+      warnings: result.warnings
+    };
+  } else if (videoStream) {
+    warnings.push(`No capability data for ${target}: resolution limits were not checked`);
+  }
+
+  if (options.passes === 2) {
+    warnings.push('The legacy converters encode in a single pass: passes=2 was ignored');
+  }
+  if (options.targetSize) {
+    warnings.push(`The legacy converters encode with the quality preset: targetSize=${options.targetSize} was ignored`);
+  }
+
+  const steps = buildConversionSteps({ source, target, inputPath, outputPath, options, metadata });
+  const output = steps[steps.length - 1].output;
+  const clip = ClipRange.resolve(options, metadata?.format?.duration);
+  const limit = normalization?.needed ? normalization.target : null;
+
+  if (limit && output.resolution
+    && (output.resolution.width > limit.width || output.resolution.height > limit.height)) {
+    warnings.push(
+      `Output resolution ${output.resolution.width}x${output.resolution.height} exceeds the ${limit.width}x${limit.height} recommended for ${target}`
+    );
+  }
+
+  return {
+    normalization,
+    profile: null,
+    rateControl: readRateControl(steps[steps.length - 1].args),
+    clip: clip && { ...clip, mode: ClipRange.getMode(steps[0].args) },
+    transform,
+    subtitles: Subtitles.resolve(options),
+    // The builders size the watermark with FFmpeg expressions
+    watermark: Watermark.resolve(options),
+    steps
+  };
+};
+
+/**
+ * Plan a conversion without encoding (dry run): the pipeline's stage
+ * results and steps, or the steps the retry policy would run instead
+ * @returns {Promise<object>} Planned steps, expected output and warnings
+ */
+export const planConversion = async ({ source, target, inputPath, options = {} }) => {
+  const warnings = [];
+  const outputPath = createOutputPath(target);
+
+  // Validation (a failed probe does not stop the legacy converters)
+  const validation = await MediaValidator.validate(inputPath, target.toLowerCase());
+  if (!validation.metadata) {
+    warnings.push('Input could not be probed: resolution and frame rate checks were skipped');
+  }
+
+  let mode = 'legacy';
+  let attempts = [{ mode: 'legacy', success: true }];
+  let stages = [];
+  let plan = null;
+
+  if (PIPELINE_CONFIG.enabled) {
+    const pipelineLog = { stages: [] };
+
+    try {
+      const pipelinePlan = await ConversionPipeline.plan({
+        inputPath,
+        outputPath,
+        sourceFormat: source.toLowerCase(),
+        targetFormat: target.toLowerCase(),
+        profile: options.profile || null,
+        options,
+        validation,
+        pipelineLog
+      });
+
+      mode = 'pipeline';
+      attempts = [{ mode: 'pipeline', success: true }];
+      plan = {
+        normalization: pipelinePlan.normalization,
+        frameNormalization: pipelinePlan.frameNormalization,
+        clip: pipelinePlan.clip,
+        transform: pipelinePlan.transform,
+        subtitles: pipelinePlan.subtitles,
+        watermark: pipelinePlan.watermark,
+        streams: pipelinePlan.streams,
+        rateControl: pipelinePlan.rateControl,
+        passes: pipelinePlan.passes,
+        sizeTarget: pipelinePlan.sizeTarget,
+        profile: pipelinePlan.profile
+          ? { id: pipelinePlan.profile.profileId, description: pipelinePlan.profile.description }
+          : null,
+        steps: pipelinePlan.steps
+      };
+    } catch (error) {
+      const { stage, message, technical } = ConversionPipeline.abstractError(error, pipelineLog);
+      attempts = [failedAttempt({ stage, message, technical })];
+
+      if (PIPELINE_CONFIG.retryPolicy === 'legacy') {
+        warnings.push(`Media pipeline would fail at ${stage} (${technical}), conversion is retried with the legacy converter`);
+        attempts.push({ mode: 'legacy', success: true });
+      } else {
+        warnings.push(`Media pipeline would fail at ${stage} (${technical}), conversion would fail (PIPELINE_RETRY_POLICY=none)`);
+        mode = null;
+      }
+    }
+
+    stages = pipelineLog.stages;
+  }
+
+  if (!plan && mode === 'legacy') {
+    plan = planLegacy({ source, target, inputPath, outputPath, options, validation, warnings });
+  }
+
+  warnings.push(...validation.warnings);
+  if (plan?.normalization?.warnings) {
+    warnings.push(...plan.normalization.warnings);
+  }
+  if (plan?.frameNormalization?.warnings) {
+    warnings.push(...plan.frameNormalization.warnings);
+  }
+  if (plan?.passes && plan.passes.applied < plan.passes.requested) {
+    warnings.push(`Encoded in a single pass: ${plan.passes.reason}`);
+  }
+  if (plan?.sizeTarget) {
+    warnings.push(...plan.sizeTarget.warnings);
+  }
+
+  const steps = plan?.steps || [];
+  const route = steps.length > 0 ? getStepsRoute(steps) : getConversionRoute(source, target);
+  const output = steps.length > 0 ? { format: target, ...steps[steps.length - 1].output } : null;
+
+  if (output && !output.resolution && validation.metadata) {
+    warnings.push('Output resolution depends on a filter the planner cannot evaluate');
+  }
+
+  logger.info(`Planned ${source} to ${target} conversion: ${steps.length} step(s), ${mode || 'failing'} mode`);
+
+  return {
+    dryRun: true,
+    source,
+    target,
+    mode,
+    conversionPath: route.join(' -> '),
+    ...(route.length > 2 && { intermediateFormat: route[1] }),
+    validation: {
+      valid: validation.valid,
+      errors: validation.errors
+    },
+    input: describeInput(source, validation.metadata),
+    normalization: plan?.normalization || null,
+    frameNormalization: plan?.frameNormalization || null,
+    clip: plan?.clip || null,
+    transform: plan?.transform || null,
+    subtitles: plan?.subtitles || null,
+    watermark: plan?.watermark || null,
+    streams: plan?.streams || null,
+    rateControl: plan?.rateControl || null,
+    passes: plan?.passes || null,
+    targetSize: plan?.sizeTarget || null,
+    profile: plan?.profile || null,
+    steps,
+    output,
+    pipeline: buildReport({ mode, attempts, stages }),
+    warnings
+  };
+};
+
+export default {
+  RETRY_POLICIES,
+  PIPELINE_CONFIG,
+  runConversion,
+  planConversion
+};
@@ -0,0 +1,156 @@
+/**
+ * ConversionScheduler - Process-wide limit on concurrent FFmpeg processes
+ *
+ * Every service starts FFmpeg through the scheduler instead of calling
+ * spawn directly. At most `maxParallel` processes run at once; the rest
+ * wait in a priority queue (interactive before batch, FIFO within a class)
+ * and are told their queue position whenever it changes.
+ */
+
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { FFMPEG_CONFIG } from '../../config/ffmpeg.js';
+import logger from '../../utils/logger.js';
+
+export const PRIORITY = {
+  INTERACTIVE: 'interactive',
+  BATCH: 'batch'
+};
+
+// Lower rank is served first
+const PRIORITY_RANK = {
+  [PRIORITY.INTERACTIVE]: 0,
+  [PRIORITY.BATCH]: 1
+};
+
+export class ConversionScheduler extends EventEmitter {
+  constructor({ maxParallel = FFMPEG_CONFIG.maxParallel, command = FFMPEG_CONFIG.path } = {}) {
+    super();
+    this.maxParallel = Math.max(1, maxParallel);
+    this.command = command;
+    this.queue = [];
+    this.running = new Set();
+    this.sequence = 0;
+  }
+
+  /**
+   * Start an FFmpeg process once a slot is free.
+   * Resolves with the spawned child process; the slot is released when it closes.
+   * @param {Array} args - FFmpeg arguments
+   * @param {Object} options - { priority, signal, onQueued(position), onStart() }
+   */
+  spawn(args, { priority = PRIORITY.INTERACTIVE, signal = null, onQueued = null, onStart = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(new Error('Conversion cancelled'));
+      }
+
+      const entry = {
+        id: ++this.sequence,
+        rank: PRIORITY_RANK[priority] ?? PRIORITY_RANK[PRIORITY.INTERACTIVE],
+        args,
+        signal,
+        onQueued,
+        onStart,
+        resolve,
+        reject
+      };
+
+      // Cancelled while waiting: leave the queue without ever starting
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter(queued => queued !== entry);
+          this.notifyPositions();
+          reject(new Error('Conversion cancelled'));
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      const index = this.queue.findIndex(queued => queued.rank > entry.rank);
+      if (index === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(index, 0, entry);
+      }
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued processes while slots are available
+   */
+  drain() {
+    while (this.running.size < this.maxParallel && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+
+    this.notifyPositions();
+  }
+
+  /**
+   * Spawn FFmpeg for a queue entry and hold its slot until the process closes
+   */
+  start(entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    const ffmpeg = spawn(this.command, entry.args, { signal: entry.signal || undefined });
+    let released = false;
+
+    const release = () => {
+      if (!released) {
+        released = true;
+        this.running.delete(ffmpeg);
+        this.emit('release');
+        this.drain();
+      }
+    };
+
+    this.running.add(ffmpeg);
+
+    ffmpeg.once('spawn', () => {
+      entry.onStart?.();
+      entry.resolve(ffmpeg);
+    });
+
+    ffmpeg.once('error', (error) => {
+      // Errors after a successful spawn are handled by the service
+      if (ffmpeg.pid === undefined) {
+        release();
+        entry.reject(error.name === 'AbortError'
+          ? new Error('Conversion cancelled')
+          : new Error(`FFmpeg process error: ${error.message}`));
+      }
+    });
+
+    ffmpeg.once('close', release);
+
+    logger.debug(`[Scheduler] FFmpeg started (${this.running.size}/${this.maxParallel} running, ${this.queue.length} queued)`);
+  }
+
+  /**
+   * Tell every waiting entry its current 1-based position
+   */
+  notifyPositions() {
+    this.queue.forEach((entry, index) => {
+      entry.onQueued?.(index + 1);
+    });
+  }
+
+  /**
+   * Current scheduler load
+   */
+  getStats() {
+    return {
+      maxParallel: this.maxParallel,
+      running: this.running.size,
+      queued: this.queue.length
+    };
+  }
+}
+
+export const conversionScheduler = new ConversionScheduler();
+
+export default conversionScheduler;
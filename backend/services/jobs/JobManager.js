@@ -0,0 +1,356 @@
+/**
+ * JobManager - Conversion job tracking
+ *
+ * Every conversion request is recorded as a job so that long-running
+ * encodes can be followed through the jobs API instead of holding the
+ * HTTP request open for the whole FFmpeg run.
+ *
+ * Lifecycle: queued → running → succeeded | failed | cancelled
+ *
+ * A job stays queued (with its queue position) until the conversion
+ * scheduler starts its first FFmpeg process.
+ *
+ * Events: 'update' on every state change, 'progress' on every FFmpeg
+ * progress report (see utils/ffmpegProgress.js)
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { PRIORITY } from './ConversionScheduler.js';
+import { MemoryJobStore } from './stores/MemoryJobStore.js';
+import { createJobStore } from './createJobStore.js';
+import { cleanupUploads, getUploadedFiles } from '../conversionRegistry.js';
+import logger from '../../utils/logger.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export class JobManager extends EventEmitter {
+  constructor({ store = new MemoryJobStore() } = {}) {
+    super();
+    this.store = store;
+    this.jobs = new Map();
+    // Per-job abort controllers and in-flight executions (never serialized)
+    this.abortControllers = new Map();
+    this.executions = new Map();
+  }
+
+  /**
+   * Register a new conversion job in the queued state
+   */
+  createJob({ sourceFormat, targetFormat, inputFile, options = {} }) {
+    const job = {
+      id: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      sourceFormat,
+      targetFormat,
+      // Async jobs default to the batch class so they yield to waiting clients
+      priority: options.priority || (options.async ? PRIORITY.BATCH : PRIORITY.INTERACTIVE),
+      queuePosition: null,
+      inputFile: {
+        originalname: inputFile.originalname,
+        path: inputFile.path,
+        size: inputFile.size
+      },
+      options,
+      attempts: 0,
+      progress: null,
+      output: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    logger.info(`Job created: ${job.id} (${sourceFormat} -> ${targetFormat})`);
+
+    return job;
+  }
+
+  /**
+   * Get job by ID
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Apply changes to a job and notify listeners
+   */
+  updateJob(job, changes) {
+    Object.assign(job, changes);
+    this.persist(job);
+    this.emit('update', job);
+    return job;
+  }
+
+  /**
+   * Write a job record to the store (progress snapshots are not persisted
+   * on their own, they ride along with the next state change)
+   */
+  persist(job) {
+    this.store.save(job).catch((error) => {
+      logger.error(`Failed to persist job ${job.id}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Record the latest FFmpeg progress snapshot for a job
+   */
+  updateProgress(job, progress) {
+    job.progress = progress;
+    this.emit('progress', job);
+    return job;
+  }
+
+  /**
+   * Run the conversion task for a job, recording its outcome.
+   * The task receives a job context to merge into the service options:
+   *  - onProgress: forwards FFmpeg progress to the job
+   *  - signal: aborts when the job is cancelled
+   *  - priority, onQueued, onStart: used by the conversion scheduler
+   * Resolves with the task result, rejects with the task error.
+   */
+  execute(job, task) {
+    const execution = this.runTask(job, task);
+
+    this.executions.set(job.id, execution);
+    execution
+      .catch(() => {})
+      .finally(() => this.executions.delete(job.id));
+
+    return execution;
+  }
+
+  async runTask(job, task) {
+    if (job.status === JOB_STATUS.CANCELLED) {
+      throw new Error('Conversion cancelled');
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(job.id, abortController);
+
+    this.updateJob(job, { attempts: job.attempts + 1 });
+
+    const context = {
+      onProgress: (progress) => this.updateProgress(job, progress),
+      signal: abortController.signal,
+      priority: job.priority,
+      onQueued: (position) => {
+        if (job.queuePosition !== position) {
+          this.updateJob(job, { queuePosition: position });
+        }
+      },
+      onStart: () => {
+        if (job.status === JOB_STATUS.QUEUED) {
+          this.updateJob(job, {
+            status: JOB_STATUS.RUNNING,
+            queuePosition: null,
+            startedAt: new Date().toISOString()
+          });
+        }
+      }
+    };
+
+    try {
+      const result = await task(context);
+
+      this.updateJob(job, {
+        status: JOB_STATUS.SUCCEEDED,
+        queuePosition: null,
+        output: result?.data
+          ? { filename: result.data.outputFilename, size: result.data.outputSize }
+          : null,
+        result,
+        finishedAt: new Date().toISOString()
+      });
+      logger.info(`Job succeeded: ${job.id}`);
+
+      return result;
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        this.updateJob(job, {
+          status: JOB_STATUS.CANCELLED,
+          queuePosition: null,
+          error: { message: 'Conversion cancelled' },
+          finishedAt: new Date().toISOString()
+        });
+        logger.info(`Job cancelled: ${job.id}`);
+      } else {
+        this.updateJob(job, {
+          status: JOB_STATUS.FAILED,
+          queuePosition: null,
+          error: { message: error.message },
+          finishedAt: new Date().toISOString()
+        });
+        logger.error(`Job failed: ${job.id} - ${error.message}`);
+      }
+
+      throw error;
+    } finally {
+      this.abortControllers.delete(job.id);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job.
+   * Running jobs are aborted (FFmpeg is killed and partial files removed by
+   * the service); resolves once the job has settled. Jobs that never
+   * started have their uploaded files (the video and attachments) removed
+   * here, as the caller of a running job does when it rejects.
+   * Returns false if the job had already finished.
+   */
+  async cancelJob(job) {
+    if (this.isFinished(job)) {
+      return false;
+    }
+
+    const abortController = this.abortControllers.get(job.id);
+
+    if (!abortController) {
+      // Not started yet: it will never run
+      this.updateJob(job, {
+        status: JOB_STATUS.CANCELLED,
+        error: { message: 'Conversion cancelled' },
+        finishedAt: new Date().toISOString()
+      });
+      logger.info(`Job cancelled before start: ${job.id}`);
+
+      await cleanupUploads(job.inputFile.path, job.options);
+      return true;
+    }
+
+    logger.info(`Cancelling job: ${job.id}`);
+    abortController.abort();
+
+    await this.executions.get(job.id)?.catch(() => {});
+
+    return true;
+  }
+
+  /**
+   * Load job records from the store.
+   * Returns the jobs that were queued or running when the process stopped.
+   */
+  async initialize() {
+    const records = await this.store.load();
+
+    for (const record of records) {
+      this.jobs.set(record.id, record);
+    }
+
+    return records.filter(job => !this.isFinished(job));
+  }
+
+  /**
+   * Wait for in-flight jobs to settle, up to a deadline.
+   * Jobs still running at the deadline stay 'running' in the store and are
+   * picked up again on the next startup.
+   * @returns {Promise<number>} Number of jobs still running
+   */
+  async drain(timeoutMs) {
+    const executions = [...this.executions.values()];
+
+    if (executions.length > 0) {
+      logger.info(`Draining ${executions.length} running jobs (deadline ${timeoutMs}ms)`);
+
+      let timer;
+      const deadline = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+
+      await Promise.race([Promise.allSettled(executions), deadline]);
+      clearTimeout(timer);
+    }
+
+    return this.executions.size;
+  }
+
+  /**
+   * Flush and close the job store
+   */
+  async close() {
+    await this.store.close();
+  }
+
+  /**
+   * Check whether a job has reached a terminal state
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Jobs that are queued or running
+   */
+  getActiveJobs() {
+    return [...this.jobs.values()].filter(job => !this.isFinished(job));
+  }
+
+  /**
+   * Uploaded files of the jobs that are queued or running (kept by the
+   * age-based cleanup however old they are)
+   */
+  getActiveUploads() {
+    return this.getActiveJobs().flatMap(job => getUploadedFiles(job.inputFile.path, job.options));
+  }
+
+  /**
+   * Remove finished jobs older than the given age
+   */
+  pruneFinishedJobs(maxAgeHours) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    let prunedCount = 0;
+
+    for (const [jobId, job] of this.jobs) {
+      if (this.isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+        this.store.remove(jobId).catch((error) => {
+          logger.error(`Failed to remove job ${jobId} from store: ${error.message}`);
+        });
+        prunedCount++;
+      }
+    }
+
+    if (prunedCount > 0) {
+      logger.info(`Pruned ${prunedCount} finished jobs`);
+    }
+
+    return prunedCount;
+  }
+
+  /**
+   * Public representation of a job (no server-side paths)
+   */
+  serialize(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      priority: job.priority,
+      queuePosition: job.queuePosition,
+      sourceFormat: job.sourceFormat,
+      targetFormat: job.targetFormat,
+      inputFilename: job.inputFile.originalname,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+export const jobManager = new JobManager({ store: createJobStore() });
+
+export default jobManager;
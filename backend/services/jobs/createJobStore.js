@@ -0,0 +1,34 @@
+/**
+ * Job store factory
+ *
+ * JOB_STORE selects the backend:
+ *  - file (default): JSON file at JOB_STORE_FILE (data/jobs.json)
+ *  - redis: Redis at REDIS_URL (requires the optional `redis` package)
+ *  - memory: not durable, for tests
+ */
+
+import path from 'path';
+import { PATHS } from '../../config/ffmpeg.js';
+import { MemoryJobStore } from './stores/MemoryJobStore.js';
+import { FileJobStore } from './stores/FileJobStore.js';
+import { RedisJobStore } from './stores/RedisJobStore.js';
+
+export const createJobStore = (type = process.env.JOB_STORE || 'file') => {
+  switch (type) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'redis':
+      return new RedisJobStore({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.REDIS_KEY_PREFIX || 'atomix:'
+      });
+    case 'file':
+      return new FileJobStore({
+        filePath: process.env.JOB_STORE_FILE || path.join(PATHS.data, 'jobs.json')
+      });
+    default:
+      throw new Error(`Unknown job store: ${type}`);
+  }
+};
+
+export default createJobStore;
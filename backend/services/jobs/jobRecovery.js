@@ -0,0 +1,99 @@
+/**
+ * Job recovery - resume work interrupted by a restart
+ *
+ * On startup, jobs the store still lists as queued or running were cut
+ * off by the previous process. Async jobs whose uploaded files (the video
+ * and e.g. a watermark image or subtitles) are still on disk are re-queued (up to JOB_MAX_ATTEMPTS attempts); everything else is
+ * marked failed, since no client is waiting for a synchronous response.
+ */
+
+import fs from 'fs/promises';
+import { jobManager, JOB_STATUS } from './JobManager.js';
+import { getConverter, getUploadedFiles, createConversionTask } from '../conversionRegistry.js';
+import logger from '../../utils/logger.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const removeUpload = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+    logger.info(`Cleaned up file: ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to cleanup file ${filePath}: ${error.message}`);
+    }
+  }
+};
+
+const removeUploads = (job) => (
+  Promise.all(getUploadedFiles(job.inputFile.path, job.options).map(removeUpload))
+);
+
+/**
+ * Run a stored job again from its record
+ */
+const resumeJob = (manager, job) => {
+  const inputPath = job.inputFile.path;
+  const task = createConversionTask({
+    source: job.sourceFormat,
+    target: job.targetFormat,
+    inputPath,
+    inputFilename: job.inputFile.originalname,
+    options: job.options
+  });
+
+  manager.execute(job, task).catch(() => removeUploads(job));
+};
+
+/**
+ * Load the job store and re-queue or fail interrupted jobs
+ * @returns {Promise<{ requeued: number, failed: number }>}
+ */
+export const recoverInterruptedJobs = async (manager = jobManager) => {
+  const interrupted = await manager.initialize();
+  const summary = { requeued: 0, failed: 0 };
+
+  for (const job of interrupted) {
+    const resumable = job.options?.async === true
+      && job.attempts < MAX_ATTEMPTS
+      && getConverter(job.sourceFormat, job.targetFormat) !== null
+      && (await Promise.all(getUploadedFiles(job.inputFile.path, job.options).map(fileExists))).every(Boolean);
+
+    if (resumable) {
+      manager.updateJob(job, {
+        status: JOB_STATUS.QUEUED,
+        queuePosition: null,
+        progress: null,
+        startedAt: null
+      });
+      logger.info(`Re-queued interrupted job: ${job.id} (attempt ${job.attempts + 1}/${MAX_ATTEMPTS})`);
+      resumeJob(manager, job);
+      summary.requeued++;
+    } else {
+      manager.updateJob(job, {
+        status: JOB_STATUS.FAILED,
+        queuePosition: null,
+        error: { message: 'Conversion interrupted by a server restart' },
+        finishedAt: new Date().toISOString()
+      });
+      logger.warn(`Interrupted job marked failed: ${job.id}`);
+      await removeUploads(job);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  recoverInterruptedJobs
+};
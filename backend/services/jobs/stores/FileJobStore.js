@@ -0,0 +1,39 @@
+/**
+ * FileJobStore - Embedded job store backed by a JSON file
+ *
+ * Default store. All records are kept in memory and written to a single
+ * JSON file on every change (atomic, coalesced writes; see JsonFileStore).
+ */
+
+import { JsonFileStore } from '../../../utils/jsonFileStore.js';
+
+export class FileJobStore extends JsonFileStore {
+  constructor({ filePath }) {
+    super({ filePath, name: 'job records' });
+  }
+
+  /**
+   * Read all job records from disk
+   */
+  async load() {
+    await this.readFile();
+    return this.values();
+  }
+
+  async save(job) {
+    this.records.set(job.id, structuredClone(job));
+    await this.flush();
+  }
+
+  async remove(jobId) {
+    if (this.records.delete(jobId)) {
+      await this.flush();
+    }
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+export default FileJobStore;
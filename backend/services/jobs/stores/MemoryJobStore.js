@@ -0,0 +1,28 @@
+/**
+ * MemoryJobStore - Non-durable job store
+ *
+ * Keeps job records in process memory only. Used by tests and when
+ * JOB_STORE=memory; records are lost on restart.
+ */
+
+export class MemoryJobStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load() {
+    return [...this.records.values()].map(record => structuredClone(record));
+  }
+
+  async save(job) {
+    this.records.set(job.id, structuredClone(job));
+  }
+
+  async remove(jobId) {
+    this.records.delete(jobId);
+  }
+
+  async close() {}
+}
+
+export default MemoryJobStore;
@@ -0,0 +1,99 @@
+/**
+ * RedisJobStore - Job store backed by Redis
+ *
+ * Optional store (JOB_STORE=redis). Each record is a JSON string under
+ * `<prefix>job:<id>`; the set `<prefix>jobs` indexes all job IDs.
+ * Requires the optional `redis` package.
+ */
+
+import logger from '../../../utils/logger.js';
+
+export class RedisJobStore {
+  constructor({ url, keyPrefix = 'atomix:' }) {
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    // Promise of the connected client, created on first use
+    this.client = null;
+  }
+
+  jobKey(jobId) {
+    return `${this.keyPrefix}job:${jobId}`;
+  }
+
+  get indexKey() {
+    return `${this.keyPrefix}jobs`;
+  }
+
+  /**
+   * Connect on first use (concurrent callers share one connection attempt)
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = this.connect().catch((error) => {
+        this.client = null;
+        throw error;
+      });
+    }
+
+    return this.client;
+  }
+
+  async connect() {
+    const { createClient } = await import('redis');
+    const client = createClient({ url: this.url });
+
+    client.on('error', (error) => {
+      logger.error(`Redis job store error: ${error.message}`);
+    });
+
+    await client.connect();
+    logger.info(`Connected to Redis job store at ${this.url}`);
+
+    return client;
+  }
+
+  async load() {
+    const client = await this.getClient();
+    const jobIds = await client.sMembers(this.indexKey);
+
+    if (jobIds.length === 0) {
+      return [];
+    }
+
+    const values = await client.mGet(jobIds.map(jobId => this.jobKey(jobId)));
+
+    return values
+      .filter(Boolean)
+      .map(value => JSON.parse(value));
+  }
+
+  async save(job) {
+    const client = await this.getClient();
+
+    await client
+      .multi()
+      .set(this.jobKey(job.id), JSON.stringify(job))
+      .sAdd(this.indexKey, job.id)
+      .exec();
+  }
+
+  async remove(jobId) {
+    const client = await this.getClient();
+
+    await client
+      .multi()
+      .del(this.jobKey(jobId))
+      .sRem(this.indexKey, jobId)
+      .exec();
+  }
+
+  async close() {
+    if (this.client) {
+      const client = await this.client;
+      this.client = null;
+      await client.quit();
+    }
+  }
+}
+
+export default RedisJobStore;
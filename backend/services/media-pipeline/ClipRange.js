@@ -0,0 +1,205 @@
+/**
+ * ClipRange - Convert part of the input (start, end, duration)
+ *
+ * Times are seconds ('90', '12.5') or timecodes ('01:30', '00:01:30.250').
+ * A clip starts at start (default 0) and ends at end or start + duration
+ * (default: the end of the input); end and duration are exclusive. The
+ * range is checked against the ffprobe duration of the input.
+ *
+ * The start is an input seek (-ss before -i), the clip length an output
+ * limit (-t):
+ * - re-encoded video: FFmpeg decodes from the keyframe before the start
+ *   and drops the frames up to it, so the cut is frame-accurate
+ * - copied video (remux): packets cannot be split, so the clip starts at
+ *   the keyframe at or before the start without decoding anything (fast);
+ *   -avoid_negative_ts make_zero starts the output timestamps at 0.
+ *   remux=false cuts a compatible source frame-accurately.
+ */
+
+/**
+ * Seconds or [[HH:]MM:]SS timecode, with optional fractions
+ */
+export const TIME_PATTERN = /^(\d+(\.\d+)?|(\d+:)?[0-5]?\d:[0-5]\d(\.\d+)?)$/;
+
+/**
+ * Options ClipRange adds to FFmpeg arguments (replaced as a whole)
+ */
+const CLIP_OPTIONS = ['-ss', '-t', '-avoid_negative_ts'];
+
+/**
+ * Seconds as an FFmpeg time value (millisecond precision)
+ */
+const toArg = (seconds) => String(Number(seconds.toFixed(3)));
+
+/**
+ * Whether a clip was requested
+ */
+const hasClipOptions = (options) => (
+  [options.start, options.end, options.duration].some(value => value !== undefined && value !== null)
+);
+
+export class ClipRange {
+  /**
+   * Seconds of a time ('90', '01:30', '00:01:30.250'), or null if invalid
+   */
+  static parseTime(time) {
+    const value = String(time ?? '').trim();
+    if (!TIME_PATTERN.test(value)) {
+      return null;
+    }
+
+    return value.split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+  }
+
+  /**
+   * Why a clip range is invalid, checked against the input duration
+   * (only the range itself when the duration is unknown)
+   * @param {object} options - { start, end, duration } as requested
+   * @param {number|string|null} inputDuration - ffprobe format.duration
+   * @returns {Array<object>} [{ field, message }], empty if valid
+   */
+  static validate(options, inputDuration = null) {
+    const errors = [];
+    const total = parseFloat(inputDuration);
+    const known = total > 0;
+    const seconds = `${known ? Number(total.toFixed(3)) : ''}s`;
+
+    for (const field of ['start', 'end', 'duration']) {
+      if (options[field] !== undefined && options[field] !== null && this.parseTime(options[field]) === null) {
+        errors.push({ field, message: `${field} must be seconds or a timecode (90, 01:30, 00:01:30.250)` });
+      }
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const start = options.start != null ? this.parseTime(options.start) : 0;
+    const end = options.end != null ? this.parseTime(options.end) : null;
+    const duration = options.duration != null ? this.parseTime(options.duration) : null;
+
+    if (end !== null && duration !== null) {
+      errors.push({ field: 'duration', message: 'Duration cannot be combined with end' });
+    }
+    if (known && start >= total) {
+      errors.push({ field: 'start', message: `Start ${options.start} is not before the end of the input (${seconds})` });
+    }
+    if (end !== null && end <= start) {
+      errors.push({ field: 'end', message: `End ${options.end} must be after start ${options.start ?? 0}` });
+    } else if (known && end !== null && end > total) {
+      errors.push({ field: 'end', message: `End ${options.end} is beyond the input duration of ${seconds}` });
+    }
+    if (duration !== null && duration <= 0) {
+      errors.push({ field: 'duration', message: 'Duration must be greater than 0' });
+    } else if (known && duration !== null && start < total && start + duration > total) {
+      errors.push({ field: 'duration', message: `Duration ${options.duration} from ${options.start ?? 0} is beyond the input duration of ${seconds}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Clip of a conversion in seconds, or null when the whole input is converted
+   * @param {object} options - Conversion options (start, end, duration)
+   * @param {number|string|null} inputDuration - ffprobe format.duration
+   * @returns {object|null} { start, end, duration, untilEnd } - end and
+   *                        duration are null when the input duration is
+   *                        unknown, untilEnd when no end or duration was set
+   * @throws {Error} If the range is invalid
+   */
+  static resolve(options = {}, inputDuration = null) {
+    if (!hasClipOptions(options)) {
+      return null;
+    }
+
+    const errors = this.validate(options, inputDuration);
+    if (errors.length > 0) {
+      throw new Error(`Invalid clip range: ${errors.map(error => error.message).join(', ')}`);
+    }
+
+    const total = parseFloat(inputDuration) || null;
+    const start = options.start != null ? this.parseTime(options.start) : 0;
+    let end = total;
+    if (options.end != null) {
+      end = this.parseTime(options.end);
+    } else if (options.duration != null) {
+      end = start + this.parseTime(options.duration);
+    }
+
+    return {
+      start,
+      end,
+      duration: end !== null ? Number((end - start).toFixed(3)) : null,
+      untilEnd: options.end == null && options.duration == null
+    };
+  }
+
+  /**
+   * Conversion options of a step reading an already trimmed file (its
+   * timestamps start at 0, so e.g. subtitles need no offset)
+   */
+  static omit({ start, end, duration, ...options } = {}) {
+    return options;
+  }
+
+  /**
+   * Length converted (seconds): the clip, or the whole input
+   */
+  static getDuration(options = {}, inputDuration = null) {
+    try {
+      return this.resolve(options, inputDuration)?.duration ?? inputDuration;
+    } catch {
+      return inputDuration;
+    }
+  }
+
+  /**
+   * How a step cuts: keyframe when it copies the video, else accurate
+   */
+  static getMode(args) {
+    const option = (name) => {
+      const index = args.lastIndexOf(name);
+      return index === -1 ? null : args[index + 1];
+    };
+
+    return option('-c') === 'copy' || option('-c:v') === 'copy' ? 'keyframe' : 'accurate';
+  }
+
+  /**
+   * Trim FFmpeg arguments to a clip: -ss before the input, -t before the
+   * output path. Clip options already in the arguments are replaced, a
+   * null clip removes them (steps that read an already trimmed file).
+   */
+  static apply(args, clip) {
+    const result = [];
+
+    // The output path (last) is kept as it is
+    for (let index = 0; index < args.length; index++) {
+      if (index < args.length - 1 && CLIP_OPTIONS.includes(args[index])) {
+        index++;
+      } else {
+        result.push(args[index]);
+      }
+    }
+
+    if (!clip) {
+      return result;
+    }
+
+    if (clip.start > 0) {
+      result.splice(result.indexOf('-i'), 0, '-ss', toArg(clip.start));
+    }
+
+    const output = [];
+    if (!clip.untilEnd) {
+      output.push('-t', toArg(clip.duration));
+    }
+    if (this.getMode(result) === 'keyframe') {
+      output.push('-avoid_negative_ts', 'make_zero');
+    }
+    result.splice(result.length - 1, 0, ...output);
+
+    return result;
+  }
+}
+
+export default ClipRange;
@@ -1,13 +1,35 @@
 /**
  * ConversionPipeline - Orchestrates media conversion workflow
  * 
- * Coordinates all pipeline stages:
- * 1. Pre-encoding validation (MediaValidator)
+ * Coordinates all pipeline stages for every output format:
+ * 1. Pre-encoding validation (MediaValidator; a requested clip must lie
+ *    within the probed duration, see ClipRange, a crop within the probed
+ *    frame, see VideoTransform, a watermark window within the output,
+ *    see Watermark, and the subtitle style, see Subtitles)
  * 2. Format capability check (FormatCapabilityMatrix)
- * 3. Resolution normalization (ResolutionNormalizer)
- * 4. Profile selection (EncodingProfileManager)
- * 5. FFmpeg execution
- * 6. Error abstraction (user-friendly errors)
+ * 3. Resolution normalization (ResolutionNormalizer; of the displayed
+ *    frame of rotated phone footage, and of the transformed frame when it
+ *    is cropped, rotated or padded)
+ * 4. Frame rate and pixel format normalization (FrameNormalizer)
+ * 5. Encoding settings (StreamCopyAnalyzer decides which streams are
+ *    copied unchanged; the rest is encoded with an EncodingProfileManager
+ *    profile, or the target's quality preset when no profile applies
+ *    or a quality was requested (profiles are then only used by name),
+ *    at the requested rate control (services/rateControl.js);
+ *    passes=2 encodes to the bitrate target in two passes, targetSize
+ *    sets the bitrate from the size and duration; subtitles are burned
+ *    in and a watermark is drawn last, sized to the normalized output
+ *    frame)
+ * 6. FFmpeg execution (a single pass; replanned through a lossless
+ *    intermediate when the single pass hits a real incompatibility; a
+ *    target size output that came out too large is encoded once more;
+ *    intermediates, passlogs and the output are written to the temp
+ *    directory, which is not served, and the output is moved to the
+ *    outputs directory once it is complete)
+ * 7. Error abstraction (user-friendly errors)
+ * 
+ * Formats are lowercase here (e.g. 'mpeg'), as in the other
+ * media-pipeline modules.
  * 
  * Industry pattern: ETL (Extract-Transform-Load) for media
  */
@@ -15,173 +37,544 @@
 import { MediaValidator } from './MediaValidator.js';
 import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
 import { ResolutionNormalizer } from './ResolutionNormalizer.js';
+import { FrameNormalizer } from './FrameNormalizer.js';
 import { EncodingProfileManager } from './EncodingProfileManager.js';
-import { spawn } from 'child_process';
-import { FFMPEG_CONFIG } from '../../config/ffmpeg.js';
+import { StreamCopyAnalyzer } from './StreamCopyAnalyzer.js';
+import { FileSizeTarget } from './FileSizeTarget.js';
+import { ClipRange } from './ClipRange.js';
+import { VideoTransform } from './VideoTransform.js';
+import { Subtitles } from './Subtitles.js';
+import { Watermark } from './Watermark.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { conversionScheduler } from '../jobs/ConversionScheduler.js';
+import { FFMPEG_CONFIG, PATHS } from '../../config/ffmpeg.js';
+import { describeRateControl, readRateControl, resolveRateControl, applyRateControl } from '../rateControl.js';
+import {
+  INTERMEDIATE_FORMAT,
+  buildConversionSteps,
+  buildStepArgs,
+  createTempPath,
+  applyResolution,
+  applyFrameNormalization,
+  applyStreamCopy,
+  applyBitrate,
+  getTwoPassTarget,
+  describeInput,
+  describeOutput
+} from '../conversionPlanner.js';
+import { buildProgress, withStep } from '../../utils/ffmpegProgress.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * FFmpeg errors of a single pass that a lossless intermediate works
+ * around: timestamps or stream parameters the target muxer rejects and
+ * broken source packets (the intermediate regenerates timestamps and
+ * hands the encoder a clean stream)
+ */
+const INTERMEDIATE_FALLBACK_ERRORS = [
+  /non monotonically increasing dts/i,
+  /Could not write header/i,
+  /incompatible with output codec id/i,
+  /Error while decoding stream/i,
+  /Invalid data found when processing input/i
+];
+
+/**
+ * Stage names, in order (stage number = index + 1)
+ */
+export const PIPELINE_STAGES = [
+  'Validation',
+  'Capability Check',
+  'Resolution Normalization',
+  'Frame Normalization',
+  'Profile Selection',
+  'FFmpeg Execution'
+];
+
 export class ConversionPipeline {
   /**
-   * Execute full conversion pipeline
+   * Run stages 1-5 and build the FFmpeg steps without encoding
+   * @param {Object} params.validation - Result of MediaValidator.validate, if already run
+   * @param {boolean} params.intermediate - Plan through the lossless intermediate
+   * @param {number} params.videoBitrate - Corrected video bitrate (kbps) of a target size retry
+   * @param {Object} params.pipelineLog - Stage results are appended here
+   * @returns {Promise<{ validation, clip, transform, subtitles, watermark, normalization, frameNormalization, streams, profile, passes, sizeTarget, intermediate, steps, finalResolution, finalFrameRate, finalPixelFormat, stages }>}
    */
-  static async execute({
+  static async plan({
     inputPath,
     outputPath,
+    sourceFormat,
     targetFormat,
     profile = null,
-    options = {}
+    options = {},
+    validation = null,
+    intermediate = false,
+    videoBitrate = null,
+    pipelineLog = { stages: [] }
   }) {
-    const pipelineLog = {
-      stages: [],
-      startTime: Date.now(),
-      inputPath,
-      outputPath,
-      targetFormat
-    };
+    const target = targetFormat.toUpperCase();
+
+    // ============================================================
+    // STAGE 1: PRE-ENCODING VALIDATION
+    // ============================================================
+    pipelineLog.currentStage = 1;
+    const validationStart = Date.now();
+    logger.info('[Pipeline] Stage 1/6: Validating input file...', { inputPath });
+    
+    validation = validation || await MediaValidator.validate(inputPath, targetFormat);
+
+    // A requested clip must lie within the probed duration
+    const clipErrors = validation.valid
+      ? ClipRange.validate(options, validation.metadata.format?.duration).map(error => error.message)
+      : [];
+    const clip = validation.valid && clipErrors.length === 0
+      ? ClipRange.resolve(options, validation.metadata.format?.duration)
+      : null;
+
+    // A requested crop must lie within the probed frame
+    const transformErrors = validation.valid
+      ? VideoTransform.validate(options, validation.metadata).map(error => error.message)
+      : [];
+
+    // A watermark window must start within the output
+    const watermarkErrors = validation.valid
+      ? Watermark.validate(options, ClipRange.getDuration(options, validation.metadata.format?.duration))
+        .map(error => error.message)
+      : [];
+
+    // Subtitle style overrides must be in range
+    const subtitleErrors = validation.valid
+      ? Subtitles.validate(options).map(error => error.message)
+      : [];
+
+    pipelineLog.stages.push({
+      stage: 1,
+      name: 'Validation',
+      duration: Date.now() - validationStart,
+      result: {
+        valid: validation.valid && [clipErrors, transformErrors, watermarkErrors, subtitleErrors].every(errors => errors.length === 0),
+        errors: [...validation.errors, ...clipErrors, ...transformErrors, ...watermarkErrors, ...subtitleErrors],
+        warnings: validation.warnings,
+        ...(clip && { clip })
+      }
+    });
 
-    try {
-      // ============================================================
-      // STAGE 1: PRE-ENCODING VALIDATION
-      // ============================================================
-      const validationStart = Date.now();
-      logger.info('[Pipeline] Stage 1/5: Validating input file...', { inputPath });
-      
-      const validation = await MediaValidator.validate(inputPath);
-      
-      pipelineLog.stages.push({
-        stage: 1,
-        name: 'Validation',
-        duration: Date.now() - validationStart,
-        result: validation
-      });
+    if (!validation.valid) {
+      throw new Error(
+        `Validation failed: ${validation.errors.join(', ')}`
+      );
+    }
 
-      if (!validation.isValid) {
-        throw new Error(
-          `Validation failed: ${validation.errors.join(', ')}`
-        );
-      }
+    if (clipErrors.length > 0) {
+      throw new Error(`Invalid clip range: ${clipErrors.join(', ')}`);
+    }
 
-      logger.info(`[Pipeline] ✓ Validation passed (${validation.duration}ms)`);
+    if (transformErrors.length > 0) {
+      throw new Error(`Invalid transform: ${transformErrors.join(', ')}`);
+    }
 
-      // ============================================================
-      // STAGE 2: FORMAT CAPABILITY CHECK
-      // ============================================================
-      const capabilityStart = Date.now();
-      logger.info('[Pipeline] Stage 2/5: Checking format capabilities...', { targetFormat });
-      
-      const capabilities = FormatCapabilityMatrix.getCapabilities(targetFormat);
-      
-      if (!capabilities) {
-        throw new Error(`Unsupported target format: ${targetFormat}`);
+    if (watermarkErrors.length > 0) {
+      throw new Error(`Invalid watermark: ${watermarkErrors.join(', ')}`);
+    }
+
+    if (subtitleErrors.length > 0) {
+      throw new Error(`Invalid subtitles: ${subtitleErrors.join(', ')}`);
+    }
+
+    logger.info(`[Pipeline] ✓ Validation passed (${Date.now() - validationStart}ms)`);
+
+    // ============================================================
+    // STAGE 2: FORMAT CAPABILITY CHECK
+    // ============================================================
+    pipelineLog.currentStage = 2;
+    const capabilityStart = Date.now();
+    logger.info('[Pipeline] Stage 2/6: Checking format capabilities...', { targetFormat });
+    
+    const capabilities = FormatCapabilityMatrix.getEncodingConstraints(targetFormat);
+    const videoStream = validation.metadata.streams.find(
+      s => s.codec_type === 'video'
+    );
+
+    if (!videoStream) {
+      throw new Error('No video stream found');
+    }
+
+    // Codec, resolution and frame rate fit of the source
+    const compatibility = MediaValidator.checkCompatibility(validation.metadata, targetFormat);
+
+    pipelineLog.stages.push({
+      stage: 2,
+      name: 'Capability Check',
+      duration: Date.now() - capabilityStart,
+      result: {
+        capabilitiesKnown: capabilities !== null,
+        ...compatibility
       }
+    });
 
-      // Check if resolution is supported
-      const videoStream = validation.metadata.streams.find(
-        s => s.codec_type === 'video'
-      );
-      
-      const resolutionSupported = FormatCapabilityMatrix.isResolutionSupported(
-        targetFormat,
-        videoStream.width,
-        videoStream.height
+    logger.info('[Pipeline] ✓ Format capabilities checked');
+
+    // ============================================================
+    // STAGE 3: RESOLUTION NORMALIZATION
+    // ============================================================
+    pipelineLog.currentStage = 3;
+    const normalizationStart = Date.now();
+    logger.info('[Pipeline] Stage 3/6: Normalizing resolution...');
+
+    // Crop, rotate, flip and pad come first: the transformed frame is
+    // what has to fit the target format
+    const transform = VideoTransform.resolve(options, validation.metadata);
+    const frameMetadata = VideoTransform.getFrameMetadata(validation.metadata, transform);
+
+    let normalization;
+    if (capabilities) {
+      const result = ResolutionNormalizer.normalize(frameMetadata, targetFormat);
+      normalization = {
+        needed: result.needsNormalization,
+        reason: result.reason,
+        original: result.originalResolution,
+        target: result.targetResolution,
+        warnings: result.warnings
+      };
+    } else {
+      // Without constraints the preset builder's own scaling applies
+      normalization = {
+        needed: false,
+        reason: `No capability data for ${target}`,
+        original: VideoTransform.getFrameSize(frameMetadata),
+        target: null,
+        warnings: []
+      };
+    }
+
+    pipelineLog.stages.push({
+      stage: 3,
+      name: 'Resolution Normalization',
+      duration: Date.now() - normalizationStart,
+      result: { ...normalization, ...(transform && { transform }) }
+    });
+
+    if (transform) {
+      logger.info(`[Pipeline] ⚠ Frame transformed: ${VideoTransform.describe(transform)}`);
+    }
+    if (MediaValidator.getRotation(videoStream)) {
+      logger.info(`[Pipeline] Source is rotated ${MediaValidator.getRotation(videoStream)}°, normalizing its displayed frame`);
+    }
+
+    if (normalization.needed) {
+      logger.info(
+        `[Pipeline] ⚠ Resolution adjusted: ${normalization.original.width}x${normalization.original.height} → ${normalization.target.width}x${normalization.target.height}`
       );
+    } else {
+      logger.info('[Pipeline] ✓ Resolution compatible (no adjustment needed)');
+    }
 
-      pipelineLog.stages.push({
-        stage: 2,
-        name: 'Capability Check',
-        duration: Date.now() - capabilityStart,
-        result: {
-          capabilities,
-          resolutionSupported
-        }
-      });
+    // ============================================================
+    // STAGE 4: FRAME RATE AND PIXEL FORMAT NORMALIZATION
+    // ============================================================
+    pipelineLog.currentStage = 4;
+    const frameStart = Date.now();
+    logger.info('[Pipeline] Stage 4/6: Normalizing frame rate and pixel format...');
 
-      logger.info('[Pipeline] ✓ Format capabilities checked');
+    const frameNormalization = FrameNormalizer.normalize(validation.metadata, targetFormat);
 
-      // ============================================================
-      // STAGE 3: RESOLUTION NORMALIZATION
-      // ============================================================
-      const normalizationStart = Date.now();
-      logger.info('[Pipeline] Stage 3/5: Normalizing resolution...');
-      
-      const normalization = ResolutionNormalizer.normalize(
-        validation.metadata,
-        targetFormat
+    pipelineLog.stages.push({
+      stage: 4,
+      name: 'Frame Normalization',
+      duration: Date.now() - frameStart,
+      result: frameNormalization
+    });
+
+    if (frameNormalization.frameRate.needed || frameNormalization.pixelFormat.needed) {
+      logger.info(
+        `[Pipeline] ⚠ Frame adjusted: ${frameNormalization.frameRate.original} fps ${frameNormalization.pixelFormat.original} → ${frameNormalization.frameRate.target} fps ${frameNormalization.pixelFormat.target}`
       );
+    } else {
+      logger.info('[Pipeline] ✓ Frame rate and pixel format compatible (no adjustment needed)');
+    }
 
-      pipelineLog.stages.push({
-        stage: 3,
-        name: 'Resolution Normalization',
-        duration: Date.now() - normalizationStart,
-        result: normalization
-      });
+    // ============================================================
+    // STAGE 5: ENCODING SETTINGS (PROFILE OR QUALITY PRESET)
+    // ============================================================
+    pipelineLog.currentStage = 5;
+    const profileStart = Date.now();
+    logger.info('[Pipeline] Stage 5/6: Selecting encoding profile...');
+
+    const streams = StreamCopyAnalyzer.analyze({
+      metadata: validation.metadata,
+      targetFormat,
+      sourceFormat,
+      normalization,
+      frameNormalization,
+      transform,
+      subtitles: Subtitles.resolve(options),
+      watermark: Watermark.resolve(options),
+      options,
+      profile,
+      intermediate
+    });
+
+    // Nothing to encode when every stream is copied. A requested quality
+    // preset is used as it is, so profiles are then only used by name.
+    const selectedProfile = streams.remux
+      ? null
+      : EncodingProfileManager.selectProfile(frameMetadata, targetFormat, profile ?? (options.quality ? 'none' : null));
+    const quality = options.quality || 'medium';
+    const resolutionOverride = normalization.needed ? normalization.target : null;
+    // Fixed frame sizes (3GP, 3G2) are padded instead of stretched
+    const padded = Boolean(capabilities?.standardResolutions);
+
+    let encoding = { type: 'preset', quality };
+    if (streams.remux) {
+      encoding = { type: 'copy' };
+    } else if (selectedProfile) {
+      encoding = { type: 'profile', profileId: selectedProfile.profileId, description: selectedProfile.description };
+    }
 
-      if (normalization.adjusted) {
-        logger.info(
-          `[Pipeline] ⚠ Resolution adjusted: ${normalization.original.width}x${normalization.original.height} → ${normalization.normalized.width}x${normalization.normalized.height}`
+    if (streams.remux) {
+      logger.info('[Pipeline] ✓ All streams compatible, remuxing without re-encoding');
+    } else if (selectedProfile) {
+      logger.info(`[Pipeline] ✓ Profile selected: ${selectedProfile.profileId} (${selectedProfile.description})`);
+    } else if (profile === 'none') {
+      logger.info(`[Pipeline] ✓ Profiles disabled, using the ${quality} quality preset`);
+    } else if (options.quality) {
+      logger.info(`[Pipeline] ✓ Using the requested ${quality} quality preset`);
+    } else {
+      logger.info(`[Pipeline] ✓ No profile for ${target}, using the ${quality} quality preset`);
+    }
+
+    // The last step encodes with the profile, or with the preset and
+    // the normalized resolution, then with the transform ahead of the
+    // scaling and the normalized frame rate and pixel format (where the
+    // profile or preset does not set them). The subtitles are burned in
+    // and the watermark is drawn last, sized to the final frame. Copied
+    // streams then drop their encoder settings. A step reading the trimmed
+    // intermediate gets the options without the clip.
+    const buildEncodeArgs = (stepInputPath, stepOutputPath, stepMetadata, stepOptions = options) => {
+      let args;
+
+      if (selectedProfile) {
+        args = EncodingProfileManager.buildFFmpegArgsFromProfile(
+          selectedProfile,
+          stepInputPath,
+          stepOutputPath,
+          resolutionOverride
         );
+        // The requested rate control replaces the profile's own
+        if (options.customBitrate || options.rateControl) {
+          args = applyRateControl(args, resolveRateControl(describeRateControl(selectedProfile.video), options));
+        }
       } else {
-        logger.info('[Pipeline] ✓ Resolution compatible (no adjustment needed)');
+        // The preset's watermark and subtitles are drawn again once the frame is final
+        args = Subtitles.apply(
+          Watermark.apply(buildStepArgs(target, stepInputPath, stepOutputPath, { ...stepOptions, metadata: stepMetadata }), null),
+          null
+        );
+        args = resolutionOverride ? applyResolution(args, resolutionOverride, { pad: padded }) : args;
       }
 
-      // ============================================================
-      // STAGE 4: PROFILE SELECTION
-      // ============================================================
-      const profileStart = Date.now();
-      logger.info('[Pipeline] Stage 4/5: Selecting encoding profile...');
-      
-      const selectedProfile = EncodingProfileManager.selectProfile(
-        validation.metadata,
+      args = VideoTransform.apply(args, transform);
+      args = applyFrameNormalization(args, frameNormalization);
+      args = Subtitles.apply(args, Subtitles.resolve(stepOptions));
+      args = Watermark.apply(args, Watermark.resolve(
+        options,
+        describeOutput(args, describeInput(targetFormat, stepMetadata)).resolution
+      ));
+      return applyStreamCopy(args, streams);
+    };
+
+    // A target size sets the video bitrate of the final encode (spread
+    // over the clip when only part of the input is converted)
+    const sizeTarget = options.targetSize
+      ? FileSizeTarget.plan({
+        targetSize: options.targetSize,
+        metadata: clip
+          ? { ...validation.metadata, format: { ...validation.metadata.format, duration: clip.duration } }
+          : validation.metadata,
         targetFormat,
-        profile
-      );
+        args: buildEncodeArgs(inputPath, outputPath, validation.metadata),
+        videoBitrate
+      })
+      : null;
+    const buildFinalArgs = sizeTarget
+      ? (...stepArgs) => applyBitrate(buildEncodeArgs(...stepArgs), sizeTarget.videoBitrate)
+      : buildEncodeArgs;
+
+    // Two passes need a bitrate target: the target size, customBitrate
+    // or the -b:v of a bitrate-driven preset or profile
+    const finalArgs = buildFinalArgs(inputPath, outputPath, validation.metadata);
+    const requestedPasses = sizeTarget ? 2 : options.passes || 1;
+    const twoPass = requestedPasses === 2 ? getTwoPassTarget(finalArgs) : null;
+    const passes = {
+      requested: requestedPasses,
+      applied: twoPass?.passes || 1,
+      bitrate: twoPass?.bitrate || null,
+      reason: twoPass?.reason || null
+    };
+    const rateControl = streams.video.action === 'copy' ? null : readRateControl(finalArgs);
 
-      if (!selectedProfile) {
-        throw new Error(
-          `Could not select appropriate encoding profile for ${targetFormat}`
-        );
-      }
+    pipelineLog.stages.push({
+      stage: 5,
+      name: 'Profile Selection',
+      duration: Date.now() - profileStart,
+      result: { ...encoding, rateControl, passes, ...(sizeTarget && { targetSize: sizeTarget }), streams }
+    });
 
-      pipelineLog.stages.push({
-        stage: 4,
-        name: 'Profile Selection',
-        duration: Date.now() - profileStart,
-        result: {
-          profileId: selectedProfile.profileId,
-          description: selectedProfile.description
-        }
-      });
+    if (passes.applied === 2) {
+      logger.info(`[Pipeline] ✓ ${passes.reason}`);
+    } else if (twoPass) {
+      logger.warn(`[Pipeline] ⚠ Encoding in a single pass: ${passes.reason}`);
+    }
 
-      logger.info(
-        `[Pipeline] ✓ Profile selected: ${selectedProfile.profileId} (${selectedProfile.description})`
-      );
+    const steps = buildConversionSteps({
+      source: sourceFormat.toUpperCase(),
+      target,
+      inputPath,
+      outputPath,
+      options,
+      metadata: validation.metadata,
+      buildFinalArgs,
+      intermediate,
+      twoPass: passes.applied === 2 ? { bitrate: passes.bitrate } : null
+    });
+
+    return {
+      validation,
+      // Steps reading the upload cut the clip (keyframe cut when they copy the video)
+      clip: clip && { ...clip, mode: ClipRange.getMode(steps[0].args) },
+      transform,
+      // Timed against the file the last step reads
+      subtitles: Subtitles.resolve(intermediate ? ClipRange.omit(options) : options),
+      // Sized to the final frame, as drawn by the last step
+      watermark: Watermark.resolve(options, steps[steps.length - 1].output.resolution),
+      normalization,
+      frameNormalization,
+      streams,
+      profile: selectedProfile,
+      rateControl,
+      passes,
+      sizeTarget,
+      intermediate,
+      steps,
+      finalResolution: steps[steps.length - 1].output.resolution,
+      finalFrameRate: steps[steps.length - 1].output.frameRate,
+      finalPixelFormat: steps[steps.length - 1].output.pixelFormat,
+      stages: pipelineLog.stages
+    };
+  }
+
+  /**
+   * Execute full conversion pipeline
+   * @returns {Promise<object>} { success, outputPath, metadata, steps, profile, clip, transform, subtitles, watermark, passes, size, streams, adjustments, pipeline }
+   * @throws {Error} User-friendly message, with stage, technical and pipeline (stage log) properties
+   */
+  static async execute({
+    inputPath,
+    outputPath,
+    sourceFormat,
+    targetFormat,
+    profile = null,
+    options = {}
+  }) {
+    const pipelineLog = {
+      stages: [],
+      startTime: Date.now(),
+      targetFormat
+    };
+    const intermediates = [];
+    const passlogs = [];
+    // FFmpeg writes into the temp directory, the complete output is then
+    // moved to outputPath (served while it is being written otherwise)
+    const encodePath = createTempPath(targetFormat.toUpperCase());
+
+    try {
+      let plan = await this.plan({
+        inputPath,
+        outputPath: encodePath,
+        sourceFormat,
+        targetFormat,
+        profile,
+        options,
+        pipelineLog
+      });
 
       // ============================================================
-      // STAGE 5: FFMPEG EXECUTION
+      // STAGE 6: FFMPEG EXECUTION
       // ============================================================
+      pipelineLog.currentStage = 6;
       const conversionStart = Date.now();
-      logger.info('[Pipeline] Stage 5/5: Executing FFmpeg conversion...');
-      
-      // Build FFmpeg arguments from profile
-      const ffmpegArgs = EncodingProfileManager.buildFFmpegArgsFromProfile(
-        selectedProfile,
-        inputPath,
-        outputPath,
-        normalization.adjusted ? normalization.normalized : null
-      );
+      logger.info('[Pipeline] Stage 6/6: Executing FFmpeg conversion...');
+
+      // Stages 1-5 are reported for the plan that was run
+      const replan = async (overrides) => {
+        const replanLog = { stages: [] };
+        plan = await this.plan({
+          inputPath,
+          outputPath: encodePath,
+          sourceFormat,
+          targetFormat,
+          profile,
+          options,
+          validation: plan.validation,
+          intermediate: plan.intermediate,
+          pipelineLog: replanLog,
+          ...overrides
+        });
+        pipelineLog.stages = replanLog.stages;
+        pipelineLog.currentStage = 6;
+      };
 
-      logger.debug('[Pipeline] FFmpeg args:', { args: ffmpegArgs.join(' ') });
+      await fs.mkdir(PATHS.temp, { recursive: true });
+
+      let fallback = null;
+      let stepResults;
+      try {
+        stepResults = await this.executeSteps(plan, { outputPath: encodePath, options, intermediates, passlogs });
+      } catch (error) {
+        const incompatibility = this.findIncompatibility(error);
+        if (!incompatibility || plan.intermediate || options.signal?.aborted) {
+          throw error;
+        }
+
+        logger.warn(`[Pipeline] ⚠ Single pass failed (${incompatibility}), converting through a lossless ${INTERMEDIATE_FORMAT} intermediate`);
+        fallback = { intermediateFormat: INTERMEDIATE_FORMAT, reason: incompatibility };
+
+        await replan({ intermediate: true });
+        stepResults = await this.executeSteps(plan, { outputPath: encodePath, options, intermediates, passlogs });
+      }
 
-      // Execute FFmpeg
-      const conversionResult = await this.executeFFmpeg(ffmpegArgs);
+      // A target size output that came out too large is encoded once
+      // more, at a bitrate corrected by how far it missed
+      let size = null;
+      if (plan.sizeTarget) {
+        size = { ...FileSizeTarget.verify(plan.sizeTarget, (await fs.stat(encodePath)).size), attempts: 1 };
+
+        if (!size.met) {
+          const corrected = FileSizeTarget.correct(plan.sizeTarget, size.achieved);
+          logger.warn(`[Pipeline] ⚠ Output is ${size.achieved} bytes, above the ${size.bytes} byte target, encoding again at ${corrected}k`);
+
+          await replan({ videoBitrate: corrected });
+          stepResults.push(...await this.executeSteps(plan, { outputPath: encodePath, options, intermediates, passlogs }));
+          size = { ...FileSizeTarget.verify(plan.sizeTarget, (await fs.stat(encodePath)).size), attempts: 2 };
+        }
+
+        if (!size.met) {
+          logger.warn(`[Pipeline] ⚠ Output is ${size.achieved} bytes, above the ${size.bytes} byte target`);
+        }
+      }
+
+      await this.moveFile(encodePath, outputPath);
 
       pipelineLog.stages.push({
-        stage: 5,
+        stage: 6,
         name: 'FFmpeg Execution',
         duration: Date.now() - conversionStart,
         result: {
           success: true,
-          outputPath: conversionResult.outputPath
+          steps: stepResults,
+          ...(fallback && { fallback }),
+          ...(size && { size })
         }
       });
 
@@ -197,13 +590,28 @@ export class ConversionPipeline {
 
       return {
         success: true,
-        outputPath: conversionResult.outputPath,
+        outputPath,
+        metadata: plan.validation.metadata,
+        steps: plan.steps,
         pipeline: pipelineLog,
-        profile: selectedProfile.profileId,
+        profile: plan.profile?.profileId || null,
+        clip: plan.clip,
+        transform: plan.transform,
+        subtitles: plan.subtitles,
+        watermark: plan.watermark,
+        passes: plan.passes,
+        size,
+        streams: plan.streams,
         adjustments: {
-          resolutionAdjusted: normalization.adjusted,
-          originalResolution: normalization.original,
-          finalResolution: normalization.normalized
+          resolutionAdjusted: plan.normalization.needed,
+          originalResolution: plan.normalization.original,
+          finalResolution: plan.finalResolution,
+          frameRateAdjusted: plan.finalFrameRate !== plan.frameNormalization.frameRate.original,
+          originalFrameRate: plan.frameNormalization.frameRate.original,
+          finalFrameRate: plan.finalFrameRate,
+          pixelFormatAdjusted: plan.finalPixelFormat !== plan.frameNormalization.pixelFormat.original,
+          originalPixelFormat: plan.frameNormalization.pixelFormat.original,
+          finalPixelFormat: plan.finalPixelFormat
         }
       };
 
@@ -215,7 +623,7 @@ export class ConversionPipeline {
       pipelineLog.success = false;
       pipelineLog.error = {
         message: error.message,
-        stage: pipelineLog.stages.length + 1
+        stage: pipelineLog.currentStage
       };
 
       logger.error(`[Pipeline] ✗ FAILED at stage ${pipelineLog.error.stage}:`, { error: error.message, stack: error.stack });
@@ -223,17 +631,132 @@ export class ConversionPipeline {
       // Abstract FFmpeg errors to user-friendly messages
       const userError = this.abstractError(error, pipelineLog);
 
-      throw new Error(userError.message);
+      throw Object.assign(new Error(userError.message), {
+        stage: userError.stage,
+        technical: userError.technical,
+        suggestion: userError.suggestion,
+        pipeline: pipelineLog
+      });
+
+    } finally {
+      // Left behind when the conversion failed
+      await fs.unlink(encodePath).catch(() => {});
+      for (const intermediatePath of intermediates) {
+        await fs.unlink(intermediatePath).catch(() => {});
+      }
+      for (const passlogPrefix of passlogs) {
+        await this.removePasslogFiles(passlogPrefix);
+      }
     }
   }
 
   /**
-   * Execute FFmpeg with promise wrapper using spawn
+   * Run the FFmpeg steps of a plan in order
+   * @param {Array} intermediates - Output paths of intermediate steps are added
+   *                                here, for removal once the conversion ends
+   * @param {Array} passlogs - Passlog prefixes of two-pass encodes, likewise
+   * @returns {Promise<Array>} { step, description, duration } per step
+   */
+  static async executeSteps(plan, { outputPath, options, intermediates, passlogs = [] }) {
+    const stepResults = [];
+
+    for (const step of plan.steps) {
+      const stepStart = Date.now();
+      logger.info(`[Pipeline] ${step.description}`);
+      logger.debug('[Pipeline] FFmpeg args:', { args: step.args.join(' ') });
+
+      if (step.outputPath && step.outputPath !== outputPath) {
+        intermediates.push(step.outputPath);
+      }
+      if (step.passlogPrefix && !passlogs.includes(step.passlogPrefix)) {
+        passlogs.push(step.passlogPrefix);
+      }
+
+      await this.executeFFmpeg(step.args, {
+        ...withStep(options, step.step, plan.steps.length),
+        duration: plan.clip?.duration ?? plan.validation.metadata.format?.duration
+      });
+
+      stepResults.push({
+        step: step.step,
+        description: step.description,
+        duration: Date.now() - stepStart
+      });
+    }
+
+    return stepResults;
+  }
+
+  /**
+   * Move a file, also across file systems (the temp and outputs
+   * directories can be separate volumes)
+   */
+  static async moveFile(from, to) {
+    try {
+      await fs.rename(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(from, to);
+      await fs.unlink(from);
+    }
+  }
+
+  /**
+   * Remove the statistics files of a two-pass encode (every file
+   * starting with the passlog prefix, e.g. -0.log and -0.log.mbtree)
+   */
+  static async removePasslogFiles(passlogPrefix) {
+    const directory = path.dirname(passlogPrefix);
+    const prefix = path.basename(passlogPrefix);
+    const files = await fs.readdir(directory).catch(() => []);
+
+    for (const file of files.filter(name => name.startsWith(prefix))) {
+      await fs.unlink(path.join(directory, file)).catch(() => {});
+    }
+  }
+
+  /**
+   * FFmpeg error line of a failure the lossless intermediate works
+   * around, or null
+   */
+  static findIncompatibility(error) {
+    const lines = (error.stderr || '').split('\n');
+    const line = lines.find(candidate => INTERMEDIATE_FALLBACK_ERRORS.some(pattern => pattern.test(candidate)));
+
+    return line ? line.trim() : null;
+  }
+
+  /**
+   * Execute FFmpeg with promise wrapper, started through the conversion scheduler
+   * @param {Array} args - FFmpeg arguments
+   * @param {Object} runOptions - { duration, onProgress } for progress reporting,
+   *                              { signal } to abort (kills FFmpeg, removes partial output),
+   *                              { timeout } in ms (kills FFmpeg like an abort, defaults to
+   *                              FFMPEG_CONFIG.timeout),
+   *                              { priority, onQueued, onStart } for the conversion scheduler
    */
-  static executeFFmpeg(args) {
+  static async executeFFmpeg(args, { duration = null, onProgress = null, signal = null, timeout = FFMPEG_CONFIG.timeout, ...scheduling } = {}) {
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, { ...scheduling, signal });
+
     return new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
+      let timedOut = false;
+
+      // Timeout handler: the process closes once killed, which frees its slot
+      const timer = setTimeout(() => {
+        timedOut = true;
+        ffmpeg.kill('SIGKILL');
+      }, timeout);
+      const conversionProgress = {
+        frame: 0,
+        fps: 0,
+        time: '00:00:00',
+        bitrate: '0kbits/s',
+        speed: '0x'
+      };
 
       ffmpeg.stderr.on('data', (data) => {
         const output = data.toString();
@@ -243,21 +766,56 @@ export class ConversionPipeline {
         const timeMatch = output.match(/time=(\d{2}:\d{2}:\d{2}\.\d{2})/);
         if (timeMatch) {
           logger.debug(`[FFmpeg] Progress: ${timeMatch[1]}`);
+
+          const frameMatch = output.match(/frame=\s*(\d+)/);
+          const fpsMatch = output.match(/fps=\s*([\d.]+)/);
+          const bitrateMatch = output.match(/bitrate=\s*([\d.]+\w+\/s)/);
+          const speedMatch = output.match(/speed=\s*([\d.]+)x/);
+
+          conversionProgress.time = timeMatch[1];
+          if (frameMatch) conversionProgress.frame = parseInt(frameMatch[1]);
+          if (fpsMatch) conversionProgress.fps = parseFloat(fpsMatch[1]);
+          if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
+          if (speedMatch) conversionProgress.speed = speedMatch[1];
+
+          if (onProgress) {
+            onProgress(buildProgress(conversionProgress, duration));
+          }
         }
       });
 
       ffmpeg.on('error', (error) => {
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
+        clearTimeout(timer);
         logger.error('[FFmpeg] Process error:', { error: error.message });
         reject(error);
       });
 
       ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+
+        // Cancelled or timed out: drop the partial output
+        if (signal?.aborted || timedOut) {
+          const error = timedOut
+            ? new Error(`Conversion timeout exceeded (${timeout}ms)`)
+            : new Error('Conversion cancelled');
+          logger.warn(`[FFmpeg] ${error.message}`);
+          fs.unlink(args[args.length - 1])
+            .catch(() => {})
+            .finally(() => reject(error));
+          return;
+        }
+
         if (code === 0) {
           logger.info('[FFmpeg] Conversion completed successfully');
           resolve({ outputPath: args[args.length - 1] });
         } else {
           logger.error(`[FFmpeg] Exited with code ${code}`, { stderr });
-          reject(new Error(`FFmpeg exited with code ${code}`));
+          reject(Object.assign(new Error(`FFmpeg exited with code ${code}`), { stderr }));
         }
       });
     });
@@ -268,7 +826,47 @@ export class ConversionPipeline {
    */
   static abstractError(error, pipelineLog) {
     const errorMessage = error.message.toLowerCase();
-    const failedStage = pipelineLog.stages[pipelineLog.stages.length - 1];
+    const failedStage = { name: PIPELINE_STAGES[(pipelineLog.currentStage || 1) - 1] };
+
+    // Clip outside the input
+    if (errorMessage.startsWith('invalid clip range')) {
+      return {
+        message: 'The requested clip (start, end, duration) is outside the input video.',
+        technical: error.message,
+        stage: 'Validation',
+        suggestion: 'Choose start, end and duration within the video duration'
+      };
+    }
+
+    // Crop outside the input frame
+    if (errorMessage.startsWith('invalid transform')) {
+      return {
+        message: 'The requested crop, rotation, flip or padding does not fit the input video.',
+        technical: error.message,
+        stage: 'Validation',
+        suggestion: 'Choose a crop rectangle within the video frame'
+      };
+    }
+
+    // Watermark options that do not fit the output
+    if (errorMessage.startsWith('invalid watermark')) {
+      return {
+        message: 'The requested watermark cannot be drawn on this video.',
+        technical: error.message,
+        stage: 'Validation',
+        suggestion: 'Check the watermark options and start the watermark within the converted part of the video'
+      };
+    }
+
+    // Subtitle style options out of range
+    if (errorMessage.startsWith('invalid subtitles')) {
+      return {
+        message: 'The requested subtitles cannot be burned into this video.',
+        technical: error.message,
+        stage: 'Validation',
+        suggestion: 'Upload an SRT, ASS or WebVTT file and check the subtitle style options'
+      };
+    }
 
     // Validation errors
     if (failedStage?.name === 'Validation') {
@@ -300,6 +898,16 @@ export class ConversionPipeline {
       };
     }
 
+    // Frame rate / pixel format errors
+    if (failedStage?.name === 'Frame Normalization') {
+      return {
+        message: 'Unable to adjust the video frame rate or pixel format to match target format requirements.',
+        technical: error.message,
+        stage: 'Frame Normalization',
+        suggestion: 'Input frame rate or pixel format may be unusual'
+      };
+    }
+
     // Profile errors
     if (failedStage?.name === 'Profile Selection') {
       return {
@@ -355,45 +963,6 @@ export class ConversionPipeline {
       suggestion: 'If problem persists, contact support with error details'
     };
   }
-
-  /**
-   * Quick conversion (bypass pipeline for simple formats)
-   */
-  static async quickConvert({ inputPath, outputPath, targetFormat, options = {} }) {
-    logger.info('[Pipeline] Quick conversion mode (bypass validation)', { inputPath, outputPath, targetFormat });
-    
-    try {
-      const args = ['-i', inputPath];
-
-      // Simple codec mapping
-      switch (targetFormat) {
-        case 'mp4':
-          args.push('-c:v', 'h264', '-c:a', 'aac');
-          break;
-        case 'webm':
-          args.push('-c:v', 'vp9', '-c:a', 'opus');
-          break;
-        case 'avi':
-          args.push('-c:v', 'mpeg4', '-c:a', 'mp3');
-          break;
-        default:
-          args.push('-c:v', 'copy', '-c:a', 'copy');
-      }
-
-      args.push('-y', outputPath);
-
-      const result = await this.executeFFmpeg(args);
-
-      return {
-        success: true,
-        outputPath: result.outputPath,
-        mode: 'quick'
-      };
-
-    } catch (error) {
-      throw new Error(`Quick conversion failed: ${error.message}`);
-    }
-  }
 }
 
 export default ConversionPipeline;
@@ -8,12 +8,66 @@
  */
 
 import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
+import { profileStore } from './ProfileStore.js';
+
+/**
+ * Codec produced by an FFmpeg encoder, as named in FormatCapabilityMatrix
+ * (encoders not listed produce the codec of the same name)
+ */
+const ENCODER_CODECS = {
+  libx264: 'h264',
+  libx265: 'hevc',
+  libvpx: 'vp8',
+  'libvpx-vp9': 'vp9',
+  'libaom-av1': 'av1',
+  libsvtav1: 'av1',
+  prores_ks: 'prores',
+  libxvid: 'xvid',
+  libmp3lame: 'mp3',
+  libopus: 'opus',
+  libvorbis: 'vorbis',
+  libopencore_amrnb: 'amr_nb',
+  libvo_amrwbenc: 'amr_wb',
+  h263p: 'h263'
+};
+
+/**
+ * Bitrate string ('6000k', '2M', '12.2k') in kbps
+ */
+export const toKbps = (bitrate) => {
+  const [, value, unit = ''] = String(bitrate).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/) || [];
+  if (value === undefined) {
+    return null;
+  }
+
+  const multiplier = { k: 1, m: 1000 }[unit.toLowerCase()] ?? 0.001;
+  return parseFloat(value) * multiplier;
+};
 
 export class EncodingProfileManager {
   /**
-   * Get all encoding profiles
+   * Get all encoding profiles (built-in and custom)
    */
   static getProfiles() {
+    const customProfiles = profileStore.list().map(({ id, ...profile }) => [id, { ...profile, custom: true }]);
+
+    return {
+      ...this.getBuiltInProfiles(),
+      ...Object.fromEntries(customProfiles)
+    };
+  }
+
+  /**
+   * Check whether a profile ID is one of the built-in profiles
+   */
+  static isBuiltIn(profileId) {
+    return Object.hasOwn(this.getBuiltInProfiles(), profileId);
+  }
+
+  /**
+   * Get the built-in encoding profiles
+   */
+  static getBuiltInProfiles() {
     return {
       // MPEG-2 Profiles
       'mpeg-dvd-pal': {
@@ -159,6 +213,7 @@ export class EncodingProfileManager {
       'web-360p': {
         format: 'mp4',
         description: 'Web 360p',
+        autoSelect: false,
         video: {
           codec: 'h264',
           resolution: { width: 640, height: 360 },
@@ -177,6 +232,7 @@ export class EncodingProfileManager {
       'web-720p': {
         format: 'mp4',
         description: 'Web 720p HD',
+        autoSelect: false,
         video: {
           codec: 'h264',
           resolution: { width: 1280, height: 720 },
@@ -195,6 +251,7 @@ export class EncodingProfileManager {
       'web-1080p': {
         format: 'mp4',
         description: 'Web 1080p Full HD',
+        autoSelect: false,
         video: {
           codec: 'h264',
           resolution: { width: 1920, height: 1080 },
@@ -208,6 +265,620 @@ export class EncodingProfileManager {
           bitrate: '192k',
           sampleRate: 48000
         }
+      },
+
+      // WebM Profiles (VP9 constant quality, YouTube recommended CRF)
+      'webm-vp9-480p': {
+        format: 'webm',
+        description: 'WebM VP9 480p',
+        video: {
+          codec: 'libvpx-vp9',
+          resolution: { width: 854, height: 480 },
+          bitrate: '0',
+          crf: 33,
+          speed: 4,
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopus',
+          bitrate: '96k',
+          sampleRate: 48000
+        },
+        container: 'webm'
+      },
+
+      'webm-vp9-720p': {
+        format: 'webm',
+        description: 'WebM VP9 720p HD',
+        video: {
+          codec: 'libvpx-vp9',
+          resolution: { width: 1280, height: 720 },
+          bitrate: '0',
+          crf: 32,
+          speed: 4,
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopus',
+          bitrate: '128k',
+          sampleRate: 48000
+        },
+        container: 'webm'
+      },
+
+      'webm-vp9-1080p': {
+        format: 'webm',
+        description: 'WebM VP9 1080p Full HD',
+        video: {
+          codec: 'libvpx-vp9',
+          resolution: { width: 1920, height: 1080 },
+          bitrate: '0',
+          crf: 31,
+          speed: 4,
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopus',
+          bitrate: '128k',
+          sampleRate: 48000
+        },
+        container: 'webm'
+      },
+
+      'webm-vp9-1080p60': {
+        format: 'webm',
+        description: 'WebM VP9 1080p Full HD, high frame rate',
+        video: {
+          codec: 'libvpx-vp9',
+          resolution: { width: 1920, height: 1080 },
+          bitrate: '0',
+          crf: 31,
+          speed: 4,
+          maxFrameRate: 60,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopus',
+          bitrate: '128k',
+          sampleRate: 48000
+        },
+        container: 'webm'
+      },
+
+      'webm-vp9-2160p': {
+        format: 'webm',
+        description: 'WebM VP9 2160p 4K UHD',
+        video: {
+          codec: 'libvpx-vp9',
+          resolution: { width: 3840, height: 2160 },
+          bitrate: '0',
+          crf: 24,
+          speed: 5,
+          maxFrameRate: 60,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopus',
+          bitrate: '192k',
+          sampleRate: 48000
+        },
+        container: 'webm'
+      },
+
+      // QuickTime Profiles
+      'mov-h264-720p': {
+        format: 'mov',
+        description: 'QuickTime H.264 720p HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1280, height: 720 },
+          crf: 21,
+          preset: 'medium',
+          profile: 'high',
+          level: '4.0',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '192k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'mov'
+      },
+
+      'mov-h264-1080p': {
+        format: 'mov',
+        description: 'QuickTime H.264 1080p Full HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1920, height: 1080 },
+          crf: 20,
+          preset: 'medium',
+          profile: 'high',
+          level: '4.2',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '256k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'mov'
+      },
+
+      'mov-h264-2160p': {
+        format: 'mov',
+        description: 'QuickTime H.264 2160p 4K UHD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 3840, height: 2160 },
+          crf: 20,
+          preset: 'medium',
+          profile: 'high',
+          level: '5.2',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '320k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'mov'
+      },
+
+      // Apple ProRes (editing intermediates, large files: on request only)
+      'mov-prores-422': {
+        format: 'mov',
+        description: 'Apple ProRes 422 (editing)',
+        autoSelect: false,
+        video: {
+          codec: 'prores_ks',
+          profile: '2',
+          pixelFormat: 'yuv422p10le'
+        },
+        audio: {
+          codec: 'pcm_s16le',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'mov'
+      },
+
+      'mov-prores-422-hq': {
+        format: 'mov',
+        description: 'Apple ProRes 422 HQ (editing, mastering)',
+        autoSelect: false,
+        video: {
+          codec: 'prores_ks',
+          profile: '3',
+          pixelFormat: 'yuv422p10le'
+        },
+        audio: {
+          codec: 'pcm_s24le',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'mov'
+      },
+
+      // Matroska Profiles
+      'mkv-h264-720p': {
+        format: 'mkv',
+        description: 'Matroska H.264 720p HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1280, height: 720 },
+          crf: 21,
+          preset: 'medium',
+          profile: 'high',
+          level: '4.0',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '192k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'matroska'
+      },
+
+      'mkv-h264-1080p': {
+        format: 'mkv',
+        description: 'Matroska H.264 1080p Full HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1920, height: 1080 },
+          crf: 20,
+          preset: 'medium',
+          profile: 'high',
+          level: '4.2',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '256k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'matroska'
+      },
+
+      'mkv-hevc-2160p': {
+        format: 'mkv',
+        description: 'Matroska HEVC 2160p 4K UHD',
+        video: {
+          codec: 'libx265',
+          resolution: { width: 3840, height: 2160 },
+          crf: 24,
+          preset: 'medium',
+          profile: 'main',
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '320k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'matroska'
+      },
+
+      // AVI Profiles (MPEG-4 ASP tagged as Xvid for hardware players)
+      'avi-xvid-dvdplayer': {
+        format: 'avi',
+        description: 'AVI Xvid for DVD players (Xvid Home Theater)',
+        video: {
+          codec: 'mpeg4',
+          resolution: { width: 720, height: 576 },
+          bitrate: '2000k',
+          maxrate: '4854k',
+          bufsize: '3072k',
+          bFrames: 1,
+          tag: 'XVID',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libmp3lame',
+          bitrate: '128k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'avi'
+      },
+
+      'avi-xvid-720p': {
+        format: 'avi',
+        description: 'AVI Xvid 720p HD',
+        video: {
+          codec: 'mpeg4',
+          resolution: { width: 1280, height: 720 },
+          bitrate: '4000k',
+          maxrate: '8000k',
+          bufsize: '6144k',
+          bFrames: 2,
+          tag: 'XVID',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libmp3lame',
+          bitrate: '192k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'avi'
+      },
+
+      'avi-xvid-1080p': {
+        format: 'avi',
+        description: 'AVI Xvid 1080p Full HD',
+        video: {
+          codec: 'mpeg4',
+          resolution: { width: 1920, height: 1080 },
+          bitrate: '6000k',
+          maxrate: '8000k',
+          bufsize: '8192k',
+          bFrames: 2,
+          tag: 'XVID',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libmp3lame',
+          bitrate: '192k',
+          sampleRate: 48000,
+          channels: 2
+        },
+        container: 'avi'
+      },
+
+      // Windows Media Profiles
+      'wmv-480p': {
+        format: 'wmv',
+        description: 'Windows Media 480p SD',
+        video: {
+          codec: 'wmv2',
+          resolution: { width: 854, height: 480 },
+          bitrate: '1500k',
+          maxrate: '2500k',
+          bufsize: '1024k',
+          gopSize: 250,
+          maxFrameRate: 30
+        },
+        audio: {
+          codec: 'wmav2',
+          bitrate: '128k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'asf'
+      },
+
+      'wmv-720p': {
+        format: 'wmv',
+        description: 'Windows Media 720p HD',
+        video: {
+          codec: 'wmv2',
+          resolution: { width: 1280, height: 720 },
+          bitrate: '3000k',
+          maxrate: '4500k',
+          bufsize: '2048k',
+          gopSize: 250,
+          maxFrameRate: 30
+        },
+        audio: {
+          codec: 'wmav2',
+          bitrate: '160k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'asf'
+      },
+
+      'wmv-1080p': {
+        format: 'wmv',
+        description: 'Windows Media 1080p Full HD',
+        video: {
+          codec: 'wmv2',
+          resolution: { width: 1920, height: 1080 },
+          bitrate: '6000k',
+          maxrate: '8000k',
+          bufsize: '3072k',
+          gopSize: 250,
+          maxFrameRate: 30
+        },
+        audio: {
+          codec: 'wmav2',
+          bitrate: '192k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'asf'
+      },
+
+      // Flash Video Profiles
+      'flv-sorenson-360p': {
+        format: 'flv',
+        description: 'Flash Video Sorenson Spark 360p (Flash Player 6/7)',
+        autoSelect: false,
+        video: {
+          codec: 'flv1',
+          resolution: { width: 640, height: 360 },
+          bitrate: '800k',
+          maxFrameRate: 30
+        },
+        audio: {
+          codec: 'libmp3lame',
+          bitrate: '96k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'flv'
+      },
+
+      'flv-h264-480p': {
+        format: 'flv',
+        description: 'Flash Video H.264 480p',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 854, height: 480 },
+          crf: 23,
+          preset: 'faster',
+          profile: 'main',
+          level: '3.1',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '128k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'flv'
+      },
+
+      'flv-h264-720p': {
+        format: 'flv',
+        description: 'Flash Video H.264 720p HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1280, height: 720 },
+          crf: 22,
+          preset: 'faster',
+          profile: 'main',
+          level: '3.1',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '128k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'flv'
+      },
+
+      'flv-h264-1080p': {
+        format: 'flv',
+        description: 'Flash Video H.264 1080p Full HD',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 1920, height: 1080 },
+          crf: 21,
+          preset: 'faster',
+          profile: 'high',
+          level: '4.0',
+          maxFrameRate: 30,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '192k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: 'flv'
+      },
+
+      // 3GPP Profiles (fixed mobile frame sizes, padded)
+      '3gp-qcif-amr': {
+        format: '3gp',
+        description: '3GPP QCIF H.263 with AMR-NB (legacy phones)',
+        video: {
+          codec: 'h263',
+          resolution: { width: 176, height: 144 },
+          bitrate: '128k',
+          frameRate: 15,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopencore_amrnb',
+          bitrate: '12.2k',
+          sampleRate: 8000,
+          channels: 1
+        },
+        container: '3gp'
+      },
+
+      '3gp-cif-h264': {
+        format: '3gp',
+        description: '3GPP CIF H.264 Baseline',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 352, height: 288 },
+          crf: 26,
+          preset: 'medium',
+          profile: 'baseline',
+          level: '1.3',
+          maxFrameRate: 25,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '64k',
+          sampleRate: 22050,
+          channels: 1
+        },
+        container: '3gp'
+      },
+
+      '3gp-vga-h264': {
+        format: '3gp',
+        description: '3GPP VGA H.264 Baseline',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 640, height: 480 },
+          crf: 24,
+          preset: 'medium',
+          profile: 'baseline',
+          level: '3.0',
+          maxFrameRate: 30,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '96k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: '3gp'
+      },
+
+      // 3GPP2 Profiles (CDMA phones)
+      '3g2-qcif-amr': {
+        format: '3g2',
+        description: '3GPP2 QCIF H.263 with AMR-NB (legacy phones)',
+        video: {
+          codec: 'h263',
+          resolution: { width: 176, height: 144 },
+          bitrate: '128k',
+          frameRate: 15,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'libopencore_amrnb',
+          bitrate: '12.2k',
+          sampleRate: 8000,
+          channels: 1
+        },
+        container: '3g2'
+      },
+
+      '3g2-cif-mpeg4': {
+        format: '3g2',
+        description: '3GPP2 CIF MPEG-4 Part 2',
+        video: {
+          codec: 'mpeg4',
+          resolution: { width: 352, height: 288 },
+          bitrate: '384k',
+          maxFrameRate: 25,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '64k',
+          sampleRate: 22050,
+          channels: 1
+        },
+        container: '3g2'
+      },
+
+      '3g2-vga-h264': {
+        format: '3g2',
+        description: '3GPP2 VGA H.264 Baseline',
+        video: {
+          codec: 'libx264',
+          resolution: { width: 640, height: 480 },
+          crf: 24,
+          preset: 'medium',
+          profile: 'baseline',
+          level: '3.0',
+          maxFrameRate: 30,
+          pad: true,
+          pixelFormat: 'yuv420p'
+        },
+        audio: {
+          codec: 'aac',
+          bitrate: '96k',
+          sampleRate: 44100,
+          channels: 2
+        },
+        container: '3g2'
       }
     };
   }
@@ -218,6 +889,11 @@ export class EncodingProfileManager {
   static selectProfile(metadata, targetFormat, userPreference = null) {
     const profiles = this.getProfiles();
 
+    // 'none' disables profiles: the target's quality preset is used
+    if (userPreference === 'none') {
+      return null;
+    }
+
     // If user specified a profile, use it
     if (userPreference && profiles[userPreference]) {
       return { profileId: userPreference, ...profiles[userPreference] };
@@ -258,8 +934,49 @@ export class EncodingProfileManager {
       }
     }
 
-    // For other formats, return a generic profile
-    return null;
+    return this.selectByResolutionAndFrameRate(profiles, targetFormat, videoStream);
+  }
+
+  /**
+   * Auto-select among a format's profiles (those without autoSelect: false)
+   *
+   * The largest frame that fits in the source wins (no upscaling; the
+   * smallest frame if none fits). Between profiles with that frame, the
+   * one whose output frame rate is closest to the source's wins.
+   */
+  static selectByResolutionAndFrameRate(profiles, targetFormat, videoStream) {
+    const candidates = Object.entries(profiles).filter(([, profile]) => (
+      profile.format === targetFormat
+      && profile.autoSelect !== false
+      && profile.video.resolution
+    ));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const pixels = ([, profile]) => profile.video.resolution.width * profile.video.resolution.height;
+    const sourcePixels = videoStream.width * videoStream.height;
+    const fitting = candidates.filter(candidate => pixels(candidate) <= sourcePixels);
+    const framePixels = fitting.length > 0
+      ? Math.max(...fitting.map(pixels))
+      : Math.min(...candidates.map(pixels));
+
+    const sourceFrameRate = this.getFrameRate(videoStream);
+    const outputFrameRate = ({ video }) => (
+      video.frameRate || Math.min(sourceFrameRate, video.maxFrameRate || Infinity)
+    );
+
+    const [profileId, profile] = candidates
+      .filter(candidate => pixels(candidate) === framePixels)
+      .reduce((best, candidate) => (
+        Math.abs(outputFrameRate(candidate[1]) - sourceFrameRate)
+          < Math.abs(outputFrameRate(best[1]) - sourceFrameRate)
+          ? candidate
+          : best
+      ));
+
+    return { profileId, ...profile };
   }
 
   /**
@@ -289,9 +1006,9 @@ export class EncodingProfileManager {
     args.push('-c:v', profile.video.codec);
 
     // Resolution (use override if provided)
-    const targetRes = resolutionOverride || profile.video.resolution;
-    if (targetRes) {
-      args.push('-vf', `scale=${targetRes.width}:${targetRes.height}`);
+    const scaleFilter = this.buildScaleFilter(profile.video, resolutionOverride);
+    if (scaleFilter) {
+      args.push('-vf', scaleFilter);
     }
 
     // Video encoding parameters
@@ -323,12 +1040,31 @@ export class EncodingProfileManager {
       args.push('-level', profile.video.level);
     }
 
+    if (profile.video.speed !== undefined) {
+      args.push('-cpu-used', profile.video.speed.toString());
+    }
+
+    if (profile.video.codec === 'libvpx-vp9') {
+      args.push('-row-mt', '1'); // Enable row-based multithreading
+    }
+
     if (profile.video.gopSize) {
       args.push('-g', profile.video.gopSize.toString());
     }
 
+    if (profile.video.bFrames !== undefined) {
+      args.push('-bf', profile.video.bFrames.toString());
+    }
+
+    if (profile.video.tag) {
+      args.push('-tag:v', profile.video.tag);
+    }
+
     if (profile.video.frameRate) {
       args.push('-r', profile.video.frameRate.toString());
+    } else if (profile.video.maxFrameRate) {
+      // Lower frame rates are kept
+      args.push('-fpsmax', profile.video.maxFrameRate.toString());
     }
 
     if (profile.video.pixelFormat) {
@@ -365,6 +1101,127 @@ export class EncodingProfileManager {
     return args;
   }
 
+  /**
+   * Scale filter for a profile's frame
+   *
+   * Anamorphic frames (profiles with a display aspectRatio, e.g. DVD) are
+   * stretched to the frame size. Other frames are a bounding box: the video
+   * is fitted inside it without upscaling, then padded to the exact frame
+   * (pad: true) or rounded to even dimensions.
+   */
+  static buildScaleFilter(video, resolutionOverride = null) {
+    const frame = video.resolution;
+
+    if (!frame || video.aspectRatio) {
+      const size = resolutionOverride || frame;
+      return size ? `scale=${size.width}:${size.height}` : null;
+    }
+
+    // A normalized resolution can only shrink the box
+    const width = Math.min(frame.width, resolutionOverride?.width ?? frame.width);
+    const height = Math.min(frame.height, resolutionOverride?.height ?? frame.height);
+    const fit = `scale='min(${width},iw)':'min(${height},ih)':force_original_aspect_ratio=decrease`;
+
+    return video.pad
+      ? `${fit},pad=${frame.width}:${frame.height}:(ow-iw)/2:(oh-ih)/2`
+      : `${fit},scale=trunc(iw/2)*2:trunc(ih/2)*2`;
+  }
+
+  /**
+   * Check a profile against the FormatCapabilityMatrix constraints of its
+   * format: codecs allowed in the container, bitrates within maxBitrate,
+   * resolution, frame rate and pixel format in range. Formats with fixed
+   * frame sizes (3GP, 3G2) also need a padded standard frame and their
+   * per-codec limits (H.263 sizes, H.264 profiles).
+   * @returns {{ errors: Array<{field: string, message: string}>, warnings: string[] }}
+   */
+  static validateProfile(profile) {
+    const errors = [];
+    const warnings = [];
+    const constraints = FormatCapabilityMatrix.getEncodingConstraints(profile.format);
+    const format = profile.format.toUpperCase();
+
+    if (!constraints) {
+      warnings.push(`No capability data for ${format}: codecs, bitrates and resolution were not checked`);
+      return { errors, warnings };
+    }
+
+    const checkCodec = (field, encoder, supported) => {
+      const codec = ENCODER_CODECS[encoder] || encoder;
+      if (!supported.includes(codec)) {
+        errors.push({ field, message: `${format} does not support ${codec}; supported: ${supported.join(', ')}` });
+      }
+    };
+
+    const checkBitrate = (field, bitrate, max) => {
+      if (bitrate !== undefined && toKbps(bitrate) > max) {
+        errors.push({ field, message: `${bitrate} exceeds the ${format} maximum of ${max}k` });
+      }
+    };
+
+    const { video, audio } = profile;
+
+    checkCodec('video.codec', video.codec, constraints.supportedVideoCodecs);
+    checkCodec('audio.codec', audio.codec, constraints.supportedAudioCodecs);
+    checkBitrate('video.bitrate', video.bitrate, constraints.maxBitrate.video);
+    checkBitrate('video.maxrate', video.maxrate, constraints.maxBitrate.video);
+    checkBitrate('audio.bitrate', audio.bitrate, constraints.maxBitrate.audio);
+
+    if (video.resolution) {
+      const { width, height } = video.resolution;
+      const resolutionCheck = FormatCapabilityMatrix.isResolutionSupported(width, height, profile.format);
+      if (!resolutionCheck.supported) {
+        errors.push({ field: 'video.resolution', message: resolutionCheck.reason });
+      }
+    }
+
+    if (Array.isArray(constraints.supportedFrameRates)) {
+      const frameRates = constraints.supportedFrameRates;
+
+      if (video.frameRate && !frameRates.some(rate => Math.abs(rate - video.frameRate) < 0.01)) {
+        errors.push({ field: 'video.frameRate', message: `${format} supports frame rates: ${frameRates.join(', ')}` });
+      }
+
+      if (video.maxFrameRate > Math.max(...frameRates)) {
+        errors.push({ field: 'video.maxFrameRate', message: `${format} supports up to ${Math.max(...frameRates)} fps` });
+      }
+    }
+
+    if (video.pixelFormat && !constraints.pixelFormats.includes(video.pixelFormat)) {
+      errors.push({ field: 'video.pixelFormat', message: `${format} supports pixel formats: ${constraints.pixelFormats.join(', ')}` });
+    }
+
+    if (constraints.standardResolutions) {
+      if (!video.resolution) {
+        errors.push({ field: 'video.resolution', message: `${format} needs a standard frame size` });
+      } else if (!video.pad) {
+        errors.push({ field: 'video.pad', message: `${format} frames must be padded to the standard size (pad: true)` });
+      }
+    }
+
+    const codecConstraints = constraints.codecConstraints?.[ENCODER_CODECS[video.codec] || video.codec];
+
+    if (codecConstraints?.resolutions && video.resolution) {
+      const size = FormatCapabilityMatrix.getStandardResolution(profile.format, video.resolution.width, video.resolution.height);
+      if (size && !codecConstraints.resolutions.includes(size.name)) {
+        errors.push({ field: 'video.resolution', message: `${video.codec} supports frame sizes: ${codecConstraints.resolutions.join(', ')}` });
+      }
+    }
+
+    if (codecConstraints?.maxFrameRate && (video.frameRate || video.maxFrameRate) > codecConstraints.maxFrameRate) {
+      errors.push({
+        field: video.frameRate ? 'video.frameRate' : 'video.maxFrameRate',
+        message: `${video.codec} supports up to ${codecConstraints.maxFrameRate} fps`
+      });
+    }
+
+    if (codecConstraints?.profiles && !codecConstraints.profiles.includes(video.profile)) {
+      errors.push({ field: 'video.profile', message: `${format} supports ${video.codec} profiles: ${codecConstraints.profiles.join(', ')}` });
+    }
+
+    return { errors, warnings };
+  }
+
   /**
    * Get profile by ID
    */
@@ -385,7 +1242,9 @@ export class EncodingProfileManager {
         formatProfiles.push({
           id,
           description: profile.description,
-          resolution: profile.video.resolution
+          resolution: profile.video.resolution || null,
+          autoSelect: profile.autoSelect !== false,
+          custom: profile.custom === true
         });
       }
     }
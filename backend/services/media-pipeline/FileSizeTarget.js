@@ -0,0 +1,151 @@
+/**
+ * FileSizeTarget - Target output file size (targetSize=25MB)
+ *
+ * Works out the video bitrate that fits a conversion into a file size:
+ * the size budget spread over the ffprobe duration, less the audio
+ * bitrate and a margin for the container's headers and index. The
+ * pipeline encodes at that bitrate (in two passes where the encoder
+ * supports it), checks the size of the written file and, when it came
+ * out larger than the target, encodes once more with a corrected bitrate.
+ *
+ * Sizes are binary: 1 MB = 1024 KB = 1048576 bytes.
+ */
+
+import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
+import { toKbps } from './EncodingProfileManager.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Bytes per size unit
+ */
+const SIZE_UNITS = {
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024
+};
+
+/**
+ * Share of the size budget kept for container overhead
+ */
+const CONTAINER_OVERHEAD = 0.03;
+
+/**
+ * Lowest video bitrate (kbps) a target size is encoded at
+ */
+const MIN_VIDEO_BITRATE = 64;
+
+/**
+ * Audio bitrate (kbps) assumed when neither the step nor the format sets one
+ */
+const DEFAULT_AUDIO_BITRATE = 128;
+
+/**
+ * A retry aims this far below the target, so the corrected encode does
+ * not land just above it again
+ */
+const RETRY_MARGIN = 0.97;
+
+export class FileSizeTarget {
+  /**
+   * Bytes of a size ('25MB', '700 KB', '1.5GB'), or null if invalid
+   */
+  static parseSize(size) {
+    const [, value, unit] = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB)$/i) || [];
+    if (value === undefined) {
+      return null;
+    }
+
+    return Math.floor(parseFloat(value) * SIZE_UNITS[unit.toUpperCase()]);
+  }
+
+  /**
+   * Video bitrate of a target size
+   * @param {object} params
+   * @param {string} params.targetSize - Requested size (e.g. '25MB')
+   * @param {object} params.metadata - ffprobe metadata of the input
+   * @param {string} params.targetFormat - Lowercase target format
+   * @param {Array} params.args - FFmpeg arguments of the final encode (for the audio bitrate)
+   * @param {number|null} params.videoBitrate - Corrected video bitrate (kbps) of a retry
+   * @returns {object} { requested, bytes, duration, audioBitrate, videoBitrate, warnings }
+   *                   (bitrates in kbps, videoBitrate as an FFmpeg value, e.g. '1450k')
+   * @throws {Error} If the size is invalid or the duration unknown
+   */
+  static plan({ targetSize, metadata, targetFormat, args, videoBitrate = null }) {
+    const bytes = this.parseSize(targetSize);
+    const duration = parseFloat(metadata.format?.duration);
+    const format = targetFormat.toUpperCase();
+
+    if (!bytes) {
+      throw new Error(`Invalid target size: ${targetSize}`);
+    }
+
+    if (!(duration > 0)) {
+      throw new Error('Target size needs the input duration, which ffprobe did not report');
+    }
+
+    const constraints = FormatCapabilityMatrix.getEncodingConstraints(targetFormat);
+    const hasAudio = metadata.streams?.some(s => s.codec_type === 'audio');
+    const audioIndex = args.lastIndexOf('-b:a');
+    const audioBitrate = hasAudio
+      ? toKbps(audioIndex === -1 ? null : args[audioIndex + 1]) || constraints?.maxBitrate.audio || DEFAULT_AUDIO_BITRATE
+      : 0;
+
+    const warnings = [];
+    const totalBitrate = (bytes * 8 * (1 - CONTAINER_OVERHEAD)) / duration / 1000;
+    let bitrate = videoBitrate || Math.floor(totalBitrate - audioBitrate);
+
+    if (bitrate < MIN_VIDEO_BITRATE) {
+      warnings.push(
+        `Target size ${targetSize} is too small for ${Math.round(duration)}s of video with ${audioBitrate}k audio: video is encoded at the ${MIN_VIDEO_BITRATE}k minimum, the output will be larger`
+      );
+      bitrate = MIN_VIDEO_BITRATE;
+    }
+
+    const maxBitrate = constraints?.maxBitrate.video;
+    if (maxBitrate && bitrate > maxBitrate) {
+      warnings.push(`Video bitrate limited to the ${format} maximum of ${maxBitrate}k, the output will be smaller than ${targetSize}`);
+      bitrate = maxBitrate;
+    }
+
+    logger.info(`Target size ${targetSize} (${bytes} bytes, ${duration}s): video ${bitrate}k, audio ${audioBitrate}k`);
+
+    return {
+      requested: targetSize,
+      bytes,
+      duration,
+      audioBitrate,
+      videoBitrate: `${bitrate}k`,
+      warnings
+    };
+  }
+
+  /**
+   * Compare the written file with the target
+   * @returns {object} { requested, bytes, achieved, met }
+   */
+  static verify(sizeTarget, achievedBytes) {
+    return {
+      requested: sizeTarget.requested,
+      bytes: sizeTarget.bytes,
+      achieved: achievedBytes,
+      met: achievedBytes <= sizeTarget.bytes
+    };
+  }
+
+  /**
+   * Video bitrate (kbps) of a retry: the video share of the file scaled
+   * by how far the output missed the target
+   */
+  static correct(sizeTarget, achievedBytes) {
+    const audioBytes = (sizeTarget.audioBitrate * 1000 * sizeTarget.duration) / 8;
+    const videoBytes = Math.max(1, achievedBytes - audioBytes);
+    const targetVideoBytes = sizeTarget.bytes * RETRY_MARGIN - audioBytes;
+
+    return Math.max(
+      MIN_VIDEO_BITRATE,
+      Math.floor(toKbps(sizeTarget.videoBitrate) * (targetVideoBytes / videoBytes))
+    );
+  }
+}
+
+export default FileSizeTarget;
@@ -7,6 +7,18 @@
  * Industry Standard: Broadcast & Media Exchange Format (MXF) constraint modeling
  */
 
+/**
+ * Frame sizes of 3GPP/3GPP2 mobile video (ITU-T H.263 picture formats and
+ * VGA), smallest first
+ */
+const MOBILE_RESOLUTIONS = [
+  { name: 'SQCIF', width: 128, height: 96 },
+  { name: 'QCIF', width: 176, height: 144 },
+  { name: 'QVGA', width: 320, height: 240 },
+  { name: 'CIF', width: 352, height: 288 },
+  { name: 'VGA', width: 640, height: 480 }
+];
+
 export class FormatCapabilityMatrix {
   /**
    * Get format capabilities and constraints
@@ -23,6 +35,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: [23.976, 24, 25, 29.97, 30, 50, 59.94, 60],
         gopStructure: { min: 12, max: 15 }, // GOP size
         pixelFormats: ['yuv420p', 'yuv422p'],
+        interlacedSupported: true,
+        rotationMetadata: false,
         aspectRatios: ['4:3', '16:9'],
         profiles: {
           dvd: {
@@ -53,6 +67,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: 'any',
         gopStructure: { min: 24, max: 300 },
         pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p'],
+        interlacedSupported: true,
+        rotationMetadata: true, // display matrix (rotation of phone footage)
         aspectRatios: 'any'
       },
 
@@ -66,6 +82,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: 'any',
         gopStructure: { min: 60, max: 300 },
         pixelFormats: ['yuv420p'],
+        interlacedSupported: false,
+        rotationMetadata: false,
         aspectRatios: 'any'
       },
 
@@ -79,6 +97,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: [15, 23.976, 24, 25, 29.97, 30],
         gopStructure: { min: 50, max: 250 },
         pixelFormats: ['yuv420p'],
+        interlacedSupported: false,
+        rotationMetadata: false,
         aspectRatios: ['4:3', '16:9']
       },
 
@@ -92,6 +112,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: [15, 24, 25, 30],
         gopStructure: { min: 24, max: 120 },
         pixelFormats: ['yuv420p'],
+        interlacedSupported: false,
+        rotationMetadata: false,
         aspectRatios: ['4:3', '16:9']
       },
 
@@ -104,7 +126,9 @@ export class FormatCapabilityMatrix {
         maxBitrate: { video: 100000, audio: 1536 },
         supportedFrameRates: 'any',
         gopStructure: { min: 24, max: 300 },
-        pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p'],
+        pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv422p10le'], // 10-bit for ProRes
+        interlacedSupported: true,
+        rotationMetadata: true,
         aspectRatios: 'any'
       },
 
@@ -118,6 +142,8 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: 'any',
         gopStructure: { min: 24, max: 300 },
         pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p'],
+        interlacedSupported: true,
+        rotationMetadata: false,
         aspectRatios: 'any'
       },
 
@@ -131,11 +157,80 @@ export class FormatCapabilityMatrix {
         supportedFrameRates: [15, 23.976, 24, 25, 29.97, 30],
         gopStructure: { min: 24, max: 300 },
         pixelFormats: ['yuv420p', 'yuv422p'],
+        interlacedSupported: false,
+        rotationMetadata: false,
         aspectRatios: ['4:3', '16:9']
+      },
+
+      // 3GPP (GSM/UMTS phones, 3GPP TS 26.244)
+      '3gp': {
+        maxResolution: { width: 640, height: 480 },
+        minResolution: { width: 128, height: 96 },
+        supportedVideoCodecs: ['h263', 'mpeg4', 'h264'],
+        supportedAudioCodecs: ['amr_nb', 'amr_wb', 'aac'],
+        maxBitrate: { video: 2000, audio: 128 },
+        supportedFrameRates: [7.5, 10, 12.5, 15, 20, 23.976, 24, 25, 29.97, 30],
+        gopStructure: { min: 15, max: 150 },
+        pixelFormats: ['yuv420p'],
+        interlacedSupported: false,
+        rotationMetadata: true,
+        aspectRatios: ['4:3', '11:9'],
+        standardResolutions: MOBILE_RESOLUTIONS,
+        codecConstraints: {
+          h263: { resolutions: ['SQCIF', 'QCIF', 'CIF'], maxFrameRate: 29.97 },
+          h264: { profiles: ['baseline'] }
+        }
+      },
+
+      // 3GPP2 (CDMA phones, 3GPP2 C.S0050)
+      '3g2': {
+        maxResolution: { width: 640, height: 480 },
+        minResolution: { width: 128, height: 96 },
+        supportedVideoCodecs: ['h263', 'mpeg4', 'h264'],
+        supportedAudioCodecs: ['amr_nb', 'amr_wb', 'aac'],
+        maxBitrate: { video: 1500, audio: 128 },
+        supportedFrameRates: [7.5, 10, 12.5, 15, 20, 23.976, 24, 25, 29.97, 30],
+        gopStructure: { min: 15, max: 150 },
+        pixelFormats: ['yuv420p'],
+        interlacedSupported: false,
+        rotationMetadata: true,
+        aspectRatios: ['4:3', '11:9'],
+        standardResolutions: MOBILE_RESOLUTIONS,
+        codecConstraints: {
+          h263: { resolutions: ['SQCIF', 'QCIF', 'CIF'], maxFrameRate: 29.97 },
+          h264: { profiles: ['baseline'] }
+        }
       }
     };
   }
 
+  /**
+   * Standard frame size of a format matching width x height exactly, or
+   * null (also for formats without fixed frame sizes)
+   */
+  static getStandardResolution(targetFormat, width, height) {
+    const standards = this.getCapabilities()[targetFormat]?.standardResolutions || [];
+    return standards.find(size => size.width === width && size.height === height) || null;
+  }
+
+  /**
+   * Largest standard frame size of a format that fits inside the source
+   * (the smallest one for sources below every size), or null for formats
+   * without fixed frame sizes
+   */
+  static snapToStandardResolution(targetFormat, sourceWidth, sourceHeight) {
+    const standards = this.getCapabilities()[targetFormat]?.standardResolutions;
+
+    if (!standards) {
+      return null;
+    }
+
+    const fitting = standards.filter(size => size.width <= sourceWidth && size.height <= sourceHeight);
+    const { width, height } = fitting.length > 0 ? fitting[fitting.length - 1] : standards[0];
+
+    return { width, height };
+  }
+
   /**
    * Check if resolution is supported for target format
    */
@@ -165,6 +260,16 @@ export class FormatCapabilityMatrix {
       };
     }
 
+    // Mobile formats only play back their standard frame sizes
+    if (formatCaps.standardResolutions && !this.getStandardResolution(targetFormat, width, height)) {
+      const sizes = formatCaps.standardResolutions.map(size => `${size.name} ${size.width}x${size.height}`);
+      return {
+        supported: false,
+        reason: `Resolution ${width}x${height} is not a standard ${targetFormat.toUpperCase()} frame size (${sizes.join(', ')})`,
+        standardResolutions: formatCaps.standardResolutions
+      };
+    }
+
     return { supported: true };
   }
 
@@ -217,6 +322,11 @@ export class FormatCapabilityMatrix {
       return { width: 1280, height: 720 }; // Default 720p
     }
 
+    // Fixed frame sizes: the video is fitted inside and padded
+    if (formatCaps.standardResolutions) {
+      return this.snapToStandardResolution(targetFormat, sourceWidth, sourceHeight);
+    }
+
     const { maxResolution } = formatCaps;
     const sourceAspectRatio = sourceWidth / sourceHeight;
 
@@ -0,0 +1,209 @@
+/**
+ * FrameNormalizer - Frame rate and pixel format adjustment
+ *
+ * Brings the source frame rate and pixel format within the target
+ * format's supportedFrameRates and pixelFormats (FormatCapabilityMatrix):
+ * - Frame rates snap to the nearest legal rate. NTSC rates are converted
+ *   with their exact 1001 fractions (29.97 is 30000/1001), so 29.97 <-> 30
+ *   does not drift.
+ * - Interlaced sources going to progressive-only formats are deinterlaced
+ *   frame for frame (50i becomes 25p, 60i becomes 29.97p).
+ * - Variable frame rate sources (e.g. WMV with a 1000 fps time base) are
+ *   converted to the nearest standard constant rate.
+ * - 10-bit, 4:2:2 or 4:4:4 sources are converted to the closest allowed
+ *   pixel format, keeping chroma resolution and bit depth where possible.
+ *
+ * Industry Standard: SMPTE ST 12-1 (NTSC drop-frame rates)
+ */
+
+import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
+import { MediaValidator } from './MediaValidator.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Rates a constant frame rate output is snapped to when the format allows any
+ */
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 50, 59.94, 60];
+
+/**
+ * Exact FFmpeg rate of NTSC frame rates
+ */
+const NTSC_RATES = {
+  23.976: '24000/1001',
+  29.97: '30000/1001',
+  59.94: '60000/1001'
+};
+
+/**
+ * ffprobe field_order values of interlaced video
+ */
+const INTERLACED_FIELD_ORDERS = ['tt', 'bb', 'tb', 'bt'];
+
+/**
+ * Time base rates above this are container clocks of variable frame rate
+ * video, not frame rates
+ */
+const MAX_CONSTANT_FRAME_RATE = 120;
+
+/**
+ * Chroma subsampling and bit depth of a planar YUV pixel format
+ * (e.g. yuv422p10le), or null for other formats
+ */
+const parsePixelFormat = (pixelFormat) => {
+  const match = String(pixelFormat).match(/^yuvj?(420|422|444)p(\d+)?(?:le|be)?$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    chroma: ['420', '422', '444'].indexOf(match[1]),
+    depth: match[2] ? Number(match[2]) : 8
+  };
+};
+
+export class FrameNormalizer {
+  /**
+   * Normalize frame rate and pixel format for target format
+   * @param {object} metadata - Video metadata
+   * @param {string} targetFormat - Target output format
+   * @returns {object} { frameRate, pixelFormat, filters, warnings }
+   */
+  static normalize(metadata, targetFormat) {
+    const constraints = FormatCapabilityMatrix.getEncodingConstraints(targetFormat);
+    const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
+    const format = targetFormat.toUpperCase();
+
+    if (!videoStream) {
+      throw new Error('No video stream found');
+    }
+
+    const frameRate = this.normalizeFrameRate(videoStream, constraints, format);
+    const pixelFormat = this.normalizePixelFormat(videoStream, constraints, format);
+
+    const filters = [];
+    if (frameRate.deinterlaced) {
+      filters.push('yadif=0:-1:0');
+    }
+    if (frameRate.target !== frameRate.original || (frameRate.needed && frameRate.variable)) {
+      filters.push(`fps=${this.toFFmpegRate(frameRate.target)}`);
+    }
+
+    const warnings = [];
+    if (frameRate.original && frameRate.target < frameRate.original - 1) {
+      warnings.push(`Frame rate lowered from ${frameRate.original} to ${frameRate.target} fps, frames are dropped`);
+    } else if (frameRate.original && frameRate.target > frameRate.original + 1) {
+      warnings.push(`Frame rate raised from ${frameRate.original} to ${frameRate.target} fps, frames are duplicated`);
+    }
+
+    if (frameRate.needed) {
+      logger.info(`Frame rate normalization: ${frameRate.reason}`);
+    }
+    if (pixelFormat.needed) {
+      logger.info(`Pixel format normalization: ${pixelFormat.reason}`);
+    }
+
+    return { frameRate, pixelFormat, filters, warnings };
+  }
+
+  /**
+   * Nearest legal frame rate, and whether the source must be deinterlaced
+   */
+  static normalizeFrameRate(videoStream, constraints, format) {
+    const original = MediaValidator.getFrameRate(videoStream);
+    const interlaced = INTERLACED_FIELD_ORDERS.includes(videoStream.field_order);
+    const deinterlaced = interlaced && constraints?.interlacedSupported === false;
+    const [num, den] = (videoStream.r_frame_rate || '').split('/').map(Number);
+    const variable = num / den > MAX_CONSTANT_FRAME_RATE;
+
+    const result = { needed: false, original, target: original, variable, interlaced, deinterlaced, reason: null };
+
+    if (!constraints) {
+      result.reason = `No capability data for ${format}`;
+      return result;
+    }
+
+    if (!original) {
+      result.reason = 'Source frame rate unknown';
+      return result;
+    }
+
+    const legalRates = Array.isArray(constraints.supportedFrameRates) ? constraints.supportedFrameRates : null;
+    const isLegal = (rate) => !legalRates || legalRates.some(legal => Math.abs(legal - rate) < 0.01);
+    const nearest = (rates) => rates.reduce((best, rate) => (
+      Math.abs(rate - original) < Math.abs(best - original) ? rate : best
+    ));
+    const reasons = [];
+
+    if (deinterlaced) {
+      reasons.push(`interlaced ${Math.round(original * 2 * 100) / 100}i source deinterlaced to ${original}p`);
+    }
+
+    if (!isLegal(original)) {
+      result.target = nearest(legalRates);
+      reasons.push(`${original} fps is not a ${format} frame rate (${legalRates.join(', ')}), converted to ${result.target} fps`);
+    } else if (variable) {
+      result.target = nearest(legalRates || STANDARD_FRAME_RATES);
+      reasons.push(`variable frame rate source converted to constant ${result.target} fps`);
+    }
+
+    result.needed = reasons.length > 0;
+    result.reason = result.needed
+      ? reasons.join('; ').replace(/^./, first => first.toUpperCase())
+      : `${original} fps is compatible with ${format}`;
+
+    return result;
+  }
+
+  /**
+   * Closest allowed pixel format: same chroma subsampling and bit depth
+   * where possible, reduced rather than increased otherwise
+   */
+  static normalizePixelFormat(videoStream, constraints, format) {
+    const original = videoStream.pix_fmt || null;
+    const result = { needed: false, original, target: original, reason: null };
+
+    if (!constraints) {
+      result.reason = `No capability data for ${format}`;
+      return result;
+    }
+
+    if (!original) {
+      result.reason = 'Source pixel format unknown';
+      return result;
+    }
+
+    if (constraints.pixelFormats.includes(original)) {
+      result.reason = `${original} is compatible with ${format}`;
+      return result;
+    }
+
+    const source = parsePixelFormat(original) || { chroma: 0, depth: 8 };
+    const distance = (value, sourceValue) => Math.abs(value - sourceValue) + (value > sourceValue ? 0.5 : 0);
+    const candidates = constraints.pixelFormats
+      .map(pixelFormat => ({ pixelFormat, ...parsePixelFormat(pixelFormat) }))
+      .filter(candidate => candidate.chroma !== undefined);
+
+    const best = candidates.reduce((current, candidate) => {
+      const chromaDiff = distance(candidate.chroma, source.chroma) - distance(current.chroma, source.chroma);
+      if (chromaDiff !== 0) {
+        return chromaDiff < 0 ? candidate : current;
+      }
+      return distance(candidate.depth, source.depth) < distance(current.depth, source.depth) ? candidate : current;
+    });
+
+    result.needed = true;
+    result.target = best.pixelFormat;
+    result.reason = `${original} is not supported by ${format} (${constraints.pixelFormats.join(', ')}), converted to ${best.pixelFormat}`;
+
+    return result;
+  }
+
+  /**
+   * FFmpeg rate of a frame rate (exact fraction for NTSC rates)
+   */
+  static toFFmpegRate(frameRate) {
+    return NTSC_RATES[frameRate] || String(frameRate);
+  }
+}
+
+export default FrameNormalizer;
@@ -9,6 +9,7 @@
 
 import { spawn } from 'child_process';
 import { FFMPEG_CONFIG } from '../../config/ffmpeg.js';
+import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
 import logger from '../../utils/logger.js';
 
 export class MediaValidator {
@@ -215,6 +216,218 @@ export class MediaValidator {
 
     return result;
   }
+
+  /**
+   * Inspect a file without converting it: normalized container and stream
+   * info, validation results and compatibility with each target format
+   * @param {string} inputPath - Path to input file
+   * @param {string[]} targetFormats - Lowercase target formats (e.g. ['mp4', 'mpeg'])
+   */
+  static async probe(inputPath, targetFormats) {
+    const metadata = await this.getDetailedMetadata(inputPath);
+    const integrity = this.validateIntegrity(metadata);
+    const streamCheck = this.validateStreams(metadata);
+
+    return {
+      valid: integrity.valid,
+      errors: integrity.errors,
+      warnings: streamCheck.warnings,
+      ...this.summarize(metadata),
+      compatibility: Object.fromEntries(
+        targetFormats.map(format => [format, this.checkCompatibility(metadata, format)])
+      )
+    };
+  }
+
+  /**
+   * Normalize ffprobe output into container and per-stream info
+   */
+  static summarize(metadata) {
+    const toNumber = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const format = metadata.format || {};
+
+    return {
+      container: {
+        formatName: format.format_name || null,
+        formatLongName: format.format_long_name || null,
+        duration: toNumber(format.duration),
+        size: toNumber(format.size),
+        bitrate: toNumber(format.bit_rate),
+        streamCount: metadata.streams?.length || 0
+      },
+      streams: (metadata.streams || []).map(stream => {
+        const info = {
+          index: stream.index,
+          type: stream.codec_type,
+          codec: stream.codec_name || null,
+          codecLongName: stream.codec_long_name || null,
+          profile: stream.profile || null,
+          bitrate: toNumber(stream.bit_rate),
+          duration: toNumber(stream.duration),
+          language: stream.tags?.language || null
+        };
+
+        if (stream.codec_type === 'video') {
+          Object.assign(info, {
+            width: stream.width,
+            height: stream.height,
+            rotation: this.getRotation(stream),
+            fps: this.getFrameRate(stream),
+            pixelFormat: stream.pix_fmt || null
+          });
+        } else if (stream.codec_type === 'audio') {
+          Object.assign(info, {
+            channels: stream.channels,
+            channelLayout: stream.channel_layout || null,
+            sampleRate: toNumber(stream.sample_rate)
+          });
+        }
+
+        return info;
+      })
+    };
+  }
+
+  /**
+   * Frame rate of a video stream in fps (null if unknown)
+   */
+  static getFrameRate(videoStream) {
+    for (const rate of [videoStream.avg_frame_rate, videoStream.r_frame_rate]) {
+      const [num, den] = (rate || '').split('/').map(Number);
+      if (num > 0 && den > 0) {
+        return Math.round((num / den) * 1000) / 1000;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Clockwise rotation (0, 90, 180 or 270) players apply to a video
+   * stream: the display matrix side data of phone footage (ffprobe
+   * reports its rotation counterclockwise, e.g. -90 for iPhone portrait
+   * video), or the rotate tag of older files
+   */
+  static getRotation(videoStream) {
+    const displayMatrix = videoStream?.side_data_list?.find(data => data.rotation !== undefined);
+    const degrees = displayMatrix ? -Number(displayMatrix.rotation) : Number(videoStream?.tags?.rotate || 0);
+    const rotation = Math.round(degrees / 90) * 90 % 360;
+
+    return Number.isFinite(rotation) ? (rotation + 360) % 360 : 0;
+  }
+
+  /**
+   * Frame size a video stream is displayed at (width and height swapped
+   * for 90 and 270 degree rotations)
+   */
+  static getDisplaySize(videoStream) {
+    const rotation = this.getRotation(videoStream);
+
+    return rotation === 90 || rotation === 270
+      ? { width: videoStream.height, height: videoStream.width }
+      : { width: videoStream.width, height: videoStream.height };
+  }
+
+  /**
+   * ffprobe metadata as FFmpeg decodes it for encoding: frames are turned
+   * upright (FFmpeg autorotates), so the video stream has its display size
+   * and no rotation
+   */
+  static getDisplayMetadata(metadata) {
+    const videoStream = metadata?.streams?.find(s => s.codec_type === 'video');
+    if (!videoStream || this.getRotation(videoStream) === 0) {
+      return metadata;
+    }
+
+    const { side_data_list: sideData = [], tags = {}, ...stream } = videoStream;
+    const { rotate, ...otherTags } = tags;
+
+    return {
+      ...metadata,
+      streams: metadata.streams.map(s => (
+        s === videoStream
+          ? {
+            ...stream,
+            ...this.getDisplaySize(videoStream),
+            side_data_list: sideData.filter(data => data.rotation === undefined),
+            tags: otherTags
+          }
+          : s
+      ))
+    };
+  }
+
+  /**
+   * Compare the first video/audio stream with a target format's capabilities
+   * @param {object} metadata - ffprobe metadata
+   * @param {string} targetFormat - Lowercase target format
+   */
+  static checkCompatibility(metadata, targetFormat) {
+    const capabilities = FormatCapabilityMatrix.getEncodingConstraints(targetFormat);
+    const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
+    const audioStream = metadata.streams?.find(s => s.codec_type === 'audio');
+    const target = targetFormat.toUpperCase();
+    const notes = [];
+
+    if (!capabilities || !videoStream) {
+      return {
+        videoCodecSupported: null,
+        audioCodecSupported: null,
+        resolutionSupported: null,
+        notes: capabilities ? ['No video stream found'] : [`No capability data for ${target}`]
+      };
+    }
+
+    const videoCodecSupported = capabilities.supportedVideoCodecs.includes(videoStream.codec_name);
+    if (!videoCodecSupported) {
+      notes.push(`Video codec ${videoStream.codec_name} is not supported in ${target}, video will be re-encoded`);
+    }
+
+    let audioCodecSupported = null;
+    if (audioStream) {
+      audioCodecSupported = capabilities.supportedAudioCodecs.includes(audioStream.codec_name);
+      if (!audioCodecSupported) {
+        notes.push(`Audio codec ${audioStream.codec_name} is not supported in ${target}, audio will be re-encoded`);
+      }
+    }
+
+    // Rotated video is checked at the size it is displayed at
+    const displaySize = this.getDisplaySize(videoStream);
+    const resolution = FormatCapabilityMatrix.isResolutionSupported(displaySize.width, displaySize.height, targetFormat);
+    if (!resolution.supported) {
+      notes.push(`${resolution.reason}, video will be rescaled`);
+    }
+
+    const rotation = this.getRotation(videoStream);
+    if (rotation && !capabilities.rotationMetadata) {
+      notes.push(`${target} cannot store the ${rotation}° rotation, it will be applied to the frames`);
+    }
+
+    const fps = this.getFrameRate(videoStream);
+    if (fps && Array.isArray(capabilities.supportedFrameRates)
+      && !capabilities.supportedFrameRates.some(rate => Math.abs(rate - fps) < 0.01)) {
+      notes.push(`Frame rate ${fps} fps is not standard for ${target} (${capabilities.supportedFrameRates.join(', ')})`);
+    }
+
+    // Format-specific recommendations from the codec validator
+    const codecCheck = this.validateCodecs(metadata, targetFormat);
+    for (const note of [...codecCheck.warnings, ...codecCheck.recommendations]) {
+      if (!notes.includes(note)) {
+        notes.push(note);
+      }
+    }
+
+    return {
+      videoCodecSupported,
+      audioCodecSupported,
+      resolutionSupported: resolution.supported,
+      notes
+    };
+  }
 }
 
 export default MediaValidator;
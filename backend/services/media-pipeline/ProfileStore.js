@@ -0,0 +1,101 @@
+/**
+ * ProfileStore - User-defined encoding profiles backed by a JSON file
+ *
+ * Custom profiles (created through /api/v1/profiles) are kept in memory,
+ * so EncodingProfileManager can read them synchronously, and written to
+ * PROFILE_STORE_FILE (data/profiles.json) on every change (atomic,
+ * coalesced writes; see JsonFileStore).
+ */
+
+import path from 'path';
+import { PATHS } from '../../config/ffmpeg.js';
+import { JsonFileStore } from '../../utils/jsonFileStore.js';
+
+export class ProfileStore extends JsonFileStore {
+  constructor({ filePath }) {
+    super({ filePath, name: 'custom encoding profiles', indent: 2 });
+  }
+
+  /**
+   * Read all custom profiles from disk
+   */
+  async load() {
+    await this.readFile();
+    return this.list();
+  }
+
+  list() {
+    return this.values();
+  }
+
+  get(profileId) {
+    const profile = this.records.get(profileId);
+    return profile ? structuredClone(profile) : null;
+  }
+
+  /**
+   * Store a new profile. The ID is checked and taken before the write, so
+   * of concurrent creations with one ID only the first succeeds.
+   * @returns {Promise<boolean>} Whether the profile was created (false when
+   *                             the ID is already in use)
+   */
+  async create(profile) {
+    if (this.records.has(profile.id)) {
+      return false;
+    }
+
+    await this.save(profile);
+    return true;
+  }
+
+  /**
+   * Store a profile; when the write fails the previous version is restored,
+   * so conversions never use a profile that is not on disk
+   */
+  async save(profile) {
+    const previous = this.records.get(profile.id);
+    const saved = structuredClone(profile);
+
+    this.records.set(profile.id, saved);
+    await this.flushOrRestore(profile.id, saved, previous);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the profile existed
+   */
+  async remove(profileId) {
+    const previous = this.records.get(profileId);
+    if (!previous) {
+      return false;
+    }
+
+    this.records.delete(profileId);
+    await this.flushOrRestore(profileId, undefined, previous);
+    return true;
+  }
+
+  /**
+   * Write the change to a profile, or undo it (unless it was changed again
+   * meanwhile) and rethrow
+   */
+  async flushOrRestore(profileId, current, previous) {
+    try {
+      await this.flush();
+    } catch (error) {
+      if (this.records.get(profileId) === current) {
+        if (previous) {
+          this.records.set(profileId, previous);
+        } else {
+          this.records.delete(profileId);
+        }
+      }
+      throw error;
+    }
+  }
+}
+
+export const profileStore = new ProfileStore({
+  filePath: process.env.PROFILE_STORE_FILE || path.join(PATHS.data, 'profiles.json')
+});
+
+export default profileStore;
@@ -2,12 +2,17 @@
  * ResolutionNormalizer - Automatic resolution adjustment
  * 
  * Normalizes video resolution based on target format constraints.
- * Implements safe scaling with aspect ratio preservation.
+ * Implements safe scaling with aspect ratio preservation. Formats with
+ * fixed frame sizes (3GP, 3G2) are snapped to the largest standard size
+ * that fits the source and padded, instead of arbitrary even dimensions.
+ * Rotated phone footage is normalized at the size it is displayed at:
+ * FFmpeg turns the frames upright before they are scaled.
  * 
  * Industry Standard: SMPTE RP 2071 (Ultra HD Content Production Ecosystem)
  */
 
 import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
+import { MediaValidator } from './MediaValidator.js';
 import logger from '../../utils/logger.js';
 
 export class ResolutionNormalizer {
@@ -35,8 +40,8 @@ export class ResolutionNormalizer {
         throw new Error('No video stream found');
       }
 
-      const sourceWidth = videoStream.width;
-      const sourceHeight = videoStream.height;
+      // Display size: width and height swapped for 90/270 degree rotations
+      const { width: sourceWidth, height: sourceHeight } = MediaValidator.getDisplaySize(videoStream);
 
       result.originalResolution = { width: sourceWidth, height: sourceHeight };
 
@@ -60,7 +65,9 @@ export class ResolutionNormalizer {
         );
 
         result.targetResolution = targetRes;
-        result.scaleFilter = this.buildScaleFilter(targetRes.width, targetRes.height);
+        result.scaleFilter = FormatCapabilityMatrix.getStandardResolution(targetFormat, targetRes.width, targetRes.height)
+          ? this.buildPaddedScaleFilter(targetRes.width, targetRes.height)
+          : this.buildScaleFilter(targetRes.width, targetRes.height);
 
         logger.info(
           `Resolution normalization required: ${sourceWidth}x${sourceHeight} → ${targetRes.width}x${targetRes.height} for ${targetFormat.toUpperCase()}`
@@ -118,6 +125,14 @@ export class ResolutionNormalizer {
     return `scale=${width}:${height}`;
   }
 
+  /**
+   * Build FFmpeg scale filter for a fixed frame size: the video is fitted
+   * inside keeping its aspect ratio and padded (letterbox/pillarbox)
+   */
+  static buildPaddedScaleFilter(width, height) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+  }
+
   /**
    * Build complex scale filter with additional processing
    */
@@ -174,6 +189,11 @@ export class ResolutionNormalizer {
    * Get standard resolutions for format
    */
   static getStandardResolutions(targetFormat) {
+    const fixedSizes = FormatCapabilityMatrix.getEncodingConstraints(targetFormat)?.standardResolutions;
+    if (fixedSizes) {
+      return fixedSizes;
+    }
+
     const standards = {
       mpeg: [
         { name: 'PAL DVD', width: 720, height: 576, fps: 25 },
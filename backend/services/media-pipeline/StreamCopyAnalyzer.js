@@ -0,0 +1,229 @@
+/**
+ * StreamCopyAnalyzer - Stream copy (remux) decisions
+ *
+ * Compares the source video and audio streams with the target format's
+ * supportedVideoCodecs/supportedAudioCodecs (FormatCapabilityMatrix) and
+ * decides per stream whether it can be copied into the new container
+ * unchanged or has to be re-encoded. Copying is lossless and takes seconds
+ * instead of a full encode.
+ *
+ * A stream is only copied when nothing about it has to change:
+ * - video: codec allowed (and within the format's codec constraints, e.g.
+ *   3GP H.263 frame sizes or H.264 profiles), no transform (crop, rotate,
+ *   flip, pad), burned-in subtitles or watermark, no resolution, frame rate, pixel format or deinterlacing
+ *   adjustment, bitrate within the format limit, and a rotation (display
+ *   matrix of phone footage) only into containers that store it
+ *   (rotationMetadata: MP4, MOV, 3GP, 3G2). Encoded frames are turned
+ *   upright by FFmpeg, so the rotation is baked in.
+ * - audio: codec allowed, bitrate within the format limit
+ * A requested encoding profile, quality preset, custom bitrate, rate control,
+ * target size or two-pass encode, remux=false,
+ * a conversion through the lossless intermediate or into the source's own
+ * format (MKV to MKV) always re-encodes.
+ */
+
+import { FormatCapabilityMatrix } from './FormatCapabilityMatrix.js';
+import { VideoTransform } from './VideoTransform.js';
+import { Subtitles } from './Subtitles.js';
+import { Watermark } from './Watermark.js';
+import { MediaValidator } from './MediaValidator.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Codec tags copied streams need per container (QuickTime players only
+ * accept HEVC tagged hvc1, FFmpeg writes hev1 by default)
+ */
+const COPY_TAGS = {
+  mp4: { hevc: 'hvc1' },
+  mov: { hevc: 'hvc1' }
+};
+
+/**
+ * Stream bitrate in kbps (null if ffprobe did not report one)
+ */
+const getBitrate = (stream) => {
+  const bitRate = parseInt(stream?.bit_rate, 10);
+  return Number.isFinite(bitRate) ? Math.round(bitRate / 1000) : null;
+};
+
+/**
+ * Lowercase codec profile as named in codecConstraints
+ * ('Constrained Baseline' is a subset of baseline)
+ */
+const normalizeProfile = (profile) => (
+  String(profile || '').toLowerCase().replace(/^constrained /, '')
+);
+
+export class StreamCopyAnalyzer {
+  /**
+   * Decide which streams are copied for a conversion
+   * @param {object} params
+   * @param {object} params.metadata - ffprobe metadata of the input
+   * @param {string} params.targetFormat - Lowercase target format
+   * @param {string|null} params.sourceFormat - Lowercase source format
+   * @param {object} params.normalization - Resolution normalization result (stage 3)
+   * @param {object} params.frameNormalization - FrameNormalizer result (stage 4)
+   * @param {object|null} params.transform - VideoTransform result (stage 3)
+   * @param {object|null} params.subtitles - Subtitles result
+   * @param {object|null} params.watermark - Watermark result
+   * @param {object} params.options - Conversion options (remux, quality, customBitrate, rateControl, targetSize, passes)
+   * @param {string|null} params.profile - Requested encoding profile ID, none or null
+   * @param {boolean} params.intermediate - Converted through the lossless intermediate
+   * @returns {object} { video, audio, remux } - video/audio: { action, codec, reason },
+   *                   action is copy, encode or none (no audio stream); a copied
+   *                   video stream may carry the codec tag to write, rotated
+   *                   video its rotation { degrees, action: preserve or bake }
+   */
+  static analyze({ metadata, targetFormat, sourceFormat = null, normalization, frameNormalization, transform = null, subtitles = null, watermark = null, options = {}, profile = null, intermediate = false }) {
+    const capabilities = FormatCapabilityMatrix.getEncodingConstraints(targetFormat);
+    const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
+    const audioStream = metadata.streams?.find(s => s.codec_type === 'audio');
+    const format = targetFormat.toUpperCase();
+
+    // Reasons that re-encode every stream
+    let encodeAll = null;
+    if (options.remux === false) {
+      encodeAll = 'Stream copy disabled (remux=false)';
+    } else if (!capabilities) {
+      encodeAll = `No capability data for ${format}`;
+    } else if (profile && profile !== 'none') {
+      encodeAll = `Encoding profile ${profile} requested`;
+    } else if (options.customBitrate) {
+      encodeAll = `Custom bitrate ${options.customBitrate} requested`;
+    } else if (options.rateControl) {
+      encodeAll = `Rate control ${options.rateControl} requested`;
+    } else if (options.targetSize) {
+      encodeAll = `Target size ${options.targetSize} requested`;
+    } else if (options.quality) {
+      encodeAll = `Quality preset ${options.quality} requested`;
+    } else if (options.passes > 1) {
+      encodeAll = `Two-pass encoding requested (passes=${options.passes})`;
+    } else if (intermediate) {
+      encodeAll = 'Converted through a lossless intermediate';
+    } else if (sourceFormat === targetFormat) {
+      encodeAll = `Re-encoding ${format} to ${format}`;
+    }
+
+    const video = {
+      action: 'encode',
+      codec: videoStream?.codec_name || null,
+      reason: encodeAll || this.checkVideo(videoStream, capabilities, format, { normalization, frameNormalization, transform, subtitles, watermark })
+    };
+    if (!video.reason) {
+      video.action = 'copy';
+      video.reason = `${video.codec} is compatible with ${format}`;
+
+      const tag = COPY_TAGS[targetFormat]?.[video.codec];
+      if (tag) {
+        video.tag = tag;
+      }
+    }
+
+    // A copied stream keeps its display matrix, encoded frames are upright
+    const rotation = MediaValidator.getRotation(videoStream);
+    if (rotation) {
+      video.rotation = { degrees: rotation, action: video.action === 'copy' ? 'preserve' : 'bake' };
+    }
+
+    const audio = {
+      action: audioStream ? 'encode' : 'none',
+      codec: audioStream?.codec_name || null,
+      reason: audioStream
+        ? encodeAll || this.checkAudio(audioStream, capabilities, format)
+        : 'No audio stream'
+    };
+    if (audioStream && !audio.reason) {
+      audio.action = 'copy';
+      audio.reason = `${audio.codec} is compatible with ${format}`;
+    }
+
+    const remux = video.action === 'copy' && audio.action !== 'encode';
+
+    if (video.action === 'copy' || audio.action === 'copy') {
+      logger.info(`Stream copy to ${format}: video ${video.action}, audio ${audio.action}`);
+    }
+
+    return { video, audio, remux };
+  }
+
+  /**
+   * Why the video stream cannot be copied, or null if it can
+   */
+  static checkVideo(videoStream, capabilities, format, { normalization, frameNormalization, transform = null, subtitles = null, watermark = null }) {
+    const codec = videoStream.codec_name;
+
+    if (!capabilities.supportedVideoCodecs.includes(codec)) {
+      return `Video codec ${codec} is not supported in ${format} (${capabilities.supportedVideoCodecs.join(', ')})`;
+    }
+
+    if (transform) {
+      return `Video is transformed (${VideoTransform.describe(transform)})`;
+    }
+
+    if (subtitles) {
+      return `Subtitles are burned in (${Subtitles.describe(subtitles)})`;
+    }
+
+    if (watermark) {
+      return `Video is watermarked (${Watermark.describe(watermark)})`;
+    }
+
+    const rotation = MediaValidator.getRotation(videoStream);
+    if (rotation && !capabilities.rotationMetadata) {
+      return `${format} cannot store the ${rotation}° rotation, it is applied to the frames`;
+    }
+
+    if (normalization?.needed) {
+      return `Resolution is adjusted to ${normalization.target.width}x${normalization.target.height}`;
+    }
+
+    if (frameNormalization?.frameRate.needed) {
+      return `Frame rate is adjusted (${frameNormalization.frameRate.reason})`;
+    }
+
+    if (frameNormalization?.pixelFormat.needed) {
+      return `Pixel format is adjusted (${frameNormalization.pixelFormat.reason})`;
+    }
+
+    const constraint = capabilities.codecConstraints?.[codec];
+    if (constraint?.resolutions) {
+      const frameSize = FormatCapabilityMatrix.getStandardResolution(format.toLowerCase(), videoStream.width, videoStream.height);
+      if (!constraint.resolutions.includes(frameSize?.name)) {
+        return `${format} ${codec} video must be ${constraint.resolutions.join(', ')}`;
+      }
+    }
+    if (constraint?.maxFrameRate && frameNormalization?.frameRate.original > constraint.maxFrameRate) {
+      return `${format} ${codec} video is limited to ${constraint.maxFrameRate} fps`;
+    }
+    if (constraint?.profiles && !constraint.profiles.includes(normalizeProfile(videoStream.profile))) {
+      return `${format} ${codec} video must use the ${constraint.profiles.join(', ')} profile (source: ${videoStream.profile || 'unknown'})`;
+    }
+
+    const bitrate = getBitrate(videoStream);
+    if (bitrate && bitrate > capabilities.maxBitrate.video) {
+      return `Video bitrate ${bitrate}k exceeds the ${format} limit of ${capabilities.maxBitrate.video}k`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Why the audio stream cannot be copied, or null if it can
+   */
+  static checkAudio(audioStream, capabilities, format) {
+    const codec = audioStream.codec_name;
+
+    if (!capabilities.supportedAudioCodecs.includes(codec)) {
+      return `Audio codec ${codec} is not supported in ${format} (${capabilities.supportedAudioCodecs.join(', ')})`;
+    }
+
+    const bitrate = getBitrate(audioStream);
+    if (bitrate && bitrate > capabilities.maxBitrate.audio) {
+      return `Audio bitrate ${bitrate}k exceeds the ${format} limit of ${capabilities.maxBitrate.audio}k`;
+    }
+
+    return null;
+  }
+}
+
+export default StreamCopyAnalyzer;
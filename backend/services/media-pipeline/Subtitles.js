@@ -0,0 +1,261 @@
+/**
+ * Subtitles - Burn an uploaded SRT, ASS or WebVTT file into the video
+ *
+ * The subtitle file is uploaded as the multipart field `subtitles` and
+ * checked before the conversion (UTF-8 text in the format its extension
+ * names, with at least one cue, see checkFile). FFmpeg's subtitles filter
+ * (libass) renders it onto the frame, so the video is always re-encoded.
+ *
+ * Style overrides (force_style) apply to every cue, also over the styles
+ * of an ASS file:
+ * - fontSize: libass points, relative to the script height (288 lines
+ *   for SRT and WebVTT, so 16 is about 5.5% of the frame height); the
+ *   text scales with the output resolution
+ * - outline: border width around the text, in the same units
+ * - position: bottom, top or middle of the frame (centered)
+ *
+ * The cues are timed against the input: when only a clip is converted
+ * the frames are shifted to the input time while they are drawn on
+ * (setpts), so the clip shows the cues of its part of the input.
+ *
+ * The subtitles are drawn after the scaling, on the final frame, and
+ * before a watermark (see Watermark.apply, which draws on top of them).
+ */
+
+import path from 'path';
+import { ClipRange } from './ClipRange.js';
+
+/**
+ * Subtitle format per file extension
+ */
+export const SUBTITLE_FORMATS = {
+  '.srt': 'srt',
+  '.ass': 'ass',
+  '.vtt': 'vtt'
+};
+
+export const SUBTITLE_POSITIONS = ['bottom', 'top', 'middle'];
+
+/**
+ * Font size and outline range (libass points)
+ */
+export const SUBTITLE_LIMITS = {
+  fontSize: { min: 4, max: 120 },
+  outline: { min: 0, max: 10 }
+};
+
+/**
+ * Query options of the subtitles (the file is the uploaded file's path,
+ * subtitlesFile)
+ */
+export const SUBTITLE_OPTIONS = ['subtitleFontSize', 'subtitleOutline', 'subtitlePosition'];
+
+const FORMAT_NAMES = { srt: 'SRT', ass: 'ASS', vtt: 'WebVTT' };
+
+/**
+ * ASS alignment (numpad layout) of a position
+ */
+const ALIGNMENTS = { bottom: 2, top: 8, middle: 5 };
+
+/**
+ * Cue timing line of SRT (00:00:01,000 --> 00:00:04,000) and WebVTT
+ * (00:01.000 --> 00:04.000)
+ */
+const TIMING_LINE = /^\s*(\d+:)?\d{1,2}:\d{2}[,.]\d{1,3}\s+-->\s+(\d+:)?\d{1,2}:\d{2}[,.]\d{1,3}/gm;
+
+/**
+ * Filters added by apply: the subtitles filter and the time shift around it
+ */
+const isSubtitleFilter = (filter) => /^subtitles=/.test(filter) || /^setpts=PTS[+-][\d.]+\/TB$/.test(filter);
+
+/**
+ * Split a filter chain on top-level commas (quoted values keep theirs)
+ */
+const splitChain = (chain) => chain.match(/(?:'[^']*'|[^,])+/g) || [];
+
+/**
+ * Quote a filter option value, as Watermark does: escaped for the option
+ * parser, then single-quoted for the filtergraph parser
+ */
+const quote = (value) => `'${String(value).replace(/[\\':]/g, '\\$&').replace(/'/g, "'\\''")}'`;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+export class Subtitles {
+  /**
+   * Whether subtitles were requested
+   */
+  static isRequested(options = {}) {
+    return isSet(options.subtitlesFile);
+  }
+
+  /**
+   * Subtitle format of a file name ('srt', 'ass', 'vtt'), or null
+   */
+  static getFormat(fileName) {
+    return SUBTITLE_FORMATS[path.extname(String(fileName)).toLowerCase()] || null;
+  }
+
+  /**
+   * Format of subtitle text, by its content, or null
+   */
+  static detectFormat(text) {
+    if (/^WEBVTT(\s|$)/.test(text)) {
+      return 'vtt';
+    }
+    if (/^\[Script Info\]/mi.test(text) && /^\[Events\]/mi.test(text)) {
+      return 'ass';
+    }
+    return text.match(TIMING_LINE) ? 'srt' : null;
+  }
+
+  /**
+   * Number of cues in subtitle text
+   */
+  static countCues(text, format) {
+    return format === 'ass'
+      ? (text.match(/^Dialogue:/gm) || []).length
+      : (text.match(TIMING_LINE) || []).length;
+  }
+
+  /**
+   * Why an uploaded subtitle file cannot be burned in
+   * @param {Buffer} buffer - File content
+   * @param {string} fileName - Uploaded file name (its extension names the format)
+   * @returns {string|null} Error message, or null if the file is usable
+   */
+  static checkFile(buffer, fileName) {
+    const format = this.getFormat(fileName);
+    if (!format) {
+      return `The subtitles file must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`;
+    }
+
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch {
+      return 'The subtitles file must be UTF-8 text';
+    }
+
+    if (this.detectFormat(text) !== format) {
+      return `The subtitles file is not a valid ${FORMAT_NAMES[format]} file`;
+    }
+    if (this.countCues(text, format) === 0) {
+      return 'The subtitles file contains no subtitles';
+    }
+
+    return null;
+  }
+
+  /**
+   * Why the subtitle options are invalid
+   * @param {object} options - Subtitle options (SUBTITLE_OPTIONS and subtitlesFile)
+   * @returns {Array<object>} [{ field, message }], empty if valid
+   */
+  static validate(options) {
+    if (!this.isRequested(options)) {
+      const field = SUBTITLE_OPTIONS.find(name => isSet(options[name]));
+      return field ? [{ field, message: 'Subtitle options require a subtitles file' }] : [];
+    }
+
+    const errors = [];
+    const check = (field, valid, message) => {
+      if (isSet(options[field]) && !valid(options[field])) {
+        errors.push({ field, message });
+      }
+    };
+    const { fontSize, outline } = SUBTITLE_LIMITS;
+
+    check('subtitleFontSize', value => value >= fontSize.min && value <= fontSize.max, `Subtitle font size must be between ${fontSize.min} and ${fontSize.max}`);
+    check('subtitleOutline', value => value >= outline.min && value <= outline.max, `Subtitle outline must be between ${outline.min} and ${outline.max}`);
+    check('subtitlePosition', value => SUBTITLE_POSITIONS.includes(value), `Subtitle position must be one of: ${SUBTITLE_POSITIONS.join(', ')}`);
+    if (!this.getFormat(options.subtitlesFile)) {
+      errors.push({ field: 'subtitles', message: `The subtitles file must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Subtitles of a conversion, or null when none were requested
+   * @param {object} options - Conversion options (SUBTITLE_OPTIONS,
+   *                           subtitlesFile, start of a clip)
+   * @returns {object|null} { format, fontSize, outline, position, offset,
+   *                        filter } - style values are null when the file's
+   *                        own apply, offset is the input time of the
+   *                        output's first frame (seconds)
+   * @throws {Error} If the subtitle options are invalid
+   */
+  static resolve(options = {}) {
+    if (!this.isRequested(options)) {
+      return null;
+    }
+
+    const errors = this.validate(options);
+    if (errors.length > 0) {
+      throw new Error(`Invalid subtitles: ${errors.map(error => error.message).join(', ')}`);
+    }
+
+    const subtitles = {
+      format: this.getFormat(options.subtitlesFile),
+      fontSize: isSet(options.subtitleFontSize) ? Number(options.subtitleFontSize) : null,
+      outline: isSet(options.subtitleOutline) ? Number(options.subtitleOutline) : null,
+      position: options.subtitlePosition || null,
+      offset: (isSet(options.start) && ClipRange.parseTime(options.start)) || 0
+    };
+
+    return { ...subtitles, filter: this.buildFilter(subtitles, options.subtitlesFile) };
+  }
+
+  /**
+   * Filters burning the subtitles in (shifted to the input time for a clip)
+   */
+  static buildFilter(subtitles, filePath) {
+    const style = [
+      subtitles.fontSize !== null && `FontSize=${subtitles.fontSize}`,
+      subtitles.outline !== null && `Outline=${subtitles.outline}`,
+      subtitles.position && `Alignment=${ALIGNMENTS[subtitles.position]}`
+    ].filter(Boolean).join(',');
+
+    const filter = `subtitles=filename=${quote(filePath)}${style ? `:force_style='${style}'` : ''}`;
+
+    return subtitles.offset
+      ? `setpts=PTS+${subtitles.offset}/TB,${filter},setpts=PTS-${subtitles.offset}/TB`
+      : filter;
+  }
+
+  /**
+   * Short description of subtitles, e.g. 'SRT'
+   */
+  static describe(subtitles) {
+    return FORMAT_NAMES[subtitles.format];
+  }
+
+  /**
+   * Burn the subtitles in at the end of the -vf chain, on the final frame
+   * (apply before the watermark). Subtitles already in the arguments are
+   * replaced, null subtitles remove them.
+   */
+  static apply(args, subtitles) {
+    const result = [...args];
+    const index = result.lastIndexOf('-vf');
+    const chain = index === -1 ? [] : splitChain(result[index + 1]).filter(filter => !isSubtitleFilter(filter));
+
+    if (subtitles) {
+      chain.push(subtitles.filter);
+    }
+
+    if (index !== -1 && chain.length === 0) {
+      result.splice(index, 2);
+    } else if (index !== -1) {
+      result[index + 1] = chain.join(',');
+    } else if (chain.length > 0) {
+      // Output options go before the output path
+      result.splice(result.length - 1, 0, '-vf', chain.join(','));
+    }
+
+    return result;
+  }
+}
+
+export default Subtitles;
@@ -0,0 +1,290 @@
+/**
+ * VideoTransform - Crop, rotate, flip and pad the video frame
+ *
+ * Transforms apply to the source frame as it is displayed (FFmpeg turns
+ * rotated phone footage upright first), in this order:
+ * - crop: width:height[:x:y] rectangle of the source (centered without
+ *   x:y), rounded down to even dimensions for 4:2:0 chroma
+ * - rotate: 90, 180 or 270 degrees clockwise
+ * - flip: horizontal, vertical or both (mirrors the rotated frame)
+ * - pad: letterbox/pillarbox the frame to an aspect ratio (e.g. 16:9)
+ *   with a color (default black), centered
+ *
+ * The transform filters go before the scaling in the -vf chain, so
+ * resolution normalization fits the transformed frame into the target
+ * format's limits (see getFrameMetadata).
+ */
+
+import { MediaValidator } from './MediaValidator.js';
+
+/**
+ * Crop rectangle: width:height or width:height:x:y
+ */
+export const CROP_PATTERN = /^\d+:\d+(:\d+:\d+)?$/;
+
+/**
+ * Aspect ratio of the padded frame: 16:9, 1:1, 2.39:1
+ */
+export const ASPECT_RATIO_PATTERN = /^\d+(\.\d+)?:\d+(\.\d+)?$/;
+
+/**
+ * Pad color: hex RRGGBB (optionally # or 0x) or one of PAD_COLORS
+ */
+export const PAD_COLORS = ['black', 'white', 'gray', 'red', 'green', 'blue', 'yellow'];
+export const PAD_COLOR_PATTERN = new RegExp(`^((#|0x)?[0-9a-fA-F]{6}|${PAD_COLORS.join('|')})$`);
+
+export const ROTATIONS = [90, 180, 270];
+export const FLIPS = ['horizontal', 'vertical', 'both'];
+
+/**
+ * Smallest cropped frame and the aspect ratio range of the padded frame
+ * (wider ratios pad a frame to several times its size)
+ */
+const MIN_CROP_SIZE = 16;
+const MIN_ASPECT_RATIO = 1 / 4;
+const MAX_ASPECT_RATIO = 4;
+
+/**
+ * Filters of a rotation and a flip
+ */
+const ROTATE_FILTERS = { 90: ['transpose=1'], 180: ['hflip', 'vflip'], 270: ['transpose=2'] };
+const FLIP_FILTERS = { horizontal: ['hflip'], vertical: ['vflip'], both: ['hflip', 'vflip'] };
+
+/**
+ * Whether a -vf filter was added by a transform (the padding of a
+ * transform is the only pad with a color)
+ */
+const isTransformFilter = (filter) => (
+  /^(crop|transpose)=/.test(filter) || /^[hv]flip$/.test(filter) || (/^pad=/.test(filter) && filter.includes(':color='))
+);
+
+/**
+ * Whether a transform was requested
+ */
+const hasTransformOptions = (options) => (
+  [options.crop, options.rotate, options.flip, options.pad].some(value => value !== undefined && value !== null)
+);
+
+/**
+ * Round up / down to an even number
+ */
+const evenUp = (value) => Math.ceil(value / 2) * 2;
+const evenDown = (value) => Math.floor(value / 2) * 2;
+
+/**
+ * Split a filter chain on top-level commas (quoted expressions keep theirs)
+ */
+const splitChain = (chain) => chain.match(/(?:'[^']*'|[^,])+/g) || [];
+
+export class VideoTransform {
+  /**
+   * Display size of the video stream in ffprobe metadata, or null
+   */
+  static getFrameSize(metadata) {
+    const videoStream = metadata?.streams?.find(s => s.codec_type === 'video');
+    return videoStream?.width && videoStream?.height
+      ? MediaValidator.getDisplaySize(videoStream)
+      : null;
+  }
+
+  /**
+   * Crop rectangle of a crop option ('640:480' or '640:480:100:50')
+   */
+  static parseCrop(crop) {
+    const [width, height, x = null, y = null] = String(crop).split(':').map(Number);
+    return { width, height, x, y };
+  }
+
+  /**
+   * Width / height of an aspect ratio option ('16:9' is 1.777...)
+   */
+  static parseAspectRatio(aspectRatio) {
+    const [width, height] = String(aspectRatio).split(':').map(Number);
+    return width / height;
+  }
+
+  /**
+   * FFmpeg color of a padColor option
+   */
+  static toColor(color = 'black') {
+    return PAD_COLORS.includes(color) ? color : `0x${color.replace(/^(#|0x)/, '')}`;
+  }
+
+  /**
+   * Why a transform is invalid, checked against the input frame (only
+   * the options themselves when the frame size is unknown)
+   * @param {object} options - { crop, rotate, flip, pad, padColor } as requested
+   * @param {object|null} metadata - ffprobe metadata of the input
+   * @returns {Array<object>} [{ field, message }], empty if valid
+   */
+  static validate(options, metadata = null) {
+    const errors = [];
+    const frame = this.getFrameSize(metadata);
+
+    if (options.crop != null) {
+      if (!CROP_PATTERN.test(options.crop)) {
+        errors.push({ field: 'crop', message: 'Crop must be width:height or width:height:x:y' });
+      } else {
+        const { width, height, x, y } = this.parseCrop(options.crop);
+        if (width < MIN_CROP_SIZE || height < MIN_CROP_SIZE) {
+          errors.push({ field: 'crop', message: `Crop must be at least ${MIN_CROP_SIZE}x${MIN_CROP_SIZE}` });
+        } else if (frame && ((x ?? 0) + width > frame.width || (y ?? 0) + height > frame.height)) {
+          errors.push({ field: 'crop', message: `Crop ${options.crop} is outside the ${frame.width}x${frame.height} input frame` });
+        }
+      }
+    }
+    if (options.rotate != null && !ROTATIONS.includes(Number(options.rotate))) {
+      errors.push({ field: 'rotate', message: `Rotate must be one of: ${ROTATIONS.join(', ')}` });
+    }
+    if (options.flip != null && !FLIPS.includes(options.flip)) {
+      errors.push({ field: 'flip', message: `Flip must be one of: ${FLIPS.join(', ')}` });
+    }
+    if (options.pad != null) {
+      const ratio = ASPECT_RATIO_PATTERN.test(options.pad) ? this.parseAspectRatio(options.pad) : null;
+      if (!(ratio >= MIN_ASPECT_RATIO && ratio <= MAX_ASPECT_RATIO)) {
+        errors.push({ field: 'pad', message: 'Pad must be an aspect ratio between 1:4 and 4:1, e.g. 16:9' });
+      }
+    }
+    if (options.padColor != null && !PAD_COLOR_PATTERN.test(options.padColor)) {
+      errors.push({ field: 'padColor', message: `Pad color must be RRGGBB or one of: ${PAD_COLORS.join(', ')}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Transform of a conversion, or null when the frame is not transformed
+   * @param {object} options - Conversion options (crop, rotate, flip, pad, padColor)
+   * @param {object|null} metadata - ffprobe metadata of the input
+   * @returns {object|null} { crop, rotate, flip, pad, resolution, filters } -
+   *                        crop { width, height, x, y }, pad { aspectRatio,
+   *                        width, height, color }; sizes are null when the
+   *                        input frame size is unknown
+   * @throws {Error} If the transform is invalid
+   */
+  static resolve(options = {}, metadata = null) {
+    if (!hasTransformOptions(options)) {
+      return null;
+    }
+
+    const errors = this.validate(options, metadata);
+    if (errors.length > 0) {
+      throw new Error(`Invalid transform: ${errors.map(error => error.message).join(', ')}`);
+    }
+
+    const source = this.getFrameSize(metadata);
+    const filters = [];
+    let size = source;
+    let crop = null;
+
+    if (options.crop != null) {
+      const rect = this.parseCrop(options.crop);
+      const width = evenDown(rect.width);
+      const height = evenDown(rect.height);
+      crop = {
+        width,
+        height,
+        x: rect.x ?? (source ? evenDown((source.width - width) / 2) : null),
+        y: rect.y ?? (source ? evenDown((source.height - height) / 2) : null)
+      };
+      filters.push(crop.x === null ? `crop=${width}:${height}` : `crop=${width}:${height}:${crop.x}:${crop.y}`);
+      size = { width, height };
+    }
+
+    const rotate = options.rotate != null ? Number(options.rotate) : 0;
+    if (rotate) {
+      filters.push(...ROTATE_FILTERS[rotate]);
+      size = size && rotate !== 180 ? { width: size.height, height: size.width } : size;
+    }
+
+    const flip = options.flip || null;
+    if (flip) {
+      filters.push(...FLIP_FILTERS[flip]);
+    }
+
+    let pad = null;
+    if (options.pad != null) {
+      const ratio = this.parseAspectRatio(options.pad);
+      const color = this.toColor(options.padColor || 'black');
+      pad = { aspectRatio: options.pad, width: null, height: null, color };
+
+      if (size) {
+        pad.width = evenUp(Math.max(size.width, size.height * ratio));
+        pad.height = evenUp(Math.max(size.height, size.width / ratio));
+        if (pad.width !== size.width || pad.height !== size.height) {
+          filters.push(`pad=${pad.width}:${pad.height}:(ow-iw)/2:(oh-ih)/2:color=${color}`);
+        }
+        size = { width: pad.width, height: pad.height };
+      } else {
+        // Unknown frame: FFmpeg works the padded size out
+        const [w, h] = options.pad.split(':');
+        filters.push(
+          `pad='ceil(max(iw,ih*${w}/${h})/2)*2':'ceil(max(ih,iw*${h}/${w})/2)*2':(ow-iw)/2:(oh-ih)/2:color=${color}`
+        );
+      }
+    }
+
+    return { crop, rotate, flip, pad, resolution: size, filters };
+  }
+
+  /**
+   * Short description of a transform, e.g. 'crop 640x480, rotate 90'
+   */
+  static describe(transform) {
+    return [
+      transform.crop && `crop ${transform.crop.width}x${transform.crop.height}`,
+      transform.rotate && `rotate ${transform.rotate}`,
+      transform.flip && `flip ${transform.flip}`,
+      transform.pad && `pad ${transform.pad.aspectRatio}`
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * ffprobe metadata as seen after a transform: upright (see
+   * MediaValidator.getDisplayMetadata), with the transformed frame size
+   * (what resolution normalization and profile selection fit into the
+   * target format)
+   */
+  static getFrameMetadata(metadata, transform) {
+    const upright = MediaValidator.getDisplayMetadata(metadata);
+    if (!upright?.streams || !transform?.resolution) {
+      return upright;
+    }
+
+    return {
+      ...upright,
+      streams: upright.streams.map(stream => (
+        stream.codec_type === 'video' ? { ...stream, ...transform.resolution } : stream
+      ))
+    };
+  }
+
+  /**
+   * Add the transform filters to FFmpeg arguments, before the scaling in
+   * the -vf chain (deinterlacing and frame rate filters stay first).
+   * Transform filters already in the arguments are replaced, a null
+   * transform removes them.
+   */
+  static apply(args, transform) {
+    const result = [...args];
+    const index = result.lastIndexOf('-vf');
+    const chain = index === -1 ? [] : splitChain(result[index + 1]).filter(filter => !isTransformFilter(filter));
+    const filters = transform?.filters || [];
+
+    const scaling = chain.findIndex(filter => /^(scale|pad)=/.test(filter));
+    chain.splice(scaling === -1 ? chain.length : scaling, 0, ...filters);
+
+    if (index !== -1 && chain.length === 0) {
+      result.splice(index, 2);
+    } else if (index !== -1) {
+      result[index + 1] = chain.join(',');
+    } else if (chain.length > 0) {
+      // Output options go before the output path
+      result.splice(result.length - 1, 0, '-vf', chain.join(','));
+    }
+
+    return result;
+  }
+}
+
+export default VideoTransform;
@@ -0,0 +1,321 @@
+/**
+ * Watermark - Draw an image or a text over the converted video
+ *
+ * The watermark is an uploaded PNG (multipart field `watermark`) or a
+ * text (watermarkText, in watermarkFont and watermarkColor). It is drawn
+ * on the final frame, after resolution normalization, and sized relative
+ * to that frame, so it looks the same on a 176x144 3GP and a 1080p MKV:
+ * - size: height in percent of the frame height (default 5 for a text,
+ *   10 for an image, which keeps its aspect ratio)
+ * - position: a corner or the center, inset by margin (percent of the
+ *   frame height, default 2), or x/y: the top-left corner in percent of
+ *   the frame width/height, kept inside the frame
+ * - opacity: above 0 up to 1 (default, opaque)
+ * - start/end: time window in the output (of the clip when only part of
+ *   the input is converted), default the whole video
+ *
+ * With the output frame size known the sizes are pixels, otherwise FFmpeg
+ * evaluates them against the frame. The watermark is appended to the -vf
+ * chain: a text is a drawtext filter, an image is read by a movie source
+ * and overlaid, which turns the chain into a filtergraph. It therefore
+ * goes last and is removed before the chain is changed again (see apply).
+ */
+
+import { ClipRange } from './ClipRange.js';
+import { VideoTransform, PAD_COLORS, PAD_COLOR_PATTERN } from './VideoTransform.js';
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+/**
+ * Watermark text: up to 100 characters, no control characters
+ */
+export const WATERMARK_TEXT_PATTERN = /^[^\p{Cc}]{1,100}$/u;
+
+/**
+ * Font family, as known to fontconfig (e.g. Sans, DejaVu Serif)
+ */
+export const FONT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{0,63}$/;
+
+/**
+ * Size and margin range, in percent of the frame height
+ */
+export const WATERMARK_LIMITS = {
+  size: { min: 1, max: 50 },
+  margin: { min: 0, max: 25 }
+};
+
+/**
+ * Query options of a watermark (the image is the uploaded file's path,
+ * watermarkImage)
+ */
+export const WATERMARK_OPTIONS = [
+  'watermarkText',
+  'watermarkFont',
+  'watermarkColor',
+  'watermarkSize',
+  'watermarkPosition',
+  'watermarkX',
+  'watermarkY',
+  'watermarkOpacity',
+  'watermarkMargin',
+  'watermarkStart',
+  'watermarkEnd'
+];
+
+const DEFAULT_SIZE = { text: 5, image: 10 };
+const DEFAULT_MARGIN = 2;
+const DEFAULT_POSITION = 'bottom-right';
+const DEFAULT_FONT = 'Sans';
+const DEFAULT_COLOR = 'white';
+
+/**
+ * Where the watermark starts in a -vf chain: the drawtext filter, or the
+ * movie source after the labeled frame
+ */
+const WATERMARK_START = /,?drawtext=|\[wmbase\];movie=/;
+
+/**
+ * Frame and watermark size variables of drawtext and overlay
+ */
+const VARIABLES = {
+  text: { frameWidth: 'w', frameHeight: 'h', width: 'tw', height: 'th' },
+  image: { frameWidth: 'W', frameHeight: 'H', width: 'w', height: 'h' }
+};
+
+/**
+ * Quote a filter option value: escaped for the option parser (\ ' :),
+ * then single-quoted for the filtergraph parser, which cannot quote a
+ * quote (it is closed, escaped and reopened)
+ */
+const quote = (value) => `'${String(value).replace(/[\\':]/g, '\\$&').replace(/'/g, "'\\''")}'`;
+
+/**
+ * Percent as an FFmpeg factor (5 is 0.05)
+ */
+const toFactor = (percent) => Number((percent / 100).toFixed(4));
+
+const isSet = (value) => value !== undefined && value !== null;
+
+export class Watermark {
+  /**
+   * Whether a watermark was requested
+   */
+  static isRequested(options = {}) {
+    return isSet(options.watermarkText) || isSet(options.watermarkImage);
+  }
+
+  /**
+   * Why a watermark is invalid
+   * @param {object} options - Watermark options (WATERMARK_OPTIONS and watermarkImage)
+   * @param {number|string|null} outputDuration - Length converted (seconds), if known
+   * @returns {Array<object>} [{ field, message }], empty if valid
+   */
+  static validate(options, outputDuration = null) {
+    const errors = [];
+    const check = (field, valid, message) => {
+      if (isSet(options[field]) && !valid(options[field])) {
+        errors.push({ field, message });
+      }
+    };
+
+    if (!this.isRequested(options)) {
+      const field = WATERMARK_OPTIONS.find(name => isSet(options[name]));
+      return field
+        ? [{ field, message: 'Watermark options require watermarkText or a watermark image' }]
+        : [];
+    }
+
+    if (isSet(options.watermarkText) && isSet(options.watermarkImage)) {
+      errors.push({ field: 'watermarkText', message: 'Send either watermarkText or a watermark image, not both' });
+    } else if (isSet(options.watermarkImage)) {
+      for (const field of ['watermarkFont', 'watermarkColor']) {
+        check(field, () => false, `${field} only applies to watermarkText`);
+      }
+    }
+
+    const { size, margin } = WATERMARK_LIMITS;
+    check('watermarkText', value => WATERMARK_TEXT_PATTERN.test(value), 'Watermark text must be 1 to 100 characters without control characters');
+    check('watermarkFont', value => FONT_PATTERN.test(value), 'Watermark font must be a font family name, e.g. Sans or DejaVu Serif');
+    check('watermarkColor', value => PAD_COLOR_PATTERN.test(value), `Watermark color must be RRGGBB or one of: ${PAD_COLORS.join(', ')}`);
+    check('watermarkSize', value => value >= size.min && value <= size.max, `Watermark size must be between ${size.min} and ${size.max} (percent of the frame height)`);
+    check('watermarkMargin', value => value >= margin.min && value <= margin.max, `Watermark margin must be between ${margin.min} and ${margin.max} (percent of the frame height)`);
+    check('watermarkOpacity', value => value > 0 && value <= 1, 'Watermark opacity must be above 0 and at most 1');
+    check('watermarkPosition', value => WATERMARK_POSITIONS.includes(value), `Watermark position must be one of: ${WATERMARK_POSITIONS.join(', ')}`);
+
+    for (const field of ['watermarkX', 'watermarkY']) {
+      check(field, value => value >= 0 && value <= 100, `${field} must be between 0 and 100 (percent of the frame)`);
+    }
+    if (isSet(options.watermarkX) !== isSet(options.watermarkY)) {
+      errors.push({ field: isSet(options.watermarkX) ? 'watermarkY' : 'watermarkX', message: 'watermarkX and watermarkY must be set together' });
+    } else if (isSet(options.watermarkX) && isSet(options.watermarkPosition)) {
+      errors.push({ field: 'watermarkPosition', message: 'watermarkPosition cannot be combined with watermarkX and watermarkY' });
+    }
+
+    // Time window, in the output
+    const total = parseFloat(outputDuration);
+    const start = isSet(options.watermarkStart) ? ClipRange.parseTime(options.watermarkStart) : 0;
+    const end = isSet(options.watermarkEnd) ? ClipRange.parseTime(options.watermarkEnd) : null;
+    check('watermarkStart', value => ClipRange.parseTime(value) !== null, 'Watermark start must be seconds or a timecode (90, 01:30, 00:01:30.250)');
+    check('watermarkEnd', value => ClipRange.parseTime(value) !== null, 'Watermark end must be seconds or a timecode (90, 01:30, 00:01:30.250)');
+
+    if (start !== null && end !== null && end <= start) {
+      errors.push({ field: 'watermarkEnd', message: `Watermark end ${options.watermarkEnd} must be after watermark start ${options.watermarkStart ?? 0}` });
+    } else if (start && total > 0 && start >= total) {
+      errors.push({ field: 'watermarkStart', message: `Watermark start ${options.watermarkStart} is not before the end of the output (${Number(total.toFixed(3))}s)` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Watermark of a conversion, or null when none was requested
+   * @param {object} options - Conversion options (WATERMARK_OPTIONS, watermarkImage)
+   * @param {object|null} resolution - { width, height } of the output frame, if known
+   * @returns {object|null} { type, text, font, color, size, position, x, y,
+   *                        opacity, margin, start, end, pixels, filter } -
+   *                        pixels { size, margin } are null when the frame
+   *                        size is unknown
+   * @throws {Error} If the watermark is invalid
+   */
+  static resolve(options = {}, resolution = null) {
+    if (!this.isRequested(options)) {
+      return null;
+    }
+
+    const errors = this.validate(options);
+    if (errors.length > 0) {
+      throw new Error(`Invalid watermark: ${errors.map(error => error.message).join(', ')}`);
+    }
+
+    const type = isSet(options.watermarkImage) ? 'image' : 'text';
+    const size = Number(options.watermarkSize ?? DEFAULT_SIZE[type]);
+    const margin = Number(options.watermarkMargin ?? DEFAULT_MARGIN);
+    const custom = isSet(options.watermarkX);
+
+    const watermark = {
+      type,
+      text: type === 'text' ? options.watermarkText : null,
+      font: type === 'text' ? options.watermarkFont || DEFAULT_FONT : null,
+      color: type === 'text' ? VideoTransform.toColor(options.watermarkColor || DEFAULT_COLOR) : null,
+      size,
+      position: custom ? null : options.watermarkPosition || DEFAULT_POSITION,
+      x: custom ? Number(options.watermarkX) : null,
+      y: custom ? Number(options.watermarkY) : null,
+      opacity: Number(options.watermarkOpacity ?? 1),
+      margin,
+      start: isSet(options.watermarkStart) ? ClipRange.parseTime(options.watermarkStart) : null,
+      end: isSet(options.watermarkEnd) ? ClipRange.parseTime(options.watermarkEnd) : null,
+      pixels: resolution?.height
+        ? {
+          size: Math.max(1, Math.round(resolution.height * size / 100)),
+          margin: Math.round(resolution.height * margin / 100)
+        }
+        : null
+    };
+
+    return { ...watermark, filter: this.buildFilter(watermark, options.watermarkImage, resolution) };
+  }
+
+  /**
+   * Filter drawing a watermark: drawtext, or the movie source and overlay
+   * of an image (after the frame labeled [wmbase])
+   */
+  static buildFilter(watermark, imagePath, resolution) {
+    const vars = VARIABLES[watermark.type];
+    const length = (pixels, percent, total) => (pixels ?? `${total}*${toFactor(percent)}`);
+    const margin = length(watermark.pixels?.margin, watermark.margin, vars.frameHeight);
+
+    // Corner, center or x/y (in pixels when the frame size is known)
+    let x;
+    let y;
+    if (watermark.position === null) {
+      const offsetX = resolution ? Math.round(resolution.width * watermark.x / 100) : `${vars.frameWidth}*${toFactor(watermark.x)}`;
+      const offsetY = resolution ? Math.round(resolution.height * watermark.y / 100) : `${vars.frameHeight}*${toFactor(watermark.y)}`;
+      x = `'min(${offsetX},${vars.frameWidth}-${vars.width})'`;
+      y = `'min(${offsetY},${vars.frameHeight}-${vars.height})'`;
+    } else {
+      const [vertical, horizontal] = watermark.position === 'center' ? ['center', 'center'] : watermark.position.split('-');
+      const place = (side, frame, size) => {
+        if (side === 'left' || side === 'top') {
+          return `${margin}`;
+        }
+        return side === 'center' ? `(${frame}-${size})/2` : `${frame}-${size}-${margin}`;
+      };
+      x = place(horizontal, vars.frameWidth, vars.width);
+      y = place(vertical, vars.frameHeight, vars.height);
+    }
+
+    let enable = '';
+    if (watermark.start !== null && watermark.end !== null) {
+      enable = `:enable='between(t,${watermark.start},${watermark.end})'`;
+    } else if (watermark.start !== null) {
+      enable = `:enable='gte(t,${watermark.start})'`;
+    } else if (watermark.end !== null) {
+      enable = `:enable='lte(t,${watermark.end})'`;
+    }
+
+    if (watermark.type === 'text') {
+      const color = watermark.opacity < 1 ? `${watermark.color}@${watermark.opacity}` : watermark.color;
+      const fontSize = length(watermark.pixels?.size, watermark.size, 'h');
+
+      return `drawtext=font=${quote(watermark.font)}:text=${quote(watermark.text)}:expansion=none`
+        + `:fontsize=${fontSize}:fontcolor=${color}:x=${x}:y=${y}${enable}`;
+    }
+
+    const opacity = watermark.opacity < 1 ? `,format=rgba,colorchannelmixer=aa=${watermark.opacity}` : '';
+    const overlay = `overlay=x=${x}:y=${y}${enable}`;
+
+    // Unknown frame: scale2ref sizes the image against the frame
+    return watermark.pixels
+      ? `movie=${quote(imagePath)}${opacity},scale=-1:${watermark.pixels.size}[wm];[wmbase][wm]${overlay}`
+      : `movie=${quote(imagePath)}${opacity}[wmsrc];[wmsrc][wmbase]scale2ref=w=oh*mdar:h=ih*${toFactor(watermark.size)}[wm][wmframe];[wmframe][wm]${overlay}`;
+  }
+
+  /**
+   * Short description of a watermark, e.g. 'text, bottom-right'
+   */
+  static describe(watermark) {
+    return `${watermark.type}, ${watermark.position || `at ${watermark.x}%/${watermark.y}%`}`;
+  }
+
+  /**
+   * A -vf chain without its watermark
+   */
+  static strip(filters) {
+    const start = filters.search(WATERMARK_START);
+    const chain = start === -1 ? filters : filters.slice(0, start);
+    return chain === 'null' ? '' : chain;
+  }
+
+  /**
+   * Draw the watermark last in the -vf chain, on the final frame. A
+   * watermark already in the arguments is replaced, a null watermark
+   * removes it.
+   */
+  static apply(args, watermark) {
+    const result = [...args];
+    const index = result.lastIndexOf('-vf');
+    const chain = index === -1 ? '' : this.strip(result[index + 1]);
+
+    let filters = chain;
+    if (watermark?.type === 'text') {
+      filters = [chain, watermark.filter].filter(Boolean).join(',');
+    } else if (watermark) {
+      // The movie source needs the frame as a labeled input
+      filters = `${chain || 'null'}[wmbase];${watermark.filter}`;
+    }
+
+    if (index !== -1 && !filters) {
+      result.splice(index, 2);
+    } else if (index !== -1) {
+      result[index + 1] = filters;
+    } else if (filters) {
+      // Output options go before the output path
+      result.splice(result.length - 1, 0, '-vf', filters);
+    }
+
+    return result;
+  }
+}
+
+export default Watermark;
@@ -0,0 +1,221 @@
+/**
+ * Rate control - how an output spends its video bits
+ *
+ * One model shared by every output service, the encoding profiles and
+ * the media pipeline:
+ * - crf: constant quality (-crf, or -qscale:v for encoders without CRF),
+ *   the file size follows the content
+ * - constrained-crf: constant quality capped at a maximum bitrate
+ *   (-maxrate/-bufsize; VP9 constrained quality with -b:v)
+ * - abr: average bitrate (-b:v, within the preset's -maxrate/-bufsize
+ *   range scaled to it)
+ * - cbr: constant bitrate (-b:v = -minrate = -maxrate)
+ *
+ * Presets and profiles describe their own rate control (quality presets
+ * are crf, the MPEG and WMV presets abr). A request changes it with
+ * rateControl and customBitrate: customBitrate is the bitrate of abr and
+ * cbr and the cap of constrained-crf, and selects abr when no mode is
+ * given.
+ */
+
+import { toKbps } from './media-pipeline/EncodingProfileManager.js';
+
+export const RATE_CONTROL_MODES = ['crf', 'constrained-crf', 'abr', 'cbr'];
+
+/**
+ * Modes that encode to a quality (crf, qscale)
+ */
+const QUALITY_MODES = ['crf', 'constrained-crf'];
+
+/**
+ * Encoders whose quality option is -qscale:v (no CRF)
+ */
+const QSCALE_CODECS = ['mpeg4', 'msmpeg4', 'mpeg1video', 'mpeg2video', 'wmv1', 'wmv2', 'flv1', 'h263', 'h263p'];
+
+/**
+ * Rate control options, replaced as a whole when rate control is applied
+ */
+const RATE_CONTROL_OPTIONS = ['-crf', '-qscale:v', '-q:v', '-b:v', '-maxrate', '-minrate', '-bufsize'];
+
+/**
+ * Bitrate in kbps as an FFmpeg value
+ */
+const formatKbps = (kbps) => `${Math.round(kbps)}k`;
+
+/**
+ * A bitrate setting, or null if unset or 0 (VP9 constant quality)
+ */
+const rate = (value) => (value && toKbps(value) ? value : null);
+
+/**
+ * Rate control described by preset or profile video settings
+ * (preset keys: crf, qscale, avgBitrate, maxRate, bufferSize, minRate;
+ * profile keys: crf, bitrate, maxrate, bufsize)
+ * @returns {object} { mode, quality, bitrate, maxRate, bufferSize, minRate }
+ */
+export const describeRateControl = (settings) => {
+  const quality = settings.crf ?? settings.qscale ?? null;
+  const bitrate = rate(settings.avgBitrate) || rate(settings.bitrate);
+  const maxRate = rate(settings.maxRate) || rate(settings.maxrate);
+  const bufferSize = rate(settings.bufferSize) || rate(settings.bufsize);
+
+  if (quality !== null) {
+    // A quality with a bitrate or maximum is capped (VP9 profiles set -b:v)
+    const cap = maxRate || bitrate;
+    return cap
+      ? { mode: 'constrained-crf', quality, bitrate: null, maxRate: cap, bufferSize: bufferSize || formatKbps(toKbps(cap) * 2), minRate: null }
+      : { mode: 'crf', quality, bitrate: null, maxRate: null, bufferSize: null, minRate: null };
+  }
+
+  const minRate = rate(settings.minRate);
+  const constant = bitrate && minRate === bitrate && maxRate === bitrate;
+  return { mode: constant ? 'cbr' : 'abr', quality: null, bitrate, maxRate, bufferSize, minRate };
+};
+
+/**
+ * Rate control of FFmpeg arguments (what a step encodes with), or null
+ * when they set none (copied video, encoder defaults)
+ */
+export const readRateControl = (args) => {
+  const option = (name) => {
+    const index = args.lastIndexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const quality = option('-crf') ?? option('-qscale:v') ?? option('-q:v');
+
+  if (quality === undefined && !rate(option('-b:v'))) {
+    return null;
+  }
+
+  return describeRateControl({
+    crf: quality === undefined ? undefined : Number(quality),
+    avgBitrate: option('-b:v'),
+    maxRate: option('-maxrate'),
+    bufferSize: option('-bufsize'),
+    minRate: option('-minrate')
+  });
+};
+
+/**
+ * Rate control modes available with a preset or profile, and the ones
+ * that need customBitrate
+ * @returns {object} { modes, needBitrate }
+ */
+export const getRateControlModes = (settings) => {
+  const { mode } = describeRateControl(settings);
+
+  return QUALITY_MODES.includes(mode)
+    ? { modes: RATE_CONTROL_MODES, needBitrate: ['constrained-crf', 'abr', 'cbr'] }
+    : { modes: ['abr', 'cbr'], needBitrate: [] };
+};
+
+/**
+ * Rate control of a conversion: the request's mode and customBitrate
+ * applied to the preset's or profile's own. A mode the settings cannot
+ * serve (crf without a quality, abr/cbr without a bitrate) keeps them.
+ * @param {object} base - describeRateControl result
+ * @param {object} options - { customBitrate, rateControl }
+ * @returns {object} { mode, quality, bitrate, maxRate, bufferSize, minRate }
+ */
+export const resolveRateControl = (base, { customBitrate = null, rateControl = null } = {}) => {
+  const mode = rateControl || (customBitrate ? 'abr' : base.mode);
+  const bitrate = customBitrate || base.bitrate;
+
+  // The preset's VBR range moves with a custom bitrate
+  const scale = (value) => (
+    value && customBitrate && base.bitrate
+      ? formatKbps(toKbps(value) * toKbps(customBitrate) / toKbps(base.bitrate))
+      : value
+  );
+
+  if (QUALITY_MODES.includes(mode) && base.quality === null) {
+    return base;
+  }
+  if (!QUALITY_MODES.includes(mode) && !bitrate) {
+    return base;
+  }
+
+  switch (mode) {
+    case 'crf':
+      return { mode, quality: base.quality, bitrate: null, maxRate: null, bufferSize: null, minRate: null };
+    case 'constrained-crf': {
+      const maxRate = customBitrate || base.maxRate;
+      if (!maxRate) {
+        return base;
+      }
+      return { mode, quality: base.quality, bitrate: null, maxRate, bufferSize: formatKbps(toKbps(maxRate) * 2), minRate: null };
+    }
+    case 'cbr':
+      return { mode, quality: null, bitrate, maxRate: bitrate, bufferSize: scale(base.bufferSize) || bitrate, minRate: bitrate };
+    default:
+      return {
+        mode: 'abr',
+        quality: null,
+        bitrate,
+        maxRate: customBitrate && !base.bitrate ? null : scale(base.maxRate),
+        bufferSize: customBitrate && !base.bitrate ? null : scale(base.bufferSize),
+        minRate: scale(base.minRate)
+      };
+  }
+};
+
+/**
+ * FFmpeg video rate control arguments for an encoder
+ */
+export const buildRateControlArgs = (rateControl, codec) => {
+  const vp9 = codec === 'libvpx-vp9' || codec === 'libvpx';
+  const quality = () => (
+    QSCALE_CODECS.includes(codec)
+      ? ['-qscale:v', String(rateControl.quality)]
+      : ['-crf', String(rateControl.quality)]
+  );
+  const optional = (option, value) => (value ? [option, value] : []);
+
+  switch (rateControl.mode) {
+    case 'crf':
+      // VP9 is only constant quality with -b:v 0
+      return [...quality(), ...(vp9 ? ['-b:v', '0'] : [])];
+    case 'constrained-crf':
+      return vp9
+        ? [...quality(), '-b:v', rateControl.maxRate]
+        : [...quality(), '-maxrate', rateControl.maxRate, '-bufsize', rateControl.bufferSize];
+    default:
+      return [
+        '-b:v', rateControl.bitrate,
+        ...optional('-minrate', rateControl.minRate),
+        ...optional('-maxrate', rateControl.maxRate),
+        ...optional('-bufsize', rateControl.bufferSize)
+      ];
+  }
+};
+
+/**
+ * Replace the rate control of FFmpeg arguments (e.g. built from an
+ * encoding profile); the new options go before the output path
+ */
+export const applyRateControl = (args, rateControl) => {
+  const codecIndex = args.lastIndexOf('-c:v');
+  const result = [];
+
+  // The input path (args[1]) and output path (last) are kept as they are
+  for (let index = 0; index < args.length; index++) {
+    if (index > 1 && index < args.length - 1 && RATE_CONTROL_OPTIONS.includes(args[index])) {
+      index++;
+    } else {
+      result.push(args[index]);
+    }
+  }
+
+  result.splice(result.length - 1, 0, ...buildRateControlArgs(rateControl, codecIndex === -1 ? null : args[codecIndex + 1]));
+  return result;
+};
+
+export default {
+  RATE_CONTROL_MODES,
+  describeRateControl,
+  readRateControl,
+  getRateControlModes,
+  resolveRateControl,
+  buildRateControlArgs,
+  applyRateControl
+};
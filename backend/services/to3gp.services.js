@@ -8,18 +8,24 @@ import {
   PATHS,
   getFormatByExtension
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
-import { convertToMp4 } from './toMp4.services.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -73,7 +79,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for 3GP conversion
  */
-const build3gpFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const build3gpFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true
@@ -91,7 +97,8 @@ const build3gpFFmpegArgs = (inputPath, outputPath, options = {}) => {
   ];
 
   // Use CRF for H.264 quality-based encoding (Variable Bitrate)
-  args.push('-crf', preset.crf.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Add H.264 profile and level for mobile compatibility
   args.push('-profile:v', preset.profile);
@@ -153,7 +160,19 @@ const build3gpFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame (crop, rotate, flip, pad), burn in the subtitles
+  // and draw the watermark on the final frame, then convert only the
+  // requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, VideoTransform.resolve(options, options.metadata)),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -161,12 +180,14 @@ const build3gpFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertTo3gp = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.3gp`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting 3GP conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -185,9 +206,11 @@ export const convertTo3gp = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -197,10 +220,11 @@ export const convertTo3gp = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -220,6 +244,11 @@ export const convertTo3gp = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`3GP Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -229,6 +258,17 @@ export const convertTo3gp = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`3GP conversion successful: ${outputFilename}`);
           resolve({
@@ -246,6 +286,12 @@ export const convertTo3gp = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -285,53 +331,11 @@ export const convertMp4To3gp = async (inputPath, options = {}) => {
 };
 
 /**
- * 2. WEBM to 3GP conversion (via MP4 intermediate)
- * WEBM -> MP4 -> 3GP for better compatibility
+ * 2. WEBM to 3GP conversion
  */
 export const convertWebmTo3gp = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting WEBM to 3GP conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert WEBM to MP4
-    logger.info('Step 1/2: Converting WEBM to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to 3GP
-    logger.info('Step 2/2: Converting MP4 to 3GP...');
-    const result3gp = await convertTo3gp(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('WEBM to 3GP conversion completed successfully');
-    
-    return {
-      ...result3gp,
-      inputFilename: path.basename(inputPath),
-      conversionMethod: 'webm-mp4-3gp'
-    };
-
-  } catch (error) {
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch {}
-    }
-    logger.error(`WEBM to 3GP conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting WEBM to 3GP conversion');
+  return await convertTo3gp(inputPath, options);
 };
 
 /**
@@ -8,17 +8,24 @@ import {
   PATHS,
   getFormatByExtension
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -72,7 +79,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for AVI conversion
  */
-const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true
@@ -91,7 +98,8 @@ const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
   // Use qscale for MPEG-4 quality-based encoding (VBR)
   // qscale is MPEG-4's equivalent to CRF
   // Lower values = higher quality (1-31, where 2=high, 5=medium, 10=low)
-  args.push('-qscale:v', preset.qscale.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Audio bitrate
   args.push('-b:a', preset.audioBitrate);
@@ -108,10 +116,6 @@ const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
         args.push('-r', '30');
         args.push('-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2');
         break;
-      case 'MOV':
-        // MOV/QuickTime - high quality source
-        args.push('-qscale:v', '3');
-        break;
       case 'MKV':
         // MKV might have multiple streams
         args.push('-map', '0:v:0', '-map', '0:a:0');
@@ -142,7 +146,19 @@ const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame (crop, rotate, flip, pad), burn in the subtitles
+  // and draw the watermark on the final frame, then convert only the
+  // requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, VideoTransform.resolve(options, options.metadata)),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -150,12 +166,14 @@ const buildAviFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToAvi = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.avi`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting AVI conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -174,9 +192,11 @@ export const convertToAvi = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -186,10 +206,11 @@ export const convertToAvi = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -209,6 +230,11 @@ export const convertToAvi = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`AVI Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -218,6 +244,17 @@ export const convertToAvi = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`AVI conversion successful: ${outputFilename}`);
           resolve({
@@ -235,6 +272,12 @@ export const convertToAvi = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -306,43 +349,11 @@ export const convertMpegToAvi = async (inputPath, options = {}) => {
 };
 
 /**
- * 6. WEBM to AVI conversion (via MP4 intermediate)
- * WEBM -> MP4 -> AVI for better compatibility
+ * 6. WEBM to AVI conversion
  */
 export const convertWebmToAvi = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    logger.info('Starting WEBM to AVI conversion (via MP4 intermediate)');
-    
-    const { convertToMp4 } = await import('./toMp4.services.js');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    const aviResult = await convertToAvi(intermediateMp4Path, options);
-    
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    return {
-      ...aviResult,
-      inputFilename: path.basename(inputPath),
-      conversionMethod: 'webm-mp4-avi'
-    };
-
-  } catch (error) {
-    if (intermediateMp4Path) {
-      try { await fs.unlink(intermediateMp4Path); } catch {}
-    }
-    logger.error(`WEBM to AVI conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting WEBM to AVI conversion');
+  return await convertToAvi(inputPath, options);
 };
 
 /**
@@ -354,73 +365,19 @@ export const convertFlvToAvi = async (inputPath, options = {}) => {
 };
 
 /**
- * 8. 3GP to AVI conversion (via MP4 intermediate)
- * 3GP -> MP4 -> AVI for better quality
+ * 8. 3GP to AVI conversion
  */
 export const convert3gpToAvi = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    logger.info('Starting 3GP to AVI conversion (via MP4 intermediate)');
-    
-    const { convertToMp4 } = await import('./toMp4.services.js');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    const aviResult = await convertToAvi(intermediateMp4Path, options);
-    
-    try {
-      await fs.unlink(intermediateMp4Path);
-    } catch {}
-    
-    return {
-      ...aviResult,
-      inputFilename: path.basename(inputPath),
-      conversionMethod: '3gp-mp4-avi'
-    };
-
-  } catch (error) {
-    if (intermediateMp4Path) {
-      try { await fs.unlink(intermediateMp4Path); } catch {}
-    }
-    logger.error(`3GP to AVI conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3GP to AVI conversion');
+  return await convertToAvi(inputPath, options);
 };
 
 /**
- * 9. 3G2 to AVI conversion (via MP4 intermediate)
- * 3G2 -> MP4 -> AVI for better quality
+ * 9. 3G2 to AVI conversion
  */
 export const convert3g2ToAvi = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    logger.info('Starting 3G2 to AVI conversion (via MP4 intermediate)');
-    
-    const { convertToMp4 } = await import('./toMp4.services.js');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    const aviResult = await convertToAvi(intermediateMp4Path, options);
-    
-    try {
-      await fs.unlink(intermediateMp4Path);
-    } catch {}
-    
-    return {
-      ...aviResult,
-      inputFilename: path.basename(inputPath),
-      conversionMethod: '3g2-mp4-avi'
-    };
-
-  } catch (error) {
-    if (intermediateMp4Path) {
-      try { await fs.unlink(intermediateMp4Path); } catch {}
-    }
-    logger.error(`3G2 to AVI conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3G2 to AVI conversion');
+  return await convertToAvi(inputPath, options);
 };
 
 /**
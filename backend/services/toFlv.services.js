@@ -10,18 +10,24 @@ import {
   checkResolutionDownscaling,
   buildScaleFilter
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
-import { convertToMp4 } from './toMp4.services.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -75,7 +81,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for FLV conversion
  */
-const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true,
@@ -94,7 +100,8 @@ const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   ];
 
   // Use CRF for H.264 quality-based encoding (Variable Bitrate)
-  args.push('-crf', preset.crf.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Add H.264 profile and level for Flash compatibility
   args.push('-profile:v', preset.profile);
@@ -110,10 +117,13 @@ const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   args.push('-ar', '44100'); // Sample rate (Flash standard)
   args.push('-ac', '2'); // Stereo
 
+  // Crop, rotate, flip and pad (downscaling fits the transformed frame)
+  const transform = VideoTransform.resolve(options, metadata);
+
   // Check for resolution downscaling (4K to 1080p)
   let videoFilters = [];
   if (metadata) {
-    const resolutionInfo = checkResolutionDownscaling(metadata);
+    const resolutionInfo = checkResolutionDownscaling(VideoTransform.getFrameMetadata(metadata, transform));
     if (resolutionInfo.needsDownscaling) {
       const scaleFilter = buildScaleFilter(resolutionInfo);
       if (scaleFilter) {
@@ -172,7 +182,18 @@ const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame, burn in the subtitles, draw the watermark, then
+  // convert only the requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, transform),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -180,12 +201,14 @@ const buildFlvFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToFlv = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.flv`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting FLV conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -210,9 +233,11 @@ export const convertToFlv = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -222,10 +247,11 @@ export const convertToFlv = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -245,6 +271,11 @@ export const convertToFlv = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`FLV Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -254,6 +285,17 @@ export const convertToFlv = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`FLV conversion successful: ${outputFilename}`);
           resolve({
@@ -271,6 +313,12 @@ export const convertToFlv = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -310,62 +358,11 @@ export const convertMp4ToFlv = async (inputPath, options = {}) => {
 };
 
 /**
- * 2. WEBM to FLV conversion (via MP4 intermediate)
- * WEBM -> MP4 -> FLV for better compatibility
+ * 2. WEBM to FLV conversion
  */
 export const convertWebmToFlv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting WEBM to FLV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert WEBM to MP4
-    logger.info('Step 1/2: Converting WEBM to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to FLV
-    logger.info('Step 2/2: Converting MP4 to FLV...');
-    const flvResult = await convertToFlv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('WEBM to FLV conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: flvResult.outputPath,
-      outputFilename: flvResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: flvResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: 'webm-mp4-flv'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`WEBM to FLV conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting WEBM to FLV conversion');
+  return await convertToFlv(inputPath, options);
 };
 
 /**
@@ -409,121 +406,19 @@ export const convertMpegToFlv = async (inputPath, options = {}) => {
 };
 
 /**
- * 8. 3GP to FLV conversion (via MP4 intermediate)
- * 3GP -> MP4 -> FLV for better quality
+ * 8. 3GP to FLV conversion
  */
 export const convert3gpToFlv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3GP to FLV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3GP to MP4
-    logger.info('Step 1/2: Converting 3GP to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to FLV
-    logger.info('Step 2/2: Converting MP4 to FLV...');
-    const flvResult = await convertToFlv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('3GP to FLV conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: flvResult.outputPath,
-      outputFilename: flvResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: flvResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: '3gp-mp4-flv'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`3GP to FLV conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3GP to FLV conversion');
+  return await convertToFlv(inputPath, options);
 };
 
 /**
- * 9. 3G2 to FLV conversion (via MP4 intermediate)
- * 3G2 -> MP4 -> FLV for better quality
+ * 9. 3G2 to FLV conversion
  */
 export const convert3g2ToFlv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3G2 to FLV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3G2 to MP4
-    logger.info('Step 1/2: Converting 3G2 to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to FLV
-    logger.info('Step 2/2: Converting MP4 to FLV...');
-    const flvResult = await convertToFlv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('3G2 to FLV conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: flvResult.outputPath,
-      outputFilename: flvResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: flvResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: '3g2-mp4-flv'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`3G2 to FLV conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3G2 to FLV conversion');
+  return await convertToFlv(inputPath, options);
 };
 
 /**
@@ -8,17 +8,24 @@ import {
   PATHS,
   getFormatByExtension
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -72,7 +79,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for MKV conversion
  */
-const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true,
@@ -100,7 +107,8 @@ const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
     // Use CRF for H.264 quality-based encoding (Variable Bitrate)
     // CRF 18 = visually lossless, CRF 23 = high quality, CRF 28 = acceptable quality
-    args.push('-crf', preset.crf.toString());
+    // (or the requested rateControl mode and customBitrate, see rateControl.js)
+    args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
     // Add H.264 profile and level for compatibility
     args.push('-profile:v', preset.profile);
@@ -133,11 +141,6 @@ const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
         }
         break;
       case 'MOV':
-        // MOV/QuickTime - high quality source
-        if (reEncode) {
-          args.push('-qscale:v', '2');
-        }
-        break;
       case 'MP4':
         // MP4 is usually well-structured, standard conversion
         break;
@@ -167,7 +170,19 @@ const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame (crop, rotate, flip, pad), burn in the subtitles
+  // and draw the watermark on the final frame, then convert only the
+  // requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, VideoTransform.resolve(options, options.metadata)),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -175,12 +190,14 @@ const buildMkvFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToMkv = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.mkv`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting MKV conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -199,9 +216,11 @@ export const convertToMkv = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -211,10 +230,11 @@ export const convertToMkv = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -234,6 +254,11 @@ export const convertToMkv = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`MKV Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -243,6 +268,17 @@ export const convertToMkv = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`MKV conversion successful: ${outputFilename}`);
           resolve({
@@ -260,6 +296,12 @@ export const convertToMkv = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -8,18 +8,24 @@ import {
   PATHS,
   getFormatByExtension
 } from '../config/ffmpeg.js';
-import { convertToMp4 } from './toMp4.services.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -73,7 +79,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for MOV conversion
  */
-const buildMovFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildMovFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true
@@ -92,7 +98,8 @@ const buildMovFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   // Use CRF for H.264 quality-based encoding (Variable Bitrate)
   // CRF 18 = visually lossless, CRF 23 = high quality, CRF 28 = acceptable quality
-  args.push('-crf', preset.crf.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Add H.264 profile and level for compatibility
   args.push('-profile:v', preset.profile);
@@ -147,7 +154,19 @@ const buildMovFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame (crop, rotate, flip, pad), burn in the subtitles
+  // and draw the watermark on the final frame, then convert only the
+  // requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, VideoTransform.resolve(options, options.metadata)),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -155,12 +174,14 @@ const buildMovFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToMov = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.mov`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting MOV conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -179,9 +200,11 @@ export const convertToMov = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -191,10 +214,11 @@ export const convertToMov = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -214,6 +238,11 @@ export const convertToMov = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`MOV Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -223,6 +252,17 @@ export const convertToMov = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`MOV conversion successful: ${outputFilename}`);
           resolve({
@@ -240,6 +280,12 @@ export const convertToMov = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -311,223 +357,35 @@ export const convertMpegToMov = async (inputPath, options = {}) => {
 };
 
 /**
- * 6. FLV to MOV conversion (via MP4 intermediate)
- * FLV -> MP4 -> MOV for better quality and compatibility
+ * 6. FLV to MOV conversion
  */
 export const convertFlvToMov = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting FLV to MOV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert FLV to MP4
-    logger.info('Step 1/2: Converting FLV to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to MOV
-    logger.info('Step 2/2: Converting MP4 to MOV...');
-    const movResult = await convertToMov(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('FLV to MOV conversion completed successfully');
-    
-    return {
-      ...movResult,
-      conversionPath: 'FLV -> MP4 -> MOV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`FLV to MOV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting FLV to MOV conversion');
+  return await convertToMov(inputPath, options);
 };
 
 /**
- * 7. WEBM to MOV conversion (via MP4 intermediate)
- * WEBM -> MP4 -> MOV for better compatibility
+ * 7. WEBM to MOV conversion
  */
 export const convertWebmToMov = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting WEBM to MOV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert WEBM to MP4
-    logger.info('Step 1/2: Converting WEBM to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to MOV
-    logger.info('Step 2/2: Converting MP4 to MOV...');
-    const movResult = await convertToMov(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('WEBM to MOV conversion completed successfully');
-    
-    return {
-      ...movResult,
-      conversionPath: 'WEBM -> MP4 -> MOV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`WEBM to MOV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting WEBM to MOV conversion');
+  return await convertToMov(inputPath, options);
 };
 
 /**
- * 8. 3GP to MOV conversion (via MP4 intermediate)
- * 3GP -> MP4 -> MOV for better quality
+ * 8. 3GP to MOV conversion
  */
 export const convert3gpToMov = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3GP to MOV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3GP to MP4
-    logger.info('Step 1/2: Converting 3GP to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to MOV
-    logger.info('Step 2/2: Converting MP4 to MOV...');
-    const movResult = await convertToMov(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('3GP to MOV conversion completed successfully');
-    
-    return {
-      ...movResult,
-      conversionPath: '3GP -> MP4 -> MOV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`3GP to MOV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting 3GP to MOV conversion');
+  return await convertToMov(inputPath, options);
 };
 
 /**
- * 9. 3G2 to MOV conversion (via MP4 intermediate)
- * 3G2 -> MP4 -> MOV for better quality
+ * 9. 3G2 to MOV conversion
  */
 export const convert3g2ToMov = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3G2 to MOV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3G2 to MP4
-    logger.info('Step 1/2: Converting 3G2 to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to MOV
-    logger.info('Step 2/2: Converting MP4 to MOV...');
-    const movResult = await convertToMov(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('3G2 to MOV conversion completed successfully');
-    
-    return {
-      ...movResult,
-      conversionPath: '3G2 -> MP4 -> MOV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`3G2 to MOV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting 3G2 to MOV conversion');
+  return await convertToMov(inputPath, options);
 };
 
 /**
@@ -10,17 +10,25 @@ import {
   checkResolutionDownscaling,
   buildScaleFilter
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
+import { FrameNormalizer } from './media-pipeline/FrameNormalizer.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -75,11 +83,12 @@ export const getVideoMetadata = async (inputPath) => {
  * Build FFmpeg arguments based on input format and quality settings
  * Using CRF (Constant Rate Factor) for automatic bitrate calculation
  */
-const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true,
-    metadata = null
+    metadata = null,
+    frameFilters = []
   } = options;
 
   const preset = CONVERSION_PRESETS[quality] || CONVERSION_PRESETS.medium;
@@ -96,7 +105,8 @@ const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
   // Use CRF for quality-based encoding (Variable Bitrate)
   // Lower CRF = higher quality, larger file
   // CRF 18 = visually lossless, CRF 23 = default high quality, CRF 28 = acceptable quality
-  args.push('-crf', preset.crf.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Audio bitrate
   args.push('-b:a', preset.audioBitrate);
@@ -104,10 +114,14 @@ const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
   // Pixel format for compatibility
   args.push('-pix_fmt', 'yuv420p');
 
+  // Crop, rotate, flip and pad (downscaling fits the transformed frame)
+  const transform = VideoTransform.resolve(options, metadata);
+
+  // Deinterlacing and frame rate conversion come first (see getFrameFilters)
   // Check for resolution downscaling (4K to 1080p)
-  let videoFilters = [];
+  let videoFilters = [...frameFilters];
   if (metadata) {
-    const resolutionInfo = checkResolutionDownscaling(metadata);
+    const resolutionInfo = checkResolutionDownscaling(VideoTransform.getFrameMetadata(metadata, transform));
     if (resolutionInfo.needsDownscaling) {
       const scaleFilter = buildScaleFilter(resolutionInfo);
       if (scaleFilter) {
@@ -124,14 +138,10 @@ const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
         // FLV might need audio resampling
         args.push('-ar', '44100');
         break;
-      case 'WMV':
-        // WMV might need frame rate adjustment
-        args.push('-r', '30');
-        break;
       case '3GP':
       case '3G2':
         // 3GP/3G2 might need scaling
-        if (videoFilters.length === 0) {
+        if (videoFilters.length === frameFilters.length) {
           videoFilters.push('scale=trunc(iw/2)*2:trunc(ih/2)*2');
         }
         break;
@@ -161,7 +171,32 @@ const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame, burn in the subtitles, draw the watermark, then
+  // convert only the requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, transform),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
+};
+
+/**
+ * Deinterlacing and frame rate filters of the legacy path. The media
+ * pipeline normalizes frames in its own stage (FrameNormalizer); without
+ * it, WMV sources with a 1000 fps time base would produce broken output.
+ * Without metadata WMV sources fall back to a constant 30 fps.
+ */
+export const getFrameFilters = (inputPath, metadata) => {
+  if (metadata?.streams?.some(s => s.codec_type === 'video')) {
+    return FrameNormalizer.normalize(metadata, 'mp4').filters;
+  }
+
+  return getFormatByExtension(path.extname(inputPath).toLowerCase())?.name === 'WMV' ? ['fps=30'] : [];
 };
 
 /**
@@ -169,12 +204,14 @@ const buildFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToMp4 = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.mp4`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -195,13 +232,19 @@ export const convertToMp4 = async (inputPath, options = {}) => {
     }
 
     // Build FFmpeg arguments with metadata for resolution checking
-    const args = buildFFmpegArgs(inputPath, outputPath, { ...options, metadata });
+    const args = buildFFmpegArgs(inputPath, outputPath, {
+      ...options,
+      metadata,
+      frameFilters: getFrameFilters(inputPath, metadata)
+    });
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -211,10 +254,11 @@ export const convertToMp4 = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -234,6 +278,11 @@ export const convertToMp4 = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -243,6 +292,17 @@ export const convertToMp4 = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`Conversion successful: ${outputFilename}`);
           resolve({
@@ -260,6 +320,12 @@ export const convertToMp4 = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
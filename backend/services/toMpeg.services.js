@@ -8,18 +8,24 @@ import {
   PATHS,
   getFormatByExtension
 } from '../config/ffmpeg.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
-import { ConversionPipeline } from './media-pipeline/ConversionPipeline.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -74,7 +80,7 @@ export const getVideoMetadata = async (inputPath) => {
  * Build FFmpeg arguments for MPEG conversion
  * MPEG-2 doesn't support CRF, using VBR with average bitrate targets
  */
-const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true
@@ -92,14 +98,11 @@ const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   // MPEG-2 uses VBR with average bitrate target
   // -b:v sets target average, -maxrate/-minrate create VBR range
-  args.push('-b:v', preset.avgBitrate);
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  const rateControl = describeRateControl({ ...preset, minRate: preset.avgBitrate });
+  args.push(...buildRateControlArgs(resolveRateControl(rateControl, options), preset.videoCodec));
   args.push('-b:a', preset.audioBitrate);
 
-  // MPEG-2 specific VBR settings
-  args.push('-bufsize', preset.bufferSize);
-  args.push('-maxrate', preset.maxRate);
-  args.push('-minrate', preset.avgBitrate);
-
   // Video settings for MPEG compatibility
   args.push('-pix_fmt', 'yuv420p');
   args.push('-g', '12'); // GOP size for MPEG-2
@@ -112,10 +115,6 @@ const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
   // Add format-specific optimizations
   if (formatInfo) {
     switch (formatInfo.name) {
-      case 'MOV':
-        // MOV/QuickTime optimization
-        args.push('-qscale:v', '2'); // High quality for MOV source
-        break;
       case 'MKV':
         // MKV might have multiple streams
         args.push('-map', '0:v:0', '-map', '0:a:0');
@@ -128,10 +127,6 @@ const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
         // WMV might need frame rate adjustment
         args.push('-r', '25'); // PAL standard for MPEG
         break;
-      case 'MP4':
-        // MP4 is usually well-structured
-        args.push('-qscale:v', '2');
-        break;
     }
   }
 
@@ -149,87 +144,39 @@ const buildMpegFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame (crop, rotate, flip, pad), burn in the subtitles
+  // and draw the watermark on the final frame, then convert only the
+  // requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, VideoTransform.resolve(options, options.metadata)),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
- * Core MPEG conversion function with enterprise pipeline support
- * 
- * Pipeline Mode (USE_MEDIA_PIPELINE=true):
- *  - Pre-encoding validation
- *  - Format capability check
- *  - Resolution normalization
- *  - Profile-based encoding
- *  - Error abstraction
- * 
- * Legacy Mode (default):
- *  - Direct FFmpeg conversion (existing behavior)
+ * Core MPEG conversion function
+ * (the legacy converter; the media pipeline runs in conversionRunner)
  */
 export const convertToMpeg = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.mpeg`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting MPEG conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
 
-    // ============================================================
-    // ENTERPRISE PIPELINE MODE
-    // ============================================================
-    // Enable with USE_MEDIA_PIPELINE=true environment variable
-    // This prevents encoder initialization failures (exit code 234)
-    // by validating and normalizing inputs before FFmpeg execution
-    if (process.env.USE_MEDIA_PIPELINE === 'true') {
-      logger.info('🚀 Using enterprise media pipeline');
-      
-      try {
-        const pipelineResult = await ConversionPipeline.execute({
-          inputPath,
-          outputPath,
-          targetFormat: 'mpeg',
-          profile: options.profile || null,
-          options
-        });
-
-        // Get output file stats
-        const outputStats = await fs.stat(outputPath);
-
-        logger.info(`✓ Pipeline conversion complete: ${outputFilename}`);
-        logger.info(`  Profile: ${pipelineResult.profile}`);
-        logger.info(`  Resolution: ${pipelineResult.adjustments.originalResolution.width}x${pipelineResult.adjustments.originalResolution.height} → ${pipelineResult.adjustments.finalResolution.width}x${pipelineResult.adjustments.finalResolution.height}`);
-        logger.info(`  Output size: ${outputStats.size} bytes`);
-
-        return {
-          success: true,
-          outputPath,
-          outputFilename,
-          inputFilename,
-          outputSize: outputStats.size,
-          mode: 'pipeline',
-          profile: pipelineResult.profile,
-          adjustments: pipelineResult.adjustments,
-          pipeline: pipelineResult.pipeline
-        };
-
-      } catch (pipelineError) {
-        logger.error(`Pipeline conversion failed: ${pipelineError.message}`);
-        logger.warn('⚠ Falling back to legacy conversion mode');
-        
-        // Fall back to legacy mode on pipeline failure
-        // This ensures backward compatibility
-      }
-    }
-
-    // ============================================================
-    // LEGACY CONVERSION MODE (DEFAULT)
-    // ============================================================
-    // Original implementation - maintains backward compatibility
-    logger.info('Using legacy conversion mode');
-
     // Get input video metadata
     let metadata;
     try {
@@ -244,9 +191,11 @@ export const convertToMpeg = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -256,10 +205,11 @@ export const convertToMpeg = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -279,6 +229,11 @@ export const convertToMpeg = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`MPEG Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -288,6 +243,17 @@ export const convertToMpeg = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`MPEG conversion successful: ${outputFilename}`);
           resolve({
@@ -305,6 +271,12 @@ export const convertToMpeg = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -10,18 +10,24 @@ import {
   checkResolutionDownscaling,
   buildScaleFilter
 } from '../config/ffmpeg.js';
-import { convertToMp4 } from './toMp4.services.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -76,7 +82,7 @@ export const getVideoMetadata = async (inputPath) => {
  * Build FFmpeg arguments for WebM conversion
  * Using CRF for VP9 with automatic bitrate calculation
  */
-const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     metadata = null
@@ -92,7 +98,8 @@ const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   // Use CRF for VP9 quality-based encoding (Variable Bitrate)
   // VP9 CRF range: 0-63 (0 = lossless, 23 = high quality, 31 = default, 37 = low quality)
-  args.push('-crf', preset.crf.toString());
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
 
   // Audio bitrate
   args.push('-b:a', preset.audioBitrate);
@@ -104,10 +111,13 @@ const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
   // Audio settings for Opus
   args.push('-ar', '48000'); // Opus works best at 48kHz
 
+  // Crop, rotate, flip and pad (downscaling fits the transformed frame)
+  const transform = VideoTransform.resolve(options, metadata);
+
   // Check for resolution downscaling (4K to 1080p)
   let videoFilters = [];
   if (metadata) {
-    const resolutionInfo = checkResolutionDownscaling(metadata);
+    const resolutionInfo = checkResolutionDownscaling(VideoTransform.getFrameMetadata(metadata, transform));
     if (resolutionInfo.needsDownscaling) {
       const scaleFilter = buildScaleFilter(resolutionInfo);
       if (scaleFilter) {
@@ -129,7 +139,18 @@ const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame, burn in the subtitles, draw the watermark, then
+  // convert only the requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, transform),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -137,12 +158,14 @@ const buildWebmFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToWebm = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.webm`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting WebM conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -167,9 +190,11 @@ export const convertToWebm = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -179,10 +204,11 @@ export const convertToWebm = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -202,6 +228,11 @@ export const convertToWebm = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`WebM Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -211,6 +242,17 @@ export const convertToWebm = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`WebM conversion successful: ${outputFilename}`);
           resolve({
@@ -228,6 +270,12 @@ export const convertToWebm = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -254,180 +302,27 @@ export const convertToWebm = async (inputPath, options = {}) => {
 };
 
 /**
- * Convert MPEG to WebM (via MP4 intermediate)
- * MPEG -> MP4 -> WebM
+ * Convert MPEG to WebM
  */
 export const convertMpegToWebm = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting MPEG to WebM conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert MPEG to MP4
-    logger.info('Step 1/2: Converting MPEG to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WebM
-    logger.info('Step 2/2: Converting MP4 to WebM...');
-    const webmResult = await convertToWebm(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('MPEG to WebM conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: webmResult.outputPath,
-      outputFilename: webmResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: webmResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: 'mpeg-mp4-webm'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`MPEG to WebM conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting MPEG to WebM conversion');
+  return await convertToWebm(inputPath, options);
 };
 
 /**
- * Convert 3GP to WebM (via MP4 intermediate)
- * 3GP -> MP4 -> WebM
+ * Convert 3GP to WebM
  */
 export const convert3gpToWebm = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3GP to WebM conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3GP to MP4
-    logger.info('Step 1/2: Converting 3GP to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WebM
-    logger.info('Step 2/2: Converting MP4 to WebM...');
-    const webmResult = await convertToWebm(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('3GP to WebM conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: webmResult.outputPath,
-      outputFilename: webmResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: webmResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: '3gp-mp4-webm'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`3GP to WebM conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3GP to WebM conversion');
+  return await convertToWebm(inputPath, options);
 };
 
 /**
- * Convert 3G2 to WebM (via MP4 intermediate)
- * 3G2 -> MP4 -> WebM
+ * Convert 3G2 to WebM
  */
 export const convert3g2ToWebm = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3G2 to WebM conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3G2 to MP4
-    logger.info('Step 1/2: Converting 3G2 to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WebM
-    logger.info('Step 2/2: Converting MP4 to WebM...');
-    const webmResult = await convertToWebm(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate MP4: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-    }
-    
-    logger.info('3G2 to WebM conversion completed successfully');
-    
-    return {
-      success: true,
-      outputPath: webmResult.outputPath,
-      outputFilename: webmResult.outputFilename,
-      inputFilename: path.basename(inputPath),
-      outputSize: webmResult.outputSize,
-      quality: options.quality || 'medium',
-      conversionMethod: '3g2-mp4-webm'
-    };
-
-  } catch (error) {
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-        logger.info('Cleaned up intermediate MP4 after error');
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate MP4: ${cleanupError.message}`);
-      }
-    }
-    
-    logger.error(`3G2 to WebM conversion error: ${error.message}`);
-    throw error;
-  }
+  logger.info('Starting 3G2 to WebM conversion');
+  return await convertToWebm(inputPath, options);
 };
 
 /**
@@ -10,18 +10,24 @@ import {
   checkResolutionDownscaling,
   buildScaleFilter
 } from '../config/ffmpeg.js';
-import { convertToMp4 } from './toMp4.services.js';
+import { buildProgress } from '../utils/ffmpegProgress.js';
+import { conversionScheduler } from './jobs/ConversionScheduler.js';
+import { describeRateControl, resolveRateControl, buildRateControlArgs } from './rateControl.js';
+import { ClipRange } from './media-pipeline/ClipRange.js';
+import { VideoTransform } from './media-pipeline/VideoTransform.js';
+import { Subtitles } from './media-pipeline/Subtitles.js';
+import { Watermark } from './media-pipeline/Watermark.js';
 import logger from '../utils/logger.js';
 
 /**
  * Ensure output directory exists
  */
-const ensureOutputDir = async () => {
+const ensureOutputDir = async (outputDir) => {
   try {
-    await fs.access(PATHS.outputs);
+    await fs.access(outputDir);
   } catch {
-    await fs.mkdir(PATHS.outputs, { recursive: true });
-    logger.info(`Created outputs directory: ${PATHS.outputs}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.info(`Created output directory: ${outputDir}`);
   }
 };
 
@@ -75,7 +81,7 @@ export const getVideoMetadata = async (inputPath) => {
 /**
  * Build FFmpeg arguments for WMV conversion
  */
-const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
+export const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   const {
     quality = 'medium',
     preserveMetadata = true,
@@ -93,14 +99,11 @@ const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   ];
 
   // WMV2 doesn't support CRF, use VBR with average bitrate target
-  // Using -b:v as target average with -maxrate for VBR control
-  args.push('-b:v', preset.avgBitrate);
+  // Using -b:v as target average with -maxrate/-bufsize for VBR control
+  // (or the requested rateControl mode and customBitrate, see rateControl.js)
+  args.push(...buildRateControlArgs(resolveRateControl(describeRateControl(preset), options), preset.videoCodec));
   args.push('-b:a', preset.audioBitrate);
 
-  // WMV-specific encoding settings for VBR
-  args.push('-bufsize', preset.bufferSize);
-  args.push('-maxrate', preset.maxRate);
-
   // Video settings for WMV compatibility
   args.push('-pix_fmt', 'yuv420p');
   args.push('-g', preset.gopSize.toString()); // GOP size for WMV
@@ -109,10 +112,13 @@ const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
   args.push('-ar', '44100'); // Sample rate (WMV standard)
   args.push('-ac', '2'); // Stereo
 
+  // Crop, rotate, flip and pad (downscaling fits the transformed frame)
+  const transform = VideoTransform.resolve(options, metadata);
+
   // Check for resolution downscaling (4K to 1080p)
   let videoFilters = [];
   if (metadata) {
-    const resolutionInfo = checkResolutionDownscaling(metadata);
+    const resolutionInfo = checkResolutionDownscaling(VideoTransform.getFrameMetadata(metadata, transform));
     if (resolutionInfo.needsDownscaling) {
       const scaleFilter = buildScaleFilter(resolutionInfo);
       if (scaleFilter) {
@@ -179,7 +185,18 @@ const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
 
   args.push(outputPath);
 
-  return args;
+  // Transform the frame, burn in the subtitles, draw the watermark, then
+  // convert only the requested clip (start, end, duration)
+  return ClipRange.apply(
+    Watermark.apply(
+      Subtitles.apply(
+        VideoTransform.apply(args, transform),
+        Subtitles.resolve(options)
+      ),
+      Watermark.resolve(options)
+    ),
+    ClipRange.resolve(options, options.metadata?.format?.duration)
+  );
 };
 
 /**
@@ -187,12 +204,14 @@ const buildWmvFFmpegArgs = (inputPath, outputPath, options = {}) => {
  */
 export const convertToWmv = async (inputPath, options = {}) => {
   try {
-    await ensureOutputDir();
+    // The outputs directory, unless the caller moves the output there itself
+    const outputDir = options.outputDir || PATHS.outputs;
+    await ensureOutputDir(outputDir);
 
     const inputFilename = path.basename(inputPath);
     const inputExt = path.extname(inputPath);
     const outputFilename = `${uuidv4()}.wmv`;
-    const outputPath = path.join(PATHS.outputs, outputFilename);
+    const outputPath = path.join(outputDir, outputFilename);
 
     logger.info(`Starting WMV conversion: ${inputFilename} -> ${outputFilename}`);
     logger.info(`Input format: ${inputExt}, Quality: ${options.quality || 'medium'}`);
@@ -217,9 +236,11 @@ export const convertToWmv = async (inputPath, options = {}) => {
     
     logger.info(`FFmpeg command: ${FFMPEG_CONFIG.path} ${args.join(' ')}`);
 
+    // Wait for a conversion slot, then start FFmpeg
+    const ffmpeg = await conversionScheduler.spawn(args, options);
+
     // Execute FFmpeg conversion
     const result = await new Promise((resolve, reject) => {
-      const ffmpeg = spawn(FFMPEG_CONFIG.path, args);
       let stderr = '';
       let conversionProgress = {
         frame: 0,
@@ -229,10 +250,11 @@ export const convertToWmv = async (inputPath, options = {}) => {
         speed: '0x'
       };
 
-      // Timeout handler
+      // Timeout handler: rejects once FFmpeg has exited
+      let timedOut = false;
       const timeout = setTimeout(() => {
+        timedOut = true;
         ffmpeg.kill('SIGKILL');
-        reject(new Error('Conversion timeout exceeded'));
       }, FFMPEG_CONFIG.timeout);
 
       ffmpeg.stderr.on('data', (data) => {
@@ -252,6 +274,11 @@ export const convertToWmv = async (inputPath, options = {}) => {
         if (bitrateMatch) conversionProgress.bitrate = bitrateMatch[1];
         if (speedMatch) conversionProgress.speed = speedMatch[1];
 
+        // Report progress to the job tracking this conversion
+        if (timeMatch && options.onProgress) {
+          options.onProgress(buildProgress(conversionProgress, ClipRange.getDuration(options, metadata?.format?.duration)));
+        }
+
         // Log progress periodically
         if (conversionProgress.frame % 100 === 0 && conversionProgress.frame > 0) {
           logger.info(`WMV Progress: frame=${conversionProgress.frame}, time=${conversionProgress.time}, speed=${conversionProgress.speed}`);
@@ -261,6 +288,17 @@ export const convertToWmv = async (inputPath, options = {}) => {
       ffmpeg.on('close', (code) => {
         clearTimeout(timeout);
 
+        // Cancelled through the job's abort signal or killed at the timeout:
+        // drop the partial output
+        if (options.signal?.aborted || timedOut) {
+          const reason = options.signal?.aborted ? 'cancelled' : 'timeout exceeded';
+          logger.warn(`Conversion ${reason}: ${outputFilename}`);
+          fs.unlink(outputPath)
+            .catch(() => {})
+            .finally(() => reject(new Error(`Conversion ${reason}`)));
+          return;
+        }
+
         if (code === 0) {
           logger.info(`WMV conversion successful: ${outputFilename}`);
           resolve({
@@ -278,6 +316,12 @@ export const convertToWmv = async (inputPath, options = {}) => {
 
       ffmpeg.on('error', (error) => {
         clearTimeout(timeout);
+
+        // Abort is handled once the process has closed
+        if (error.name === 'AbortError') {
+          return;
+        }
+
         logger.error(`FFmpeg process error: ${error.message}`);
         reject(new Error(`FFmpeg process error: ${error.message}`));
       });
@@ -333,58 +377,11 @@ export const convertAviToWmv = async (inputPath, options = {}) => {
 };
 
 /**
- * 4. WEBM to WMV conversion (via MP4 intermediate)
- * WEBM -> MP4 -> WMV for better compatibility
+ * 4. WEBM to WMV conversion
  */
 export const convertWebmToWmv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting WEBM to WMV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert WEBM to MP4
-    logger.info('Step 1/2: Converting WEBM to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WMV
-    logger.info('Step 2/2: Converting MP4 to WMV...');
-    const wmvResult = await convertToWmv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('WEBM to WMV conversion completed successfully');
-    
-    return {
-      ...wmvResult,
-      conversionPath: 'WEBM -> MP4 -> WMV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`WEBM to WMV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting WEBM to WMV conversion');
+  return await convertToWmv(inputPath, options);
 };
 
 /**
@@ -404,168 +401,27 @@ export const convertMpegToWmv = async (inputPath, options = {}) => {
 };
 
 /**
- * 7. FLV to WMV conversion (via MP4 intermediate)
- * FLV -> MP4 -> WMV for better compatibility
+ * 7. FLV to WMV conversion
  */
 export const convertFlvToWmv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting FLV to WMV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert FLV to MP4
-    logger.info('Step 1/2: Converting FLV to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WMV
-    logger.info('Step 2/2: Converting MP4 to WMV...');
-    const wmvResult = await convertToWmv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('FLV to WMV conversion completed successfully');
-    
-    return {
-      ...wmvResult,
-      conversionPath: 'FLV -> MP4 -> WMV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`FLV to WMV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting FLV to WMV conversion');
+  return await convertToWmv(inputPath, options);
 };
 
 /**
- * 8. 3GP to WMV conversion (via MP4 intermediate)
- * 3GP -> MP4 -> WMV for better compatibility
+ * 8. 3GP to WMV conversion
  */
 export const convert3gpToWmv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3GP to WMV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3GP to MP4
-    logger.info('Step 1/2: Converting 3GP to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WMV
-    logger.info('Step 2/2: Converting MP4 to WMV...');
-    const wmvResult = await convertToWmv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('3GP to WMV conversion completed successfully');
-    
-    return {
-      ...wmvResult,
-      conversionPath: '3GP -> MP4 -> WMV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`3GP to WMV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting 3GP to WMV conversion');
+  return await convertToWmv(inputPath, options);
 };
 
 /**
- * 9. 3G2 to WMV conversion (via MP4 intermediate)
- * 3G2 -> MP4 -> WMV for better compatibility
+ * 9. 3G2 to WMV conversion
  */
 export const convert3g2ToWmv = async (inputPath, options = {}) => {
-  let intermediateMp4Path = null;
-  
-  try {
-    await ensureOutputDir();
-
-    logger.info('Starting 3G2 to WMV conversion (via MP4 intermediate)');
-    
-    // Step 1: Convert 3G2 to MP4
-    logger.info('Step 1/2: Converting 3G2 to MP4...');
-    const mp4Result = await convertToMp4(inputPath, options);
-    intermediateMp4Path = mp4Result.outputPath;
-    
-    logger.info(`Intermediate MP4 created: ${mp4Result.outputFilename}`);
-    
-    // Step 2: Convert MP4 to WMV
-    logger.info('Step 2/2: Converting MP4 to WMV...');
-    const wmvResult = await convertToWmv(intermediateMp4Path, options);
-    
-    // Clean up intermediate MP4 file
-    try {
-      await fs.unlink(intermediateMp4Path);
-      logger.info(`Cleaned up intermediate file: ${mp4Result.outputFilename}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup intermediate file: ${cleanupError.message}`);
-    }
-    
-    logger.info('3G2 to WMV conversion completed successfully');
-    
-    return {
-      ...wmvResult,
-      conversionPath: '3G2 -> MP4 -> WMV',
-      intermediateFormat: 'MP4'
-    };
-
-  } catch (error) {
-    logger.error(`3G2 to WMV conversion error: ${error.message}`);
-    
-    // Clean up intermediate file on error
-    if (intermediateMp4Path) {
-      try {
-        await fs.unlink(intermediateMp4Path);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup intermediate file on error: ${cleanupError.message}`);
-      }
-    }
-    
-    throw error;
-  }
+  logger.info('Starting 3G2 to WMV conversion');
+  return await convertToWmv(inputPath, options);
 };
 
 /**
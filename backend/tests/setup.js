@@ -11,6 +11,7 @@ process.env.NODE_ENV = 'test';
 process.env.PORT = '8081';
 process.env.MAX_FILE_SIZE = '1073741824'; // 1GB
 process.env.ALLOWED_ORIGINS = 'http://localhost:3000';
+process.env.JOB_STORE = 'memory';
 
 // Create test directories
 const testDirs = [
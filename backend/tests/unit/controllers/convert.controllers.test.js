@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { convertController, formatHealthController } from '../../../controllers/convert.controllers.js';
+import { jobManager } from '../../../services/jobs/JobManager.js';
+
+describe('Convert Controller - Unit Tests', () => {
+  let mockRes;
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      on: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report the conversions to a format', () => {
+    formatHealthController({ params: { format: 'avi' } }, mockRes);
+
+    const body = mockRes.json.mock.calls[0][0];
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(body).toMatchObject({ success: true, service: 'AVI Conversion Service', status: 'operational' });
+    expect(body.endpoints).toHaveLength(9);
+    expect(body.endpoints).toContain('/api/v1/convert/mp4-to-avi');
+    expect(body.availableConversions).toContain('3G2 to AVI');
+    expect(body.supportedQualities).toEqual(['high', 'medium', 'low']);
+  });
+
+  test('should return 404 for an unknown format', () => {
+    formatHealthController({ params: { format: 'gif' } }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.json.mock.calls[0][0]).toMatchObject({ success: false, error: 'Unsupported format' });
+  });
+
+  describe('convertController', () => {
+    const req = {
+      file: { path: '/uploads/missing-in.mp4', originalname: 'in.mp4', size: 1024 },
+      conversion: { source: 'MP4', target: 'AVI' },
+      validatedQuery: {}
+    };
+
+    const failConversion = (error) => {
+      jest.spyOn(jobManager, 'createJob').mockReturnValue({ id: 'job-1' });
+      jest.spyOn(jobManager, 'execute').mockRejectedValue(error);
+    };
+
+    test('should return the stage report of a conversion that failed before FFmpeg ran', async () => {
+      const report = { mode: 'legacy', attempts: [], stages: [{ stage: 1, name: 'Validation' }] };
+      failConversion(Object.assign(new Error('The requested clip (start, end, duration) is outside the input video.'), {
+        stage: 'Validation',
+        suggestion: 'Choose start, end and duration within the video duration',
+        report
+      }));
+
+      await convertController(req, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(422);
+      expect(mockRes.json.mock.calls[0][0]).toEqual({
+        success: false,
+        error: 'Conversion failed',
+        message: 'The requested clip (start, end, duration) is outside the input video.',
+        stage: 'Validation',
+        suggestion: 'Choose start, end and duration within the video duration',
+        pipeline: report
+      });
+    });
+
+    test('should return 500 with the stage report when FFmpeg failed', async () => {
+      failConversion(Object.assign(new Error('Insufficient disk space to complete conversion.'), {
+        stage: 'FFmpeg Execution',
+        report: { mode: 'legacy', attempts: [], stages: [] }
+      }));
+
+      await convertController(req, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json.mock.calls[0][0]).toMatchObject({
+        message: 'Insufficient disk space to complete conversion.',
+        stage: 'FFmpeg Execution',
+        pipeline: { mode: 'legacy' }
+      });
+    });
+
+    test('should hide errors without a pipeline report', async () => {
+      failConversion(new Error('EACCES: permission denied, open /app/outputs'));
+
+      await convertController(req, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json.mock.calls[0][0]).toEqual({
+        success: false,
+        error: 'Conversion failed',
+        message: 'An error occurred during video conversion. Please try again later.'
+      });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import { jest } from '@jest/globals';
+import { getFormatsController } from '../../../controllers/formats.controllers.js';
+
+describe('Formats Controller - Unit Tests', () => {
+  let mockRes;
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  const getFormats = () => {
+    getFormatsController({}, mockRes);
+    return mockRes.json.mock.calls[0][0].data;
+  };
+
+  test('should list every supported format and conversion', () => {
+    const data = getFormats();
+
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(data.totalFormats).toBe(10);
+    expect(data.totalConversions).toBe(91);
+  });
+
+  test('should describe presets, capabilities and profiles of a format', () => {
+    const mpeg = getFormats().formats.find(format => format.name === 'MPEG');
+
+    expect(mpeg.qualityPresets.map(preset => preset.id)).toEqual(['high', 'medium', 'low']);
+    expect(mpeg.capabilities.supportedVideoCodecs).toContain('mpeg2video');
+    expect(mpeg.profiles.map(profile => profile.id)).toContain('mpeg-dvd-pal');
+    expect(mpeg.convertsTo).not.toContain('MPEG');
+    expect(mpeg.convertsTo).toHaveLength(9);
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  listProfilesController,
+  getProfileController,
+  createProfileController,
+  updateProfileController,
+  deleteProfileController
+} from '../../../controllers/profiles.controllers.js';
+import { profileStore } from '../../../services/media-pipeline/ProfileStore.js';
+import { EncodingProfileManager } from '../../../services/media-pipeline/EncodingProfileManager.js';
+import { jobManager } from '../../../services/jobs/JobManager.js';
+
+// "Social 1080x1350 vertical, CRF 21, 160k AAC"
+const socialProfile = {
+  id: 'social-vertical',
+  format: 'mp4',
+  description: 'Social 1080x1350 vertical',
+  autoSelect: false,
+  video: { codec: 'libx264', resolution: { width: 1080, height: 1350 }, crf: 21, preset: 'medium' },
+  audio: { codec: 'aac', bitrate: '160k', sampleRate: 48000 }
+};
+
+describe('Profiles Controller - Unit Tests', () => {
+  const originalPath = profileStore.filePath;
+  let dir;
+  let mockRes;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profile-store-'));
+    profileStore.filePath = path.join(dir, 'profiles.json');
+    await profileStore.load();
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      location: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    profileStore.filePath = originalPath;
+    profileStore.records = new Map();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const response = () => mockRes.json.mock.calls[0][0];
+
+  test('should create a custom profile selectable by ID', async () => {
+    await createProfileController({ validatedBody: socialProfile }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+    expect(mockRes.location).toHaveBeenCalledWith('/api/v1/profiles/social-vertical');
+    expect(response().data).toMatchObject({ id: 'social-vertical', custom: true, video: { crf: 21 } });
+
+    const selected = EncodingProfileManager.selectProfile({ streams: [] }, 'mp4', 'social-vertical');
+    const args = EncodingProfileManager.buildFFmpegArgsFromProfile(selected, 'in.mov', 'out.mp4');
+    expect(args).toEqual(expect.arrayContaining(['-crf', '21', '-b:a', '160k']));
+
+    // Persisted for the next start
+    const stored = JSON.parse(await fs.readFile(profileStore.filePath, 'utf8'));
+    expect(stored.map(profile => profile.id)).toEqual(['social-vertical']);
+  });
+
+  test('should reject profiles the format cannot hold', async () => {
+    await createProfileController({
+      validatedBody: {
+        ...socialProfile,
+        id: 'wmv-vertical',
+        format: 'wmv',
+        video: { codec: 'libx264', resolution: { width: 1080, height: 1350 }, bitrate: '12000k' }
+      }
+    }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(response().details.map(detail => detail.field)).toEqual([
+      'video.codec',
+      'audio.codec',
+      'video.bitrate',
+      'video.resolution'
+    ]);
+    expect(profileStore.get('wmv-vertical')).toBeNull();
+  });
+
+  test('should not reuse an existing profile ID', async () => {
+    await createProfileController({ validatedBody: { ...socialProfile, id: 'web-720p' } }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+  });
+
+  test('should create a profile only once for concurrent requests with its ID', async () => {
+    const responses = [0, 1].map(() => ({
+      status: jest.fn().mockReturnThis(),
+      location: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    }));
+
+    await Promise.all([
+      createProfileController({ validatedBody: socialProfile }, responses[0]),
+      createProfileController({ validatedBody: { ...socialProfile, description: 'Second' } }, responses[1])
+    ]);
+
+    expect(responses.map(res => res.status.mock.calls[0][0])).toEqual([201, 409]);
+    expect(profileStore.get('social-vertical').description).toBe('Social 1080x1350 vertical');
+  });
+
+  test('should list profiles by format', async () => {
+    await profileStore.save(socialProfile);
+
+    listProfilesController({ query: { format: 'MP4' } }, mockRes);
+
+    const ids = response().data.profiles.map(profile => profile.id);
+    expect(ids).toEqual(['web-360p', 'web-720p', 'web-1080p', 'social-vertical']);
+  });
+
+  test('should get a built-in profile and 404 for unknown IDs', () => {
+    getProfileController({ params: { id: 'avi-xvid-dvdplayer' } }, mockRes);
+    expect(response().data).toMatchObject({ id: 'avi-xvid-dvdplayer', format: 'avi', custom: false });
+
+    mockRes.json.mockClear();
+    getProfileController({ params: { id: 'missing' } }, mockRes);
+    expect(mockRes.status).toHaveBeenLastCalledWith(404);
+  });
+
+  test('should update a custom profile and keep its creation time', async () => {
+    await profileStore.save({ ...socialProfile, createdAt: '2026-01-01T00:00:00.000Z' });
+
+    await updateProfileController({
+      params: { id: 'social-vertical' },
+      validatedBody: { ...socialProfile, video: { ...socialProfile.video, crf: 19 } }
+    }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(profileStore.get('social-vertical')).toMatchObject({
+      video: { crf: 19 },
+      createdAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('should not change built-in profiles', async () => {
+    await deleteProfileController({ params: { id: 'mpeg-dvd-pal' } }, mockRes);
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+
+    await updateProfileController({
+      params: { id: 'web-720p' },
+      validatedBody: { ...socialProfile, id: 'web-720p' }
+    }, mockRes);
+    expect(mockRes.status).toHaveBeenLastCalledWith(403);
+  });
+
+  test('should delete a custom profile', async () => {
+    await profileStore.save(socialProfile);
+
+    await deleteProfileController({ params: { id: 'social-vertical' } }, mockRes);
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(EncodingProfileManager.getProfile('social-vertical')).toBeNull();
+
+    await deleteProfileController({ params: { id: 'social-vertical' } }, mockRes);
+    expect(mockRes.status).toHaveBeenLastCalledWith(404);
+  });
+
+  test('should not delete a profile that queued or running jobs use', async () => {
+    await profileStore.save(socialProfile);
+    jest.spyOn(jobManager, 'getActiveJobs').mockReturnValue([
+      { id: 'job-1', status: 'queued', options: { profile: 'social-vertical' } },
+      { id: 'job-2', status: 'running', options: { profile: null } }
+    ]);
+
+    await deleteProfileController({ params: { id: 'social-vertical' } }, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(response()).toMatchObject({ success: false, error: 'Profile in use' });
+    expect(response().message).toContain('job-1');
+    expect(profileStore.get('social-vertical')).not.toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+import { jest } from '@jest/globals';
+import multer from 'multer';
+import { handleUploadError } from '../../../middlewares/upload.middleware.js';
+
+describe('Upload Middleware - Unit Tests', () => {
+  let mockRes;
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  test('should report the size limit of the field that was too large', () => {
+    handleUploadError(new multer.MulterError('LIMIT_FILE_SIZE', 'subtitles'), {}, mockRes, jest.fn());
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'File too large',
+      message: 'Maximum subtitles file size is 2MB'
+    });
+  });
+
+  test('should report the video size limit for the video field', () => {
+    handleUploadError(new multer.MulterError('LIMIT_FILE_SIZE', 'video'), {}, mockRes, jest.fn());
+
+    expect(mockRes.json.mock.calls[0][0].message).toMatch(/^Maximum file size is \d+MB$/);
+  });
+});
@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { validateConversionParams } from '../../middlewares/validation.middleware.js';
+import { validateConversionRequest } from '../../../middlewares/validation.middleware.js';
 
 describe('Validation Middleware Tests', () => {
   let mockReq;
@@ -8,6 +8,7 @@ describe('Validation Middleware Tests', () => {
 
   beforeEach(() => {
     mockReq = {
+      params: { from: 'avi', to: 'mp4' },
       query: {},
       body: {},
       file: null
@@ -21,62 +22,62 @@ describe('Validation Middleware Tests', () => {
     nextFunction = jest.fn();
   });
 
-  describe('validateConversionParams', () => {
-    test('should pass with valid quality parameter', () => {
+  describe('validateConversionRequest', () => {
+    test('should pass with valid quality parameter', async () => {
       mockReq.query = { quality: 'medium' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(nextFunction).toHaveBeenCalled();
       expect(mockRes.status).not.toHaveBeenCalled();
     });
 
-    test('should pass with valid high quality', () => {
+    test('should pass with valid high quality', async () => {
       mockReq.query = { quality: 'high' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(nextFunction).toHaveBeenCalled();
     });
 
-    test('should pass with valid low quality', () => {
+    test('should pass with valid low quality', async () => {
       mockReq.query = { quality: 'low' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(nextFunction).toHaveBeenCalled();
     });
 
-    test('should reject invalid quality parameter', () => {
+    test('should reject invalid quality parameter', async () => {
       mockReq.query = { quality: 'invalid' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalled();
       expect(nextFunction).not.toHaveBeenCalled();
     });
 
-    test('should pass without quality parameter (use default)', () => {
+    test('should pass without quality parameter (use default)', async () => {
       mockReq.query = {};
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(nextFunction).toHaveBeenCalled();
     });
 
-    test('should validate custom bitrate if provided', () => {
+    test('should validate custom bitrate if provided', async () => {
       mockReq.query = { customBitrate: '2000k' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(nextFunction).toHaveBeenCalled();
     });
 
-    test('should reject invalid custom bitrate', () => {
+    test('should reject invalid custom bitrate', async () => {
       mockReq.query = { customBitrate: 'invalid' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(nextFunction).not.toHaveBeenCalled();
@@ -107,10 +108,10 @@ describe('Validation Middleware Tests', () => {
   });
 
   describe('Error Messages', () => {
-    test('should return descriptive error message for invalid quality', () => {
+    test('should return descriptive error message for invalid quality', async () => {
       mockReq.query = { quality: 'ultra' };
       
-      validateConversionParams(mockReq, mockRes, nextFunction);
+      await validateConversionRequest(mockReq, mockRes, nextFunction);
       
       expect(mockRes.json).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -0,0 +1,68 @@
+import { ClipRange } from '../../../services/media-pipeline/ClipRange.js';
+
+const args = ['-i', 'in.mkv', '-c:v', 'libx264', '-crf', '23', '-y', 'out.mp4'];
+
+describe('ClipRange - Unit Tests', () => {
+  test('should parse seconds and timecodes', () => {
+    expect(ClipRange.parseTime('90')).toBe(90);
+    expect(ClipRange.parseTime('12.5')).toBe(12.5);
+    expect(ClipRange.parseTime('01:30')).toBe(90);
+    expect(ClipRange.parseTime('01:01:30.250')).toBe(3690.25);
+    expect(ClipRange.parseTime('1:75')).toBeNull();
+    expect(ClipRange.parseTime('-5')).toBeNull();
+  });
+
+  test('should resolve start, end and duration', () => {
+    expect(ClipRange.resolve({}, 60)).toBeNull();
+    expect(ClipRange.resolve({ start: '10', duration: '00:20' }, 60))
+      .toEqual({ start: 10, end: 30, duration: 20, untilEnd: false });
+    expect(ClipRange.resolve({ start: '10' }, 60))
+      .toEqual({ start: 10, end: 60, duration: 50, untilEnd: true });
+    expect(ClipRange.resolve({ end: '30' }, null))
+      .toEqual({ start: 0, end: 30, duration: 30, untilEnd: false });
+  });
+
+  test('should check the range against the input duration', () => {
+    expect(ClipRange.validate({ start: '60' }, '59.94')).toEqual([
+      { field: 'start', message: 'Start 60 is not before the end of the input (59.94s)' }
+    ]);
+    expect(ClipRange.validate({ start: '20', end: '10' }, 60)).toEqual([
+      { field: 'end', message: 'End 10 must be after start 20' }
+    ]);
+    expect(ClipRange.validate({ start: '50', duration: '20' }, 60)).toEqual([
+      { field: 'duration', message: 'Duration 20 from 50 is beyond the input duration of 60s' }
+    ]);
+    expect(ClipRange.validate({ end: '70' }, null)).toEqual([]);
+    expect(() => ClipRange.resolve({ end: '70' }, 60))
+      .toThrow('Invalid clip range: End 70 is beyond the input duration of 60s');
+  });
+
+  test('should seek the input and limit the output', () => {
+    expect(ClipRange.apply(args, ClipRange.resolve({ start: '10', end: '25' }, 60)))
+      .toEqual(['-ss', '10', '-i', 'in.mkv', '-c:v', 'libx264', '-crf', '23', '-y', '-t', '15', 'out.mp4']);
+    expect(ClipRange.apply(args, ClipRange.resolve({ start: '10' }, 60)))
+      .toEqual(['-ss', '10', ...args]);
+  });
+
+  test('should cut copied video at keyframes', () => {
+    const copy = ['-i', 'in.mkv', '-c', 'copy', 'out.mp4'];
+    const trimmed = ClipRange.apply(copy, ClipRange.resolve({ duration: '5' }, 60));
+
+    expect(ClipRange.getMode(trimmed)).toBe('keyframe');
+    expect(trimmed).toEqual(['-i', 'in.mkv', '-c', 'copy', '-t', '5', '-avoid_negative_ts', 'make_zero', 'out.mp4']);
+    expect(ClipRange.getMode(args)).toBe('accurate');
+  });
+
+  test('should replace or remove a previous clip', () => {
+    const trimmed = ClipRange.apply(args, ClipRange.resolve({ start: '10', end: '25' }, 60));
+
+    expect(ClipRange.apply(trimmed, null)).toEqual(args);
+    expect(ClipRange.apply(trimmed, ClipRange.resolve({ start: '5', end: '6' }, 60)))
+      .toEqual(['-ss', '5', '-i', 'in.mkv', '-c:v', 'libx264', '-crf', '23', '-y', '-t', '1', 'out.mp4']);
+  });
+
+  test('should report the converted length', () => {
+    expect(ClipRange.getDuration({ start: '10', end: '25' }, '60')).toBe(15);
+    expect(ClipRange.getDuration({}, '60')).toBe('60');
+  });
+});
@@ -0,0 +1,643 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import { ConversionPipeline } from '../../../services/media-pipeline/ConversionPipeline.js';
+import { MediaValidator } from '../../../services/media-pipeline/MediaValidator.js';
+import { ConversionScheduler, conversionScheduler } from '../../../services/jobs/ConversionScheduler.js';
+
+// Trimmed ffprobe output of a 4K VP9/Opus WebM
+const metadata = {
+  format: { duration: '12.500000', size: '1048576' },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'vp9', width: 3840, height: 2160, avg_frame_rate: '30/1', pix_fmt: 'yuv420p' },
+    { index: 1, codec_type: 'audio', codec_name: 'opus', channels: 2 }
+  ]
+};
+
+// H.264/AAC 1080p MKV
+const h264Metadata = {
+  format: { duration: '12.500000', size: '1048576' },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'h264', profile: 'High', width: 1920, height: 1080, avg_frame_rate: '30/1', pix_fmt: 'yuv420p' },
+    { index: 1, codec_type: 'audio', codec_name: 'aac', channels: 2 }
+  ]
+};
+
+// Portrait phone recording: 1080p H.264/AAC stored landscape, rotated by its display matrix
+const phoneMetadata = {
+  ...h264Metadata,
+  streams: [
+    { ...h264Metadata.streams[0], side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }] },
+    h264Metadata.streams[1]
+  ]
+};
+
+const validation = {
+  valid: true,
+  errors: [],
+  warnings: [],
+  metadata,
+  recommendations: []
+};
+
+describe('ConversionPipeline - Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('plan', () => {
+    test('should report stages 1-5 and encode with the quality preset when profiles are disabled', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        profile: 'none',
+        options: { quality: 'high' },
+        validation
+      });
+
+      expect(plan.stages.map(stage => stage.name)).toEqual([
+        'Validation',
+        'Capability Check',
+        'Resolution Normalization',
+        'Frame Normalization',
+        'Profile Selection'
+      ]);
+      expect(plan.stages[1].result).toMatchObject({ capabilitiesKnown: true, resolutionSupported: false });
+      expect(plan.normalization).toMatchObject({ needed: true, target: { width: 1920, height: 1080 } });
+      expect(plan.stages[4].result).toMatchObject({ type: 'preset', quality: 'high' });
+      expect(plan.streams).toMatchObject({ video: { action: 'encode' }, audio: { action: 'encode' }, remux: false });
+
+      // Single pass, with the normalized size
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.steps[0].args.slice(0, 2)).toEqual(['-i', '/uploads/in.webm']);
+      expect(plan.steps[0].args).toContain('4000k');
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1]).toBe('scale=1920:1080');
+      expect(plan.finalResolution).toEqual({ width: 1920, height: 1080 });
+    });
+
+    test('should encode with the selected profile', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.mpeg',
+        sourceFormat: 'mp4',
+        targetFormat: 'mpeg',
+        validation
+      });
+
+      expect(plan.profile.profileId).toBe('mpeg-hd-1080p');
+      expect(plan.stages[4].result).toMatchObject({ type: 'profile', profileId: 'mpeg-hd-1080p' });
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'mpeg2video', '-f', 'mpeg']));
+    });
+
+    test('should encode with the requested quality preset instead of a selected profile', async () => {
+      const plan = (quality) => ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.avi',
+        sourceFormat: 'mp4',
+        targetFormat: 'avi',
+        options: { quality },
+        validation
+      });
+      const [low, high, auto] = await Promise.all([plan('low'), plan('high'), plan(undefined)]);
+
+      expect(low.profile).toBeNull();
+      expect(low.stages[4].result).toMatchObject({ type: 'preset', quality: 'low' });
+      expect(high.stages[4].result).toMatchObject({ type: 'preset', quality: 'high' });
+      expect(low.steps[0].args).not.toEqual(high.steps[0].args);
+      expect(auto.profile.profileId).toBe('avi-xvid-1080p');
+    });
+
+    test('should use a named profile over the requested quality', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.mpeg',
+        sourceFormat: 'mp4',
+        targetFormat: 'mpeg',
+        profile: 'mpeg-dvd-pal',
+        options: { quality: 'low' },
+        validation
+      });
+
+      expect(plan.profile.profileId).toBe('mpeg-dvd-pal');
+    });
+
+    test('should apply the requested rate control to the selected profile', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.mpeg',
+        sourceFormat: 'mp4',
+        targetFormat: 'mpeg',
+        options: { customBitrate: '6000k', rateControl: 'cbr' },
+        validation
+      });
+
+      expect(plan.profile.profileId).toBe('mpeg-hd-1080p');
+      expect(plan.rateControl).toMatchObject({ mode: 'cbr', bitrate: '6000k', minRate: '6000k', maxRate: '6000k' });
+      expect(plan.stages[4].result.rateControl).toEqual(plan.rateControl);
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-b:v', '6000k', '-minrate', '6000k', '-maxrate', '6000k']));
+      expect(plan.steps[0].args).not.toContain('9000k');
+    });
+
+    test('should fit the source into the selected profile frame', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        validation
+      });
+
+      expect(plan.profile.profileId).toBe('wmv-1080p');
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'wmv2', '-fpsmax', '30', '-f', 'asf']));
+      expect(plan.steps[0].output).toMatchObject({ resolution: { width: 1920, height: 1080 }, frameRate: 30 });
+    });
+
+    test('should use the requested profile', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.3gp',
+        sourceFormat: 'mp4',
+        targetFormat: '3gp',
+        profile: '3gp-qcif-amr',
+        validation
+      });
+
+      // Snapped to VGA, the QCIF profile frame is smaller and kept
+      expect(plan.normalization).toMatchObject({ needed: true, target: { width: 640, height: 480 } });
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'h263', '-c:a', 'libopencore_amrnb']));
+      expect(plan.steps[0].output).toMatchObject({ resolution: { width: 176, height: 144 }, frameRate: 15 });
+    });
+
+    test('should snap mobile outputs to a standard frame size and pad them', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.3g2',
+        sourceFormat: 'mp4',
+        targetFormat: '3g2',
+        profile: 'none',
+        options: { quality: 'high' },
+        validation: {
+          ...validation,
+          metadata: {
+            ...metadata,
+            streams: [{ ...metadata.streams[0], width: 400, height: 300 }, metadata.streams[1]]
+          }
+        }
+      });
+
+      expect(plan.normalization).toMatchObject({ needed: true, target: { width: 352, height: 288 } });
+      expect(plan.normalization.reason).toMatch(/400x300 is not a standard 3G2 frame size/);
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1])
+        .toBe('scale=352:288:force_original_aspect_ratio=decrease,pad=352:288:(ow-iw)/2:(oh-ih)/2');
+      expect(plan.finalResolution).toEqual({ width: 352, height: 288 });
+    });
+
+    test('should remux compatible streams without encoding', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        validation: { ...validation, metadata: h264Metadata }
+      });
+
+      expect(plan.streams.remux).toBe(true);
+      expect(plan.profile).toBeNull();
+      expect(plan.stages[4].result).toMatchObject({ type: 'copy', streams: plan.streams });
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'copy', '-c:a', 'copy']));
+      expect(plan.steps[0].args).not.toContain('-crf');
+      expect(plan.steps[0].output).toMatchObject({ resolution: { width: 1920, height: 1080 }, videoCodec: 'copy', audioCodec: 'copy' });
+    });
+
+    test('should cut a remuxed clip at the keyframe and an encoded clip accurately', async () => {
+      const params = {
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        profile: 'none',
+        validation: { ...validation, metadata: h264Metadata }
+      };
+
+      const remuxed = await ConversionPipeline.plan({ ...params, options: { start: '2', end: '00:08' } });
+      const encoded = await ConversionPipeline.plan({ ...params, options: { start: '2', end: '00:08', remux: false } });
+
+      expect(remuxed.stages[0].result.clip).toEqual({ start: 2, end: 8, duration: 6, untilEnd: false });
+      expect(remuxed.clip).toMatchObject({ duration: 6, mode: 'keyframe' });
+      expect(remuxed.steps[0].args.slice(0, 3)).toEqual(['-ss', '2', '-i']);
+      expect(remuxed.steps[0].args).toEqual(expect.arrayContaining(['-t', '6', '-avoid_negative_ts', 'make_zero']));
+      expect(encoded.clip.mode).toBe('accurate');
+      expect(encoded.steps[0].args).not.toContain('-avoid_negative_ts');
+    });
+
+    test('should transform the frame ahead of the normalized scaling', async () => {
+      const params = {
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        profile: 'none',
+        validation
+      };
+
+      const cropped = await ConversionPipeline.plan({ ...params, options: { crop: '2160:2160', pad: '4:3', padColor: 'white' } });
+
+      expect(cropped.transform).toMatchObject({ crop: { x: 840, y: 0 }, pad: { width: 2880, height: 2160 }, resolution: { width: 2880, height: 2160 } });
+      expect(cropped.stages[2].result).toMatchObject({ needed: true, original: { width: 2880, height: 2160 }, transform: cropped.transform });
+      expect(cropped.steps[0].args[cropped.steps[0].args.lastIndexOf('-vf') + 1])
+        .toBe(`crop=2160:2160:840:0,pad=2880:2160:(ow-iw)/2:(oh-ih)/2:color=white,scale=${cropped.normalization.target.width}:${cropped.normalization.target.height}`);
+      expect(cropped.finalResolution).toEqual(cropped.normalization.target);
+      expect(cropped.finalResolution.width / cropped.finalResolution.height).toBeCloseTo(4 / 3, 1);
+    });
+
+    test('should re-encode rotated video and keep copying the audio', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        profile: 'none',
+        options: { rotate: 90, flip: 'vertical' },
+        validation: { ...validation, metadata: h264Metadata }
+      });
+
+      expect(plan.streams.video).toMatchObject({ action: 'encode', reason: 'Video is transformed (rotate 90, flip vertical)' });
+      expect(plan.streams.audio.action).toBe('copy');
+      // The preset's 1080p limit applies to the rotated frame
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1]).toBe('transpose=1,vflip,scale=608:1080');
+      expect(plan.finalResolution).toEqual({ width: 608, height: 1080 });
+    });
+
+    test('should preserve the rotation of phone footage or bake it into the frames', async () => {
+      const params = {
+        inputPath: '/uploads/in.mov',
+        sourceFormat: 'mov',
+        profile: 'none',
+        validation: { ...validation, metadata: phoneMetadata }
+      };
+
+      const remuxed = await ConversionPipeline.plan({ ...params, outputPath: '/outputs/out.mp4', targetFormat: 'mp4' });
+      const baked = await ConversionPipeline.plan({ ...params, outputPath: '/outputs/out.mkv', targetFormat: 'mkv' });
+
+      expect(remuxed.normalization).toMatchObject({ needed: false, original: { width: 1080, height: 1920 } });
+      expect(remuxed.streams.video).toMatchObject({ action: 'copy', rotation: { degrees: 90, action: 'preserve' } });
+      expect(remuxed.steps[0].output).toMatchObject({ resolution: { width: 1080, height: 1920 }, videoCodec: 'copy', rotation: 90 });
+      expect(baked.streams.video).toMatchObject({
+        action: 'encode',
+        reason: 'MKV cannot store the 90° rotation, it is applied to the frames',
+        rotation: { degrees: 90, action: 'bake' }
+      });
+      expect(baked.streams.audio.action).toBe('copy');
+      expect(baked.steps[0].output).toMatchObject({ resolution: { width: 1080, height: 1920 }, rotation: 0 });
+      expect(baked.finalResolution).toEqual({ width: 1080, height: 1920 });
+    });
+
+    test('should size the watermark to the normalized frame', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.3gp',
+        sourceFormat: 'mkv',
+        targetFormat: '3gp',
+        options: { watermarkImage: '/uploads/logo.png', watermarkPosition: 'top-right', watermarkOpacity: 0.8 },
+        validation: { ...validation, metadata: h264Metadata }
+      });
+
+      expect(plan.finalResolution).toEqual({ width: 640, height: 480 });
+      expect(plan.watermark).toMatchObject({ type: 'image', position: 'top-right', pixels: { size: 48, margin: 10 } });
+      expect(plan.streams.video).toMatchObject({ action: 'encode', reason: 'Video is watermarked (image, top-right)' });
+      expect(plan.streams.audio.action).toBe('copy');
+      // Drawn after the scaling and padding to the 3GP frame
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1]).toMatch(
+        /,pad=640:480:\(ow-iw\)\/2:\(oh-ih\)\/2\[wmbase\];movie='\/uploads\/logo\.png',format=rgba,colorchannelmixer=aa=0\.8,scale=-1:48\[wm\];\[wmbase\]\[wm\]overlay=x=W-w-10:y=10$/
+      );
+      expect(plan.steps[0].output.resolution).toEqual({ width: 640, height: 480 });
+    });
+
+    test('should burn in the subtitles under the watermark', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        options: { subtitlesFile: '/uploads/movie.srt', subtitlePosition: 'top', watermarkText: 'Preview' },
+        validation: { ...validation, metadata: h264Metadata }
+      });
+
+      expect(plan.subtitles).toMatchObject({ format: 'srt', position: 'top', offset: 0 });
+      expect(plan.streams.video).toMatchObject({ action: 'encode', reason: 'Subtitles are burned in (SRT)' });
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1]).toMatch(
+        /subtitles=filename='\/uploads\/movie\.srt':force_style='Alignment=8',drawtext=font='Sans':text='Preview'/
+      );
+    });
+
+    test('should time the subtitles of a clip against the trimmed intermediate', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        options: { subtitlesFile: '/uploads/movie.srt', start: '3', duration: '5' },
+        validation: { ...validation, metadata: h264Metadata },
+        intermediate: true
+      });
+      const [decode, encode] = plan.steps;
+
+      expect(decode.args).toEqual(expect.arrayContaining(['-ss', '3', '-t', '5']));
+      expect(plan.subtitles.offset).toBe(0);
+      expect(encode.args).not.toContain('-ss');
+      expect(encode.args[encode.args.lastIndexOf('-vf') + 1]).toMatch(/subtitles=filename='\/uploads\/movie\.srt'$/);
+    });
+
+    test('should copy the video and encode the audio in one step', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.flv',
+        outputPath: '/outputs/out.mov',
+        sourceFormat: 'flv',
+        targetFormat: 'mov',
+        validation: {
+          ...validation,
+          metadata: { ...h264Metadata, streams: [h264Metadata.streams[0], { ...h264Metadata.streams[1], codec_name: 'mp3' }] }
+        }
+      });
+
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.streams).toMatchObject({ video: { action: 'copy' }, audio: { action: 'encode' }, remux: false });
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'copy', '-c:a', 'aac']));
+    });
+
+    test('should re-encode every stream with remux=false', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        profile: 'none',
+        options: { remux: false },
+        validation: { ...validation, metadata: h264Metadata }
+      });
+
+      expect(plan.streams.remux).toBe(false);
+      expect(plan.steps[0].args).toEqual(expect.arrayContaining(['-c:v', 'libx264']));
+    });
+
+    test('should encode bitrate-driven presets in two passes', async () => {
+      const plan = await ConversionPipeline.plan({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        profile: 'none',
+        options: { quality: 'medium', passes: 2 },
+        validation
+      });
+
+      expect(plan.passes).toEqual({ requested: 2, applied: 2, bitrate: '2000k', reason: 'Two-pass wmv2 encode at 2000k' });
+      expect(plan.stages[4].result.passes).toBe(plan.passes);
+      expect(plan.steps.map(step => step.pass)).toEqual([1, 2]);
+      // Both passes see the normalized size
+      expect(plan.steps[0].args[plan.steps[0].args.lastIndexOf('-vf') + 1]).toBe('scale=1920:1080');
+      expect(plan.finalResolution).toEqual({ width: 1920, height: 1080 });
+    });
+
+    test('should encode CRF formats in two passes only with a custom bitrate', async () => {
+      const params = {
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'webm',
+        targetFormat: 'mp4',
+        profile: 'none',
+        validation
+      };
+
+      const single = await ConversionPipeline.plan({ ...params, options: { passes: 2 } });
+      const custom = await ConversionPipeline.plan({ ...params, options: { passes: 2, customBitrate: '2500k' } });
+
+      expect(single.passes).toMatchObject({ requested: 2, applied: 1, reason: expect.stringMatching(/^libx264 encodes to a quality target \(CRF 23\)/) });
+      expect(single.steps).toHaveLength(1);
+      expect(custom.passes).toMatchObject({ applied: 2, bitrate: '2500k' });
+      expect(custom.steps[1].args).toEqual(expect.arrayContaining(['-b:v', '2500k', '-pass', '2']));
+      expect(custom.steps[1].args).not.toContain('-crf');
+    });
+  });
+
+  describe('execute', () => {
+    let moveFile;
+
+    beforeEach(() => {
+      // FFmpeg does not run, so there is no output to move
+      jest.spyOn(fs, 'mkdir').mockResolvedValue();
+      moveFile = jest.spyOn(ConversionPipeline, 'moveFile').mockResolvedValue();
+    });
+
+    test('should run every step and report all six stages', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+      const executeFFmpeg = jest.spyOn(ConversionPipeline, 'executeFFmpeg').mockResolvedValue({});
+
+      const result = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv'
+      });
+
+      expect(executeFFmpeg).toHaveBeenCalledTimes(1);
+      // Encoded outside the served outputs directory, then moved there
+      const encodePath = executeFFmpeg.mock.calls[0][0].at(-1);
+      expect(encodePath).toMatch(/[/\\]temp[/\\][\w-]+\.wmv$/);
+      expect(moveFile).toHaveBeenCalledWith(encodePath, '/outputs/out.wmv');
+      expect(result.outputPath).toBe('/outputs/out.wmv');
+      expect(result.pipeline.success).toBe(true);
+      expect(result.pipeline.stages).toHaveLength(6);
+      expect(result.pipeline.stages[5].result.steps).toHaveLength(1);
+      expect(result.streams.remux).toBe(false);
+      expect(result.adjustments).toEqual({
+        resolutionAdjusted: true,
+        originalResolution: { width: 3840, height: 2160 },
+        finalResolution: { width: 1920, height: 1080 },
+        frameRateAdjusted: false,
+        originalFrameRate: 30,
+        finalFrameRate: 30,
+        pixelFormatAdjusted: false,
+        originalPixelFormat: 'yuv420p',
+        finalPixelFormat: 'yuv420p'
+      });
+    });
+
+    test('should convert through the lossless intermediate when the single pass is incompatible', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue({ ...validation, metadata: h264Metadata });
+      const executeFFmpeg = jest.spyOn(ConversionPipeline, 'executeFFmpeg')
+        .mockRejectedValueOnce(Object.assign(new Error('FFmpeg exited with code 1'), {
+          stderr: 'frame=  120 fps=0.0\n[mp4 @ 0x1] Application provided invalid, non monotonically increasing dts to muxer in stream 0: 512 >= 256\n'
+        }))
+        .mockResolvedValue({});
+
+      const result = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4'
+      });
+
+      // Remux, then intermediate and final encode
+      expect(executeFFmpeg).toHaveBeenCalledTimes(3);
+      expect(executeFFmpeg.mock.calls[1][0]).toEqual(expect.arrayContaining(['-c:v', 'ffv1']));
+      expect(result.steps.map(step => step.outputFormat)).toEqual(['MKV', 'MP4']);
+      expect(result.streams).toMatchObject({ remux: false, video: { reason: 'Converted through a lossless intermediate' } });
+      expect(result.pipeline.stages).toHaveLength(6);
+      expect(result.pipeline.stages[5].result.fallback).toEqual({
+        intermediateFormat: 'MKV',
+        reason: '[mp4 @ 0x1] Application provided invalid, non monotonically increasing dts to muxer in stream 0: 512 >= 256'
+      });
+    });
+
+    test('should run both passes and remove the passlog files', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+      const executeFFmpeg = jest.spyOn(ConversionPipeline, 'executeFFmpeg').mockResolvedValue({});
+      const removePasslogFiles = jest.spyOn(ConversionPipeline, 'removePasslogFiles').mockResolvedValue();
+
+      const result = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        options: { passes: 2 }
+      });
+
+      expect(executeFFmpeg).toHaveBeenCalledTimes(2);
+      expect(executeFFmpeg.mock.calls[0][0]).toEqual(expect.arrayContaining(['-pass', '1']));
+      expect(executeFFmpeg.mock.calls[1][0]).toEqual(expect.arrayContaining(['-pass', '2']));
+      expect(removePasslogFiles).toHaveBeenCalledWith(result.steps[0].passlogPrefix);
+      expect(result.steps[0].passlogPrefix).toMatch(/[/\\]temp[/\\][\w-]+-passlog$/);
+      expect(result.passes.applied).toBe(2);
+    });
+
+    test('should encode a target size again when the output is too large', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue({ ...validation, metadata: h264Metadata });
+      jest.spyOn(ConversionPipeline, 'removePasslogFiles').mockResolvedValue();
+      const executeFFmpeg = jest.spyOn(ConversionPipeline, 'executeFFmpeg').mockResolvedValue({});
+      jest.spyOn(fs, 'stat')
+        .mockResolvedValueOnce({ size: 1200000 })
+        .mockResolvedValueOnce({ size: 1000000 });
+
+      const result = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.mkv',
+        outputPath: '/outputs/out.mp4',
+        sourceFormat: 'mkv',
+        targetFormat: 'mp4',
+        options: { targetSize: '1MB' }
+      });
+
+      // Two passes, twice
+      expect(executeFFmpeg).toHaveBeenCalledTimes(4);
+      const bitrates = executeFFmpeg.mock.calls.map(([args]) => args[args.indexOf('-b:v') + 1]);
+      expect(bitrates[0]).toBe(bitrates[1]);
+      expect(parseInt(bitrates[2], 10)).toBeLessThan(parseInt(bitrates[0], 10));
+      expect(result.streams.video.reason).toBe('Target size 1MB requested');
+      expect(result.size).toEqual({ requested: '1MB', bytes: 1048576, achieved: 1000000, met: true, attempts: 2 });
+      expect(result.pipeline.stages[4].result.targetSize.videoBitrate).toBe(bitrates[2]);
+      expect(result.pipeline.stages[5].result.size).toBe(result.size);
+    });
+
+    test('should report the failed stage', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue({
+        ...validation,
+        valid: false,
+        errors: ['Invalid duration'],
+        metadata: null
+      });
+
+      const error = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv'
+      }).catch(err => err);
+
+      expect(error.stage).toBe('Validation');
+      expect(error.technical).toBe('Validation failed: Invalid duration');
+      expect(error.pipeline.error.stage).toBe(1);
+    });
+
+    test('should fail validation for a clip outside the input', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+
+      const error = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        options: { start: '15' }
+      }).catch(err => err);
+
+      expect(error.stage).toBe('Validation');
+      expect(error.message).toBe('The requested clip (start, end, duration) is outside the input video.');
+      expect(error.technical).toBe('Invalid clip range: Start 15 is not before the end of the input (12.5s)');
+      expect(error.pipeline.stages[0].result).toMatchObject({ valid: false });
+    });
+
+    test('should fail validation for a crop outside the input frame', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+
+      const error = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        options: { crop: '1920:1080:2000:0' }
+      }).catch(err => err);
+
+      expect(error.stage).toBe('Validation');
+      expect(error.technical).toBe('Invalid transform: Crop 1920:1080:2000:0 is outside the 3840x2160 input frame');
+      expect(error.pipeline.stages[0].result).toMatchObject({ valid: false });
+    });
+
+    test('should fail validation for a watermark outside the clip', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+
+      const error = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        sourceFormat: 'webm',
+        targetFormat: 'wmv',
+        options: { start: '5', watermarkText: 'Preview', watermarkStart: '10' }
+      }).catch(err => err);
+
+      expect(error.stage).toBe('Validation');
+      expect(error.message).toBe('The requested watermark cannot be drawn on this video.');
+      expect(error.technical).toBe('Invalid watermark: Watermark start 10 is not before the end of the output (7.5s)');
+    });
+
+    test('should attribute FFmpeg failures to the execution stage', async () => {
+      jest.spyOn(MediaValidator, 'validate').mockResolvedValue(validation);
+      jest.spyOn(ConversionPipeline, 'executeFFmpeg').mockRejectedValue(new Error('FFmpeg exited with code 234'));
+
+      const error = await ConversionPipeline.execute({
+        inputPath: '/uploads/in.mp4',
+        outputPath: '/outputs/out.mkv',
+        sourceFormat: 'mp4',
+        targetFormat: 'mkv'
+      }).catch(err => err);
+
+      expect(error.stage).toBe('FFmpeg Execution');
+      expect(error.pipeline.stages).toHaveLength(5);
+    });
+  });
+
+  describe('executeFFmpeg', () => {
+    test('should kill a hung FFmpeg after the timeout and free its slot', async () => {
+      // Stand-in for a hung FFmpeg: a node process that never exits on its own
+      const scheduler = new ConversionScheduler({ maxParallel: 1, command: process.execPath });
+      jest.spyOn(conversionScheduler, 'spawn').mockImplementation((args, options) => scheduler.spawn(args, options));
+
+      const error = await ConversionPipeline.executeFFmpeg(
+        ['-e', 'setInterval(() => {}, 1000)', '/outputs/hung.mkv'],
+        { timeout: 100 }
+      ).catch(err => err);
+
+      expect(error.message).toBe('Conversion timeout exceeded (100ms)');
+      expect(scheduler.getStats()).toMatchObject({ running: 0, queued: 0 });
+    });
+  });
+});
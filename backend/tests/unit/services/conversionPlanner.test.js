@@ -0,0 +1,320 @@
+import { jest } from '@jest/globals';
+import {
+  getConversionRoute,
+  describeOutput,
+  applyResolution,
+  applyFrameNormalization,
+  applyStreamCopy,
+  getTwoPassTarget,
+  buildTwoPassArgs,
+  buildConversionSteps
+} from '../../../services/conversionPlanner.js';
+
+// Trimmed ffprobe output of a 4K VP9/Opus WebM
+const metadata = {
+  format: { duration: '12.500000', size: '1048576' },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'vp9', width: 3840, height: 2160, avg_frame_rate: '30/1' },
+    { index: 1, codec_type: 'audio', codec_name: 'opus', channels: 2 }
+  ]
+};
+
+describe('Conversion Planner - Unit Tests', () => {
+  describe('getConversionRoute', () => {
+    test('should convert every pair directly', () => {
+      expect(getConversionRoute('WEBM', 'WMV')).toEqual(['WEBM', 'WMV']);
+      expect(getConversionRoute('3GP', 'FLV')).toEqual(['3GP', 'FLV']);
+    });
+
+    test('should route through the lossless intermediate on request', () => {
+      expect(getConversionRoute('WEBM', 'WMV', { intermediate: true })).toEqual(['WEBM', 'MKV', 'WMV']);
+    });
+  });
+
+  describe('describeOutput', () => {
+    const input = { resolution: { width: 1281, height: 721 }, frameRate: 29.97 };
+
+    test('should apply even-dimension scaling', () => {
+      const output = describeOutput(['-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-c:v', 'mpeg4', '-c:a', 'libmp3lame'], input);
+
+      expect(output).toEqual({
+        resolution: { width: 1280, height: 720 },
+        frameRate: 29.97,
+        pixelFormat: null,
+        videoCodec: 'mpeg4',
+        audioCodec: 'libmp3lame',
+        rotation: 0,
+        duration: null
+      });
+    });
+
+    test('should fit and pad mobile outputs', () => {
+      const args = [
+        '-vf', 'scale=\'min(480,iw)\':\'min(360,ih)\':force_original_aspect_ratio=decrease,pad=480:360:(ow-iw)/2:(oh-ih)/2',
+        '-r', '15'
+      ];
+
+      expect(describeOutput(args, input)).toMatchObject({
+        resolution: { width: 480, height: 360 },
+        frameRate: 15
+      });
+    });
+
+    test('should report stream copy', () => {
+      expect(describeOutput(['-c', 'copy'], input)).toMatchObject({ videoCodec: 'copy', audioCodec: 'copy' });
+    });
+  });
+
+  describe('applyResolution', () => {
+    test('should replace scale and pad filters and keep the others', () => {
+      const args = ['-i', 'in.flv', '-vf', 'yadif=0:-1:0,scale=trunc(iw/2)*2:trunc(ih/2)*2', '-y', 'out.wmv'];
+
+      expect(applyResolution(args, { width: 1280, height: 720 })).toEqual([
+        '-i', 'in.flv', '-vf', 'yadif=0:-1:0,scale=1280:720', '-y', 'out.wmv'
+      ]);
+    });
+
+    test('should add a filter before the output path', () => {
+      expect(applyResolution(['-i', 'in.mp4', '-y', 'out.wmv'], { width: 640, height: 480 }))
+        .toEqual(['-i', 'in.mp4', '-y', '-vf', 'scale=640:480', 'out.wmv']);
+    });
+
+    test('should pad fixed frame sizes and keep smaller padded frames', () => {
+      const args = ['-i', 'in.mp4', '-vf', 'scale=\'min(640,iw)\':\'min(480,ih)\':force_original_aspect_ratio=decrease,pad=640:480:(ow-iw)/2:(oh-ih)/2', 'out.3gp'];
+
+      expect(applyResolution(args, { width: 352, height: 288 }, { pad: true })[3])
+        .toBe('scale=352:288:force_original_aspect_ratio=decrease,pad=352:288:(ow-iw)/2:(oh-ih)/2');
+      expect(applyResolution(args, { width: 640, height: 480 }, { pad: true })).toEqual(args);
+    });
+  });
+
+  describe('applyFrameNormalization', () => {
+    const normalization = {
+      frameRate: { needed: true, deinterlaced: true },
+      pixelFormat: { needed: true, target: 'yuv420p' },
+      filters: ['yadif=0:-1:0', 'fps=30000/1001']
+    };
+
+    test('should put the filters first and add the pixel format', () => {
+      expect(applyFrameNormalization(['-i', 'in.mkv', '-vf', 'scale=1280:720', '-y', 'out.wmv'], normalization))
+        .toEqual(['-i', 'in.mkv', '-vf', 'yadif=0:-1:0,fps=30000/1001,scale=1280:720', '-y', '-pix_fmt', 'yuv420p', 'out.wmv']);
+    });
+
+    test('should keep the frame rate, deinterlacer and pixel format of the step', () => {
+      const args = ['-i', 'in.mpg', '-vf', 'yadif=0:-1:0', '-r', '25', '-pix_fmt', 'yuv422p', 'out.avi'];
+
+      expect(applyFrameNormalization(args, normalization)).toEqual(args);
+    });
+
+    test('should describe the fps filter rate', () => {
+      const output = describeOutput(applyFrameNormalization(['-i', 'in.mkv', 'out.wmv'], normalization), { frameRate: 59.94 });
+
+      expect(output).toMatchObject({ frameRate: 29.97, pixelFormat: 'yuv420p' });
+    });
+  });
+
+  describe('applyStreamCopy', () => {
+    const args = [
+      '-i', 'in.mkv', '-c:v', 'libx264', '-c:a', 'aac', '-preset', 'medium', '-crf', '23',
+      '-b:a', '128k', '-vf', 'scale=1280:720', '-pix_fmt', 'yuv420p', '-ar', '48000',
+      '-movflags', '+faststart', '-y', 'out.mp4'
+    ];
+
+    test('should copy both streams and drop their encoder options', () => {
+      expect(applyStreamCopy(args, { video: { action: 'copy', tag: 'hvc1' }, audio: { action: 'copy' } })).toEqual([
+        '-i', 'in.mkv', '-c:v', 'copy', '-c:a', 'copy', '-movflags', '+faststart', '-y', '-tag:v', 'hvc1', 'out.mp4'
+      ]);
+    });
+
+    test('should keep encoding the other stream', () => {
+      const result = applyStreamCopy(args, { video: { action: 'copy' }, audio: { action: 'encode' } });
+
+      expect(result).toEqual([
+        '-i', 'in.mkv', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '128k', '-ar', '48000',
+        '-movflags', '+faststart', '-y', 'out.mp4'
+      ]);
+      expect(describeOutput(result, { resolution: { width: 1920, height: 1080 }, pixelFormat: 'yuv420p10le' }))
+        .toMatchObject({ resolution: { width: 1920, height: 1080 }, pixelFormat: 'yuv420p10le', videoCodec: 'copy', audioCodec: 'aac' });
+    });
+
+    test('should leave full stream copies unchanged', () => {
+      const copy = ['-i', 'in.mkv', '-c', 'copy', '-y', 'out.mkv'];
+
+      expect(applyStreamCopy(copy, { video: { action: 'copy' }, audio: { action: 'copy' } })).toEqual(copy);
+    });
+  });
+
+  describe('getTwoPassTarget', () => {
+    test('should target the bitrate of bitrate-driven steps', () => {
+      expect(getTwoPassTarget(['-i', 'in', '-c:v', 'wmv2', '-b:v', '4000k', '-maxrate', '6000k', 'out.wmv']))
+        .toEqual({ passes: 2, bitrate: '4000k', reason: 'Two-pass wmv2 encode at 4000k' });
+    });
+
+    test('should keep quality-driven steps single-pass', () => {
+      const args = ['-i', 'in', '-c:v', 'libx264', '-crf', '23', 'out.mp4'];
+
+      expect(getTwoPassTarget(['-i', 'in', '-c:v', 'libx264', '-b:v', '2M', 'out.mp4'])).toMatchObject({ passes: 2, bitrate: '2M' });
+      expect(getTwoPassTarget([...args.slice(0, -1), '-maxrate', '2M', '-bufsize', '4M', 'out.mp4']).passes).toBe(1);
+      expect(getTwoPassTarget(args)).toEqual({
+        passes: 1,
+        bitrate: null,
+        reason: 'libx264 encodes to a quality target (CRF 23), set customBitrate to encode in two passes'
+      });
+    });
+
+    test('should keep copied video and other encoders single-pass', () => {
+      expect(getTwoPassTarget(['-i', 'in', '-c:v', 'copy', '-b:v', '2M', 'out.mp4']).passes).toBe(1);
+      expect(getTwoPassTarget(['-i', 'in', '-c:v', 'prores_ks', '-b:v', '4000k', 'out.mov']).reason)
+        .toBe('prores_ks does not support two-pass encoding');
+    });
+  });
+
+  describe('buildTwoPassArgs', () => {
+    test('should analyze the video only and encode with the passlog', () => {
+      const args = [
+        '-i', 'in.mp4', '-c:v', 'mpeg2video', '-c:a', 'mp2', '-b:v', '4000k', '-b:a', '192k',
+        '-maxrate', '6000k', '-minrate', '4000k', '-qscale:v', '2', '-f', 'mpeg', '-y', 'out.mpeg'
+      ];
+      const { analysis, encode } = buildTwoPassArgs(args, { bitrate: '4000k', passlogPrefix: '/outputs/job-passlog' });
+
+      expect(analysis).toEqual([
+        '-i', 'in.mp4', '-c:v', 'mpeg2video', '-b:v', '4000k', '-maxrate', '6000k', '-minrate', '4000k', '-y',
+        '-pass', '1', '-passlogfile', '/outputs/job-passlog', '-an', '-f', 'null', '-'
+      ]);
+      expect(encode).toEqual([
+        '-i', 'in.mp4', '-c:v', 'mpeg2video', '-c:a', 'mp2', '-b:v', '4000k', '-b:a', '192k',
+        '-maxrate', '6000k', '-minrate', '4000k', '-f', 'mpeg', '-y',
+        '-pass', '2', '-passlogfile', '/outputs/job-passlog', 'out.mpeg'
+      ]);
+    });
+
+    test('should replace the quality target with a custom bitrate', () => {
+      const { encode } = buildTwoPassArgs(
+        ['-i', 'in.mkv', '-c:v', 'libx264', '-crf', '23', '-maxrate', '2000k', '-y', 'out.mp4'],
+        { bitrate: '3M', passlogPrefix: 'p' }
+      );
+
+      expect(encode).toEqual(['-i', 'in.mkv', '-c:v', 'libx264', '-maxrate', '3M', '-y', '-b:v', '3M', '-pass', '2', '-passlogfile', 'p', 'out.mp4']);
+    });
+  });
+
+  describe('buildConversionSteps', () => {
+    test('should build a single step', () => {
+      const steps = buildConversionSteps({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        options: { quality: 'medium', preserveMetadata: true },
+        metadata
+      });
+
+      expect(steps).toHaveLength(1);
+      expect(steps[0].description).toBe('Step 1/1: Converting WEBM to WMV');
+      expect(steps[0].args.slice(0, 2)).toEqual(['-i', '/uploads/in.webm']);
+      expect(steps[0].output).toMatchObject({ resolution: { width: 1920, height: 1080 }, videoCodec: 'wmv2' });
+    });
+
+    test('should build both steps of the lossless intermediate route', () => {
+      const steps = buildConversionSteps({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        options: { quality: 'medium', preserveMetadata: true },
+        metadata,
+        intermediate: true
+      });
+
+      expect(steps).toHaveLength(2);
+
+      const [toMkv, toWmv] = steps;
+      expect(toMkv.description).toBe('Step 1/2: Converting WEBM to MKV');
+      expect(toMkv.args).toEqual(expect.arrayContaining(['-fflags', '+genpts', '-c:v', 'ffv1', '-c:a', 'flac']));
+      expect(toMkv.output).toMatchObject({ resolution: { width: 3840, height: 2160 }, videoCodec: 'ffv1', audioCodec: 'flac' });
+      // Written to the temp directory, which is not served
+      expect(toMkv.outputPath).toMatch(/[/\\]temp[/\\][\w-]+\.mkv$/);
+      // The second step reads the intermediate written by the first
+      expect(toWmv.args[1]).toBe(toMkv.outputPath);
+      expect(toWmv.args[toWmv.args.length - 1]).toBe('/outputs/out.wmv');
+      expect(toWmv.command).toContain(toWmv.args.join(' '));
+      expect(toWmv.output).toEqual({
+        resolution: { width: 1920, height: 1080 },
+        frameRate: 30,
+        pixelFormat: 'yuv420p',
+        videoCodec: 'wmv2',
+        audioCodec: 'wmav2',
+        rotation: 0,
+        duration: 12.5
+      });
+    });
+
+    test('should build the last step with buildFinalArgs when given', () => {
+      const buildFinalArgs = jest.fn(() => ['-i', 'in', '-c:v', 'mpeg2video', 'out.mpeg']);
+      const steps = buildConversionSteps({
+        source: 'MP4',
+        target: 'MPEG',
+        inputPath: 'in',
+        outputPath: 'out.mpeg',
+        metadata,
+        buildFinalArgs
+      });
+
+      expect(buildFinalArgs).toHaveBeenCalledWith('in', 'out.mpeg', metadata, {});
+      expect(steps[0].output.videoCodec).toBe('mpeg2video');
+    });
+
+    test('should plan both passes of a two-pass encode', () => {
+      const steps = buildConversionSteps({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        options: { quality: 'medium' },
+        metadata,
+        twoPass: { bitrate: '4000k' }
+      });
+
+      expect(steps).toHaveLength(2);
+
+      const [analysis, encode] = steps;
+      expect(analysis).toMatchObject({ step: 1, pass: 1, description: 'Step 1/2: Analyzing WEBM to WMV (pass 1/2)', outputPath: null });
+      expect(analysis.args.slice(-6)).toEqual(['-passlogfile', analysis.passlogPrefix, '-an', '-f', 'null', '-']);
+      expect(encode).toMatchObject({ step: 2, pass: 2, description: 'Step 2/2: Converting WEBM to WMV (pass 2/2)', outputPath: '/outputs/out.wmv' });
+      expect(encode.passlogPrefix).toBe(analysis.passlogPrefix);
+      expect(encode.passlogPrefix).toMatch(/-passlog$/);
+      expect(encode.output).toMatchObject({ videoCodec: 'wmv2', audioCodec: 'wmav2' });
+    });
+
+    test('should cut a clip in the step reading the upload only', () => {
+      const steps = buildConversionSteps({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        options: { quality: 'medium', start: '00:02.5', duration: '5' },
+        metadata,
+        intermediate: true
+      });
+
+      const [toMkv, toWmv] = steps;
+      expect(toMkv.args.slice(0, 5)).toEqual(['-fflags', '+genpts', '-ss', '2.5', '-i']);
+      expect(toMkv.args.slice(-4, -1)).toEqual(['-y', '-t', '5']);
+      expect(toMkv.output.duration).toBe(5);
+      expect(toWmv.args).not.toContain('-ss');
+      expect(toWmv.args).not.toContain('-t');
+      expect(toWmv.output.duration).toBe(5);
+    });
+
+    test('should reject a clip outside the input', () => {
+      expect(() => buildConversionSteps({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        outputPath: '/outputs/out.wmv',
+        options: { end: '20' },
+        metadata
+      })).toThrow('Invalid clip range: End 20 is beyond the input duration of 12.5s');
+    });
+  });
+});
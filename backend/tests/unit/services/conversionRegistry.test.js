@@ -0,0 +1,55 @@
+import { SUPPORTED_FORMATS } from '../../../config/ffmpeg.js';
+import {
+  FORMAT_REGISTRY,
+  resolveFormat,
+  getConversion,
+  listConversions
+} from '../../../services/conversionRegistry.js';
+
+describe('conversionRegistry - Unit Tests', () => {
+  const formats = Object.keys(SUPPORTED_FORMATS);
+
+  test('should register every supported format with its presets', () => {
+    expect(Object.keys(FORMAT_REGISTRY)).toEqual(formats);
+
+    for (const format of Object.values(FORMAT_REGISTRY)) {
+      expect(Object.keys(format.presets)).toEqual(['high', 'medium', 'low']);
+    }
+  });
+
+  test('should provide a converter for all 90 format pairs and MKV re-encoding', () => {
+    const conversions = listConversions();
+
+    // MKV to MKV is deliberately the 91st conversion (the legacy /mkv-to-mkv endpoint)
+    expect(formats.length * (formats.length - 1)).toBe(90);
+    expect(conversions).toHaveLength(91);
+    expect(conversions.filter(({ source, target }) => source === target)).toEqual([
+      { source: 'MKV', target: 'MKV', path: '/api/v1/convert/mkv-to-mkv' }
+    ]);
+
+    for (const { source, target } of conversions) {
+      expect(typeof getConversion(source, target).convert).toBe('function');
+    }
+  });
+
+  test('should resolve format names case-insensitively', () => {
+    expect(resolveFormat('webm')).toBe('WEBM');
+    expect(resolveFormat(' 3gp ')).toBe('3GP');
+    expect(resolveFormat('ogg')).toBeNull();
+    expect(resolveFormat(undefined)).toBeNull();
+  });
+
+  test('should reject unknown conversions and same-format ones without a converter', () => {
+    expect(getConversion('mp4', 'mp4')).toBeNull();
+    expect(getConversion('mp4', 'ogg')).toBeNull();
+    expect(getConversion('mkv', 'mkv')).toMatchObject({ source: 'MKV', target: 'MKV' });
+  });
+
+  test('should expose the legacy per-pair paths', () => {
+    expect(listConversions()).toContainEqual({
+      source: 'WEBM',
+      target: 'AVI',
+      path: '/api/v1/convert/webm-to-avi'
+    });
+  });
+});
@@ -0,0 +1,338 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  PIPELINE_CONFIG,
+  runConversion,
+  planConversion
+} from '../../../services/conversionRunner.js';
+import { PATHS } from '../../../config/ffmpeg.js';
+import { ConversionPipeline } from '../../../services/media-pipeline/ConversionPipeline.js';
+import { MediaValidator } from '../../../services/media-pipeline/MediaValidator.js';
+
+// Trimmed ffprobe output of a 4K VP9/Opus WebM
+const metadata = {
+  format: { duration: '12.500000', size: '1048576' },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'vp9', width: 3840, height: 2160, avg_frame_rate: '30/1' },
+    { index: 1, codec_type: 'audio', codec_name: 'opus', channels: 2 }
+  ]
+};
+
+const mockValidation = (result) => jest.spyOn(MediaValidator, 'validate').mockResolvedValue({
+  valid: true,
+  errors: [],
+  warnings: [],
+  metadata,
+  recommendations: [],
+  ...result
+});
+
+const pipelineError = () => Object.assign(new Error('The input file is corrupted or invalid.'), {
+  stage: 'Validation',
+  technical: 'Validation failed: FFprobe error',
+  pipeline: { stages: [{ stage: 1, name: 'Validation' }] }
+});
+
+/**
+ * Service converter stand-in that writes its output into the directory it is given
+ */
+const createLegacyConvert = () => jest.fn(async (inputPath, { outputDir }) => {
+  const outputFilename = 'out.wmv';
+  const outputPath = path.join(outputDir, outputFilename);
+  await fs.writeFile(outputPath, Buffer.alloc(1000));
+  return { success: true, outputPath, outputFilename, outputSize: 1000 };
+});
+
+describe('Conversion Runner - Unit Tests', () => {
+  const { enabled, retryPolicy } = PIPELINE_CONFIG;
+  const { temp, outputs } = PATHS;
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversion-runner-'));
+    PATHS.temp = path.join(dir, 'temp');
+    PATHS.outputs = path.join(dir, 'outputs');
+    await fs.mkdir(PATHS.temp);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    Object.assign(PIPELINE_CONFIG, { enabled, retryPolicy });
+    Object.assign(PATHS, { temp, outputs });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('runConversion', () => {
+    test('should return the pipeline stages with the result', async () => {
+      let outputPath;
+      jest.spyOn(ConversionPipeline, 'execute').mockImplementation(async (params) => {
+        outputPath = params.outputPath;
+        await fs.writeFile(outputPath, Buffer.alloc(1024));
+        return {
+          metadata: { format: { size: '4096' } },
+          steps: [
+            { inputFormat: 'WEBM', outputFormat: 'MKV' },
+            { inputFormat: 'MKV', outputFormat: 'WMV' }
+          ],
+          pipeline: { stages: [{ stage: 1, name: 'Validation' }] },
+          profile: null,
+          streams: { video: { action: 'encode' }, audio: { action: 'encode' }, remux: false },
+          adjustments: { resolutionAdjusted: false }
+        };
+      });
+      const legacyConvert = jest.fn();
+
+      try {
+        const result = await runConversion({
+          source: 'WEBM',
+          target: 'WMV',
+          inputPath: '/uploads/in.webm',
+          options: { quality: 'low' },
+          legacyConvert
+        });
+
+        expect(legacyConvert).not.toHaveBeenCalled();
+        expect(result).toMatchObject({
+          outputSize: 1024,
+          quality: 'low',
+          reductionPercentage: '75.00',
+          conversionPath: 'WEBM -> MKV -> WMV',
+          intermediateFormat: 'MKV'
+        });
+        expect(result.outputFilename).toMatch(/\.wmv$/);
+        expect(result.pipeline).toMatchObject({
+          mode: 'pipeline',
+          retryPolicy: 'legacy',
+          attempts: [{ mode: 'pipeline', success: true }],
+          stages: [{ stage: 1, name: 'Validation' }],
+          streams: { remux: false }
+        });
+      } finally {
+        await fs.unlink(outputPath);
+      }
+    });
+
+    test('should retry with the legacy converter and report both attempts', async () => {
+      jest.spyOn(ConversionPipeline, 'execute').mockRejectedValue(pipelineError());
+      const legacyConvert = createLegacyConvert();
+
+      const result = await runConversion({
+        source: 'MP4',
+        target: 'WMV',
+        inputPath: '/uploads/in.mp4',
+        options: { quality: 'medium' },
+        legacyConvert
+      });
+
+      // Encoded into the temp directory, then moved into the outputs
+      expect(legacyConvert).toHaveBeenCalledWith('/uploads/in.mp4', { quality: 'medium', outputDir: PATHS.temp });
+      expect(result.outputFilename).toBe('out.wmv');
+      expect(result.outputPath).toBe(path.join(PATHS.outputs, 'out.wmv'));
+      expect((await fs.stat(result.outputPath)).size).toBe(1000);
+      await expect(fs.access(path.join(PATHS.temp, 'out.wmv'))).rejects.toThrow();
+      expect(result.pipeline).toMatchObject({
+        mode: 'legacy',
+        retryPolicy: 'legacy',
+        attempts: [
+          {
+            mode: 'pipeline',
+            success: false,
+            stage: 'Validation',
+            error: 'The input file is corrupted or invalid.',
+            reason: 'Validation failed: FFprobe error'
+          },
+          { mode: 'legacy', success: true }
+        ],
+        stages: [{ stage: 1, name: 'Validation' }]
+      });
+    });
+
+    test('should retry through the lossless intermediate when FFmpeg failed', async () => {
+      const inputPath = path.join(dir, 'runner-in.webm');
+      await fs.writeFile(inputPath, Buffer.alloc(4000));
+      jest.spyOn(ConversionPipeline, 'execute').mockRejectedValue(Object.assign(new Error('FFmpeg failed during conversion.'), {
+        stage: 'FFmpeg Execution',
+        technical: 'FFmpeg exited with code 1',
+        pipeline: { stages: [], currentStage: 6 }
+      }));
+      const executeFFmpeg = jest.spyOn(ConversionPipeline, 'executeFFmpeg').mockResolvedValue({});
+      const legacyConvert = createLegacyConvert();
+
+      const result = await runConversion({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath,
+        options: { quality: 'medium', start: '2', duration: '5' },
+        legacyConvert
+      });
+
+      // The upload is trimmed into the intermediate, which the converter reads
+      const [args] = executeFFmpeg.mock.calls[0];
+      expect(args).toEqual(expect.arrayContaining(['-ss', '2', '-i', inputPath, '-c:v', 'ffv1', '-t', '5']));
+      expect(legacyConvert).toHaveBeenCalledWith(args.at(-1), { quality: 'medium', outputDir: PATHS.temp });
+      expect(result).toMatchObject({
+        inputFilename: 'runner-in.webm',
+        outputPath: path.join(PATHS.outputs, 'out.wmv'),
+        conversionPath: 'WEBM -> MKV -> WMV',
+        intermediateFormat: 'MKV',
+        reductionPercentage: '75.00'
+      });
+      expect(result.pipeline.attempts.map(attempt => attempt.mode)).toEqual(['pipeline', 'legacy']);
+    });
+
+    test('should fail with the pipeline error and both attempts when the legacy retry fails', async () => {
+      jest.spyOn(ConversionPipeline, 'execute').mockRejectedValue(pipelineError());
+      const legacyConvert = jest.fn().mockRejectedValue(new Error('FFmpeg exited with code 1'));
+
+      const error = await runConversion({
+        source: 'MP4',
+        target: 'WMV',
+        inputPath: '/uploads/in.mp4',
+        legacyConvert
+      }).catch(error => error);
+
+      expect(error.message).toBe('The input file is corrupted or invalid.');
+      expect(error.stage).toBe('Validation');
+      expect(error.report).toMatchObject({
+        mode: 'legacy',
+        attempts: [
+          { mode: 'pipeline', success: false, stage: 'Validation' },
+          { mode: 'legacy', success: false, error: 'FFmpeg exited with code 1' }
+        ],
+        stages: [{ stage: 1, name: 'Validation' }]
+      });
+    });
+
+    test('should fail without retrying when the retry policy is none', async () => {
+      PIPELINE_CONFIG.retryPolicy = 'none';
+      jest.spyOn(ConversionPipeline, 'execute').mockRejectedValue(pipelineError());
+      const legacyConvert = jest.fn();
+
+      const error = await runConversion({
+        source: 'MP4',
+        target: 'WMV',
+        inputPath: '/uploads/in.mp4',
+        legacyConvert
+      }).catch(error => error);
+
+      expect(error.message).toBe('The input file is corrupted or invalid.');
+      expect(error.report).toMatchObject({
+        mode: 'pipeline',
+        attempts: [{ mode: 'pipeline', success: false, stage: 'Validation' }],
+        stages: [{ stage: 1, name: 'Validation' }]
+      });
+      expect(legacyConvert).not.toHaveBeenCalled();
+    });
+
+    test('should not retry a cancelled conversion', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      jest.spyOn(ConversionPipeline, 'execute').mockRejectedValue(new Error('Conversion cancelled'));
+      const legacyConvert = jest.fn();
+
+      await expect(runConversion({
+        source: 'MP4',
+        target: 'WMV',
+        inputPath: '/uploads/in.mp4',
+        options: { signal: controller.signal },
+        legacyConvert
+      })).rejects.toThrow('Conversion cancelled');
+      expect(legacyConvert).not.toHaveBeenCalled();
+    });
+
+    test('should use the legacy converter directly when the pipeline is disabled', async () => {
+      PIPELINE_CONFIG.enabled = false;
+      const execute = jest.spyOn(ConversionPipeline, 'execute');
+      const legacyConvert = createLegacyConvert();
+
+      const result = await runConversion({
+        source: 'MP4',
+        target: 'AVI',
+        inputPath: '/uploads/in.mp4',
+        legacyConvert
+      });
+
+      expect(execute).not.toHaveBeenCalled();
+      expect(result.pipeline).toMatchObject({ mode: 'legacy', retryPolicy: null, stages: [] });
+    });
+  });
+
+  describe('planConversion', () => {
+    test('should plan through the pipeline', async () => {
+      mockValidation();
+
+      const plan = await planConversion({
+        source: 'WEBM',
+        target: 'WMV',
+        inputPath: '/uploads/in.webm',
+        options: { quality: 'medium', preserveMetadata: true }
+      });
+
+      expect(plan).toMatchObject({
+        dryRun: true,
+        mode: 'pipeline',
+        conversionPath: 'WEBM -> WMV',
+        input: { resolution: { width: 3840, height: 2160 }, videoCodec: 'vp9', duration: 12.5 },
+        normalization: { needed: true, target: { width: 1920, height: 1080 } },
+        output: {
+          format: 'WMV',
+          resolution: { width: 1920, height: 1080 },
+          videoCodec: 'wmv2',
+          audioCodec: 'wmav2'
+        }
+      });
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.intermediateFormat).toBeUndefined();
+      expect(plan.pipeline.stages).toHaveLength(5);
+      expect(plan.frameNormalization).toMatchObject({
+        frameRate: { needed: false, original: 30, target: 30 },
+        pixelFormat: { needed: false }
+      });
+      expect(plan.streams).toMatchObject({ video: { action: 'encode', codec: 'vp9' }, remux: false });
+    });
+
+    test('should plan the legacy retry when the input cannot be probed', async () => {
+      mockValidation({ valid: false, errors: ['Validation error: FFprobe error'], metadata: null });
+
+      const plan = await planConversion({
+        source: 'MP4',
+        target: 'AVI',
+        inputPath: '/uploads/in.mp4',
+        options: { quality: 'low' }
+      });
+
+      expect(plan.mode).toBe('legacy');
+      expect(plan.validation).toEqual({ valid: false, errors: ['Validation error: FFprobe error'] });
+      expect(plan.normalization).toBeNull();
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.steps[0].args.slice(0, 2)).toEqual(['-i', '/uploads/in.mp4']);
+      expect(plan.pipeline.attempts).toEqual([
+        expect.objectContaining({
+          mode: 'pipeline',
+          success: false,
+          stage: 'Validation',
+          reason: 'Validation failed: Validation error: FFprobe error'
+        }),
+        { mode: 'legacy', success: true }
+      ]);
+      expect(plan.warnings[0]).toMatch(/could not be probed/);
+    });
+
+    test('should report a failing plan when the retry policy is none', async () => {
+      PIPELINE_CONFIG.retryPolicy = 'none';
+      mockValidation({ valid: false, errors: ['Validation error: FFprobe error'], metadata: null });
+
+      const plan = await planConversion({
+        source: 'MP4',
+        target: 'AVI',
+        inputPath: '/uploads/in.mp4'
+      });
+
+      expect(plan.mode).toBeNull();
+      expect(plan.steps).toEqual([]);
+      expect(plan.output).toBeNull();
+    });
+  });
+});
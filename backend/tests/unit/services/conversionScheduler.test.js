@@ -0,0 +1,68 @@
+import { ConversionScheduler, PRIORITY } from '../../../services/jobs/ConversionScheduler.js';
+
+// Stand-in for FFmpeg: a node process that exits after a short delay
+const command = process.execPath;
+const sleepArgs = (ms) => ['-e', `setTimeout(() => {}, ${ms})`];
+
+const waitForClose = (child) => new Promise(resolve => child.once('close', resolve));
+
+describe('ConversionScheduler - Unit Tests', () => {
+  test('should never run more than maxParallel processes', async () => {
+    const scheduler = new ConversionScheduler({ maxParallel: 2, command });
+    let peak = 0;
+
+    const runs = [1, 2, 3, 4].map(async () => {
+      const child = await scheduler.spawn(sleepArgs(100));
+      peak = Math.max(peak, scheduler.getStats().running);
+      await waitForClose(child);
+    });
+
+    await Promise.all(runs);
+
+    expect(peak).toBe(2);
+    expect(scheduler.getStats()).toEqual({ maxParallel: 2, running: 0, queued: 0 });
+  });
+
+  test('should serve interactive work before batch work and report queue positions', async () => {
+    const scheduler = new ConversionScheduler({ maxParallel: 1, command });
+    const started = [];
+    const positions = {};
+
+    const submit = (name, priority) => scheduler.spawn(sleepArgs(50), {
+      priority,
+      onQueued: (position) => { positions[name] = position; },
+      onStart: () => started.push(name)
+    }).then(waitForClose);
+
+    const first = submit('first', PRIORITY.BATCH);
+    const batch = submit('batch', PRIORITY.BATCH);
+    const interactive = submit('interactive', PRIORITY.INTERACTIVE);
+
+    expect(positions).toEqual({ batch: 2, interactive: 1 });
+
+    await Promise.all([first, batch, interactive]);
+
+    expect(started).toEqual(['first', 'interactive', 'batch']);
+  });
+
+  test('should drop a queued entry when its signal aborts', async () => {
+    const scheduler = new ConversionScheduler({ maxParallel: 1, command });
+    const abortController = new AbortController();
+
+    const running = scheduler.spawn(sleepArgs(100)).then(waitForClose);
+    const queued = scheduler.spawn(sleepArgs(100), { signal: abortController.signal });
+
+    abortController.abort();
+
+    await expect(queued).rejects.toThrow('Conversion cancelled');
+    expect(scheduler.getStats().queued).toBe(0);
+    await running;
+  });
+
+  test('should release the slot when the process cannot be spawned', async () => {
+    const scheduler = new ConversionScheduler({ maxParallel: 1, command: '/nonexistent/ffmpeg' });
+
+    await expect(scheduler.spawn([])).rejects.toThrow('FFmpeg process error');
+    expect(scheduler.getStats().running).toBe(0);
+  });
+});
@@ -0,0 +1,158 @@
+import { EncodingProfileManager } from '../../../services/media-pipeline/EncodingProfileManager.js';
+
+const probe = (width, height, frameRate = '30/1') => ({
+  streams: [{ codec_type: 'video', width, height, r_frame_rate: frameRate }]
+});
+
+describe('EncodingProfileManager - Unit Tests', () => {
+  describe('getProfiles', () => {
+    test('should define profiles for every output container', () => {
+      const formats = new Set(Object.values(EncodingProfileManager.getProfiles()).map(profile => profile.format));
+
+      for (const format of ['mpeg', 'mp4', 'webm', 'mov', 'mkv', 'avi', 'wmv', 'flv', '3gp', '3g2']) {
+        expect(formats).toContain(format);
+      }
+    });
+  });
+
+  describe('selectProfile', () => {
+    test('should pick the largest frame that fits the source', () => {
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080), 'webm').profileId).toBe('webm-vp9-1080p');
+      expect(EncodingProfileManager.selectProfile(probe(3840, 2160), 'mkv').profileId).toBe('mkv-hevc-2160p');
+      expect(EncodingProfileManager.selectProfile(probe(1280, 720), 'avi').profileId).toBe('avi-xvid-720p');
+    });
+
+    test('should pick the smallest frame for small sources', () => {
+      expect(EncodingProfileManager.selectProfile(probe(320, 240), 'avi').profileId).toBe('avi-xvid-dvdplayer');
+      expect(EncodingProfileManager.selectProfile(probe(160, 120), '3gp').profileId).toBe('3gp-qcif-amr');
+    });
+
+    test('should pick the closest frame rate', () => {
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080, '60/1'), 'webm').profileId).toBe('webm-vp9-1080p60');
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080, '24000/1001'), 'webm').profileId).toBe('webm-vp9-1080p');
+    });
+
+    test('should keep the MPEG PAL/NTSC selection', () => {
+      expect(EncodingProfileManager.selectProfile(probe(720, 480, '30000/1001'), 'mpeg').profileId).toBe('mpeg-dvd-ntsc');
+      expect(EncodingProfileManager.selectProfile(probe(720, 576, '25/1'), 'mpeg').profileId).toBe('mpeg-dvd-pal');
+    });
+
+    test('should not auto-select on-request profiles', () => {
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080), 'mp4')).toBeNull();
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080), 'mov').profileId).toBe('mov-h264-1080p');
+    });
+
+    test('should honor the requested profile and none', () => {
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080), 'mov', 'mov-prores-422').profileId).toBe('mov-prores-422');
+      expect(EncodingProfileManager.selectProfile(probe(1920, 1080), 'mov', 'none')).toBeNull();
+    });
+  });
+
+  describe('validateProfile', () => {
+    const profile = (format, video, audio) => ({ format, video, audio });
+
+    test('should accept every built-in profile of a format with capability data', () => {
+      const builtIns = Object.values(EncodingProfileManager.getBuiltInProfiles())
+        .filter(({ format }) => format !== 'mpeg');
+
+      for (const builtIn of builtIns) {
+        expect(EncodingProfileManager.validateProfile(builtIn).errors).toEqual([]);
+      }
+    });
+
+    test('should map encoders to the codecs of the capability matrix', () => {
+      const { errors } = EncodingProfileManager.validateProfile(
+        profile('webm', { codec: 'libx264' }, { codec: 'libopus' })
+      );
+
+      expect(errors).toEqual([
+        { field: 'video.codec', message: 'WEBM does not support h264; supported: vp8, vp9, av1' }
+      ]);
+    });
+
+    test('should check bitrates, frame rates and pixel formats', () => {
+      const { errors } = EncodingProfileManager.validateProfile(profile(
+        'flv',
+        { codec: 'libx264', maxrate: '6M', frameRate: 29.97, pixelFormat: 'yuv444p' },
+        { codec: 'aac', bitrate: '384k' }
+      ));
+
+      expect(errors.map(error => error.field)).toEqual([
+        'video.maxrate',
+        'audio.bitrate',
+        'video.frameRate',
+        'video.pixelFormat'
+      ]);
+    });
+
+    test('should require padded standard frames and the codec limits of mobile formats', () => {
+      const { errors } = EncodingProfileManager.validateProfile(profile(
+        '3gp',
+        { codec: 'h263', resolution: { width: 640, height: 480 }, frameRate: 30 },
+        { codec: 'libopencore_amrnb', bitrate: '12.2k' }
+      ));
+
+      expect(errors).toEqual([
+        { field: 'video.pad', message: '3GP frames must be padded to the standard size (pad: true)' },
+        { field: 'video.resolution', message: 'h263 supports frame sizes: SQCIF, QCIF, CIF' },
+        { field: 'video.frameRate', message: 'h263 supports up to 29.97 fps' }
+      ]);
+    });
+
+    test('should reject non-standard mobile frames and H.264 profiles other than baseline', () => {
+      const { errors } = EncodingProfileManager.validateProfile(profile(
+        '3g2',
+        { codec: 'libx264', resolution: { width: 480, height: 360 }, profile: 'high', pad: true },
+        { codec: 'aac', bitrate: '64k' }
+      ));
+
+      expect(errors.map(error => error.field)).toEqual(['video.resolution', 'video.profile']);
+      expect(errors[0].message).toMatch(/480x360 is not a standard 3G2 frame size/);
+    });
+
+    test('should warn when the format has no capability data', () => {
+      const result = EncodingProfileManager.validateProfile(profile('ogv', { codec: 'libtheora' }, { codec: 'libvorbis' }));
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings[0]).toMatch(/No capability data for OGV/);
+    });
+  });
+
+  describe('buildScaleFilter', () => {
+    test('should stretch anamorphic frames', () => {
+      const { video } = EncodingProfileManager.getProfile('mpeg-dvd-pal');
+
+      expect(EncodingProfileManager.buildScaleFilter(video)).toBe('scale=720:576');
+    });
+
+    test('should fit other frames without upscaling', () => {
+      const { video } = EncodingProfileManager.getProfile('webm-vp9-720p');
+
+      expect(EncodingProfileManager.buildScaleFilter(video))
+        .toBe('scale=\'min(1280,iw)\':\'min(720,ih)\':force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2');
+    });
+
+    test('should pad mobile frames and shrink the box to a normalized size', () => {
+      const { video } = EncodingProfileManager.getProfile('3gp-vga-h264');
+
+      expect(EncodingProfileManager.buildScaleFilter(video, { width: 480, height: 360 }))
+        .toBe('scale=\'min(480,iw)\':\'min(360,ih)\':force_original_aspect_ratio=decrease,pad=640:480:(ow-iw)/2:(oh-ih)/2');
+    });
+
+    test('should keep the source size for profiles without a frame', () => {
+      const { video } = EncodingProfileManager.getProfile('mov-prores-422');
+
+      expect(EncodingProfileManager.buildScaleFilter(video)).toBeNull();
+    });
+  });
+
+  describe('buildFFmpegArgsFromProfile', () => {
+    test('should map profile settings to FFmpeg options', () => {
+      const profile = EncodingProfileManager.selectProfile(probe(720, 576, '25/1'), 'avi', 'avi-xvid-dvdplayer');
+      const args = EncodingProfileManager.buildFFmpegArgsFromProfile(profile, 'in.mp4', 'out.avi');
+
+      expect(args).toEqual(expect.arrayContaining(['-c:v', 'mpeg4', '-bf', '1', '-tag:v', 'XVID', '-fpsmax', '30', '-f', 'avi']));
+      expect(args[args.length - 1]).toBe('out.avi');
+    });
+  });
+});
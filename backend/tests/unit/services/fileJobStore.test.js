@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileJobStore } from '../../../services/jobs/stores/FileJobStore.js';
+
+describe('FileJobStore - Unit Tests', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-'));
+    filePath = path.join(dir, 'nested', 'jobs.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    const store = new FileJobStore({ filePath });
+
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('should persist saved jobs across instances', async () => {
+    const store = new FileJobStore({ filePath });
+    await store.load();
+
+    await Promise.all([
+      store.save({ id: 'a', status: 'queued' }),
+      store.save({ id: 'b', status: 'running' }),
+      store.save({ id: 'a', status: 'succeeded' })
+    ]);
+
+    const reloaded = await new FileJobStore({ filePath }).load();
+
+    expect(reloaded).toHaveLength(2);
+    expect(reloaded.find(job => job.id === 'a').status).toBe('succeeded');
+  });
+
+  test('should drop removed jobs', async () => {
+    const store = new FileJobStore({ filePath });
+    await store.save({ id: 'a', status: 'failed' });
+    await store.remove('a');
+
+    expect(await new FileJobStore({ filePath }).load()).toEqual([]);
+  });
+
+  test('should not expose stored records to later mutation', async () => {
+    const store = new FileJobStore({ filePath });
+    const job = { id: 'a', status: 'queued' };
+
+    await store.save(job);
+    job.status = 'running';
+
+    const [record] = await store.load();
+    expect(record.status).toBe('queued');
+  });
+});
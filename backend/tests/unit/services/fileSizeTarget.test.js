@@ -0,0 +1,63 @@
+import { FileSizeTarget } from '../../../services/media-pipeline/FileSizeTarget.js';
+
+// 100 s H.264/AAC source
+const metadata = {
+  format: { duration: '100.000000', size: '104857600' },
+  streams: [
+    { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080 },
+    { codec_type: 'audio', codec_name: 'aac' }
+  ]
+};
+
+const args = ['-i', 'in.mkv', '-c:v', 'libx264', '-crf', '23', '-c:a', 'aac', '-b:a', '128k', 'out.mp4'];
+
+describe('FileSizeTarget - Unit Tests', () => {
+  test('should parse binary sizes', () => {
+    expect(FileSizeTarget.parseSize('25MB')).toBe(26214400);
+    expect(FileSizeTarget.parseSize('700 kb')).toBe(716800);
+    expect(FileSizeTarget.parseSize('1.5GB')).toBe(1610612736);
+    expect(FileSizeTarget.parseSize('25')).toBeNull();
+  });
+
+  test('should spread the size over the duration, less audio and overhead', () => {
+    expect(FileSizeTarget.plan({ targetSize: '25MB', metadata, targetFormat: 'mp4', args })).toEqual({
+      requested: '25MB',
+      bytes: 26214400,
+      duration: 100,
+      audioBitrate: 128,
+      videoBitrate: '1906k',
+      warnings: []
+    });
+  });
+
+  test('should give video-only sources the whole budget', () => {
+    const videoOnly = { ...metadata, streams: [metadata.streams[0]] };
+
+    expect(FileSizeTarget.plan({ targetSize: '25MB', metadata: videoOnly, targetFormat: 'mp4', args }))
+      .toMatchObject({ audioBitrate: 0, videoBitrate: '2034k' });
+  });
+
+  test('should clamp bitrates to the minimum and the format limit', () => {
+    const tiny = FileSizeTarget.plan({ targetSize: '500KB', metadata, targetFormat: 'mp4', args });
+    const mobile = FileSizeTarget.plan({ targetSize: '50MB', metadata, targetFormat: '3gp', args });
+
+    expect(tiny.videoBitrate).toBe('64k');
+    expect(tiny.warnings[0]).toMatch(/^Target size 500KB is too small for 100s of video with 128k audio/);
+    expect(mobile.videoBitrate).toBe('2000k');
+    expect(mobile.warnings).toEqual(['Video bitrate limited to the 3GP maximum of 2000k, the output will be smaller than 50MB']);
+  });
+
+  test('should reject sources without a duration', () => {
+    expect(() => FileSizeTarget.plan({ targetSize: '25MB', metadata: { ...metadata, format: {} }, targetFormat: 'mp4', args }))
+      .toThrow('Target size needs the input duration');
+  });
+
+  test('should verify the output and correct the bitrate of a retry', () => {
+    const sizeTarget = FileSizeTarget.plan({ targetSize: '25MB', metadata, targetFormat: 'mp4', args });
+
+    expect(FileSizeTarget.verify(sizeTarget, 26000000)).toEqual({ requested: '25MB', bytes: 26214400, achieved: 26000000, met: true });
+    expect(FileSizeTarget.verify(sizeTarget, 28000000).met).toBe(false);
+    // 26.4 MB of video for a 23.8 MB video budget
+    expect(FileSizeTarget.correct(sizeTarget, 28000000)).toBe(1720);
+  });
+});
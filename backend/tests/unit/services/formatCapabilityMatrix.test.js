@@ -0,0 +1,34 @@
+import { FormatCapabilityMatrix } from '../../../services/media-pipeline/FormatCapabilityMatrix.js';
+
+describe('FormatCapabilityMatrix - Unit Tests', () => {
+  describe('isResolutionSupported', () => {
+    test('should accept only standard frame sizes for mobile formats', () => {
+      expect(FormatCapabilityMatrix.isResolutionSupported(176, 144, '3gp')).toEqual({ supported: true });
+      expect(FormatCapabilityMatrix.isResolutionSupported(480, 360, '3g2')).toMatchObject({
+        supported: false,
+        reason: 'Resolution 480x360 is not a standard 3G2 frame size (SQCIF 128x96, QCIF 176x144, QVGA 320x240, CIF 352x288, VGA 640x480)'
+      });
+    });
+
+    test('should check the maximum before the standard sizes', () => {
+      expect(FormatCapabilityMatrix.isResolutionSupported(1280, 720, '3gp').reason)
+        .toBe('Resolution 1280x720 exceeds 3GP maximum 640x480');
+    });
+  });
+
+  describe('getSafeFallbackResolution', () => {
+    test('should snap mobile formats to the largest standard size inside the source', () => {
+      expect(FormatCapabilityMatrix.getSafeFallbackResolution('3gp', 1920, 1080)).toEqual({ width: 640, height: 480 });
+      expect(FormatCapabilityMatrix.getSafeFallbackResolution('3gp', 500, 300)).toEqual({ width: 352, height: 288 });
+      expect(FormatCapabilityMatrix.getSafeFallbackResolution('3g2', 200, 150)).toEqual({ width: 176, height: 144 });
+    });
+
+    test('should use the smallest standard size for tiny sources', () => {
+      expect(FormatCapabilityMatrix.getSafeFallbackResolution('3g2', 100, 80)).toEqual({ width: 128, height: 96 });
+    });
+
+    test('should keep even dimensions for other formats', () => {
+      expect(FormatCapabilityMatrix.getSafeFallbackResolution('wmv', 3840, 2160)).toEqual({ width: 1920, height: 1080 });
+    });
+  });
+});
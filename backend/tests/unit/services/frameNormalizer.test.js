@@ -0,0 +1,99 @@
+import { FrameNormalizer } from '../../../services/media-pipeline/FrameNormalizer.js';
+import { buildFFmpegArgs, getFrameFilters } from '../../../services/toMp4.services.js';
+
+const probe = (stream) => ({
+  streams: [{ codec_type: 'video', width: 1920, height: 1080, avg_frame_rate: '30/1', pix_fmt: 'yuv420p', ...stream }]
+});
+
+describe('FrameNormalizer - Unit Tests', () => {
+  describe('frame rate', () => {
+    test('should keep legal frame rates', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '30000/1001' }), 'wmv');
+
+      expect(result.frameRate).toMatchObject({ needed: false, original: 29.97, target: 29.97 });
+      expect(result.filters).toEqual([]);
+    });
+
+    test('should snap to the nearest legal frame rate', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '30000/1001' }), 'flv');
+
+      expect(result.frameRate).toMatchObject({ needed: true, original: 29.97, target: 30 });
+      expect(result.frameRate.reason).toBe('29.97 fps is not a FLV frame rate (15, 24, 25, 30), converted to 30 fps');
+      expect(result.filters).toEqual(['fps=30']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should convert to NTSC rates with their exact fraction', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '28/1' }), 'avi');
+
+      expect(result.frameRate.target).toBe(29.97);
+      expect(result.filters).toEqual(['fps=30000/1001']);
+    });
+
+    test('should warn when frames are dropped', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '60/1' }), 'wmv');
+
+      expect(result.frameRate.target).toBe(30);
+      expect(result.warnings).toEqual(['Frame rate lowered from 60 to 30 fps, frames are dropped']);
+    });
+
+    test('should deinterlace 50i to 25p for progressive-only formats', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '25/1', r_frame_rate: '50/1', field_order: 'tt' }), 'wmv');
+
+      expect(result.frameRate).toMatchObject({ needed: true, interlaced: true, deinterlaced: true, target: 25 });
+      expect(result.frameRate.reason).toBe('Interlaced 50i source deinterlaced to 25p');
+      expect(result.filters).toEqual(['yadif=0:-1:0']);
+    });
+
+    test('should keep interlacing where the format supports it', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '25/1', field_order: 'bb' }), 'mpeg');
+
+      expect(result.frameRate).toMatchObject({ needed: false, interlaced: true, deinterlaced: false });
+    });
+
+    test('should convert variable frame rate sources to a constant rate', () => {
+      const result = FrameNormalizer.normalize(probe({ avg_frame_rate: '2997/100', r_frame_rate: '1000/1' }), 'mp4');
+
+      expect(result.frameRate).toMatchObject({ needed: true, target: 29.97 });
+      expect(result.filters).toEqual(['fps=30000/1001']);
+    });
+  });
+
+  describe('pixel format', () => {
+    test('should keep allowed pixel formats', () => {
+      expect(FrameNormalizer.normalize(probe({ pix_fmt: 'yuv422p' }), 'mov').pixelFormat.needed).toBe(false);
+    });
+
+    test('should reduce bit depth before chroma resolution', () => {
+      expect(FrameNormalizer.normalize(probe({ pix_fmt: 'yuv422p10le' }), 'avi').pixelFormat.target).toBe('yuv422p');
+      expect(FrameNormalizer.normalize(probe({ pix_fmt: 'yuv444p12le' }), 'mov').pixelFormat.target).toBe('yuv444p');
+    });
+
+    test('should convert 4:4:4 and 10-bit sources for 4:2:0 formats', () => {
+      const result = FrameNormalizer.normalize(probe({ pix_fmt: 'yuv444p10le' }), 'webm');
+
+      expect(result.pixelFormat).toMatchObject({ needed: true, original: 'yuv444p10le', target: 'yuv420p' });
+      expect(result.pixelFormat.reason).toBe('yuv444p10le is not supported by WEBM (yuv420p), converted to yuv420p');
+    });
+
+    test('should convert non-YUV sources to the first allowed format', () => {
+      expect(FrameNormalizer.normalize(probe({ pix_fmt: 'rgb24' }), 'mkv').pixelFormat.target).toBe('yuv420p');
+    });
+  });
+
+  describe('legacy MP4 path', () => {
+    test('should normalize variable frame rate WMV sources without the pipeline', () => {
+      const metadata = probe({ avg_frame_rate: '2997/100', r_frame_rate: '1000/1' });
+      const frameFilters = getFrameFilters('in.wmv', metadata);
+      const args = buildFFmpegArgs('in.wmv', 'out.mp4', { metadata, frameFilters });
+
+      expect(frameFilters).toEqual(['fps=30000/1001']);
+      expect(args[args.lastIndexOf('-vf') + 1]).toBe('fps=30000/1001');
+    });
+
+    test('should fall back to 30 fps for WMV sources without metadata', () => {
+      expect(getFrameFilters('in.wmv', null)).toEqual(['fps=30']);
+      expect(getFrameFilters('in.mov', null)).toEqual([]);
+    });
+  });
+});
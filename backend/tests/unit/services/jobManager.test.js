@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobManager, JOB_STATUS } from '../../../services/jobs/JobManager.js';
+
+describe('JobManager - Unit Tests', () => {
+  let manager;
+
+  const inputFile = {
+    originalname: 'sample.avi',
+    path: '/tmp/uploads/sample.avi',
+    size: 1024
+  };
+
+  beforeEach(() => {
+    manager = new JobManager();
+  });
+
+  describe('createJob', () => {
+    test('should register a queued job', () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      expect(job.status).toBe(JOB_STATUS.QUEUED);
+      expect(manager.getJob(job.id)).toBe(job);
+    });
+
+    test('should return null for unknown job IDs', () => {
+      expect(manager.getJob('missing')).toBeNull();
+    });
+  });
+
+  describe('execute', () => {
+    test('should record the result of a successful task', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      const result = await manager.execute(job, async () => ({ outputFilename: 'out.mp4' }));
+
+      expect(result).toEqual({ outputFilename: 'out.mp4' });
+      expect(job.status).toBe(JOB_STATUS.SUCCEEDED);
+      expect(job.result).toEqual({ outputFilename: 'out.mp4' });
+      expect(job.finishedAt).not.toBeNull();
+    });
+
+    test('should record the error of a failed task', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      await expect(manager.execute(job, async () => {
+        throw new Error('FFmpeg exited with code 1');
+      })).rejects.toThrow('FFmpeg exited with code 1');
+
+      expect(job.status).toBe(JOB_STATUS.FAILED);
+      expect(job.error).toEqual({ message: 'FFmpeg exited with code 1' });
+    });
+  });
+
+  describe('progress', () => {
+    test('should pass a progress reporter to the task', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      const events = [];
+      manager.on('progress', (updatedJob) => events.push(updatedJob.progress.percent));
+
+      await manager.execute(job, async ({ onProgress }) => {
+        onProgress({ percent: 50 });
+        onProgress({ percent: 100 });
+        return {};
+      });
+
+      expect(events).toEqual([50, 100]);
+      expect(manager.serialize(job).progress).toEqual({ percent: 100 });
+    });
+  });
+
+  describe('cancelJob', () => {
+    test('should abort a running task and mark the job cancelled', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      const execution = manager.execute(job, ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('Conversion cancelled')));
+      }));
+
+      await expect(manager.cancelJob(job)).resolves.toBe(true);
+      await expect(execution).rejects.toThrow('Conversion cancelled');
+      expect(job.status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    test('should not run a job cancelled before it started', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      let ran = false;
+
+      await manager.cancelJob(job);
+
+      await expect(manager.execute(job, async () => {
+        ran = true;
+      })).rejects.toThrow('Conversion cancelled');
+      expect(ran).toBe(false);
+      expect(job.status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    test('should remove the uploaded files of a job cancelled before it started', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-uploads-'));
+      const upload = path.join(dir, 'sample.avi');
+      const subtitlesFile = path.join(dir, 'sample.srt');
+      await fs.writeFile(upload, 'video');
+      await fs.writeFile(subtitlesFile, 'subtitles');
+
+      try {
+        const job = manager.createJob({
+          sourceFormat: 'AVI',
+          targetFormat: 'MP4',
+          inputFile: { ...inputFile, path: upload },
+          options: { subtitlesFile }
+        });
+
+        await expect(manager.cancelJob(job)).resolves.toBe(true);
+
+        expect(job.status).toBe(JOB_STATUS.CANCELLED);
+        expect(await fs.readdir(dir)).toEqual([]);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should refuse to cancel a finished job', async () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      await manager.execute(job, async () => ({}));
+
+      await expect(manager.cancelJob(job)).resolves.toBe(false);
+      expect(job.status).toBe(JOB_STATUS.SUCCEEDED);
+    });
+  });
+
+  describe('serialize', () => {
+    test('should not expose server-side paths', () => {
+      const job = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      const serialized = manager.serialize(job);
+
+      expect(serialized).toHaveProperty('jobId', job.id);
+      expect(serialized).toHaveProperty('inputFilename', 'sample.avi');
+      expect(JSON.stringify(serialized)).not.toContain('/tmp/uploads');
+    });
+  });
+
+  describe('getActiveJobs', () => {
+    test('should list queued and running jobs', async () => {
+      const finished = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      const queued = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      await manager.execute(finished, async () => ({}));
+
+      expect(manager.getActiveJobs()).toEqual([queued]);
+    });
+  });
+
+  describe('getActiveUploads', () => {
+    test('should list the uploaded files of queued and running jobs', async () => {
+      const finished = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile: { ...inputFile, path: '/tmp/uploads/done.avi' } });
+      manager.createJob({
+        sourceFormat: 'AVI',
+        targetFormat: 'MP4',
+        inputFile,
+        options: { watermarkImage: '/tmp/uploads/logo.png', subtitlesFile: null }
+      });
+
+      await manager.execute(finished, async () => ({}));
+
+      expect(manager.getActiveUploads()).toEqual(['/tmp/uploads/sample.avi', '/tmp/uploads/logo.png']);
+    });
+  });
+
+  describe('pruneFinishedJobs', () => {
+    test('should remove only old finished jobs', async () => {
+      const finished = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+      const queued = manager.createJob({ sourceFormat: 'AVI', targetFormat: 'MP4', inputFile });
+
+      await manager.execute(finished, async () => ({}));
+      finished.finishedAt = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+
+      expect(manager.pruneFinishedJobs(2)).toBe(1);
+      expect(manager.getJob(finished.id)).toBeNull();
+      expect(manager.getJob(queued.id)).toBe(queued);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobManager, JOB_STATUS } from '../../../services/jobs/JobManager.js';
+import { MemoryJobStore } from '../../../services/jobs/stores/MemoryJobStore.js';
+import { recoverInterruptedJobs } from '../../../services/jobs/jobRecovery.js';
+
+const record = (overrides) => ({
+  id: 'job-1',
+  status: JOB_STATUS.RUNNING,
+  sourceFormat: 'AVI',
+  targetFormat: 'MP4',
+  inputFile: { originalname: 'sample.avi', path: '/tmp/missing-upload.avi', size: 1024 },
+  options: { async: true },
+  attempts: 1,
+  createdAt: new Date().toISOString(),
+  finishedAt: null,
+  ...overrides
+});
+
+describe('jobRecovery - Unit Tests', () => {
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    store = new MemoryJobStore();
+    manager = new JobManager({ store });
+  });
+
+  test('should restore finished jobs without touching them', async () => {
+    await store.save(record({ status: JOB_STATUS.SUCCEEDED, finishedAt: new Date().toISOString() }));
+
+    const summary = await recoverInterruptedJobs(manager);
+
+    expect(summary).toEqual({ requeued: 0, failed: 0 });
+    expect(manager.getJob('job-1').status).toBe(JOB_STATUS.SUCCEEDED);
+  });
+
+  test('should fail interrupted synchronous jobs', async () => {
+    await store.save(record({ options: { async: false } }));
+
+    const summary = await recoverInterruptedJobs(manager);
+    const job = manager.getJob('job-1');
+
+    expect(summary).toEqual({ requeued: 0, failed: 1 });
+    expect(job.status).toBe(JOB_STATUS.FAILED);
+    expect(job.error.message).toBe('Conversion interrupted by a server restart');
+  });
+
+  test('should fail async jobs whose upload is gone', async () => {
+    await store.save(record());
+
+    const summary = await recoverInterruptedJobs(manager);
+
+    expect(summary.failed).toBe(1);
+    expect(manager.getJob('job-1').status).toBe(JOB_STATUS.FAILED);
+  });
+
+  test('should fail async jobs whose watermark image is gone and remove the video', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-recovery-'));
+    const uploadPath = path.join(dir, 'sample.avi');
+    await fs.writeFile(uploadPath, 'video');
+
+    await store.save(record({
+      inputFile: { originalname: 'sample.avi', path: uploadPath, size: 5 },
+      options: { async: true, watermarkImage: path.join(dir, 'logo.png') }
+    }));
+
+    const summary = await recoverInterruptedJobs(manager);
+
+    expect(summary.failed).toBe(1);
+    await expect(fs.access(uploadPath)).rejects.toThrow();
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should fail async jobs that used up their attempts', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-recovery-'));
+    const uploadPath = path.join(dir, 'sample.avi');
+    await fs.writeFile(uploadPath, 'video');
+
+    await store.save(record({
+      attempts: 3,
+      inputFile: { originalname: 'sample.avi', path: uploadPath, size: 5 }
+    }));
+
+    const summary = await recoverInterruptedJobs(manager);
+
+    expect(summary.failed).toBe(1);
+    await expect(fs.access(uploadPath)).rejects.toThrow();
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should persist the failed status', async () => {
+    await store.save(record({ status: JOB_STATUS.QUEUED }));
+
+    await recoverInterruptedJobs(manager);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [stored] = await store.load();
+    expect(stored.status).toBe(JOB_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FFMPEG_CONFIG } from '../../../config/ffmpeg.js';
+import { getConverter } from '../../../services/conversionRegistry.js';
+import { conversionScheduler } from '../../../services/jobs/ConversionScheduler.js';
+
+/**
+ * FFmpeg process stand-in that exits some time after it is killed
+ */
+const createHangingProcess = () => {
+  const ffmpeg = new EventEmitter();
+  ffmpeg.stderr = new EventEmitter();
+  ffmpeg.kill = jest.fn(() => {
+    setTimeout(() => {
+      ffmpeg.exited = true;
+      ffmpeg.emit('close', null);
+    }, 20);
+  });
+  ffmpeg.exited = false;
+  return ffmpeg;
+};
+
+describe('Legacy Converters - Unit Tests', () => {
+  const { timeout } = FFMPEG_CONFIG;
+  let inputPath;
+
+  beforeEach(async () => {
+    FFMPEG_CONFIG.timeout = 50;
+    inputPath = path.join(os.tmpdir(), `legacy-in-${process.pid}.mp4`);
+    await fs.writeFile(inputPath, Buffer.alloc(1024));
+  });
+
+  afterEach(async () => {
+    FFMPEG_CONFIG.timeout = timeout;
+    jest.restoreAllMocks();
+    await fs.unlink(inputPath).catch(() => {});
+  });
+
+  test.each(['MP4', 'MKV', 'AVI', 'WEBM', 'MOV', 'WMV', 'FLV', 'MPEG', '3GP', '3G2'])(
+    'should reject a timed out %s conversion once FFmpeg has exited, without its partial output',
+    async (target) => {
+      let ffmpeg;
+      let outputPath;
+      jest.spyOn(conversionScheduler, 'spawn').mockImplementation(async (args) => {
+        // Part of the output is written before the timeout
+        outputPath = args.at(-1);
+        await fs.writeFile(outputPath, Buffer.alloc(512));
+        ffmpeg = createHangingProcess();
+        return ffmpeg;
+      });
+
+      const convert = getConverter(target === 'MP4' ? 'MKV' : 'MP4', target);
+      await expect(convert(inputPath, { quality: 'medium' })).rejects.toThrow('Conversion timeout exceeded');
+
+      expect(ffmpeg.kill).toHaveBeenCalledWith('SIGKILL');
+      expect(ffmpeg.exited).toBe(true);
+      await expect(fs.access(outputPath)).rejects.toThrow();
+    }
+  );
+});
@@ -0,0 +1,133 @@
+import { MediaValidator } from '../../../services/media-pipeline/MediaValidator.js';
+
+// Trimmed ffprobe output of a 4K H.264/Opus file
+const metadata = {
+  format: {
+    format_name: 'matroska,webm',
+    format_long_name: 'Matroska / WebM',
+    duration: '12.500000',
+    size: '1048576',
+    bit_rate: '671088'
+  },
+  streams: [
+    {
+      index: 0,
+      codec_type: 'video',
+      codec_name: 'h264',
+      profile: 'High',
+      width: 3840,
+      height: 2160,
+      avg_frame_rate: '30000/1001',
+      r_frame_rate: '30000/1001',
+      pix_fmt: 'yuv420p'
+    },
+    {
+      index: 1,
+      codec_type: 'audio',
+      codec_name: 'opus',
+      channels: 2,
+      channel_layout: 'stereo',
+      sample_rate: '48000',
+      tags: { language: 'eng' }
+    }
+  ]
+};
+
+// Portrait phone recording: stored landscape, displayed rotated 90° clockwise
+const phoneVideo = {
+  codec_type: 'video',
+  codec_name: 'h264',
+  width: 1920,
+  height: 1080,
+  side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }],
+  tags: { rotate: '90', language: 'und' }
+};
+
+describe('MediaValidator - Unit Tests', () => {
+  describe('summarize', () => {
+    test('should normalize container and stream info', () => {
+      const { container, streams } = MediaValidator.summarize(metadata);
+
+      expect(container).toEqual({
+        formatName: 'matroska,webm',
+        formatLongName: 'Matroska / WebM',
+        duration: 12.5,
+        size: 1048576,
+        bitrate: 671088,
+        streamCount: 2
+      });
+      expect(streams[0]).toMatchObject({ type: 'video', codec: 'h264', width: 3840, height: 2160, fps: 29.97 });
+      expect(streams[1]).toMatchObject({ type: 'audio', codec: 'opus', channels: 2, sampleRate: 48000, language: 'eng' });
+    });
+  });
+
+  describe('rotation', () => {
+    test('should read the display matrix or the rotate tag', () => {
+      expect(MediaValidator.getRotation(phoneVideo)).toBe(90);
+      expect(MediaValidator.getRotation({ side_data_list: [{ rotation: 90 }] })).toBe(270);
+      expect(MediaValidator.getRotation({ tags: { rotate: '180' } })).toBe(180);
+      expect(MediaValidator.getRotation(metadata.streams[0])).toBe(0);
+    });
+
+    test('should describe the upright frame FFmpeg encodes', () => {
+      const upright = MediaValidator.getDisplayMetadata({ streams: [phoneVideo, metadata.streams[1]] });
+
+      expect(MediaValidator.getDisplaySize(phoneVideo)).toEqual({ width: 1080, height: 1920 });
+      expect(upright.streams[0]).toMatchObject({ width: 1080, height: 1920, side_data_list: [], tags: { language: 'und' } });
+      expect(MediaValidator.getRotation(upright.streams[0])).toBe(0);
+      expect(upright.streams[1]).toBe(metadata.streams[1]);
+      expect(MediaValidator.getDisplayMetadata(metadata)).toBe(metadata);
+    });
+
+    test('should note a rotation the target cannot store', () => {
+      const phone = { streams: [phoneVideo, metadata.streams[1]] };
+
+      expect(MediaValidator.checkCompatibility(phone, 'mp4').notes.join()).not.toContain('rotation');
+      expect(MediaValidator.checkCompatibility(phone, 'avi').notes)
+        .toContain('AVI cannot store the 90° rotation, it will be applied to the frames');
+    });
+  });
+
+  describe('checkCompatibility', () => {
+    test('should accept codecs the target container supports', () => {
+      const result = MediaValidator.checkCompatibility(metadata, 'mkv');
+
+      expect(result).toEqual({
+        videoCodecSupported: true,
+        audioCodecSupported: true,
+        resolutionSupported: true,
+        notes: []
+      });
+    });
+
+    test('should note re-encoding, rescaling and frame rate issues', () => {
+      const result = MediaValidator.checkCompatibility(metadata, 'wmv');
+
+      expect(result.videoCodecSupported).toBe(false);
+      expect(result.audioCodecSupported).toBe(false);
+      expect(result.resolutionSupported).toBe(false);
+      expect(result.notes).toHaveLength(3);
+    });
+
+    test('should include format-specific recommendations', () => {
+      const result = MediaValidator.checkCompatibility(metadata, 'mpeg');
+
+      expect(result.notes).toContain('Re-encoding to MPEG-2 video required');
+    });
+
+    test('should report non-standard mobile frame sizes', () => {
+      const result = MediaValidator.checkCompatibility(metadata, '3gp');
+
+      expect(result.videoCodecSupported).toBe(true);
+      expect(result.audioCodecSupported).toBe(false);
+      expect(result.resolutionSupported).toBe(false);
+    });
+
+    test('should report formats without capability data', () => {
+      const result = MediaValidator.checkCompatibility(metadata, 'ogv');
+
+      expect(result.videoCodecSupported).toBeNull();
+      expect(result.notes).toEqual(['No capability data for OGV']);
+    });
+  });
+});
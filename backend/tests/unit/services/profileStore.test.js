@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ProfileStore } from '../../../services/media-pipeline/ProfileStore.js';
+
+describe('ProfileStore - Unit Tests', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profile-store-'));
+    filePath = path.join(dir, 'nested', 'profiles.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    expect(await new ProfileStore({ filePath }).load()).toEqual([]);
+  });
+
+  test('should persist profiles across instances', async () => {
+    const store = new ProfileStore({ filePath });
+    await store.load();
+
+    await Promise.all([
+      store.save({ id: 'a', description: 'first' }),
+      store.save({ id: 'b', description: 'second' }),
+      store.save({ id: 'a', description: 'updated' })
+    ]);
+    expect(await store.remove('b')).toBe(true);
+    expect(await store.remove('b')).toBe(false);
+
+    const reloaded = await new ProfileStore({ filePath }).load();
+
+    expect(reloaded).toEqual([{ id: 'a', description: 'updated' }]);
+  });
+
+  test('should create a profile ID only once', async () => {
+    const store = new ProfileStore({ filePath });
+
+    const created = await Promise.all([
+      store.create({ id: 'a', description: 'first' }),
+      store.create({ id: 'a', description: 'second' })
+    ]);
+
+    expect(created).toEqual([true, false]);
+    expect(await new ProfileStore({ filePath }).load()).toEqual([{ id: 'a', description: 'first' }]);
+  });
+
+  test('should not expose stored profiles to later mutation', async () => {
+    const store = new ProfileStore({ filePath });
+    const profile = { id: 'a', video: { crf: 20 } };
+
+    await store.save(profile);
+    profile.video.crf = 30;
+    store.get('a').video.crf = 40;
+
+    expect(store.get('a').video.crf).toBe(20);
+  });
+
+  test('should keep the stored profiles when a write fails', async () => {
+    const store = new ProfileStore({ filePath });
+    await store.save({ id: 'a', description: 'first' });
+    jest.spyOn(store, 'writeFile').mockRejectedValue(new Error('ENOSPC'));
+
+    await expect(store.save({ id: 'a', description: 'updated' })).rejects.toThrow('ENOSPC');
+    await expect(store.save({ id: 'b', description: 'second' })).rejects.toThrow('ENOSPC');
+    await expect(store.remove('a')).rejects.toThrow('ENOSPC');
+
+    expect(store.list()).toEqual([{ id: 'a', description: 'first' }]);
+  });
+});
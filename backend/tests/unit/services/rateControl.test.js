@@ -0,0 +1,113 @@
+import {
+  describeRateControl,
+  readRateControl,
+  getRateControlModes,
+  resolveRateControl,
+  buildRateControlArgs,
+  applyRateControl
+} from '../../../services/rateControl.js';
+import { buildFFmpegArgs } from '../../../services/toMp4.services.js';
+import { buildWmvFFmpegArgs } from '../../../services/toWmv.services.js';
+import { build3gpFFmpegArgs } from '../../../services/to3gp.services.js';
+import { buildWebmFFmpegArgs } from '../../../services/toWebm.services.js';
+
+const crfPreset = { videoCodec: 'libx264', crf: 23 };
+const wmvPreset = { videoCodec: 'wmv2', avgBitrate: '2000k', maxRate: '3000k', bufferSize: '1024k' };
+
+describe('rateControl - Unit Tests', () => {
+  describe('describeRateControl', () => {
+    test('should describe quality, capped and bitrate settings', () => {
+      expect(describeRateControl(crfPreset)).toMatchObject({ mode: 'crf', quality: 23, bitrate: null });
+      expect(describeRateControl({ crf: 23, maxrate: '4000k' }))
+        .toMatchObject({ mode: 'constrained-crf', maxRate: '4000k', bufferSize: '8000k' });
+      expect(describeRateControl(wmvPreset))
+        .toMatchObject({ mode: 'abr', bitrate: '2000k', maxRate: '3000k', bufferSize: '1024k' });
+    });
+
+    test('should treat a 0 bitrate as unset (VP9 constant quality profiles)', () => {
+      expect(describeRateControl({ bitrate: '0', crf: 31 }).mode).toBe('crf');
+    });
+
+    test('should read the rate control of FFmpeg arguments', () => {
+      expect(readRateControl(['-i', 'in', '-c:v', 'wmv2', '-b:v', '2M', '-minrate', '2M', '-maxrate', '2M', 'out.wmv']).mode)
+        .toBe('cbr');
+      expect(readRateControl(['-i', 'in', '-c', 'copy', 'out.mkv'])).toBeNull();
+    });
+  });
+
+  test('should list the modes a preset can encode with', () => {
+    expect(getRateControlModes(crfPreset)).toEqual({
+      modes: ['crf', 'constrained-crf', 'abr', 'cbr'],
+      needBitrate: ['constrained-crf', 'abr', 'cbr']
+    });
+    expect(getRateControlModes(wmvPreset)).toEqual({ modes: ['abr', 'cbr'], needBitrate: [] });
+  });
+
+  describe('resolveRateControl', () => {
+    test('should keep the preset without a request', () => {
+      expect(resolveRateControl(describeRateControl(crfPreset))).toEqual(describeRateControl(crfPreset));
+    });
+
+    test('should encode a custom bitrate as abr, scaling the preset range', () => {
+      expect(resolveRateControl(describeRateControl(crfPreset), { customBitrate: '2500k' }))
+        .toMatchObject({ mode: 'abr', bitrate: '2500k', maxRate: null, bufferSize: null });
+      expect(resolveRateControl(describeRateControl(wmvPreset), { customBitrate: '4000k' }))
+        .toMatchObject({ mode: 'abr', bitrate: '4000k', maxRate: '6000k', bufferSize: '2048k' });
+    });
+
+    test('should cap the quality or pin the bitrate', () => {
+      expect(resolveRateControl(describeRateControl(crfPreset), { customBitrate: '3M', rateControl: 'constrained-crf' }))
+        .toMatchObject({ mode: 'constrained-crf', quality: 23, maxRate: '3M', bufferSize: '6000k' });
+      expect(resolveRateControl(describeRateControl(wmvPreset), { rateControl: 'cbr' }))
+        .toMatchObject({ mode: 'cbr', bitrate: '2000k', minRate: '2000k', maxRate: '2000k' });
+    });
+
+    test('should keep the preset for a mode it cannot serve', () => {
+      expect(resolveRateControl(describeRateControl(wmvPreset), { rateControl: 'crf' }).mode).toBe('abr');
+      expect(resolveRateControl(describeRateControl(crfPreset), { rateControl: 'cbr' }).mode).toBe('crf');
+    });
+  });
+
+  test('should build the options of each encoder', () => {
+    const crf = describeRateControl({ crf: 31 });
+    const capped = describeRateControl({ crf: 31, maxRate: '2M' });
+
+    expect(buildRateControlArgs(crf, 'libx264')).toEqual(['-crf', '31']);
+    expect(buildRateControlArgs(crf, 'libvpx-vp9')).toEqual(['-crf', '31', '-b:v', '0']);
+    expect(buildRateControlArgs(crf, 'mpeg4')).toEqual(['-qscale:v', '31']);
+    expect(buildRateControlArgs(capped, 'libvpx-vp9')).toEqual(['-crf', '31', '-b:v', '2M']);
+    expect(buildRateControlArgs(capped, 'libx264')).toEqual(['-crf', '31', '-maxrate', '2M', '-bufsize', '4000k']);
+  });
+
+  test('should replace the rate control of profile arguments', () => {
+    const args = ['-i', 'in', '-c:v', 'libx264', '-b:v', '6000k', '-maxrate', '8000k', '-bufsize', '1835k', '-preset', 'slow', 'out.mp4'];
+
+    expect(applyRateControl(args, resolveRateControl(describeRateControl({ crf: 20 }), { rateControl: 'crf' })))
+      .toEqual(['-i', 'in', '-c:v', 'libx264', '-preset', 'slow', '-crf', '20', 'out.mp4']);
+  });
+
+  describe('output services', () => {
+    const option = (args, name) => args[args.lastIndexOf(name) + 1];
+
+    test('should encode customBitrate instead of the preset CRF', () => {
+      const args = buildFFmpegArgs('in.avi', 'out.mp4', { customBitrate: '3000k' });
+
+      expect(args).not.toContain('-crf');
+      expect(option(args, '-b:v')).toBe('3000k');
+    });
+
+    test('should accept customBitrate and rate control on every format', () => {
+      const args = build3gpFFmpegArgs('in.mp4', 'out.3gp', { customBitrate: '300k', rateControl: 'cbr' });
+
+      expect(['-b:v', '-minrate', '-maxrate'].map(name => option(args, name))).toEqual(['300k', '300k', '300k']);
+      expect(option(buildWmvFFmpegArgs('in.mp4', 'out.wmv', { customBitrate: '4000k' }), '-maxrate')).toBe('6000k');
+    });
+
+    test('should encode VP9 at a constant quality by default', () => {
+      const args = buildWebmFFmpegArgs('in.mp4', 'out.webm', { quality: 'medium' });
+
+      expect(option(args, '-crf')).toBe('31');
+      expect(option(args, '-b:v')).toBe('0');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { RedisJobStore } from '../../../services/jobs/stores/RedisJobStore.js';
+
+/**
+ * In-memory stand-in for the node-redis client commands the store uses
+ */
+const createFakeClient = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const members = key => sets.get(key) || new Set();
+
+  const commands = {
+    set: (key, value) => strings.set(key, value),
+    del: key => strings.delete(key),
+    sAdd: (key, member) => sets.set(key, members(key).add(member)),
+    sRem: (key, member) => members(key).delete(member)
+  };
+
+  return {
+    strings,
+    sMembers: async key => [...members(key)],
+    mGet: async keys => keys.map(key => strings.get(key) ?? null),
+    multi() {
+      const queued = [];
+      const transaction = {
+        exec: async () => queued.map(run => run())
+      };
+      for (const [name, command] of Object.entries(commands)) {
+        transaction[name] = (...args) => {
+          queued.push(() => command(...args));
+          return transaction;
+        };
+      }
+      return transaction;
+    },
+    quit: jest.fn(async () => {})
+  };
+};
+
+describe('RedisJobStore - Unit Tests', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = createFakeClient();
+    store = new RedisJobStore({ url: 'redis://localhost:6379', keyPrefix: 'test:' });
+    jest.spyOn(store, 'connect').mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start empty without indexed jobs', async () => {
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('should store each job under its prefixed key', async () => {
+    await store.save({ id: 'a', status: 'queued' });
+    await store.save({ id: 'b', status: 'running' });
+    await store.save({ id: 'a', status: 'succeeded' });
+
+    expect(JSON.parse(client.strings.get('test:job:a'))).toEqual({ id: 'a', status: 'succeeded' });
+    expect(await client.sMembers('test:jobs')).toEqual(['a', 'b']);
+
+    const jobs = await store.load();
+    expect(jobs).toHaveLength(2);
+    expect(jobs.find(job => job.id === 'a').status).toBe('succeeded');
+  });
+
+  test('should drop removed jobs from the index', async () => {
+    await store.save({ id: 'a', status: 'failed' });
+    await store.remove('a');
+
+    expect(client.strings.has('test:job:a')).toBe(false);
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('should skip indexed jobs whose record is gone', async () => {
+    await store.save({ id: 'a', status: 'queued' });
+    client.strings.delete('test:job:a');
+
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('should share one connection and retry after a failed connect', async () => {
+    store.connect
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValue(client);
+
+    await expect(store.load()).rejects.toThrow('ECONNREFUSED');
+    await Promise.all([store.load(), store.save({ id: 'a', status: 'queued' })]);
+
+    expect(store.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('should quit the client on close', async () => {
+    await store.load();
+    await store.close();
+    await store.close();
+
+    expect(client.quit).toHaveBeenCalledTimes(1);
+    expect(store.client).toBeNull();
+  });
+});
+
+// Runs against a real server only when REDIS_URL is set
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('RedisJobStore - Redis Server', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new RedisJobStore({ url: process.env.REDIS_URL, keyPrefix: `atomix-test-${process.pid}:` });
+  });
+
+  afterEach(async () => {
+    for (const job of await store.load()) {
+      await store.remove(job.id);
+    }
+    await store.close();
+  });
+
+  test('should persist saved jobs across instances', async () => {
+    await store.save({ id: 'a', status: 'queued' });
+    await store.save({ id: 'a', status: 'succeeded' });
+
+    const reloaded = new RedisJobStore({ url: process.env.REDIS_URL, keyPrefix: store.keyPrefix });
+    try {
+      expect(await reloaded.load()).toEqual([{ id: 'a', status: 'succeeded' }]);
+    } finally {
+      await reloaded.close();
+    }
+  });
+});
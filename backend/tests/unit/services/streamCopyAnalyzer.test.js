@@ -0,0 +1,132 @@
+import { StreamCopyAnalyzer } from '../../../services/media-pipeline/StreamCopyAnalyzer.js';
+import { FrameNormalizer } from '../../../services/media-pipeline/FrameNormalizer.js';
+
+// H.264/AAC 1080p source, e.g. an MKV upload
+const probe = (video = {}, audio = {}) => ({
+  streams: [
+    { codec_type: 'video', codec_name: 'h264', profile: 'High', width: 1920, height: 1080, avg_frame_rate: '30/1', pix_fmt: 'yuv420p', ...video },
+    ...(audio ? [{ codec_type: 'audio', codec_name: 'aac', bit_rate: '128000', ...audio }] : [])
+  ]
+});
+
+const analyze = (metadata, targetFormat, params = {}) => StreamCopyAnalyzer.analyze({
+  metadata,
+  targetFormat,
+  normalization: { needed: false },
+  frameNormalization: FrameNormalizer.normalize(metadata, targetFormat),
+  ...params
+});
+
+describe('StreamCopyAnalyzer - Unit Tests', () => {
+  test('should copy every stream the target supports', () => {
+    const result = analyze(probe(), 'mp4');
+
+    expect(result.video).toEqual({ action: 'copy', codec: 'h264', reason: 'h264 is compatible with MP4' });
+    expect(result.audio).toEqual({ action: 'copy', codec: 'aac', reason: 'aac is compatible with MP4' });
+    expect(result.remux).toBe(true);
+  });
+
+  test('should re-encode only the incompatible stream', () => {
+    const result = analyze(probe({}, { codec_name: 'opus' }), 'mov');
+
+    expect(result.video.action).toBe('copy');
+    expect(result.audio).toMatchObject({ action: 'encode', reason: 'Audio codec opus is not supported in MOV (aac, pcm_s16le, pcm_s24le)' });
+    expect(result.remux).toBe(false);
+  });
+
+  test('should remux video-only sources', () => {
+    const result = analyze(probe({}, null), 'mkv');
+
+    expect(result.audio).toEqual({ action: 'none', codec: null, reason: 'No audio stream' });
+    expect(result.remux).toBe(true);
+  });
+
+  test('should tag HEVC hvc1 for MP4 and MOV', () => {
+    expect(analyze(probe({ codec_name: 'hevc', profile: 'Main' }), 'mov').video.tag).toBe('hvc1');
+    expect(analyze(probe({ codec_name: 'hevc', profile: 'Main' }), 'mkv').video.tag).toBeUndefined();
+  });
+
+  test('should re-encode video the earlier stages adjust', () => {
+    const scaled = analyze(probe(), 'mp4', { normalization: { needed: true, target: { width: 1280, height: 720 } } });
+    const retimed = analyze(probe({ avg_frame_rate: '30000/1001' }), 'flv');
+    const converted = analyze(probe({ pix_fmt: 'yuv420p10le' }), 'mkv');
+
+    expect(scaled.video).toMatchObject({ action: 'encode', reason: 'Resolution is adjusted to 1280x720' });
+    expect(retimed.video.reason).toMatch(/^Frame rate is adjusted/);
+    expect(converted.video.reason).toMatch(/^Pixel format is adjusted/);
+    expect(scaled.audio.action).toBe('copy');
+  });
+
+  test('should re-encode cropped, rotated or padded video', () => {
+    const result = analyze(probe(), 'mkv', { transform: { crop: { width: 1280, height: 720 }, rotate: 0, flip: null, pad: null } });
+
+    expect(result.video).toMatchObject({ action: 'encode', reason: 'Video is transformed (crop 1280x720)' });
+    expect(result.audio.action).toBe('copy');
+  });
+
+  test('should keep the rotation of phone footage only where the container stores it', () => {
+    const phone = probe({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }] });
+
+    expect(analyze(phone, 'mov').video).toMatchObject({ action: 'copy', rotation: { degrees: 90, action: 'preserve' } });
+    expect(analyze(phone, 'mkv').video).toMatchObject({
+      action: 'encode',
+      reason: 'MKV cannot store the 90° rotation, it is applied to the frames',
+      rotation: { degrees: 90, action: 'bake' }
+    });
+    expect(analyze(probe(), 'mkv').video.rotation).toBeUndefined();
+  });
+
+  test('should check the codec constraints of mobile formats', () => {
+    const main = analyze(probe({ profile: 'Main', width: 352, height: 288 }), '3gp');
+    const baseline = analyze(probe({ profile: 'Constrained Baseline', width: 352, height: 288 }), '3gp');
+    const h263 = analyze(probe({ codec_name: 'h263', width: 320, height: 240 }), '3g2');
+
+    expect(main.video.reason).toBe('3GP h264 video must use the baseline profile (source: Main)');
+    expect(baseline.video.action).toBe('copy');
+    expect(h263.video.reason).toBe('3G2 h263 video must be SQCIF, QCIF, CIF');
+  });
+
+  test('should re-encode streams above the format bitrate limit', () => {
+    const result = analyze(probe({ codec_name: 'mpeg4', bit_rate: '5000000', width: 352, height: 288 }, { bit_rate: '256000' }), '3gp');
+
+    expect(result.video.reason).toBe('Video bitrate 5000k exceeds the 3GP limit of 2000k');
+    expect(result.audio.reason).toBe('Audio bitrate 256k exceeds the 3GP limit of 128k');
+  });
+
+  test('should re-encode everything for profiles, custom bitrates and remux=false', () => {
+    const profile = analyze(probe(), 'mp4', { profile: 'web-720p' });
+    const bitrate = analyze(probe(), 'mp4', { options: { customBitrate: '2M' } });
+    const disabled = analyze(probe(), 'mp4', { options: { remux: false } });
+
+    expect(profile.video.reason).toBe('Encoding profile web-720p requested');
+    expect(bitrate.audio.reason).toBe('Custom bitrate 2M requested');
+    expect(disabled.video.reason).toBe('Stream copy disabled (remux=false)');
+    expect([profile, bitrate, disabled].every(result => !result.remux)).toBe(true);
+    expect(analyze(probe(), 'mp4', { profile: 'none' }).remux).toBe(true);
+  });
+
+  test('should re-encode everything for a requested quality preset', () => {
+    const result = analyze(probe(), 'mp4', { options: { quality: 'low' } });
+
+    expect(result.video).toMatchObject({ action: 'encode', reason: 'Quality preset low requested' });
+    expect(result.audio.action).toBe('encode');
+    expect(result.remux).toBe(false);
+    expect(analyze(probe(), 'mp4', { options: { quality: null } }).remux).toBe(true);
+  });
+
+  test('should re-encode everything for two passes', () => {
+    const result = analyze(probe(), 'mp4', { options: { passes: 2 } });
+
+    expect(result.video).toMatchObject({ action: 'encode', reason: 'Two-pass encoding requested (passes=2)' });
+    expect(result.remux).toBe(false);
+    expect(analyze(probe(), 'mp4', { options: { passes: 1 } }).remux).toBe(true);
+  });
+
+  test('should re-encode a conversion into the source format', () => {
+    const result = analyze(probe(), 'mkv', { sourceFormat: 'mkv' });
+
+    expect(result.video).toMatchObject({ action: 'encode', reason: 'Re-encoding MKV to MKV' });
+    expect(result.audio.action).toBe('encode');
+    expect(result.remux).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import { Subtitles } from '../../../services/media-pipeline/Subtitles.js';
+import { Watermark } from '../../../services/media-pipeline/Watermark.js';
+import { buildMkvFFmpegArgs } from '../../../services/toMkv.services.js';
+
+const filtersOf = (args) => args[args.lastIndexOf('-vf') + 1];
+
+const srt = '1\n00:00:01,000 --> 00:00:02,500\nHello\n\n2\n00:00:03,000 --> 00:00:04,000\nWorld\n';
+const vtt = '﻿WEBVTT\n\n00:01.000 --> 00:02.500\nHello\n';
+const ass = '[Script Info]\nScriptType: v4.00+\n\n[Events]\nFormat: Layer, Start, End, Style, Text\nDialogue: 0,0:00:01.00,0:00:02.50,Default,Hello\n';
+
+describe('Subtitles - Unit Tests', () => {
+  test('should not burn in subtitles without a file', () => {
+    expect(Subtitles.resolve({ quality: 'high' })).toBeNull();
+    expect(Subtitles.resolve({ subtitlesFile: null })).toBeNull();
+  });
+
+  test('should check the uploaded file against its extension', () => {
+    expect(Subtitles.checkFile(Buffer.from(srt), 'movie.srt')).toBeNull();
+    expect(Subtitles.checkFile(Buffer.from(vtt), 'movie.VTT')).toBeNull();
+    expect(Subtitles.checkFile(Buffer.from(ass), 'movie.ass')).toBeNull();
+
+    expect(Subtitles.checkFile(Buffer.from(srt), 'movie.vtt')).toBe('The subtitles file is not a valid WebVTT file');
+    expect(Subtitles.checkFile(Buffer.from('WEBVTT\n\n'), 'movie.vtt')).toBe('The subtitles file contains no subtitles');
+    expect(Subtitles.checkFile(Buffer.from([0xff, 0xfe, 0x31, 0x00]), 'movie.srt')).toBe('The subtitles file must be UTF-8 text');
+    expect(Subtitles.checkFile(Buffer.from(srt), 'movie.sub')).toBe('The subtitles file must be one of: .srt, .ass, .vtt');
+  });
+
+  test('should override the style of every cue', () => {
+    const subtitles = Subtitles.resolve({
+      subtitlesFile: '/uploads/movie.srt',
+      subtitleFontSize: 22,
+      subtitleOutline: 2,
+      subtitlePosition: 'top'
+    });
+
+    expect(subtitles).toMatchObject({ format: 'srt', fontSize: 22, outline: 2, position: 'top', offset: 0 });
+    expect(subtitles.filter).toBe("subtitles=filename='/uploads/movie.srt':force_style='FontSize=22,Outline=2,Alignment=8'");
+    expect(Subtitles.resolve({ subtitlesFile: '/uploads/movie.ass' }).filter).toBe("subtitles=filename='/uploads/movie.ass'");
+  });
+
+  test('should time the cues of a clip against the input', () => {
+    const { offset, filter } = Subtitles.resolve({ subtitlesFile: '/uploads/movie.vtt', start: '01:30', duration: '10' });
+
+    expect(offset).toBe(90);
+    expect(filter).toBe("setpts=PTS+90/TB,subtitles=filename='/uploads/movie.vtt',setpts=PTS-90/TB");
+  });
+
+  test('should validate the subtitle options', () => {
+    expect(Subtitles.validate({ subtitleFontSize: 20 })).toEqual([
+      { field: 'subtitleFontSize', message: 'Subtitle options require a subtitles file' }
+    ]);
+    expect(Subtitles.validate({ subtitlesFile: '/uploads/movie.srt', subtitleOutline: 12, subtitlePosition: 'left' })).toEqual([
+      { field: 'subtitleOutline', message: 'Subtitle outline must be between 0 and 10' },
+      { field: 'subtitlePosition', message: 'Subtitle position must be one of: bottom, top, middle' }
+    ]);
+    expect(() => Subtitles.resolve({ subtitlesFile: '/uploads/movie.srt', subtitleFontSize: 2 }))
+      .toThrow('Invalid subtitles: Subtitle font size must be between 4 and 120');
+  });
+
+  test('should burn in the subtitles after the scaling and under the watermark', () => {
+    const args = ['-i', 'in.mkv', '-vf', 'scale=1280:720', '-y', 'out.mp4'];
+    const subtitles = Subtitles.resolve({ subtitlesFile: '/uploads/movie.srt' });
+    const burned = Watermark.apply(Subtitles.apply(args, subtitles), Watermark.resolve({ watermarkText: 'A' }));
+
+    expect(filtersOf(burned)).toMatch(/^scale=1280:720,subtitles=filename='\/uploads\/movie\.srt',drawtext=/);
+    expect(Subtitles.apply(Watermark.apply(burned, null), null)).toEqual(args);
+    expect(Subtitles.apply(['-i', 'in.mkv', 'out.mp4'], subtitles))
+      .toEqual(['-i', 'in.mkv', '-vf', subtitles.filter, 'out.mp4']);
+  });
+
+  test('should burn in the subtitles in the output services', () => {
+    const args = buildMkvFFmpegArgs('in.mp4', 'out.mkv', { subtitlesFile: '/uploads/movie.srt', subtitlePosition: 'middle' });
+
+    expect(filtersOf(args)).toBe("subtitles=filename='/uploads/movie.srt':force_style='Alignment=5'");
+    expect(args[args.length - 1]).toBe('out.mkv');
+  });
+});
@@ -0,0 +1,67 @@
+import { VideoTransform } from '../../../services/media-pipeline/VideoTransform.js';
+import { buildFFmpegArgs } from '../../../services/toMp4.services.js';
+import { build3gpFFmpegArgs } from '../../../services/to3gp.services.js';
+
+// 1080p source
+const metadata = {
+  streams: [{ codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080 }]
+};
+
+const filtersOf = (args) => args[args.lastIndexOf('-vf') + 1];
+
+describe('VideoTransform - Unit Tests', () => {
+  test('should not transform without options', () => {
+    expect(VideoTransform.resolve({ quality: 'high' }, metadata)).toBeNull();
+    expect(VideoTransform.resolve({ crop: null, rotate: null }, metadata)).toBeNull();
+  });
+
+  test('should crop, rotate and flip in order', () => {
+    const transform = VideoTransform.resolve({ crop: '1281:721', rotate: 90, flip: 'horizontal' }, metadata);
+
+    expect(transform.crop).toEqual({ width: 1280, height: 720, x: 320, y: 180 });
+    expect(transform.filters).toEqual(['crop=1280:720:320:180', 'transpose=1', 'hflip']);
+    expect(transform.resolution).toEqual({ width: 720, height: 1280 });
+    expect(VideoTransform.resolve({ rotate: 180 }, metadata).resolution).toEqual({ width: 1920, height: 1080 });
+  });
+
+  test('should pad the transformed frame to an aspect ratio', () => {
+    const portrait = VideoTransform.resolve({ rotate: 270, pad: '16:9', padColor: '#1a1a1a' }, metadata);
+
+    expect(portrait.pad).toEqual({ aspectRatio: '16:9', width: 3414, height: 1920, color: '0x1a1a1a' });
+    expect(portrait.filters).toEqual(['transpose=2', 'pad=3414:1920:(ow-iw)/2:(oh-ih)/2:color=0x1a1a1a']);
+    expect(VideoTransform.resolve({ pad: '16:9' }, metadata).filters).toEqual([]);
+    expect(VideoTransform.resolve({ pad: '1:1' }, null).filters[0]).toMatch(/^pad='ceil\(max\(iw,ih\*1\/1\)\/2\)\*2'/);
+  });
+
+  test('should check the crop against the input frame', () => {
+    expect(VideoTransform.validate({ crop: '1280:720:800:0' }, metadata)).toEqual([
+      { field: 'crop', message: 'Crop 1280:720:800:0 is outside the 1920x1080 input frame' }
+    ]);
+    expect(VideoTransform.validate({ crop: '8:8' }, metadata)[0].message).toBe('Crop must be at least 16x16');
+    expect(VideoTransform.validate({ pad: '10:1' }, metadata)[0].field).toBe('pad');
+    expect(VideoTransform.validate({ crop: '4000:3000' }, null)).toEqual([]);
+    expect(() => VideoTransform.resolve({ crop: '4000:3000' }, metadata))
+      .toThrow('Invalid transform: Crop 4000:3000 is outside the 1920x1080 input frame');
+  });
+
+  test('should put the transform ahead of the scaling and replace a previous one', () => {
+    const args = ['-i', 'in.mkv', '-vf', 'yadif=0:-1:0,scale=1280:720', '-y', 'out.mp4'];
+    const rotated = VideoTransform.apply(args, VideoTransform.resolve({ rotate: 90, pad: '1:1' }, metadata));
+
+    expect(filtersOf(rotated)).toBe('yadif=0:-1:0,transpose=1,pad=1920:1920:(ow-iw)/2:(oh-ih)/2:color=black,scale=1280:720');
+    expect(VideoTransform.apply(rotated, VideoTransform.resolve({ flip: 'vertical' }, metadata)))
+      .toEqual(['-i', 'in.mkv', '-vf', 'yadif=0:-1:0,vflip,scale=1280:720', '-y', 'out.mp4']);
+    expect(VideoTransform.apply(['-i', 'in.mkv', '-vf', 'hflip', 'out.mp4'], null)).toEqual(['-i', 'in.mkv', 'out.mp4']);
+  });
+
+  test('should transform the frame in the output services', () => {
+    const uhd = { streams: [{ codec_type: 'video', width: 3840, height: 2160 }] };
+
+    // A 1080p crop of a 4K frame is not downscaled
+    expect(filtersOf(buildFFmpegArgs('in.mov', 'out.mp4', { metadata: uhd }))).toBe('scale=1920:1080');
+    expect(filtersOf(buildFFmpegArgs('in.mov', 'out.mp4', { crop: '1920:1080', metadata: uhd })))
+      .toBe('crop=1920:1080:960:540');
+    expect(filtersOf(build3gpFFmpegArgs('in.mp4', 'out.3gp', { crop: '1080:1080', metadata })))
+      .toMatch(/^crop=1080:1080:420:0,scale='min\(/);
+  });
+});
@@ -0,0 +1,89 @@
+import { Watermark } from '../../../services/media-pipeline/Watermark.js';
+import { buildFFmpegArgs } from '../../../services/toMp4.services.js';
+import { buildWebmFFmpegArgs } from '../../../services/toWebm.services.js';
+
+const filtersOf = (args) => args[args.lastIndexOf('-vf') + 1];
+
+describe('Watermark - Unit Tests', () => {
+  test('should not draw a watermark without options', () => {
+    expect(Watermark.resolve({ quality: 'high' })).toBeNull();
+    expect(Watermark.resolve({ watermarkText: null, watermarkImage: null })).toBeNull();
+  });
+
+  test('should size a text relative to the output frame', () => {
+    const watermark = Watermark.resolve(
+      { watermarkText: 'Preview', watermarkColor: '#ffcc00', watermarkOpacity: 0.5, watermarkStart: '2', watermarkEnd: '00:10' },
+      { width: 1920, height: 1080 }
+    );
+
+    expect(watermark).toMatchObject({ type: 'text', font: 'Sans', color: '0xffcc00', size: 5, position: 'bottom-right', start: 2, end: 10 });
+    expect(watermark.pixels).toEqual({ size: 54, margin: 22 });
+    expect(watermark.filter).toBe(
+      "drawtext=font='Sans':text='Preview':expansion=none:fontsize=54:fontcolor=0xffcc00@0.5:x=w-tw-22:y=h-th-22:enable='between(t,2,10)'"
+    );
+    // Unknown frame: FFmpeg evaluates the sizes
+    expect(Watermark.resolve({ watermarkText: 'Preview', watermarkPosition: 'top-left' }).filter)
+      .toBe("drawtext=font='Sans':text='Preview':expansion=none:fontsize=h*0.05:fontcolor=white:x=h*0.02:y=h*0.02");
+  });
+
+  test('should quote the text for the filtergraph', () => {
+    const { filter } = Watermark.resolve({ watermarkText: "it's 10:30 \\o/" });
+
+    expect(filter).toContain("text='it\\'\\''s 10\\:30 \\\\o/':expansion=none");
+  });
+
+  test('should overlay an image at x/y, kept inside the frame', () => {
+    const options = { watermarkImage: '/uploads/logo.png', watermarkX: 50, watermarkY: 25, watermarkSize: 20 };
+
+    expect(Watermark.resolve(options, { width: 176, height: 144 }).filter)
+      .toBe("movie='/uploads/logo.png',scale=-1:29[wm];[wmbase][wm]overlay=x='min(88,W-w)':y='min(36,H-h)'");
+    expect(Watermark.resolve(options).filter).toBe(
+      "movie='/uploads/logo.png'[wmsrc];[wmsrc][wmbase]scale2ref=w=oh*mdar:h=ih*0.2[wm][wmframe];[wmframe][wm]overlay=x='min(W*0.5,W-w)':y='min(H*0.25,H-h)'"
+    );
+  });
+
+  test('should draw the watermark last and replace a previous one', () => {
+    const args = ['-i', 'in.mkv', '-vf', 'yadif=0:-1:0,scale=1280:720', '-y', 'out.mp4'];
+    const image = Watermark.resolve({ watermarkImage: '/uploads/logo.png', watermarkPosition: 'center' }, { width: 1280, height: 720 });
+    const overlaid = Watermark.apply(args, image);
+
+    expect(filtersOf(overlaid)).toBe(
+      "yadif=0:-1:0,scale=1280:720[wmbase];movie='/uploads/logo.png',scale=-1:72[wm];[wmbase][wm]overlay=x=(W-w)/2:y=(H-h)/2"
+    );
+    expect(filtersOf(Watermark.apply(overlaid, Watermark.resolve({ watermarkText: 'A' }))))
+      .toMatch(/^yadif=0:-1:0,scale=1280:720,drawtext=/);
+    expect(Watermark.apply(overlaid, null)).toEqual(args);
+    expect(Watermark.apply(['-i', 'in.mkv', 'out.mp4'], image)).toEqual(
+      ['-i', 'in.mkv', '-vf', `null[wmbase];${image.filter}`, 'out.mp4']
+    );
+    expect(Watermark.apply(Watermark.apply(['-i', 'in.mkv', 'out.mp4'], image), null)).toEqual(['-i', 'in.mkv', 'out.mp4']);
+  });
+
+  test('should validate the watermark options', () => {
+    expect(Watermark.validate({ watermarkSize: 10 })).toEqual([
+      { field: 'watermarkSize', message: 'Watermark options require watermarkText or a watermark image' }
+    ]);
+    expect(Watermark.validate({ watermarkText: 'A', watermarkImage: '/uploads/logo.png' })[0].message)
+      .toBe('Send either watermarkText or a watermark image, not both');
+    expect(Watermark.validate({ watermarkImage: '/uploads/logo.png', watermarkColor: 'red' })[0].message)
+      .toBe('watermarkColor only applies to watermarkText');
+    expect(Watermark.validate({ watermarkText: 'A', watermarkY: 10 })[0]).toEqual(
+      { field: 'watermarkX', message: 'watermarkX and watermarkY must be set together' }
+    );
+    expect(Watermark.validate({ watermarkText: 'A', watermarkStart: '5', watermarkEnd: '3' })[0].field).toBe('watermarkEnd');
+    expect(Watermark.validate({ watermarkText: 'A', watermarkStart: '30' }, 12.5)).toEqual([
+      { field: 'watermarkStart', message: 'Watermark start 30 is not before the end of the output (12.5s)' }
+    ]);
+    expect(() => Watermark.resolve({ watermarkText: 'A', watermarkOpacity: 0 }))
+      .toThrow('Invalid watermark: Watermark opacity must be above 0 and at most 1');
+  });
+
+  test('should draw the watermark in the output services', () => {
+    const metadata = { streams: [{ codec_type: 'video', width: 1920, height: 1080 }] };
+
+    expect(filtersOf(buildFFmpegArgs('in.mov', 'out.mp4', { watermarkText: 'Preview', rotate: 90, metadata })))
+      .toMatch(/^transpose=1,scale=608:1080,drawtext=font='Sans':text='Preview'/);
+    expect(filtersOf(buildWebmFFmpegArgs('in.mp4', 'out.webm', { watermarkImage: '/uploads/logo.png', metadata })))
+      .toMatch(/\[wmbase\];movie='\/uploads\/logo\.png'\[wmsrc\];/);
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PATHS } from '../../../config/ffmpeg.js';
+import { jobManager } from '../../../services/jobs/JobManager.js';
+import { cleanupOldFiles, cleanupAllDirectories } from '../../../utils/cleanup.js';
+
+/**
+ * Write a file last modified the given number of hours ago
+ */
+const writeOldFile = async (filePath, ageHours) => {
+  await fs.writeFile(filePath, Buffer.alloc(100));
+  const modified = new Date(Date.now() - ageHours * 60 * 60 * 1000);
+  await fs.utimes(filePath, modified, modified);
+};
+
+describe('Cleanup - Unit Tests', () => {
+  const { uploads, outputs, temp } = PATHS;
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-'));
+    Object.assign(PATHS, {
+      uploads: path.join(dir, 'uploads'),
+      outputs: path.join(dir, 'outputs'),
+      temp: path.join(dir, 'temp')
+    });
+    await fs.mkdir(PATHS.uploads);
+    await fs.mkdir(PATHS.outputs);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    Object.assign(PATHS, { uploads, outputs, temp });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should delete only files older than the maximum age', async () => {
+    await writeOldFile(path.join(dir, 'old.mp4'), 3);
+    await writeOldFile(path.join(dir, 'new.mp4'), 1);
+
+    const result = await cleanupOldFiles(dir, 2);
+
+    expect(result).toEqual({ deletedCount: 1, freedSpace: 100 });
+    await expect(fs.access(path.join(dir, 'old.mp4'))).rejects.toThrow();
+    await fs.access(path.join(dir, 'new.mp4'));
+  });
+
+  test('should keep the old uploads of queued and running jobs', async () => {
+    const activeUpload = path.join(PATHS.uploads, 'queued.mp4');
+    await writeOldFile(activeUpload, 3);
+    await writeOldFile(path.join(PATHS.uploads, 'abandoned.mp4'), 3);
+    jest.spyOn(jobManager, 'getActiveUploads').mockReturnValue([activeUpload]);
+    jest.spyOn(jobManager, 'pruneFinishedJobs').mockReturnValue(0);
+
+    const results = await cleanupAllDirectories();
+
+    expect(results.uploads.deletedCount).toBe(1);
+    await fs.access(activeUpload);
+    await expect(fs.access(path.join(PATHS.uploads, 'abandoned.mp4'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { parseTimestamp, buildProgress, withStep } from '../../../utils/ffmpegProgress.js';
+
+describe('FFmpeg Progress - Unit Tests', () => {
+  const conversionProgress = {
+    frame: 1500,
+    fps: 60,
+    time: '00:00:30.00',
+    bitrate: '2500.0kbits/s',
+    speed: '2.0'
+  };
+
+  describe('parseTimestamp', () => {
+    test('should convert HH:MM:SS.cc to seconds', () => {
+      expect(parseTimestamp('01:02:03.50')).toBeCloseTo(3723.5);
+    });
+
+    test('should return 0 for malformed timestamps', () => {
+      expect(parseTimestamp('N/A')).toBe(0);
+      expect(parseTimestamp(undefined)).toBe(0);
+    });
+  });
+
+  describe('buildProgress', () => {
+    test('should compute percent and ETA against the input duration', () => {
+      const progress = buildProgress(conversionProgress, '120.0');
+
+      expect(progress.percent).toBe(25);
+      expect(progress.eta).toBe(45);
+      expect(progress.fps).toBe(60);
+      expect(progress.bitrate).toBe('2500.0kbits/s');
+    });
+
+    test('should cap percent at 100', () => {
+      const progress = buildProgress(conversionProgress, 20);
+
+      expect(progress.percent).toBe(100);
+      expect(progress.eta).toBe(0);
+    });
+
+    test('should leave percent and ETA empty when duration is unknown', () => {
+      const progress = buildProgress(conversionProgress, undefined);
+
+      expect(progress.percent).toBeNull();
+      expect(progress.eta).toBeNull();
+    });
+  });
+
+  describe('withStep', () => {
+    test('should scale percent across the steps of a multi-step conversion', () => {
+      const onProgress = jest.fn();
+      const progress = buildProgress(conversionProgress, 60);
+
+      withStep({ onProgress }, 1, 2).onProgress(progress);
+      withStep({ onProgress }, 2, 2).onProgress(progress);
+
+      expect(onProgress.mock.calls[0][0]).toMatchObject({ percent: 25, eta: null, step: 1, totalSteps: 2 });
+      expect(onProgress.mock.calls[1][0]).toMatchObject({ percent: 75, eta: 15, step: 2, totalSteps: 2 });
+    });
+
+    test('should return options unchanged without a progress listener', () => {
+      const options = { quality: 'high' };
+
+      expect(withStep(options, 1, 2)).toBe(options);
+    });
+  });
+});
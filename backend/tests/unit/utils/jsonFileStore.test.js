@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore } from '../../../utils/jsonFileStore.js';
+
+describe('JsonFileStore - Unit Tests', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-store-'));
+    filePath = path.join(dir, 'nested', 'records.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should start empty when the file is missing or corrupt', async () => {
+    const store = new JsonFileStore({ filePath, name: 'records' });
+    await store.readFile();
+    expect(store.values()).toEqual([]);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '[{"id":');
+    await store.readFile();
+    expect(store.values()).toEqual([]);
+  });
+
+  test('should coalesce changes made while a write is in flight', async () => {
+    const store = new JsonFileStore({ filePath, name: 'records', indent: 2 });
+    const writeFile = jest.spyOn(store, 'writeFile');
+
+    store.records.set('a', { id: 'a' });
+    const first = store.flush();
+    store.records.set('b', { id: 'b' });
+    const second = store.flush();
+    store.records.set('c', { id: 'c' });
+    const third = store.flush();
+    await Promise.all([first, second, third]);
+
+    expect(writeFile).toHaveBeenCalledTimes(2);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(JSON.stringify([{ id: 'a' }, { id: 'b' }, { id: 'c' }], null, 2));
+  });
+
+  test('should write pending changes after a failed write', async () => {
+    const store = new JsonFileStore({ filePath, name: 'records' });
+    const writeFile = jest.spyOn(store, 'writeFile').mockRejectedValueOnce(new Error('ENOSPC'));
+
+    store.records.set('a', { id: 'a' });
+    const first = store.flush();
+    store.records.set('b', { id: 'b' });
+    const second = store.flush();
+
+    await expect(first).rejects.toThrow('ENOSPC');
+    await second;
+
+    expect(writeFile).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual([{ id: 'a' }, { id: 'b' }]);
+  });
+});
@@ -0,0 +1,77 @@
+import Joi from 'joi';
+import { joiToSchema, buildOpenApiSpec } from '../../../utils/openapi.js';
+import { listConversions } from '../../../services/conversionRegistry.js';
+
+describe('OpenAPI - Unit Tests', () => {
+  describe('joiToSchema', () => {
+    test('should convert enums, defaults, patterns and descriptions', () => {
+      const schema = joiToSchema(Joi.object({
+        quality: Joi.string().valid('high', 'low').default('high').description('Preset'),
+        bitrate: Joi.string().pattern(/^\d+k$/),
+        count: Joi.number().integer().min(1).max(10).required()
+      }).describe());
+
+      expect(schema).toEqual({
+        type: 'object',
+        properties: {
+          quality: { type: 'string', enum: ['high', 'low'], default: 'high', description: 'Preset' },
+          bitrate: { type: 'string', pattern: '^\\d+k$' },
+          count: { type: 'integer', minimum: 1, maximum: 10 }
+        },
+        required: ['count']
+      });
+    });
+
+    test('should convert arrays with item limits', () => {
+      const schema = joiToSchema(Joi.array().items(Joi.string()).min(1).max(3).describe());
+
+      expect(schema).toEqual({ type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 });
+    });
+  });
+
+  describe('buildOpenApiSpec', () => {
+    const spec = buildOpenApiSpec();
+
+    test('should document every conversion pair and the generic endpoints', () => {
+      for (const { path } of listConversions()) {
+        expect(spec.paths[path]?.post).toBeDefined();
+      }
+
+      expect(spec.paths['/api/v1/convert'].post).toBeDefined();
+      expect(spec.paths['/api/v1/convert/{from}-to-{to}'].post).toBeDefined();
+    });
+
+    test('should take conversion options from the Joi schemas of the target', () => {
+      const names = (path) => spec.paths[path].post.parameters.map(parameter => parameter.name);
+
+      expect(names('/api/v1/convert/avi-to-mp4')).toContain('customBitrate');
+      expect(names('/api/v1/convert/avi-to-3gp')).toContain('customBitrate');
+      expect(names('/api/v1/convert/avi-to-3gp')).toContain('rateControl');
+
+      expect(names('/api/v1/convert/avi-to-mov')).toContain('profile');
+
+      const opacity = spec.paths['/api/v1/convert'].post.parameters.find(parameter => parameter.name === 'watermarkOpacity');
+      expect(opacity.schema).toEqual({ type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1 });
+      const formFields = spec.paths['/api/v1/convert/avi-to-mp4'].post.requestBody.content['multipart/form-data'].schema.properties;
+      expect(formFields.watermark).toMatchObject({ type: 'string', format: 'binary' });
+      expect(formFields.subtitles).toMatchObject({ type: 'string', format: 'binary' });
+      expect(names('/api/v1/convert')).toEqual(expect.arrayContaining(['subtitleFontSize', 'subtitleOutline', 'subtitlePosition']));
+    });
+
+    test('should describe the profile body from its Joi schema', () => {
+      const profileInput = spec.components.schemas.ProfileInput;
+
+      expect(profileInput.required).toEqual(['id', 'format', 'description', 'video', 'audio']);
+      expect(profileInput.properties.video.properties.crf).toEqual({ type: 'number', minimum: 0, maximum: 63 });
+      expect(spec.paths['/api/v1/profiles/{id}'].put.operationId).toBe('updateProfile');
+    });
+
+    test('should use unique operation IDs', () => {
+      const operationIds = Object.values(spec.paths)
+        .flatMap(methods => Object.values(methods))
+        .map(operation => operation.operationId);
+
+      expect(new Set(operationIds).size).toBe(operationIds.length);
+    });
+  });
+});
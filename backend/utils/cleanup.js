@@ -1,22 +1,29 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { PATHS } from '../config/ffmpeg.js';
+import { jobManager } from '../services/jobs/JobManager.js';
 import logger from './logger.js';
 
 /**
  * Delete files older than specified hours
+ * @param {Array<string>} [keep] - Paths of files that are never deleted
  */
-export const cleanupOldFiles = async (directory, maxAgeHours) => {
+export const cleanupOldFiles = async (directory, maxAgeHours, keep = []) => {
   try {
     const files = await fs.readdir(directory);
     const now = Date.now();
     const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert hours to milliseconds
+    const keptPaths = new Set(keep.map(filePath => path.resolve(filePath)));
     
     let deletedCount = 0;
     let freedSpace = 0;
 
     for (const file of files) {
       const filePath = path.join(directory, file);
+
+      if (keptPaths.has(path.resolve(filePath))) {
+        continue;
+      }
       
       try {
         const stats = await fs.stat(filePath);
@@ -47,7 +54,8 @@ export const cleanupOldFiles = async (directory, maxAgeHours) => {
 };
 
 /**
- * Cleanup both uploads and outputs directories
+ * Cleanup the uploads, outputs and temp directories (work files of
+ * conversions interrupted by a crash or restart)
  */
 export const cleanupAllDirectories = async () => {
   const maxAgeHours = parseInt(process.env.MAX_FILE_AGE_HOURS || '2', 10);
@@ -56,12 +64,13 @@ export const cleanupAllDirectories = async () => {
 
   const results = {
     uploads: { deletedCount: 0, freedSpace: 0 },
-    outputs: { deletedCount: 0, freedSpace: 0 }
+    outputs: { deletedCount: 0, freedSpace: 0 },
+    temp: { deletedCount: 0, freedSpace: 0 }
   };
 
-  // Cleanup uploads directory
+  // Cleanup uploads directory (jobs that are queued or running still need theirs)
   try {
-    results.uploads = await cleanupOldFiles(PATHS.uploads, maxAgeHours);
+    results.uploads = await cleanupOldFiles(PATHS.uploads, maxAgeHours, jobManager.getActiveUploads());
   } catch (error) {
     logger.error(`Failed to cleanup uploads: ${error.message}`);
   }
@@ -73,8 +82,19 @@ export const cleanupAllDirectories = async () => {
     logger.error(`Failed to cleanup outputs: ${error.message}`);
   }
 
-  const totalDeleted = results.uploads.deletedCount + results.outputs.deletedCount;
-  const totalFreed = results.uploads.freedSpace + results.outputs.freedSpace;
+  // Cleanup temp directory (created by the first pipeline conversion)
+  try {
+    await fs.mkdir(PATHS.temp, { recursive: true });
+    results.temp = await cleanupOldFiles(PATHS.temp, maxAgeHours);
+  } catch (error) {
+    logger.error(`Failed to cleanup temp: ${error.message}`);
+  }
+
+  // Forget finished jobs whose output files have aged out
+  jobManager.pruneFinishedJobs(maxAgeHours);
+
+  const totalDeleted = results.uploads.deletedCount + results.outputs.deletedCount + results.temp.deletedCount;
+  const totalFreed = results.uploads.freedSpace + results.outputs.freedSpace + results.temp.freedSpace;
 
   logger.info(`Total cleanup: ${totalDeleted} files deleted, ${(totalFreed / 1024 / 1024).toFixed(2)} MB freed`);
 
@@ -0,0 +1,86 @@
+/**
+ * FFmpeg progress helpers
+ *
+ * Turns the frame/fps/time/bitrate/speed values parsed from FFmpeg stderr
+ * into a progress snapshot (percent complete and ETA) measured against the
+ * input duration reported by ffprobe.
+ */
+
+/**
+ * Convert an FFmpeg timestamp (HH:MM:SS.cc) to seconds
+ */
+export const parseTimestamp = (timestamp) => {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(timestamp || '');
+  if (!match) {
+    return 0;
+  }
+
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+};
+
+/**
+ * Build a progress snapshot from parsed FFmpeg stderr values
+ * @param {Object} conversionProgress - { frame, fps, time, bitrate, speed }
+ * @param {number|string} duration - Input duration in seconds (ffprobe format.duration)
+ */
+export const buildProgress = (conversionProgress, duration) => {
+  const totalSeconds = parseFloat(duration) || 0;
+  const processedSeconds = parseTimestamp(conversionProgress.time);
+  const speed = parseFloat(conversionProgress.speed) || 0;
+
+  let percent = null;
+  let eta = null;
+
+  if (totalSeconds > 0) {
+    percent = Math.min(100, Math.round((processedSeconds / totalSeconds) * 1000) / 10);
+
+    if (speed > 0) {
+      eta = Math.max(0, Math.round((totalSeconds - processedSeconds) / speed));
+    }
+  }
+
+  return {
+    percent,
+    frame: conversionProgress.frame,
+    fps: conversionProgress.fps,
+    time: conversionProgress.time,
+    processedSeconds,
+    totalSeconds: totalSeconds || null,
+    bitrate: conversionProgress.bitrate,
+    speed: conversionProgress.speed,
+    eta
+  };
+};
+
+/**
+ * Scale progress of one FFmpeg run inside a multi-step conversion
+ * (e.g. step 1 of 2 when going through the lossless intermediate, or the
+ * analysis pass of a two-pass encode), so the
+ * reported percent covers the whole conversion.
+ */
+export const withStep = (options, step, totalSteps) => {
+  if (!options.onProgress) {
+    return options;
+  }
+
+  const { onProgress } = options;
+
+  return {
+    ...options,
+    onProgress: (progress) => onProgress({
+      ...progress,
+      percent: progress.percent === null
+        ? null
+        : Math.round((((step - 1) * 100 + progress.percent) / totalSteps) * 10) / 10,
+      eta: step === totalSteps ? progress.eta : null,
+      step,
+      totalSteps
+    })
+  };
+};
+
+export default {
+  parseTimestamp,
+  buildProgress,
+  withStep
+};
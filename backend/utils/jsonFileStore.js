@@ -0,0 +1,89 @@
+/**
+ * JsonFileStore - Records keyed by id, backed by a JSON file
+ *
+ * Shared by FileJobStore and ProfileStore. All records are kept in memory
+ * and the whole set is written on every change. Writes go to a temporary
+ * file first and are renamed into place, so a crash mid-write never leaves
+ * a corrupt file. Changes made while a write is in flight are coalesced
+ * into one pending write.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+export class JsonFileStore {
+  /**
+   * @param {object} params
+   * @param {string} params.filePath - JSON file of the records
+   * @param {string} params.name - What the records are, for the log ('job records')
+   * @param {number} [params.indent] - JSON indentation (compact by default)
+   */
+  constructor({ filePath, name, indent }) {
+    this.filePath = filePath;
+    this.name = name;
+    this.indent = indent;
+    this.records = new Map();
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Read all records from disk (none when the file is missing or unreadable)
+   */
+  async readFile() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const records = JSON.parse(content);
+
+      this.records = new Map(records.map(record => [record.id, record]));
+      logger.info(`Loaded ${records.length} ${this.name} from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read ${this.name} from ${this.filePath}: ${error.message}`);
+      }
+      this.records = new Map();
+    }
+  }
+
+  /**
+   * Copies of all records
+   */
+  values() {
+    return [...this.records.values()].map(record => structuredClone(record));
+  }
+
+  /**
+   * Write the current records, coalescing changes made while a write is in flight
+   */
+  async flush() {
+    this.dirty = true;
+
+    // Another caller's failed write is retried below with this change
+    while (this.writing) {
+      await this.writing.catch(() => {});
+    }
+
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    this.writing = this.writeFile().finally(() => {
+      this.writing = null;
+    });
+
+    await this.writing;
+  }
+
+  async writeFile() {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = JSON.stringify([...this.records.values()], null, this.indent);
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+export default JsonFileStore;
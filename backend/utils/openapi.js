@@ -0,0 +1,1090 @@
+/**
+ * OpenAPI - generate the OpenAPI 3 description of the API
+ *
+ * Conversion query parameters and the profile body are converted from the
+ * Joi schemas in validation.middleware.js and conversion paths come from
+ * the conversion registry, so the document changes together with the
+ * server. Response shapes and the non-conversion routes are described in
+ * this file.
+ */
+
+import { createRequire } from 'module';
+import { FORMAT_REGISTRY, listConversions } from '../services/conversionRegistry.js';
+import { JOB_STATUS } from '../services/jobs/JobManager.js';
+import { PRIORITY } from '../services/jobs/ConversionScheduler.js';
+import { RATE_CONTROL_MODES } from '../services/rateControl.js';
+import { WATERMARK_POSITIONS } from '../services/media-pipeline/Watermark.js';
+import { SUBTITLE_FORMATS, SUBTITLE_POSITIONS } from '../services/media-pipeline/Subtitles.js';
+import { conversionQuerySchemas, profileSchema } from '../middlewares/validation.middleware.js';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schemaName) => ({
+  'application/json': { schema: ref(schemaName) }
+});
+
+/**
+ * Convert a Joi regex description ("/^\d+k$/i") to an OpenAPI pattern
+ */
+const toPattern = (regex) => regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+
+/**
+ * Convert a Joi schema description (schema.describe()) to an OpenAPI schema
+ */
+export const joiToSchema = (description) => {
+  const { type, flags = {}, rules = [], allow, keys, items } = description;
+  const schema = {};
+
+  switch (type) {
+    case 'object': {
+      schema.type = 'object';
+      schema.properties = {};
+      const required = [];
+
+      for (const [key, child] of Object.entries(keys || {})) {
+        schema.properties[key] = joiToSchema(child);
+        if (child.flags?.presence === 'required') {
+          required.push(key);
+        }
+      }
+
+      if (required.length > 0) {
+        schema.required = required;
+      }
+      break;
+    }
+    case 'array':
+      schema.type = 'array';
+      schema.items = items?.[0] ? joiToSchema(items[0]) : {};
+      break;
+    case 'number':
+      schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+      break;
+    case 'string':
+    case 'boolean':
+      schema.type = type;
+      break;
+    default:
+      break;
+  }
+
+  if (flags.only && allow) {
+    schema.enum = allow;
+  }
+
+  if (flags.default !== undefined) {
+    schema.default = flags.default;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  // Length/range rules map to different keywords per type
+  const limits = {
+    string: { min: 'minLength', max: 'maxLength' },
+    number: { min: 'minimum', max: 'maximum' },
+    array: { min: 'minItems', max: 'maxItems' }
+  }[type] || {};
+
+  for (const rule of rules) {
+    if (rule.name === 'pattern') {
+      schema.pattern = toPattern(rule.args.regex);
+    } else if (limits[rule.name]) {
+      schema[limits[rule.name]] = rule.args.limit;
+    } else if (type === 'number' && rule.name === 'greater') {
+      schema.minimum = rule.args.limit;
+      schema.exclusiveMinimum = true;
+    }
+  }
+
+  return schema;
+};
+
+/**
+ * OpenAPI query parameters for the keys of a Joi object schema
+ */
+export const joiToQueryParameters = (joiSchema) => {
+  const { keys } = joiSchema.describe();
+
+  return Object.entries(keys).map(([name, child]) => {
+    const { description, ...schema } = joiToSchema(child);
+
+    return {
+      name,
+      in: 'query',
+      required: child.flags?.presence === 'required',
+      ...(description && { description }),
+      schema
+    };
+  });
+};
+
+const formatNames = Object.keys(FORMAT_REGISTRY).map(format => format.toLowerCase());
+
+const formatParameter = (name, location, description, required) => ({
+  name,
+  in: location,
+  required,
+  description,
+  schema: { type: 'string', enum: formatNames }
+});
+
+/**
+ * Describe a conversion operation (multipart upload -> converted file or job)
+ */
+const conversionOperation = ({ operationId, summary, tags, parameters, formFields = {} }) => ({
+  tags,
+  summary,
+  operationId,
+  parameters,
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: ['video'],
+          properties: {
+            video: { type: 'string', format: 'binary', description: 'Video file to convert' },
+            watermark: {
+              type: 'string',
+              format: 'binary',
+              description: 'PNG image (up to 5MB) drawn over the video (see the watermark* parameters; not combined with watermarkText)'
+            },
+            subtitles: {
+              type: 'string',
+              format: 'binary',
+              description: 'SRT, ASS or WebVTT file (UTF-8, up to 2MB) burned into the video (see the subtitle* parameters)'
+            },
+            ...formFields
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Conversion finished, or the conversion plan when dryRun=true',
+      content: {
+        'application/json': {
+          schema: { oneOf: [ref('ConversionResponse'), ref('DryRunResponse')] }
+        }
+      }
+    },
+    202: { description: 'Conversion accepted (async=true)', content: jsonContent('JobAcceptedResponse') },
+    400: { description: 'Invalid upload or parameters', content: jsonContent('ValidationErrorResponse') },
+    422: { description: 'Input or options cannot be converted (pipeline failed before FFmpeg ran)', content: jsonContent('ConversionErrorResponse') },
+    500: {
+      description: 'Conversion failed (FFmpeg failed, or an unexpected error without a pipeline report)',
+      content: { 'application/json': { schema: { oneOf: [ref('ConversionErrorResponse'), ref('ErrorResponse')] } } }
+    }
+  }
+});
+
+/**
+ * Paths of the conversion endpoints, from the conversion registry
+ */
+const buildConversionPaths = () => {
+  // Options common to every target; per-target differences are on the alias paths
+  const genericOptions = joiToQueryParameters(conversionQuerySchemas.MP4);
+  const paths = {
+    '/api/v1/convert': {
+      post: conversionOperation({
+        operationId: 'convert',
+        summary: 'Convert a video between any two supported formats',
+        tags: ['Conversion'],
+        parameters: [
+          formatParameter('from', 'query', 'Source format (defaults to the format of the upload)', false),
+          formatParameter('to', 'query', 'Target format (may also be sent as a form field)', false),
+          ...genericOptions
+        ],
+        formFields: {
+          from: { type: 'string', enum: formatNames },
+          to: { type: 'string', enum: formatNames }
+        }
+      })
+    },
+    '/api/v1/convert/{from}-to-{to}': {
+      post: conversionOperation({
+        operationId: 'convertPair',
+        summary: 'Convert a video, formats in the path',
+        tags: ['Conversion'],
+        parameters: [
+          formatParameter('from', 'path', 'Source format', true),
+          formatParameter('to', 'path', 'Target format', true),
+          ...genericOptions
+        ]
+      })
+    }
+  };
+
+  for (const { source, target, path } of listConversions()) {
+    const name = (format) => format[0] + format.slice(1).toLowerCase();
+
+    paths[path] = {
+      post: conversionOperation({
+        operationId: `convert${name(source)}To${name(target)}`,
+        summary: `Convert ${source} to ${target}`,
+        tags: ['Conversion aliases'],
+        parameters: joiToQueryParameters(conversionQuerySchemas[target])
+      })
+    };
+  }
+
+  return paths;
+};
+
+const jobIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Job ID returned by a conversion request',
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const notFound = { description: 'Job not found', content: jsonContent('ErrorResponse') };
+
+const profileIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Encoding profile ID',
+  schema: { type: 'string' }
+};
+
+const profileNotFound = { description: 'Profile not found', content: jsonContent('ErrorResponse') };
+const profileRejected = {
+  description: 'Invalid profile or not supported by the format (codecs, bitrates, resolution)',
+  content: jsonContent('ValidationErrorResponse')
+};
+const builtInProfile = { description: 'Built-in profiles cannot be changed', content: jsonContent('ErrorResponse') };
+
+/**
+ * Paths of the job, discovery, maintenance and health endpoints
+ */
+const buildServicePaths = () => ({
+  '/api/v1/jobs/{id}': {
+    get: {
+      tags: ['Jobs'],
+      summary: 'Get status and result of a conversion job',
+      operationId: 'getJob',
+      parameters: [jobIdParameter],
+      responses: {
+        200: { description: 'Job status', content: jsonContent('JobResponse') },
+        404: notFound
+      }
+    },
+    delete: {
+      tags: ['Jobs'],
+      summary: 'Cancel a queued or running conversion job',
+      operationId: 'cancelJob',
+      parameters: [jobIdParameter],
+      responses: {
+        200: { description: 'Job cancelled', content: jsonContent('JobResponse') },
+        404: notFound,
+        409: { description: 'Job already finished', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/api/v1/jobs/{id}/events': {
+    get: {
+      tags: ['Jobs'],
+      summary: 'Stream job status and progress as Server-Sent Events',
+      description: '`status` events carry a Job, `progress` events a Progress object (both JSON).',
+      operationId: 'streamJobEvents',
+      parameters: [jobIdParameter],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        404: notFound
+      }
+    }
+  },
+  '/api/v1/formats': {
+    get: {
+      tags: ['Discovery'],
+      summary: 'List formats with presets, capabilities and profiles',
+      operationId: 'listFormats',
+      responses: {
+        200: { description: 'Supported formats', content: jsonContent('FormatsResponse') }
+      }
+    }
+  },
+  '/api/v1/profiles': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'List built-in and custom encoding profiles',
+      operationId: 'listProfiles',
+      parameters: [formatParameter('format', 'query', 'Only profiles of this output format', false)],
+      responses: {
+        200: { description: 'Encoding profiles', content: jsonContent('ProfileListResponse') },
+        400: { description: 'Unknown format', content: jsonContent('ValidationErrorResponse') }
+      }
+    },
+    post: {
+      tags: ['Profiles'],
+      summary: 'Create a custom encoding profile',
+      operationId: 'createProfile',
+      requestBody: { required: true, content: jsonContent('ProfileInput') },
+      responses: {
+        201: { description: 'Profile created', content: jsonContent('ProfileResponse') },
+        400: profileRejected,
+        409: { description: 'Profile ID already in use', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/api/v1/profiles/{id}': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Get an encoding profile',
+      operationId: 'getProfile',
+      parameters: [profileIdParameter],
+      responses: {
+        200: { description: 'Encoding profile', content: jsonContent('ProfileResponse') },
+        404: profileNotFound
+      }
+    },
+    put: {
+      tags: ['Profiles'],
+      summary: 'Replace a custom encoding profile',
+      operationId: 'updateProfile',
+      parameters: [profileIdParameter],
+      requestBody: { required: true, content: jsonContent('ProfileInput') },
+      responses: {
+        200: { description: 'Profile updated', content: jsonContent('ProfileResponse') },
+        400: profileRejected,
+        403: builtInProfile,
+        404: profileNotFound
+      }
+    },
+    delete: {
+      tags: ['Profiles'],
+      summary: 'Delete a custom encoding profile',
+      operationId: 'deleteProfile',
+      parameters: [profileIdParameter],
+      responses: {
+        200: {
+          description: 'Profile deleted',
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } }
+            }
+          }
+        },
+        403: builtInProfile,
+        404: profileNotFound,
+        409: { description: 'Profile used by queued or running jobs', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/api/v1/probe': {
+    post: {
+      tags: ['Discovery'],
+      summary: 'Inspect a video without converting it',
+      operationId: 'probe',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['video'],
+              properties: { video: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Media information', content: jsonContent('ProbeResponse') },
+        400: { description: 'Invalid upload', content: jsonContent('ErrorResponse') },
+        422: { description: 'File could not be probed', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/api/v1/cleanup': {
+    delete: {
+      tags: ['Maintenance'],
+      summary: 'Delete old uploads, outputs and temp files now',
+      operationId: 'cleanup',
+      responses: {
+        200: { description: 'Cleanup summary', content: { 'application/json': { schema: { type: 'object' } } } },
+        500: { description: 'Cleanup failed', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/api/v1/convert/{format}/health': {
+    get: {
+      tags: ['Health'],
+      summary: 'Health of the conversions to a format',
+      operationId: 'getFormatHealth',
+      parameters: [formatParameter('format', 'path', 'Target format', true)],
+      responses: {
+        200: { description: 'Conversion endpoints and quality presets of the format', content: { 'application/json': { schema: { type: 'object' } } } },
+        404: { description: 'Unsupported format', content: jsonContent('ErrorResponse') }
+      }
+    }
+  },
+  '/healthz': {
+    get: {
+      tags: ['Health'],
+      summary: 'Liveness probe',
+      operationId: 'healthz',
+      responses: { 200: { description: 'Process is up' } }
+    }
+  },
+  '/ready': {
+    get: {
+      tags: ['Health'],
+      summary: 'Readiness probe with scheduler load',
+      operationId: 'ready',
+      responses: { 200: { description: 'Ready to accept conversions' } }
+    }
+  }
+});
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const components = {
+  schemas: {
+    ErrorResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    ConversionErrorResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        message: { type: 'string', description: 'What failed, mapped from the pipeline error' },
+        stage: { type: 'string', description: 'Pipeline stage that failed' },
+        suggestion: { type: 'string', nullable: true },
+        pipeline: ref('PipelineReport')
+      }
+    },
+    ValidationErrorResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    },
+    ConversionResult: {
+      type: 'object',
+      properties: {
+        inputFormat: { type: 'string' },
+        outputFormat: { type: 'string' },
+        inputFilename: { type: 'string' },
+        outputFilename: { type: 'string' },
+        outputPath: { type: 'string' },
+        outputSize: { type: 'integer' },
+        quality: { type: 'string' },
+        reductionPercentage: { type: 'string' },
+        targetSize: ref('TargetSizeResult'),
+        clip: ref('Clip'),
+        transform: ref('Transform'),
+        subtitles: ref('Subtitles'),
+        watermark: ref('Watermark'),
+        conversionPath: { type: 'string' },
+        conversionMethod: { type: 'string' },
+        intermediateFormat: { type: 'string' },
+        jobId: { type: 'string', format: 'uuid' },
+        pipeline: ref('PipelineReport')
+      }
+    },
+    PipelineStage: {
+      type: 'object',
+      properties: {
+        stage: { type: 'integer', minimum: 1, maximum: 6 },
+        name: {
+          type: 'string',
+          enum: [
+            'Validation',
+            'Capability Check',
+            'Resolution Normalization',
+            'Frame Normalization',
+            'Profile Selection',
+            'FFmpeg Execution'
+          ]
+        },
+        duration: { type: 'integer', description: 'Milliseconds' },
+        result: { type: 'object', additionalProperties: true }
+      }
+    },
+    PipelineAttempt: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['pipeline', 'legacy'] },
+        success: { type: 'boolean' },
+        stage: nullable({ type: 'string', description: 'Pipeline stage that failed' }),
+        error: { type: 'string' },
+        reason: nullable({ type: 'string' })
+      }
+    },
+    PipelineReport: {
+      type: 'object',
+      properties: {
+        mode: nullable({
+          type: 'string',
+          enum: ['pipeline', 'legacy'],
+          description: 'Converter that produced the output (null when a planned conversion would fail)'
+        }),
+        retryPolicy: nullable({
+          type: 'string',
+          enum: ['legacy', 'none'],
+          description: 'PIPELINE_RETRY_POLICY (null when USE_MEDIA_PIPELINE=false)'
+        }),
+        attempts: { type: 'array', items: ref('PipelineAttempt') },
+        stages: { type: 'array', items: ref('PipelineStage') },
+        profile: nullable({ type: 'object', additionalProperties: true }),
+        passes: nullable(ref('EncodingPasses')),
+        streams: nullable(ref('StreamCopy')),
+        adjustments: nullable({
+          type: 'object',
+          properties: {
+            resolutionAdjusted: { type: 'boolean' },
+            originalResolution: nullable(ref('Resolution')),
+            finalResolution: nullable(ref('Resolution')),
+            frameRateAdjusted: { type: 'boolean' },
+            originalFrameRate: nullable({ type: 'number' }),
+            finalFrameRate: nullable({ type: 'number' }),
+            pixelFormatAdjusted: { type: 'boolean' },
+            originalPixelFormat: nullable({ type: 'string' }),
+            finalPixelFormat: nullable({ type: 'string' })
+          }
+        })
+      }
+    },
+    ConversionResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: ref('ConversionResult')
+      }
+    },
+    Resolution: {
+      type: 'object',
+      properties: {
+        width: { type: 'integer' },
+        height: { type: 'integer' }
+      }
+    },
+    PlannedOutput: {
+      type: 'object',
+      properties: {
+        resolution: nullable(ref('Resolution')),
+        frameRate: nullable({ type: 'number' }),
+        pixelFormat: nullable({ type: 'string' }),
+        videoCodec: nullable({ type: 'string' }),
+        audioCodec: nullable({ type: 'string' }),
+        rotation: nullable({ type: 'integer', enum: [0, 90, 180, 270], description: 'Display rotation kept by copied video, 0 once encoded' })
+      }
+    },
+    FrameNormalization: {
+      type: 'object',
+      description: 'Frame rate and pixel format adjustments (Frame Normalization stage)',
+      properties: {
+        frameRate: {
+          type: 'object',
+          properties: {
+            needed: { type: 'boolean' },
+            original: nullable({ type: 'number' }),
+            target: nullable({ type: 'number' }),
+            variable: { type: 'boolean', description: 'Variable frame rate source' },
+            interlaced: { type: 'boolean' },
+            deinterlaced: { type: 'boolean' },
+            reason: nullable({ type: 'string' })
+          }
+        },
+        pixelFormat: {
+          type: 'object',
+          properties: {
+            needed: { type: 'boolean' },
+            original: nullable({ type: 'string' }),
+            target: nullable({ type: 'string' }),
+            reason: nullable({ type: 'string' })
+          }
+        },
+        filters: { type: 'array', items: { type: 'string' }, description: 'Filters prepended to the last step' },
+        warnings: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    StreamDecision: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['copy', 'encode', 'none'], description: 'none: the input has no such stream' },
+        codec: nullable({ type: 'string', description: 'Source codec' }),
+        reason: { type: 'string' },
+        tag: { type: 'string', description: 'Codec tag written for a copied stream (e.g. hvc1)' },
+        rotation: {
+          type: 'object',
+          description: 'Rotated source (phone footage): its display matrix is preserved by a copy, baked into encoded frames',
+          properties: {
+            degrees: { type: 'integer', enum: [90, 180, 270] },
+            action: { type: 'string', enum: ['preserve', 'bake'] }
+          }
+        }
+      }
+    },
+    StreamCopy: {
+      type: 'object',
+      description: 'Streams copied unchanged instead of re-encoded (Profile Selection stage)',
+      properties: {
+        video: ref('StreamDecision'),
+        audio: ref('StreamDecision'),
+        remux: { type: 'boolean', description: 'Every stream is copied, nothing is encoded' }
+      }
+    },
+    Clip: {
+      type: 'object',
+      description: 'Part of the input converted (start, end, duration), in seconds',
+      properties: {
+        start: { type: 'number' },
+        end: nullable({ type: 'number', description: 'null when the input duration is unknown' }),
+        duration: nullable({ type: 'number' }),
+        untilEnd: { type: 'boolean', description: 'No end or duration requested' },
+        mode: {
+          type: 'string',
+          enum: ['accurate', 'keyframe'],
+          description: 'accurate: re-encoded, cut at the exact frame; keyframe: stream copy, starts at the keyframe at or before start'
+        }
+      }
+    },
+    Transform: {
+      type: 'object',
+      description: 'Crop, rotation, flip and padding of the video frame, applied before resolution normalization',
+      properties: {
+        crop: nullable({
+          type: 'object',
+          properties: {
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            x: nullable({ type: 'integer' }),
+            y: nullable({ type: 'integer' })
+          }
+        }),
+        rotate: { type: 'integer', enum: [0, 90, 180, 270], description: 'Degrees clockwise' },
+        flip: nullable({ type: 'string', enum: ['horizontal', 'vertical', 'both'] }),
+        pad: nullable({
+          type: 'object',
+          properties: {
+            aspectRatio: { type: 'string', example: '16:9' },
+            width: nullable({ type: 'integer' }),
+            height: nullable({ type: 'integer' }),
+            color: { type: 'string', example: 'black' }
+          }
+        }),
+        resolution: nullable(ref('Resolution')),
+        filters: { type: 'array', items: { type: 'string' }, description: 'FFmpeg filters, ahead of the scaling' }
+      }
+    },
+    Subtitles: {
+      type: 'object',
+      description: 'Subtitles burned into the final frame',
+      properties: {
+        format: { type: 'string', enum: Object.values(SUBTITLE_FORMATS) },
+        fontSize: nullable({ type: 'number', description: 'Style override (null: the file\'s own style)' }),
+        outline: nullable({ type: 'number' }),
+        position: nullable({ type: 'string', enum: SUBTITLE_POSITIONS }),
+        offset: { type: 'number', description: 'Input time of the first output frame (start of a clip, seconds)' },
+        filter: { type: 'string', description: 'FFmpeg filters, after the scaling' }
+      }
+    },
+    Watermark: {
+      type: 'object',
+      description: 'Image or text drawn over the final frame, sized relative to the output resolution',
+      properties: {
+        type: { type: 'string', enum: ['image', 'text'] },
+        text: nullable({ type: 'string' }),
+        font: nullable({ type: 'string', example: 'Sans' }),
+        color: nullable({ type: 'string', example: 'white' }),
+        size: { type: 'number', description: 'Height in percent of the frame height' },
+        position: nullable({ type: 'string', enum: WATERMARK_POSITIONS, description: 'null when placed at x/y' }),
+        x: nullable({ type: 'number', description: 'Left edge in percent of the frame width' }),
+        y: nullable({ type: 'number', description: 'Top edge in percent of the frame height' }),
+        opacity: { type: 'number' },
+        margin: { type: 'number', description: 'Distance from the frame edges in percent of the frame height' },
+        start: nullable({ type: 'number', description: 'Shown from (seconds of the output)' }),
+        end: nullable({ type: 'number', description: 'Hidden from (seconds of the output)' }),
+        pixels: nullable({
+          type: 'object',
+          description: 'Size and margin on the output frame (null when its size is unknown)',
+          properties: {
+            size: { type: 'integer' },
+            margin: { type: 'integer' }
+          }
+        }),
+        filter: { type: 'string', description: 'FFmpeg filter, last in the -vf chain' }
+      }
+    },
+    RateControl: {
+      type: 'object',
+      description: 'Video rate control of the last step (Profile Selection stage)',
+      properties: {
+        mode: { type: 'string', enum: RATE_CONTROL_MODES },
+        quality: nullable({ type: 'number', description: 'CRF or qscale (crf, constrained-crf)' }),
+        bitrate: nullable({ type: 'string', example: '2000k' }),
+        maxRate: nullable({ type: 'string' }),
+        bufferSize: nullable({ type: 'string' }),
+        minRate: nullable({ type: 'string' })
+      }
+    },
+    EncodingPasses: {
+      type: 'object',
+      description: 'Two-pass encoding (Profile Selection stage)',
+      properties: {
+        requested: { type: 'integer', enum: [1, 2] },
+        applied: { type: 'integer', enum: [1, 2], description: '1 when the last step has no bitrate target' },
+        bitrate: nullable({ type: 'string', description: 'Video bitrate target of the two passes' }),
+        reason: nullable({ type: 'string' })
+      }
+    },
+    TargetSizePlan: {
+      type: 'object',
+      description: 'Video bitrate of a target size (Profile Selection stage)',
+      properties: {
+        requested: { type: 'string', example: '25MB' },
+        bytes: { type: 'integer' },
+        duration: { type: 'number', description: 'Input duration (seconds)' },
+        audioBitrate: { type: 'number', description: 'Audio budget (kbps)' },
+        videoBitrate: { type: 'string', example: '1450k' },
+        warnings: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    TargetSizeResult: {
+      type: 'object',
+      description: 'Size of the written output against the target (FFmpeg Execution stage)',
+      properties: {
+        requested: { type: 'string', example: '25MB' },
+        bytes: { type: 'integer', description: 'Target size in bytes' },
+        achieved: { type: 'integer', description: 'Output size in bytes' },
+        met: { type: 'boolean' },
+        attempts: { type: 'integer', enum: [1, 2], description: '2 when the output was encoded again at a corrected bitrate' }
+      }
+    },
+    PlannedStep: {
+      type: 'object',
+      properties: {
+        step: { type: 'integer' },
+        description: { type: 'string' },
+        inputFormat: { type: 'string' },
+        outputFormat: { type: 'string' },
+        pass: { type: 'integer', enum: [1, 2], description: 'Pass of a two-pass encode (1: analysis, no output file)' },
+        args: { type: 'array', items: { type: 'string' }, description: 'FFmpeg argv (without the binary)' },
+        command: { type: 'string' },
+        output: ref('PlannedOutput')
+      }
+    },
+    ConversionPlan: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean', enum: [true] },
+        source: { type: 'string' },
+        target: { type: 'string' },
+        mode: nullable({ type: 'string', enum: ['legacy', 'pipeline'] }),
+        conversionPath: { type: 'string' },
+        intermediateFormat: { type: 'string' },
+        validation: {
+          type: 'object',
+          properties: {
+            valid: { type: 'boolean' },
+            errors: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        input: {
+          type: 'object',
+          properties: {
+            format: { type: 'string' },
+            resolution: nullable(ref('Resolution')),
+            frameRate: nullable({ type: 'number' }),
+            pixelFormat: nullable({ type: 'string' }),
+            videoCodec: nullable({ type: 'string' }),
+            audioCodec: nullable({ type: 'string' }),
+            rotation: nullable({ type: 'integer', enum: [0, 90, 180, 270] }),
+            duration: nullable({ type: 'number' })
+          }
+        },
+        normalization: nullable({
+          type: 'object',
+          properties: {
+            needed: { type: 'boolean' },
+            reason: nullable({ type: 'string' }),
+            original: ref('Resolution'),
+            target: ref('Resolution')
+          }
+        }),
+        frameNormalization: nullable(ref('FrameNormalization')),
+        clip: nullable(ref('Clip')),
+        transform: nullable(ref('Transform')),
+        subtitles: nullable(ref('Subtitles')),
+        watermark: nullable(ref('Watermark')),
+        streams: nullable(ref('StreamCopy')),
+        rateControl: nullable(ref('RateControl')),
+        passes: nullable(ref('EncodingPasses')),
+        targetSize: nullable(ref('TargetSizePlan')),
+        profile: nullable({
+          type: 'object',
+          properties: { id: { type: 'string' }, description: { type: 'string' } }
+        }),
+        steps: { type: 'array', items: ref('PlannedStep') },
+        output: nullable({
+          allOf: [ref('PlannedOutput')],
+          properties: { format: { type: 'string' } }
+        }),
+        pipeline: ref('PipelineReport'),
+        warnings: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    DryRunResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: ref('ConversionPlan')
+      }
+    },
+    JobAcceptedResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: Object.values(JOB_STATUS) },
+            priority: { type: 'string', enum: Object.values(PRIORITY) },
+            queuePosition: nullable({ type: 'integer' }),
+            statusUrl: { type: 'string' },
+            eventsUrl: { type: 'string' }
+          }
+        }
+      }
+    },
+    Progress: {
+      type: 'object',
+      properties: {
+        percent: nullable({ type: 'number' }),
+        frame: { type: 'string' },
+        fps: { type: 'string' },
+        time: { type: 'string' },
+        processedSeconds: { type: 'number' },
+        totalSeconds: nullable({ type: 'number' }),
+        bitrate: { type: 'string' },
+        speed: { type: 'string' },
+        eta: nullable({ type: 'integer' }),
+        step: { type: 'integer' },
+        totalSteps: { type: 'integer' }
+      }
+    },
+    Job: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', format: 'uuid' },
+        status: { type: 'string', enum: Object.values(JOB_STATUS) },
+        priority: { type: 'string', enum: Object.values(PRIORITY) },
+        queuePosition: nullable({ type: 'integer' }),
+        sourceFormat: { type: 'string' },
+        targetFormat: { type: 'string' },
+        inputFilename: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+        startedAt: nullable({ type: 'string', format: 'date-time' }),
+        finishedAt: nullable({ type: 'string', format: 'date-time' }),
+        progress: nullable(ref('Progress')),
+        result: nullable({
+          type: 'object',
+          properties: { message: { type: 'string' }, data: ref('ConversionResult') }
+        }),
+        error: nullable({ type: 'object', properties: { message: { type: 'string' } } })
+      }
+    },
+    JobResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: ref('Job')
+      }
+    },
+    Format: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        extensions: { type: 'array', items: { type: 'string' } },
+        mimeTypes: { type: 'array', items: { type: 'string' } },
+        outputExtension: { type: 'string' },
+        convertsTo: { type: 'array', items: { type: 'string' } },
+        convertsFrom: { type: 'array', items: { type: 'string' } },
+        qualityPresets: { type: 'array', items: { type: 'object' } },
+        supportsCustomBitrate: { type: 'boolean' },
+        capabilities: nullable({ type: 'object' }),
+        profiles: { type: 'array', items: ref('ProfileSummary') }
+      }
+    },
+    ProfileSummary: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        description: { type: 'string' },
+        resolution: nullable(ref('Resolution')),
+        autoSelect: { type: 'boolean', description: 'Selected automatically from the source (false: only on request)' },
+        custom: { type: 'boolean' }
+      }
+    },
+    Stream: {
+      type: 'object',
+      properties: {
+        index: { type: 'integer' },
+        type: { type: 'string', enum: ['video', 'audio', 'subtitle', 'data', 'attachment'] },
+        codec: nullable({ type: 'string' }),
+        codecLongName: nullable({ type: 'string' }),
+        profile: nullable({ type: 'string' }),
+        bitrate: nullable({ type: 'number' }),
+        duration: nullable({ type: 'number' }),
+        language: nullable({ type: 'string' }),
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        rotation: { type: 'integer', enum: [0, 90, 180, 270], description: 'Clockwise display rotation (phone footage)' },
+        fps: nullable({ type: 'number' }),
+        pixelFormat: nullable({ type: 'string' }),
+        channels: { type: 'integer' },
+        channelLayout: nullable({ type: 'string' }),
+        sampleRate: nullable({ type: 'number' })
+      }
+    },
+    Compatibility: {
+      type: 'object',
+      properties: {
+        videoCodecSupported: nullable({ type: 'boolean' }),
+        audioCodecSupported: nullable({ type: 'boolean' }),
+        resolutionSupported: nullable({ type: 'boolean' }),
+        notes: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    ProbeResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            inputFilename: { type: 'string' },
+            valid: { type: 'boolean' },
+            errors: { type: 'array', items: { type: 'string' } },
+            warnings: { type: 'array', items: { type: 'string' } },
+            container: {
+              type: 'object',
+              properties: {
+                formatName: nullable({ type: 'string' }),
+                formatLongName: nullable({ type: 'string' }),
+                duration: nullable({ type: 'number' }),
+                size: nullable({ type: 'number' }),
+                bitrate: nullable({ type: 'number' }),
+                streamCount: { type: 'integer' }
+              }
+            },
+            streams: { type: 'array', items: ref('Stream') },
+            compatibility: {
+              type: 'object',
+              description: 'Keyed by lowercase target format',
+              additionalProperties: ref('Compatibility')
+            }
+          }
+        }
+      }
+    },
+    ProfileInput: joiToSchema(profileSchema.describe()),
+    Profile: {
+      allOf: [ref('ProfileInput')],
+      properties: {
+        custom: { type: 'boolean', description: 'Created through this API (false: built-in)' },
+        container: { type: 'string', description: 'FFmpeg muxer (built-in profiles)' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    ProfileResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: ref('Profile'),
+        warnings: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    ProfileListResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            profiles: { type: 'array', items: ref('Profile') },
+            total: { type: 'integer' }
+          }
+        }
+      }
+    },
+    FormatsResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            formats: { type: 'array', items: ref('Format') },
+            totalFormats: { type: 'integer' },
+            totalConversions: { type: 'integer', description: 'The 90 pairs of distinct formats plus MKV to MKV (91)' }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the OpenAPI 3 document
+ */
+export const buildOpenApiSpec = () => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'Video Format Converter API',
+    version,
+    description: 'Convert videos between MP4, WebM, AVI, MKV, MOV, MPEG, WMV, FLV, 3GP and 3G2 with FFmpeg.'
+  },
+  tags: [
+    { name: 'Conversion', description: 'Generic conversion endpoints' },
+    { name: 'Conversion aliases', description: 'One endpoint per format pair, with per-target options' },
+    { name: 'Jobs', description: 'Conversion job status, cancellation and progress' },
+    { name: 'Discovery' },
+    { name: 'Profiles', description: 'Built-in and custom encoding profiles' },
+    { name: 'Maintenance' },
+    { name: 'Health' }
+  ],
+  paths: {
+    ...buildConversionPaths(),
+    ...buildServicePaths()
+  },
+  components
+});
+
+export default {
+  joiToSchema,
+  joiToQueryParameters,
+  buildOpenApiSpec
+};